@@ -6,6 +6,7 @@ module.exports = {
     {
       name: 'nexi-chat-backend',
       script: './server/server.js',
+      // 改为集群模式或多个实例前，先设置 STATE_STORE=redis（见 README「多进程部署」）
       instances: 1,
       exec_mode: 'fork',
       watch: false,
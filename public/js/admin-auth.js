@@ -6,12 +6,18 @@ const usernameInput = document.getElementById('username');
 const passwordInput = document.getElementById('password');
 const loginBtn = document.getElementById('loginBtn');
 const errorMessage = document.getElementById('errorMessage');
+const totpGroup = document.getElementById('totpGroup');
+const totpCodeInput = document.getElementById('totpCode');
+
+// 密码校验通过后服务端返回的两步验证挑战令牌
+let twoFactorToken = null;
 
 
 loginBtn.addEventListener('click', async () => {
     
     const username = usernameInput.value.trim();
     const password = passwordInput.value.trim();
+    const code = totpCodeInput.value.trim();
     
     
     if (!username || !password) {
@@ -19,6 +25,11 @@ loginBtn.addEventListener('click', async () => {
         return;
     }
     
+    if (twoFactorToken && !code) {
+        showError('请输入两步验证码');
+        return;
+    }
+    
     try {
         
         loginBtn.disabled = true;
@@ -30,12 +41,19 @@ loginBtn.addEventListener('click', async () => {
             headers: {
                 'Content-Type': 'application/json'
             },
-            body: JSON.stringify({ username, password })
+            body: JSON.stringify(twoFactorToken ? { twoFactorToken, code } : { username, password })
         });
         
         const data = await response.json();
         
-        if (response.ok && data.token) {
+        if (response.ok && data.twoFactorRequired) {
+            
+            twoFactorToken = data.twoFactorToken;
+            usernameInput.disabled = true;
+            passwordInput.disabled = true;
+            totpGroup.style.display = 'block';
+            totpCodeInput.focus();
+        } else if (response.ok && data.token) {
             
             localStorage.setItem('adminToken', data.token);
             localStorage.setItem('isAdmin', 'true');
@@ -72,6 +90,7 @@ function hideError() {
 
 usernameInput.addEventListener('input', hideError);
 passwordInput.addEventListener('input', hideError);
+totpCodeInput.addEventListener('input', hideError);
 
 
 usernameInput.addEventListener('keypress', (e) => {
@@ -85,3 +104,9 @@ passwordInput.addEventListener('keypress', (e) => {
         loginBtn.click();
     }
 });
+
+totpCodeInput.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') {
+        loginBtn.click();
+    }
+});
@@ -4,13 +4,60 @@
 const logoutBtn = document.getElementById('logoutBtn');
 const errorMessage = document.getElementById('errorMessage');
 const successMessage = document.getElementById('successMessage');
-const channel105Members = document.getElementById('channel105Members');
+const channelMembers = document.getElementById('channelMembers');
+const memberChannelSelect = document.getElementById('memberChannelSelect');
+const addMemberForm = document.getElementById('addMemberForm');
+const createInviteForm = document.getElementById('createInviteForm');
+const channelInvites = document.getElementById('channelInvites');
 const adminPasswordForm = document.getElementById('adminPasswordForm');
 const currentPassword = document.getElementById('currentPassword');
 const newPassword = document.getElementById('newPassword');
 const confirmNewPassword = document.getElementById('confirmNewPassword');
 const channelPasswordForm = document.getElementById('channelPasswordForm');
 const channelNewPassword = document.getElementById('channelNewPassword');
+const adminTwoFactor = document.getElementById('adminTwoFactor');
+const resetTwoFactorForm = document.getElementById('resetTwoFactorForm');
+const resetTwoFactorUsername = document.getElementById('resetTwoFactorUsername');
+const currentAdminInfo = document.getElementById('currentAdminInfo');
+const createAdminForm = document.getElementById('createAdminForm');
+const adminList = document.getElementById('adminList');
+const createRegistrationInviteForm = document.getElementById('createRegistrationInviteForm');
+const registrationInvites = document.getElementById('registrationInvites');
+const registrationModeHint = document.getElementById('registrationModeHint');
+const channelList = document.getElementById('channelList');
+const createChannelForm = document.getElementById('createChannelForm');
+
+const ACCESS_MODE_LABELS = {
+    public: '公开',
+    protected: '密码加入',
+    invite: '仅限邀请'
+};
+
+const CHANNEL_ROLE_LABELS = {
+    member: '成员',
+    moderator: '版主',
+    owner: '所有者'
+};
+
+const ADMIN_ROLE_LABELS = {
+    superadmin: '超级管理员',
+    moderator: '版主',
+    auditor: '审计员'
+};
+
+// 当前登录的管理员（含权限列表），由 /api/admin/me 获取
+let currentAdmin = null;
+
+function hasPermission(permission) {
+    return !!currentAdmin && currentAdmin.permissions.includes(permission);
+}
+
+const INVITE_STATUS_LABELS = {
+    active: '有效',
+    revoked: '已撤销',
+    expired: '已过期',
+    exhausted: '次数已用完'
+};
 
 
 
@@ -26,14 +73,64 @@ window.addEventListener('DOMContentLoaded', async () => {
     }
     
     
-    await fetchChannelMembers('Channel105', channel105Members);
+    if (!(await loadCurrentAdmin())) return;
+    
+    
+    await fetchChannels();
+    loadAdminTwoFactor();
+    if (hasPermission('admins.manage')) fetchAdmins();
+    if (hasPermission('users.manage')) fetchRegistrationInvites();
+    if (hasPermission('logs.read')) initLogManagement();
     
     
     adminPasswordForm.addEventListener('submit', handleAdminPasswordChange);
+    resetTwoFactorForm.addEventListener('submit', handleResetUserTwoFactor);
+    createAdminForm.addEventListener('submit', handleCreateAdmin);
+    createRegistrationInviteForm.addEventListener('submit', handleCreateRegistrationInvite);
     channelPasswordForm.addEventListener('submit', handleChannelPasswordChange);
+    createChannelForm.addEventListener('submit', handleCreateChannel);
+    addMemberForm.addEventListener('submit', handleAddMember);
+    createInviteForm.addEventListener('submit', handleCreateInvite);
+    memberChannelSelect.addEventListener('change', () => {
+        fetchChannelMembers(memberChannelSelect.value, channelMembers);
+        fetchInvites(memberChannelSelect.value);
+    });
 });
 
 
+// 获取当前管理员并按权限隐藏不可用的功能；令牌失效（旧版令牌、密码已修改、账号已删除）时回到登录页
+async function loadCurrentAdmin() {
+    try {
+        const response = await fetch('/api/admin/me', {
+            headers: {
+                'Authorization': `Bearer ${localStorage.getItem('adminToken')}`
+            }
+        });
+        
+        if (response.status === 401) {
+            localStorage.removeItem('adminToken');
+            localStorage.removeItem('isAdmin');
+            window.location.href = '/admin-login.html';
+            return false;
+        }
+        
+        currentAdmin = await response.json();
+        if (!response.ok) {
+            throw new Error(currentAdmin.error || '获取管理员信息失败');
+        }
+    } catch (error) {
+        showError(`获取管理员信息失败: ${error.message}`);
+        return false;
+    }
+    
+    currentAdminInfo.textContent = `${currentAdmin.username}（${ADMIN_ROLE_LABELS[currentAdmin.role] || currentAdmin.role}）`;
+    document.querySelectorAll('[data-permission]').forEach(element => {
+        element.style.display = hasPermission(element.dataset.permission) ? '' : 'none';
+    });
+    return true;
+}
+
+
 logoutBtn.addEventListener('click', () => {
     
     localStorage.removeItem('adminToken');
@@ -86,7 +183,14 @@ function renderMembers(members, container, channel) {
                 <div class="member-avatar">${safeInitial}</div>
                 <span class="member-username">${safeUsername}</span>
             </div>
-            <button class="remove-btn" onclick="removeMember(${member.id}, '${escapeHtml(channel)}')">移除</button>
+            <div class="channel-actions">
+                <select onchange="setMemberRole(${member.id}, '${escapeHtml(channel)}', this)">
+                    ${Object.entries(CHANNEL_ROLE_LABELS).map(([role, label]) => `
+                        <option value="${role}" ${role === member.role ? 'selected' : ''}>${label}</option>
+                    `).join('')}
+                </select>
+                <button class="remove-btn" onclick="removeMember(${member.id}, '${escapeHtml(channel)}')">移除</button>
+            </div>
         </div>
     `;
     }).join('');
@@ -114,8 +218,7 @@ async function removeMember(userId, channel) {
         }
         
         
-        await fetchChannelMembers(channel, 
-            channel === 'Channel105' ? channel105Members : null);
+        await fetchChannelMembers(channel, channelMembers);
         
         showSuccess('成员移除成功');
         
@@ -125,6 +228,440 @@ async function removeMember(userId, channel) {
 }
 
 
+async function setMemberRole(userId, channel, select) {
+    try {
+        const adminToken = localStorage.getItem('adminToken');
+        
+        const response = await fetch(`/api/channel/${channel}/roles/${userId}`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${adminToken}`
+            },
+            body: JSON.stringify({ role: select.value })
+        });
+        
+        if (!response.ok) {
+            const data = await response.json();
+            throw new Error(data.error || '设置角色失败');
+        }
+        
+        showSuccess(`已设为${CHANNEL_ROLE_LABELS[select.value]}`);
+        
+    } catch (error) {
+        showError(`设置角色失败: ${error.message}`);
+    }
+    
+    await fetchChannelMembers(channel, channelMembers);
+}
+
+
+async function fetchChannels() {
+    try {
+        const adminToken = localStorage.getItem('adminToken');
+        
+        const response = await fetch('/api/admin/channels', {
+            headers: {
+                'Authorization': `Bearer ${adminToken}`
+            }
+        });
+        
+        if (!response.ok) {
+            throw new Error('获取频道列表失败');
+        }
+        
+        const channels = await response.json();
+        
+        
+        renderChannels(channels);
+        renderMemberChannelOptions(channels.filter(channel => channel.is_private));
+        
+    } catch (error) {
+        showError(`获取频道列表失败: ${error.message}`);
+    }
+}
+
+
+// 成员管理只针对受限频道（密码加入或仅限邀请），尽量保持当前选中的频道
+function renderMemberChannelOptions(channels) {
+    const selected = memberChannelSelect.value;
+    
+    memberChannelSelect.innerHTML = channels.map(channel => `
+        <option value="${escapeHtml(channel.name)}">${escapeHtml(channel.display_name)}（${ACCESS_MODE_LABELS[channel.access_mode]}）</option>
+    `).join('');
+    
+    if (channels.some(channel => channel.name === selected)) {
+        memberChannelSelect.value = selected;
+    }
+    
+    if (memberChannelSelect.value) {
+        fetchChannelMembers(memberChannelSelect.value, channelMembers);
+        fetchInvites(memberChannelSelect.value);
+    } else {
+        channelMembers.innerHTML = '<div class="no-members">暂无需要管理成员的频道</div>';
+        channelInvites.innerHTML = '';
+    }
+}
+
+
+function getInviteUrl(code) {
+    return `${window.location.origin}/?invite=${code}`;
+}
+
+
+async function fetchInvites(channel) {
+    try {
+        const adminToken = localStorage.getItem('adminToken');
+        
+        const response = await fetch(`/api/channel/${channel}/invites`, {
+            headers: {
+                'Authorization': `Bearer ${adminToken}`
+            }
+        });
+        
+        if (!response.ok) {
+            throw new Error('获取邀请链接失败');
+        }
+        
+        const invites = await response.json();
+        
+        
+        renderInvites(invites, channel);
+        
+    } catch (error) {
+        showError(`获取邀请链接失败: ${error.message}`);
+    }
+}
+
+
+function renderInvites(invites, channel) {
+    if (invites.length === 0) {
+        channelInvites.innerHTML = '<div class="no-members">暂无邀请链接</div>';
+        return;
+    }
+    
+    channelInvites.innerHTML = invites.map(invite => {
+        const usage = invite.max_uses ? `${invite.uses}/${invite.max_uses}` : `${invite.uses}/不限`;
+        const expiresAt = new Date(invite.expires_at).toLocaleString('zh-CN');
+        
+        return `
+        <div class="member-item" data-invite-id="${invite.id}">
+            <div class="member-info">
+                <span class="member-username">${escapeHtml(getInviteUrl(invite.code))}</span>
+                <span class="channel-tag">${INVITE_STATUS_LABELS[invite.status]}</span>
+                <span class="channel-tag">已使用 ${usage}</span>
+                <span class="channel-tag">${expiresAt} 过期</span>
+            </div>
+            <div class="channel-actions">
+                ${invite.status === 'active' ? `
+                    <button class="action-btn" onclick="copyInviteLink('${escapeHtml(invite.code)}')">复制</button>
+                    <button class="remove-btn" onclick="revokeInvite(${invite.id}, '${escapeHtml(channel)}')">撤销</button>
+                ` : ''}
+            </div>
+        </div>
+    `;
+    }).join('');
+}
+
+
+async function copyInviteLink(code) {
+    try {
+        await navigator.clipboard.writeText(getInviteUrl(code));
+        showSuccess('邀请链接已复制');
+    } catch (error) {
+        prompt('复制以下邀请链接:', getInviteUrl(code));
+    }
+}
+
+
+async function handleCreateInvite(e) {
+    e.preventDefault();
+    
+    const channel = memberChannelSelect.value;
+    if (!channel) {
+        showError('请先选择频道');
+        return;
+    }
+    
+    const inviteData = {
+        expiresInHours: parseInt(document.getElementById('inviteExpiresInHours').value),
+        maxUses: parseInt(document.getElementById('inviteMaxUses').value) || undefined
+    };
+    
+    try {
+        const adminToken = localStorage.getItem('adminToken');
+        
+        const response = await fetch(`/api/channel/${channel}/invites`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${adminToken}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(inviteData)
+        });
+        
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || '生成邀请链接失败');
+        }
+        
+        
+        createInviteForm.reset();
+        await fetchInvites(channel);
+        await copyInviteLink(data.code);
+        
+    } catch (error) {
+        showError(`生成邀请链接失败: ${error.message}`);
+    }
+}
+
+
+async function revokeInvite(inviteId, channel) {
+    if (!confirm('撤销后该链接将无法再使用，确定要撤销吗？')) {
+        return;
+    }
+    
+    try {
+        const adminToken = localStorage.getItem('adminToken');
+        
+        const response = await fetch(`/api/channel/${channel}/invites/${inviteId}`, {
+            method: 'DELETE',
+            headers: {
+                'Authorization': `Bearer ${adminToken}`
+            }
+        });
+        
+        if (!response.ok) {
+            const data = await response.json();
+            throw new Error(data.error || '撤销邀请链接失败');
+        }
+        
+        
+        await fetchInvites(channel);
+        
+        showSuccess('邀请链接已撤销');
+        
+    } catch (error) {
+        showError(`撤销邀请链接失败: ${error.message}`);
+    }
+}
+
+
+async function handleAddMember(e) {
+    e.preventDefault();
+    
+    const channel = memberChannelSelect.value;
+    if (!channel) {
+        showError('请先选择频道');
+        return;
+    }
+    
+    try {
+        const adminToken = localStorage.getItem('adminToken');
+        
+        const response = await fetch(`/api/channel/${channel}/members`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${adminToken}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                username: document.getElementById('addMemberUsername').value.trim()
+            })
+        });
+        
+        if (!response.ok) {
+            const data = await response.json();
+            throw new Error(data.error || '添加成员失败');
+        }
+        
+        
+        addMemberForm.reset();
+        await fetchChannelMembers(channel, channelMembers);
+        
+        showSuccess('成员添加成功');
+        
+    } catch (error) {
+        showError(`添加成员失败: ${error.message}`);
+    }
+}
+
+
+function renderChannels(channels) {
+    if (channels.length === 0) {
+        channelList.innerHTML = '<div class="no-members">暂无频道</div>';
+        return;
+    }
+    
+    channelList.innerHTML = channels.map(channel => {
+        // 使用 XSS 防护清理频道数据
+        const safeName = escapeHtml(channel.name);
+        const safeDisplayName = escapeHtml(channel.display_name);
+        const safeIcon = escapeHtml(channel.icon);
+        
+        return `
+        <div class="member-item" data-channel="${safeName}">
+            <div class="member-info">
+                <div class="member-avatar">${safeIcon}</div>
+                <span class="member-username">${safeDisplayName}（${safeName}）</span>
+                ${channel.is_archived ? '<span class="channel-tag">已归档</span>' : ''}
+            </div>
+            ${hasPermission('channels.manage') ? `<div class="channel-actions">
+                <select onchange="changeAccessMode('${safeName}', this)">
+                    ${Object.entries(ACCESS_MODE_LABELS).map(([mode, label]) => `
+                        <option value="${mode}" ${mode === channel.access_mode ? 'selected' : ''}>${label}</option>
+                    `).join('')}
+                </select>
+                <button class="action-btn" onclick="renameChannel('${safeName}', '${safeDisplayName}')">重命名</button>
+                <button class="action-btn" onclick="setChannelArchived('${safeName}', ${!channel.is_archived})">${channel.is_archived ? '恢复' : '归档'}</button>
+                <button class="remove-btn" onclick="deleteChannel('${safeName}')">删除</button>
+            </div>` : ''}
+        </div>
+    `;
+    }).join('');
+}
+
+
+async function updateChannel(channel, updates, successText) {
+    try {
+        const adminToken = localStorage.getItem('adminToken');
+        
+        const response = await fetch(`/api/admin/channels/${channel}`, {
+            method: 'PUT',
+            headers: {
+                'Authorization': `Bearer ${adminToken}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(updates)
+        });
+        
+        if (!response.ok) {
+            const data = await response.json();
+            throw new Error(data.error || '更新频道失败');
+        }
+        
+        
+        await fetchChannels();
+        
+        showSuccess(successText);
+        
+    } catch (error) {
+        showError(`更新频道失败: ${error.message}`);
+        await fetchChannels(); // 恢复下拉框等控件的实际状态
+    }
+}
+
+
+async function renameChannel(channel, currentName) {
+    const displayName = prompt('请输入新的频道显示名称:', currentName);
+    if (!displayName || !displayName.trim() || displayName.trim() === currentName) {
+        return;
+    }
+    
+    await updateChannel(channel, { display_name: displayName.trim() }, '频道已重命名');
+}
+
+
+async function changeAccessMode(channel, select) {
+    const updates = { access_mode: select.value };
+    
+    if (select.value === 'protected') {
+        const password = prompt('请输入频道访问密码（留空则沿用原密码）:');
+        if (password === null) {
+            await fetchChannels();
+            return;
+        }
+        if (password) {
+            updates.password = password;
+        }
+    }
+    
+    await updateChannel(channel, updates, `访问模式已切换为${ACCESS_MODE_LABELS[select.value]}`);
+}
+
+
+async function setChannelArchived(channel, archived) {
+    if (archived && !confirm('归档后用户将无法在该频道发送消息，确定要归档吗？')) {
+        return;
+    }
+    
+    await updateChannel(channel, { is_archived: archived }, archived ? '频道已归档' : '频道已恢复');
+}
+
+
+async function deleteChannel(channel) {
+    if (!confirm(`确定要删除频道 ${channel} 吗？频道内的所有消息都会被删除，且无法恢复。`)) {
+        return;
+    }
+    
+    try {
+        const adminToken = localStorage.getItem('adminToken');
+        
+        const response = await fetch(`/api/admin/channels/${channel}`, {
+            method: 'DELETE',
+            headers: {
+                'Authorization': `Bearer ${adminToken}`
+            }
+        });
+        
+        if (!response.ok) {
+            const data = await response.json();
+            throw new Error(data.error || '删除频道失败');
+        }
+        
+        
+        await fetchChannels();
+        
+        showSuccess('频道已删除');
+        
+    } catch (error) {
+        showError(`删除频道失败: ${error.message}`);
+    }
+}
+
+
+async function handleCreateChannel(e) {
+    e.preventDefault();
+    
+    const channelData = {
+        name: document.getElementById('newChannelName').value.trim(),
+        display_name: document.getElementById('newChannelDisplayName').value.trim() || undefined,
+        icon: document.getElementById('newChannelIcon').value.trim() || undefined,
+        access_mode: document.getElementById('newChannelAccessMode').value
+    };
+    if (channelData.access_mode === 'protected') {
+        channelData.password = document.getElementById('newChannelPassword').value;
+    }
+    
+    try {
+        const adminToken = localStorage.getItem('adminToken');
+        
+        const response = await fetch('/api/admin/channels', {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${adminToken}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(channelData)
+        });
+        
+        if (!response.ok) {
+            const data = await response.json();
+            throw new Error(data.error || '创建频道失败');
+        }
+        
+        
+        createChannelForm.reset();
+        await fetchChannels();
+        
+        showSuccess('频道创建成功');
+        
+    } catch (error) {
+        showError(`创建频道失败: ${error.message}`);
+    }
+}
+
+
 function showError(message) {
     errorMessage.textContent = message;
     errorMessage.style.display = 'block';
@@ -180,7 +717,8 @@ async function handleAdminPasswordChange(e) {
         
         const result = await response.json();
         
-        
+        // 修改密码后旧令牌失效，换成新令牌
+        localStorage.setItem('adminToken', result.token);
         showSuccess(result.message);
         
         
@@ -192,6 +730,323 @@ async function handleAdminPasswordChange(e) {
 }
 
 
+// 后台 JSON 请求（自动带上管理员令牌，失败时抛出服务端返回的错误信息）
+async function adminRequest(url, method = 'GET', body) {
+    const response = await fetch(url, {
+        method,
+        headers: {
+            'Authorization': `Bearer ${localStorage.getItem('adminToken')}`,
+            'Content-Type': 'application/json'
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json();
+    
+    if (!response.ok) {
+        throw new Error(data.error || '操作失败');
+    }
+    return data;
+}
+
+
+async function loadAdminTwoFactor() {
+    try {
+        const status = await adminRequest('/api/admin/2fa/status');
+        
+        adminTwoFactor.innerHTML = status.enabled
+            ? `<p style="margin-top: 0; color: #28a745;">✅ 两步验证已开启，剩余恢复码 ${status.recoveryCodesRemaining} 个</p>
+               <button id="adminTwoFactorRecoveryBtn" style="background-color: #6c757d; color: white; border: none; padding: 10px 20px; border-radius: 4px; cursor: pointer; font-size: 14px; margin-right: 10px;">重新生成恢复码</button>
+               <button id="adminTwoFactorDisableBtn" style="background-color: #dc3545; color: white; border: none; padding: 10px 20px; border-radius: 4px; cursor: pointer; font-size: 14px;">关闭两步验证</button>`
+            : `<p style="margin-top: 0; color: #666;">开启后，管理员登录时需要输入身份验证器应用生成的验证码。</p>
+               <button id="adminTwoFactorSetupBtn" style="background-color: #28a745; color: white; border: none; padding: 10px 20px; border-radius: 4px; cursor: pointer; font-size: 14px;">开启两步验证</button>`;
+        
+        const setupBtn = document.getElementById('adminTwoFactorSetupBtn');
+        const recoveryBtn = document.getElementById('adminTwoFactorRecoveryBtn');
+        const disableBtn = document.getElementById('adminTwoFactorDisableBtn');
+        if (setupBtn) setupBtn.addEventListener('click', setupAdminTwoFactor);
+        if (recoveryBtn) recoveryBtn.addEventListener('click', regenerateAdminRecoveryCodes);
+        if (disableBtn) disableBtn.addEventListener('click', disableAdminTwoFactor);
+    } catch (error) {
+        adminTwoFactor.textContent = `获取两步验证状态失败: ${error.message}`;
+    }
+}
+
+
+async function setupAdminTwoFactor() {
+    try {
+        const enrollment = await adminRequest('/api/admin/2fa/setup', 'POST');
+        
+        adminTwoFactor.innerHTML = `
+            <p style="margin-top: 0; color: #666;">使用身份验证器应用扫描二维码，或手动输入密钥：</p>
+            <img src="${enrollment.qrCode}" alt="两步验证二维码" style="display: block; width: 180px; height: 180px; margin-bottom: 10px;">
+            <p style="font-family: monospace; word-break: break-all;">${escapeHtml(enrollment.manualEntryKey)}</p>
+            <div style="margin-bottom: 15px;">
+                <input type="text" id="adminTwoFactorCode" placeholder="输入应用中显示的 6 位验证码" style="width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 4px; box-sizing: border-box;">
+            </div>
+            <button id="adminTwoFactorEnableBtn" style="background-color: #28a745; color: white; border: none; padding: 10px 20px; border-radius: 4px; cursor: pointer; font-size: 14px;">确认开启</button>
+        `;
+        
+        document.getElementById('adminTwoFactorEnableBtn').addEventListener('click', async () => {
+            try {
+                const result = await adminRequest('/api/admin/2fa/enable', 'POST', {
+                    code: document.getElementById('adminTwoFactorCode').value.trim()
+                });
+                showSuccess(result.message);
+                renderAdminRecoveryCodes(result.recoveryCodes);
+            } catch (error) {
+                showError(`开启两步验证失败: ${error.message}`);
+            }
+        });
+    } catch (error) {
+        showError(`生成两步验证密钥失败: ${error.message}`);
+    }
+}
+
+
+// 恢复码只显示这一次
+function renderAdminRecoveryCodes(codes) {
+    adminTwoFactor.innerHTML = `
+        <p style="margin-top: 0; color: #666;">请妥善保存以下恢复码。丢失身份验证器时可用恢复码登录，每个只能使用一次，离开此页面后将无法再次查看。</p>
+        <div style="font-family: monospace; display: grid; grid-template-columns: repeat(2, max-content); gap: 6px 24px; margin-bottom: 15px;">${codes.map(code => `<span>${escapeHtml(code)}</span>`).join('')}</div>
+        <button id="adminTwoFactorDoneBtn" style="background-color: #28a745; color: white; border: none; padding: 10px 20px; border-radius: 4px; cursor: pointer; font-size: 14px;">我已保存</button>
+    `;
+    document.getElementById('adminTwoFactorDoneBtn').addEventListener('click', loadAdminTwoFactor);
+}
+
+
+async function regenerateAdminRecoveryCodes() {
+    const code = prompt('请输入身份验证器中的验证码（旧恢复码将全部作废）:');
+    if (!code) return;
+    
+    try {
+        const result = await adminRequest('/api/admin/2fa/recovery-codes', 'POST', { code: code.trim() });
+        renderAdminRecoveryCodes(result.recoveryCodes);
+    } catch (error) {
+        showError(`生成恢复码失败: ${error.message}`);
+    }
+}
+
+
+async function disableAdminTwoFactor() {
+    const code = prompt('请输入身份验证器中的验证码或一个恢复码:');
+    if (!code) return;
+    
+    try {
+        const result = await adminRequest('/api/admin/2fa/disable', 'POST', { code: code.trim() });
+        showSuccess(result.message);
+        loadAdminTwoFactor();
+    } catch (error) {
+        showError(`关闭两步验证失败: ${error.message}`);
+    }
+}
+
+
+async function handleResetUserTwoFactor(e) {
+    e.preventDefault();
+    
+    const username = resetTwoFactorUsername.value.trim();
+    if (!confirm(`确定要重置用户 ${username} 的两步验证吗？重置后该用户仅凭密码即可登录。`)) return;
+    
+    try {
+        const result = await adminRequest(`/api/admin/users/${encodeURIComponent(username)}/2fa`, 'DELETE');
+        showSuccess(result.message);
+        resetTwoFactorForm.reset();
+    } catch (error) {
+        showError(`重置两步验证失败: ${error.message}`);
+    }
+}
+
+
+async function fetchAdmins() {
+    try {
+        const admins = await adminRequest('/api/admin/admins');
+        renderAdmins(admins);
+    } catch (error) {
+        showError(`获取管理员列表失败: ${error.message}`);
+    }
+}
+
+
+function renderAdmins(admins) {
+    adminList.innerHTML = admins.map(admin => {
+        const safeUsername = escapeHtml(admin.username);
+        const isSelf = admin.id === currentAdmin.id;
+        
+        return `
+        <div class="member-item">
+            <div class="member-info">
+                <div class="member-avatar">${escapeHtml(admin.username.charAt(0).toUpperCase())}</div>
+                <span class="member-username">${safeUsername}${isSelf ? '（我）' : ''}</span>
+                ${admin.totp_enabled ? '<span class="channel-tag">两步验证</span>' : ''}
+            </div>
+            <div class="channel-actions">
+                <select onchange="updateAdmin(${admin.id}, { role: this.value }, '角色已更新')" ${isSelf ? 'disabled' : ''}>
+                    ${Object.entries(ADMIN_ROLE_LABELS).map(([role, label]) => `
+                        <option value="${role}" ${role === admin.role ? 'selected' : ''}>${label}</option>
+                    `).join('')}
+                </select>
+                ${isSelf ? '' : `
+                <button class="action-btn" onclick="resetAdminPassword(${admin.id}, '${safeUsername}')">重置密码</button>
+                ${admin.totp_enabled ? `<button class="action-btn" onclick="updateAdmin(${admin.id}, { resetTwoFactor: true }, '已重置两步验证')">重置两步验证</button>` : ''}
+                <button class="remove-btn" onclick="deleteAdmin(${admin.id}, '${safeUsername}')">删除</button>`}
+            </div>
+        </div>
+    `;
+    }).join('');
+}
+
+
+async function handleCreateAdmin(e) {
+    e.preventDefault();
+    
+    try {
+        await adminRequest('/api/admin/admins', 'POST', {
+            username: document.getElementById('newAdminUsername').value.trim(),
+            password: document.getElementById('newAdminPassword').value,
+            role: document.getElementById('newAdminRole').value
+        });
+        
+        showSuccess('管理员已添加');
+        createAdminForm.reset();
+        fetchAdmins();
+    } catch (error) {
+        showError(`添加管理员失败: ${error.message}`);
+    }
+}
+
+
+async function updateAdmin(adminId, updates, successText) {
+    try {
+        await adminRequest(`/api/admin/admins/${adminId}`, 'PUT', updates);
+        showSuccess(successText);
+    } catch (error) {
+        showError(`更新管理员失败: ${error.message}`);
+    }
+    fetchAdmins();
+}
+
+
+async function resetAdminPassword(adminId, username) {
+    const password = prompt(`请输入管理员 ${username} 的新密码（至少 8 位）:`);
+    if (!password) return;
+    
+    await updateAdmin(adminId, { password }, '密码已重置，该管理员需要重新登录');
+}
+
+
+async function deleteAdmin(adminId, username) {
+    if (!confirm(`确定要删除管理员 ${username} 吗？`)) return;
+    
+    try {
+        await adminRequest(`/api/admin/admins/${adminId}`, 'DELETE');
+        showSuccess('管理员已删除');
+        fetchAdmins();
+    } catch (error) {
+        showError(`删除管理员失败: ${error.message}`);
+    }
+}
+
+
+const REGISTRATION_MODE_HINTS = {
+    open: '当前为开放注册（REGISTRATION_MODE=open），注册时不需要邀请码。',
+    invite: '当前为邀请码注册（REGISTRATION_MODE=invite），注册时必须填写有效的邀请码。',
+    closed: '当前已关闭注册（REGISTRATION_MODE=closed），邀请码暂时无法使用。'
+};
+
+
+function getRegistrationInviteUrl(code) {
+    return `${window.location.origin}/register.html?invite=${code}`;
+}
+
+
+async function fetchRegistrationInvites() {
+    try {
+        const data = await adminRequest('/api/admin/registration-invites');
+        registrationModeHint.textContent = REGISTRATION_MODE_HINTS[data.mode];
+        renderRegistrationInvites(data.invites);
+    } catch (error) {
+        showError(`获取注册邀请码失败: ${error.message}`);
+    }
+}
+
+
+function renderRegistrationInvites(invites) {
+    if (invites.length === 0) {
+        registrationInvites.innerHTML = '<div class="no-members">暂无邀请码</div>';
+        return;
+    }
+    
+    registrationInvites.innerHTML = invites.map(invite => {
+        const usage = invite.max_uses ? `${invite.uses}/${invite.max_uses}` : `${invite.uses}/不限`;
+        const expiresAt = new Date(invite.expires_at).toLocaleString('zh-CN');
+        const redeemedBy = invite.redeemed_by
+            .map(redemption => escapeHtml(redemption.username || `#${redemption.user_id}`))
+            .join('、');
+        
+        return `
+        <div class="member-item" data-invite-id="${invite.id}">
+            <div class="member-info">
+                <span class="member-username" style="font-family: monospace;">${escapeHtml(invite.code)}</span>
+                ${invite.note ? `<span class="channel-tag">${escapeHtml(invite.note)}</span>` : ''}
+                <span class="channel-tag">${INVITE_STATUS_LABELS[invite.status]}</span>
+                <span class="channel-tag">已使用 ${usage}</span>
+                <span class="channel-tag">${expiresAt} 过期</span>
+                ${redeemedBy ? `<span class="channel-tag">注册用户: ${redeemedBy}</span>` : ''}
+            </div>
+            <div class="channel-actions">
+                ${invite.status === 'active' ? `
+                    <button class="action-btn" onclick="copyRegistrationInvite('${escapeHtml(invite.code)}')">复制链接</button>
+                    <button class="remove-btn" onclick="revokeRegistrationInvite(${invite.id})">撤销</button>
+                ` : ''}
+            </div>
+        </div>
+    `;
+    }).join('');
+}
+
+
+async function copyRegistrationInvite(code) {
+    try {
+        await navigator.clipboard.writeText(getRegistrationInviteUrl(code));
+        showSuccess('注册链接已复制');
+    } catch (error) {
+        prompt('复制以下注册链接:', getRegistrationInviteUrl(code));
+    }
+}
+
+
+async function handleCreateRegistrationInvite(e) {
+    e.preventDefault();
+    
+    try {
+        const invite = await adminRequest('/api/admin/registration-invites', 'POST', {
+            expiresInHours: parseInt(document.getElementById('registrationInviteExpiresInHours').value),
+            maxUses: parseInt(document.getElementById('registrationInviteMaxUses').value) || undefined,
+            note: document.getElementById('registrationInviteNote').value.trim() || undefined
+        });
+        
+        createRegistrationInviteForm.reset();
+        await fetchRegistrationInvites();
+        await copyRegistrationInvite(invite.code);
+    } catch (error) {
+        showError(`生成邀请码失败: ${error.message}`);
+    }
+}
+
+
+async function revokeRegistrationInvite(inviteId) {
+    if (!confirm('撤销后该邀请码将无法再用于注册，确定要撤销吗？')) return;
+    
+    try {
+        await adminRequest(`/api/admin/registration-invites/${inviteId}`, 'DELETE');
+        showSuccess('邀请码已撤销');
+        fetchRegistrationInvites();
+    } catch (error) {
+        showError(`撤销邀请码失败: ${error.message}`);
+    }
+}
+
+
 async function handleChannelPasswordChange(e) {
     e.preventDefault();
     
@@ -465,9 +1320,4 @@ function initLogManagement() {
         currentLogState.page = 1;
         searchLogs();
     });
-}
-
-// 在页面加载完成后初始化日志管理功能
-window.addEventListener('DOMContentLoaded', () => {
-    initLogManagement();
-});
\ No newline at end of file
+}
\ No newline at end of file
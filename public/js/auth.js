@@ -1,5 +1,69 @@
-// 通用 API 请求函数，自动处理认证错误
-async function apiRequest(url, options = {}) {
+// 保存登录接口返回的访问令牌和刷新令牌
+function saveTokens(data) {
+    localStorage.setItem('token', data.token);
+    if (data.refreshToken) {
+        localStorage.setItem('refreshToken', data.refreshToken);
+    }
+    scheduleTokenRefresh();
+}
+
+
+// 用刷新令牌换取新的访问令牌；并发请求共用同一次刷新，避免刷新令牌被轮换两次
+let refreshPromise = null;
+
+function refreshAccessToken() {
+    if (refreshPromise) return refreshPromise;
+    
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (!refreshToken) return Promise.resolve(false);
+    
+    refreshPromise = (async () => {
+        try {
+            const response = await fetch('/api/auth/refresh', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ refreshToken })
+            });
+            
+            if (!response.ok) return false;
+            
+            saveTokens(await response.json());
+            return true;
+        } catch (error) {
+            console.error('刷新令牌失败:', error);
+            return false;
+        } finally {
+            refreshPromise = null;
+        }
+    })();
+    
+    return refreshPromise;
+}
+
+
+// 在访问令牌过期前一分钟自动刷新，页面中直接使用 localStorage 令牌的请求也不会因过期而失败
+let refreshTimer = null;
+
+function scheduleTokenRefresh() {
+    clearTimeout(refreshTimer);
+    
+    const token = localStorage.getItem('token');
+    if (!token || !localStorage.getItem('refreshToken')) return;
+    
+    try {
+        const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+        const delay = Math.max(payload.exp * 1000 - Date.now() - 60 * 1000, 0);
+        refreshTimer = setTimeout(refreshAccessToken, delay);
+    } catch (error) {
+        console.error('解析访问令牌失败:', error);
+    }
+}
+
+
+// 通用 API 请求函数，自动处理认证错误：访问令牌失效时先尝试刷新一次再重试
+async function apiRequest(url, options = {}, retried = false) {
     const token = localStorage.getItem('token');
     
     // 添加认证头
@@ -16,6 +80,9 @@ async function apiRequest(url, options = {}) {
         
         // 检查认证错误
         if (response.status === 401 && (data.code === 'USER_NOT_FOUND' || data.code === 'INVALID_TOKEN')) {
+            if (!retried && data.code === 'INVALID_TOKEN' && await refreshAccessToken()) {
+                return apiRequest(url, options, true);
+            }
             alert('登录已失效，请重新登录');
             logout();
             return null;
@@ -29,6 +96,27 @@ async function apiRequest(url, options = {}) {
 }
 
 
+// 登录成功：保存用户信息和令牌后进入聊天页
+function completeLogin(data) {
+    // 先保存数据
+    localStorage.setItem('user', JSON.stringify({
+        id: data.userId,
+        username: data.username,
+        nickname: data.nickname,
+        avatar: data.avatar,
+        bio: data.bio,
+        gender: data.gender
+    }));
+    saveTokens(data);
+    
+    // 立即跳转，不等待
+    window.location.href = 'index.html';
+}
+
+
+// 两步验证挑战令牌：密码校验通过后由服务端返回，提交验证码时带上
+let twoFactorToken = null;
+
 if (document.getElementById('loginForm')) {
     document.getElementById('loginForm').addEventListener('submit', async (e) => {
         e.preventDefault();
@@ -60,20 +148,17 @@ if (document.getElementById('loginForm')) {
             
             const data = await response.json();
             
-            if (response.ok) {
-                // 先保存数据
-                localStorage.setItem('user', JSON.stringify({
-                    id: data.userId,
-                    username: data.username,
-                    nickname: data.nickname,
-                    avatar: data.avatar,
-                    bio: data.bio,
-                    gender: data.gender
-                }));
-                localStorage.setItem('token', data.token);
-                
-                // 立即跳转，不等待
-                window.location.href = 'index.html';
+            if (response.ok && data.twoFactorRequired) {
+                // 账号已开启两步验证，切换到验证码输入
+                twoFactorToken = data.twoFactorToken;
+                errorMessage.textContent = '';
+                e.target.style.display = 'none';
+                document.getElementById('twoFactorForm').style.display = 'block';
+                document.getElementById('twoFactorCode').focus();
+                submitBtn.textContent = originalText;
+                submitBtn.disabled = false;
+            } else if (response.ok) {
+                completeLogin(data);
             } else {
                 errorMessage.textContent = escapeHtml(data.error || '登录失败，请重试');
                 submitBtn.textContent = originalText;
@@ -88,6 +173,182 @@ if (document.getElementById('loginForm')) {
 }
 
 
+if (document.getElementById('twoFactorForm')) {
+    document.getElementById('twoFactorForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        
+        const code = document.getElementById('twoFactorCode').value.trim();
+        const errorMessage = document.getElementById('errorMessage');
+        
+        if (!code) {
+            errorMessage.textContent = '请输入验证码';
+            return;
+        }
+        
+        const submitBtn = e.target.querySelector('button[type="submit"]');
+        submitBtn.disabled = true;
+        
+        try {
+            const response = await fetch('/api/login', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ twoFactorToken, code })
+            });
+            
+            const data = await response.json();
+            
+            if (response.ok) {
+                completeLogin(data);
+                return;
+            }
+            
+            errorMessage.textContent = escapeHtml(data.error || '验证失败，请重试');
+            submitBtn.disabled = false;
+        } catch (error) {
+            errorMessage.textContent = '网络错误，请检查连接';
+            submitBtn.disabled = false;
+        }
+    });
+}
+
+
+// 忘记密码：邮件中的重置链接带有 token 参数，打开后直接显示设置新密码的表单
+const resetToken = new URLSearchParams(window.location.search).get('token');
+
+if (document.getElementById('forgotPasswordForm')) {
+    if (resetToken) {
+        document.getElementById('forgotPasswordForm').style.display = 'none';
+        document.getElementById('resetPasswordForm').style.display = 'block';
+        document.getElementById('newPassword').focus();
+    }
+    
+    document.getElementById('forgotPasswordForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        
+        const email = sanitizeEmail(document.getElementById('resetEmail').value);
+        const errorMessage = document.getElementById('errorMessage');
+        const successMessage = document.getElementById('successMessage');
+        errorMessage.textContent = '';
+        successMessage.textContent = '';
+        
+        if (!email) {
+            errorMessage.textContent = '请输入有效的邮箱地址';
+            return;
+        }
+        
+        const submitBtn = e.target.querySelector('button[type="submit"]');
+        submitBtn.disabled = true;
+        
+        try {
+            const response = await fetch('/api/forgot-password', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ email })
+            });
+            
+            const data = await response.json();
+            
+            if (response.ok) {
+                successMessage.textContent = escapeHtml(data.message);
+            } else {
+                errorMessage.textContent = escapeHtml(data.error || '发送失败，请重试');
+            }
+        } catch (error) {
+            errorMessage.textContent = '网络错误，请检查连接';
+        }
+        submitBtn.disabled = false;
+    });
+}
+
+
+if (document.getElementById('resetPasswordForm')) {
+    document.getElementById('resetPasswordForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        
+        const newPassword = document.getElementById('newPassword').value;
+        const confirmPassword = document.getElementById('confirmNewPassword').value;
+        const errorMessage = document.getElementById('errorMessage');
+        const successMessage = document.getElementById('successMessage');
+        errorMessage.textContent = '';
+        
+        if (!newPassword || newPassword.length < 6) {
+            errorMessage.textContent = '密码长度至少6个字符';
+            return;
+        }
+        if (newPassword !== confirmPassword) {
+            errorMessage.textContent = '两次输入的密码不一致';
+            return;
+        }
+        
+        const submitBtn = e.target.querySelector('button[type="submit"]');
+        submitBtn.disabled = true;
+        
+        try {
+            const response = await fetch('/api/reset-password', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ token: resetToken, newPassword })
+            });
+            
+            const data = await response.json();
+            
+            if (response.ok) {
+                e.target.style.display = 'none';
+                successMessage.textContent = escapeHtml(data.message);
+                setTimeout(() => {
+                    window.location.href = 'login.html';
+                }, 2000);
+                return;
+            }
+            
+            errorMessage.textContent = escapeHtml(data.error || '重置失败，请重试');
+            submitBtn.disabled = false;
+        } catch (error) {
+            errorMessage.textContent = '网络错误，请检查连接';
+            submitBtn.disabled = false;
+        }
+    });
+}
+
+
+// 邮箱验证：打开邮件中的链接后自动提交令牌
+if (document.getElementById('verifyEmailBox')) {
+    (async () => {
+        const token = new URLSearchParams(window.location.search).get('token');
+        const errorMessage = document.getElementById('errorMessage');
+        const successMessage = document.getElementById('successMessage');
+        const pendingText = document.querySelector('#verifyEmailBox .register-link');
+        
+        try {
+            const response = await fetch('/api/verify-email', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ token })
+            });
+            
+            const data = await response.json();
+            
+            if (response.ok) {
+                successMessage.textContent = escapeHtml(data.message);
+            } else {
+                errorMessage.textContent = escapeHtml(data.error || '验证失败，请重新发送验证邮件');
+            }
+        } catch (error) {
+            errorMessage.textContent = '网络错误，请检查连接';
+        }
+        pendingText.style.display = 'none';
+    })();
+}
+
+
 if (document.getElementById('registerForm')) {
     document.getElementById('registerForm').addEventListener('submit', async (e) => {
         e.preventDefault();
@@ -97,6 +358,8 @@ if (document.getElementById('registerForm')) {
         const nickname = sanitizeInput(document.getElementById('nickname').value);
         const password = document.getElementById('password').value;
         const email = sanitizeEmail(document.getElementById('email').value);
+        const inviteCodeInput = document.getElementById('inviteCode');
+        const inviteCode = inviteCodeInput ? inviteCodeInput.value.trim() : '';
         const errorMessage = document.getElementById('errorMessage');
         
         // 验证用户名
@@ -123,7 +386,7 @@ if (document.getElementById('registerForm')) {
                 headers: {
                     'Content-Type': 'application/json'
                 },
-                body: JSON.stringify({ username, password, email, nickname })
+                body: JSON.stringify({ username, password, email, nickname, inviteCode: inviteCode || undefined })
             });
             
             const data = await response.json();
@@ -138,7 +401,7 @@ if (document.getElementById('registerForm')) {
                     bio: '',
                     gender: 'other'
                 }));
-                localStorage.setItem('token', data.token);
+                saveTokens(data);
                 
                 // 立即跳转，不等待
                 window.location.href = 'index.html';
@@ -168,6 +431,7 @@ function checkLogin() {
         return null;
     }
     
+    scheduleTokenRefresh();
     return JSON.parse(user);
 }
 
@@ -178,8 +442,23 @@ function getCurrentUser() {
 }
 
 
+// 退出登录：通知服务端吊销当前设备的刷新令牌（keepalive 保证跳转页面后请求仍会发出）
 function logout() {
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (refreshToken) {
+        fetch('/api/logout', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ refreshToken }),
+            keepalive: true
+        }).catch(() => {});
+    }
+    
+    clearTimeout(refreshTimer);
     localStorage.removeItem('user');
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
     window.location.href = 'login.html';
 }
\ No newline at end of file
@@ -1,4 +1,11 @@
 // ============ Pusher 配置 ============
+// 通过邀请链接打开时先保存邀请码，未登录的用户登录后回到首页仍可继续加入
+const PENDING_INVITE_KEY = 'pendingInvite';
+const inviteCodeFromUrl = new URLSearchParams(window.location.search).get('invite');
+if (inviteCodeFromUrl) {
+    sessionStorage.setItem(PENDING_INVITE_KEY, inviteCodeFromUrl);
+}
+
 const currentUser = checkLogin();
 if (!currentUser) {
     window.location.href = 'login.html';
@@ -12,22 +19,33 @@ async function initializePusher() {
         const response = await fetch('/api/pusher/config');
         const config = await response.json();
         
-        // 初始化 Pusher（只使用公开的 Key）
-        pusher = new Pusher(config.key, {
-            cluster: config.cluster,
-            authEndpoint: '/api/pusher/auth',
-            auth: {
-                headers: {
-                    'Authorization': `Bearer ${localStorage.getItem('token')}`
-                }
-            }
-        });
+        // 每次订阅时读取最新的访问令牌（令牌会被定期刷新）
+        const channelAuthorization = {
+            endpoint: '/api/pusher/auth',
+            transport: 'ajax',
+            headersProvider: () => ({
+                'Authorization': `Bearer ${localStorage.getItem('token')}`
+            })
+        };
+        
+        if (config.transport === 'websocket') {
+            // 服务端使用内置 WebSocket 服务（局域网离线部署），接口与 Pusher 相同
+            pusher = new RealtimeClient({ path: config.path, channelAuthorization });
+        } else {
+            // 初始化 Pusher（只使用公开的 Key）
+            pusher = new Pusher(config.key, {
+                cluster: config.cluster,
+                channelAuthorization
+            });
+        }
 
         console.log('Pusher 初始化成功');
 
         // Pusher 连接状态监听
         pusher.connection.bind('connected', () => {
             console.log('Pusher 连接成功');
+            // 连接恢复后重发发件箱中的消息
+            flushOutbox();
         });
 
         pusher.connection.bind('disconnected', () => {
@@ -67,6 +85,14 @@ let currentChannel = '';
 let currentPusherChannel = null; // 当前订阅的 Pusher 频道
 
 let currentReplyTo = null;
+let reactionTargetMessageId = null; // 表情选择器当前用于回应的消息
+
+let currentDmUser = null; // 当前私信对象 { id, nickname, avatar }
+let userPusherChannel = null; // 当前用户的私有频道（接收私信）
+
+const MESSAGE_PAGE_SIZE = 50; // 每次加载的消息条数
+let hasMoreHistory = false;
+let isLoadingHistory = false;
 
 let hasMicrophone = false;
 let mediaRecorder = null;
@@ -271,10 +297,12 @@ async function sendVoiceMessage(audioBlob) {
         
         const formData = new FormData();
         formData.append('voice', audioBlob, `voice.${fileExtension}`);
-        formData.append('userId', currentUser.id);
         
         const response = await fetch('/api/upload/voice', {
             method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${localStorage.getItem('token')}`
+            },
             body: formData
         });
         
@@ -283,7 +311,6 @@ async function sendVoiceMessage(audioBlob) {
         if (data.success) {
             // 使用 Pusher API 发送消息
             await sendMessageViaPusher({
-                userId: currentUser.id,
                 channel: currentChannel,
                 content: null,
                 voice: data.voice,
@@ -313,42 +340,189 @@ async function sendVoiceMessage(audioBlob) {
 }
 
 // ============ Pusher 消息发送函数 ============
+// 频道消息都经过离线发件箱发送：先保存到发件箱并显示为“发送中”，服务端确认后从发件箱删除
+const OUTBOX_MAX_AUTO_ATTEMPTS = 5; // 自动重发次数上限，超过后标记为发送失败，等待手动重试
+
+const messageOutbox = new MessageOutbox();
+let isFlushingOutbox = false;
+
+function generateClientMessageId() {
+    if (crypto.randomUUID) {
+        return crypto.randomUUID();
+    }
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
 async function sendMessageViaPusher(messageData) {
+    const clientId = generateClientMessageId();
+    const entry = {
+        client_id: clientId,
+        user_id: currentUser.id,
+        payload: { ...messageData, client_id: clientId },
+        status: 'pending',
+        attempts: 0,
+        error: null,
+        created_at: new Date().toISOString()
+    };
+    
+    try {
+        await messageOutbox.put(entry);
+    } catch (error) {
+        console.error('保存到发件箱失败:', error);
+    }
+    renderOutboxEntry(entry);
+    await deliverOutboxEntry(entry);
+}
+
+// 发件箱中的消息还没有服务端 ID，用当前用户的资料显示
+function buildOutboxMessage(entry) {
+    return {
+        id: null,
+        client_id: entry.client_id,
+        user_id: currentUser.id,
+        channel: entry.payload.channel,
+        content: entry.payload.content,
+        image: entry.payload.image,
+        voice: entry.payload.voice,
+        reply_to: entry.payload.reply_to,
+        created_at: entry.created_at,
+        username: currentUser.username,
+        nickname: currentUser.nickname || currentUser.username,
+        avatar: currentUser.avatar
+    };
+}
+
+// 显示或更新发件箱中的消息（只显示当前频道的；已发送成功的不再显示）
+function renderOutboxEntry(entry) {
+    if (currentDmUser || entry.payload.channel !== currentChannel) return;
+    
+    const sentElement = messagesContainer.querySelector(`.message[data-message-id][data-client-id="${CSS.escape(entry.client_id)}"]`);
+    if (sentElement) return;
+    
+    addMessageToDOM(buildOutboxMessage(entry), { status: entry.status });
+}
+
+async function renderOutboxForChannel(channel) {
+    try {
+        const entries = await messageOutbox.list(currentUser.id);
+        entries.filter(entry => entry.payload.channel === channel).forEach(renderOutboxEntry);
+    } catch (error) {
+        console.error('读取发件箱失败:', error);
+    }
+}
+
+async function saveOutboxEntry(entry) {
+    try {
+        await messageOutbox.put(entry);
+    } catch (error) {
+        console.error('更新发件箱失败:', error);
+    }
+    renderOutboxEntry(entry);
+}
+
+async function deliverOutboxEntry(entry, retried = false) {
+    let response;
+    let result;
+    
     try {
-        const response = await fetch('/api/pusher/send-message', {
+        response = await fetch('/api/pusher/send-message', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
                 'Authorization': `Bearer ${localStorage.getItem('token')}`
             },
-            body: JSON.stringify(messageData)
+            body: JSON.stringify(entry.payload)
         });
-        
-        const result = await response.json();
-        
-        if (!response.ok) {
-            // 检查是否是认证错误
-            if (response.status === 401 && (result.code === 'USER_NOT_FOUND' || result.code === 'INVALID_TOKEN')) {
-                showNotification('登录已失效，请重新登录', 'error');
-                setTimeout(() => {
-                    logout();
-                }, 2000);
-                return;
+        result = await response.json();
+    } catch (error) {
+        // 网络不通：留在发件箱，连接恢复后自动重发
+        console.error('发送消息失败:', error);
+        entry.attempts++;
+        entry.error = '网络连接失败';
+        entry.status = entry.attempts >= OUTBOX_MAX_AUTO_ATTEMPTS ? 'failed' : 'pending';
+        await saveOutboxEntry(entry);
+        return;
+    }
+    
+    if (response.ok) {
+        console.log('消息发送成功:', result);
+        try {
+            await messageOutbox.delete(entry.client_id);
+        } catch (error) {
+            console.error('从发件箱删除消息失败:', error);
+        }
+        // 推送可能先于响应到达，已显示的消息不再重复添加
+        if (!currentDmUser && result.message.channel === currentChannel &&
+            !messagesContainer.querySelector(`.message[data-message-id="${result.message.id}"]`)) {
+            addMessageToDOM(result.message);
+        }
+        return;
+    }
+    
+    // 检查是否是认证错误
+    if (response.status === 401 && (result.code === 'USER_NOT_FOUND' || result.code === 'INVALID_TOKEN')) {
+        if (!retried && result.code === 'INVALID_TOKEN' && await refreshAccessToken()) {
+            return deliverOutboxEntry(entry, true);
+        }
+        showNotification('登录已失效，请重新登录', 'error');
+        setTimeout(() => {
+            logout();
+        }, 2000);
+        return;
+    }
+    
+    // 服务端出错时稍后自动重发；其他错误（慢速模式、无权发言等）重发也不会成功，等待手动重试
+    entry.attempts++;
+    entry.error = result.error || '发送消息失败';
+    entry.status = response.status >= 500 && entry.attempts < OUTBOX_MAX_AUTO_ATTEMPTS ? 'pending' : 'failed';
+    await saveOutboxEntry(entry);
+    
+    if (entry.status === 'failed') {
+        showNotification('发送消息失败: ' + entry.error, 'error');
+    }
+}
+
+// 重发发件箱中等待发送的消息（页面加载、网络恢复和实时连接恢复时调用）
+async function flushOutbox() {
+    if (isFlushingOutbox || !navigator.onLine) return;
+    isFlushingOutbox = true;
+    
+    try {
+        const entries = await messageOutbox.list(currentUser.id);
+        for (const entry of entries) {
+            if (entry.status === 'pending') {
+                await deliverOutboxEntry(entry);
             }
-            throw new Error(result.error || '发送消息失败');
         }
-        
-        console.log('消息发送成功:', result);
-        
     } catch (error) {
-        console.error('发送消息失败:', error);
-        showNotification('发送消息失败: ' + error.message, 'error');
+        console.error('重发发件箱消息失败:', error);
+    } finally {
+        isFlushingOutbox = false;
     }
 }
 
+// 手动重试发送失败的消息
+async function retryOutboxMessage(clientId) {
+    const entry = await messageOutbox.get(clientId);
+    if (!entry) return;
+    
+    entry.status = 'pending';
+    entry.attempts = 0;
+    entry.error = null;
+    await saveOutboxEntry(entry);
+    await deliverOutboxEntry(entry);
+}
+
+window.addEventListener('online', flushOutbox);
+
+// 旧版设置保存的是开启通知的频道列表（频道固定为这几个），加载时转换为静音列表
+const LEGACY_NOTIFICATION_CHANNELS = ['General', 'Technology', 'Gaming', 'Music', 'Random', 'Channel105'];
+
 let notificationSettings = {
     soundEnabled: true,
-    selectedChannels: ['General', 'Technology', 'Gaming', 'Music', 'Random', 'Channel105']
+    mentionsOnly: false,
+    mutedChannels: []
 };
 
 function loadNotificationSettings() {
@@ -368,9 +542,20 @@ function loadNotificationSettings() {
                 notificationSettings.soundEnabled = true;
             }
             
-            if (!Array.isArray(notificationSettings.selectedChannels)) {
-                console.log('selectedChannels 不是数组，设置默认值');
-                notificationSettings.selectedChannels = ['General', 'Technology', 'Gaming', 'Music', 'Random', 'Channel105'];
+            if (notificationSettings.mentionsOnly === undefined) {
+                notificationSettings.mentionsOnly = false;
+            }
+            
+            if (Array.isArray(notificationSettings.selectedChannels)) {
+                console.log('转换旧版 selectedChannels 设置');
+                notificationSettings.mutedChannels = LEGACY_NOTIFICATION_CHANNELS
+                    .filter(c => !notificationSettings.selectedChannels.includes(c));
+                delete notificationSettings.selectedChannels;
+            }
+            
+            if (!Array.isArray(notificationSettings.mutedChannels)) {
+                console.log('mutedChannels 不是数组，设置默认值');
+                notificationSettings.mutedChannels = [];
             }
             
             saveNotificationSettings();
@@ -379,7 +564,8 @@ function loadNotificationSettings() {
             console.log('使用默认设置');
             notificationSettings = {
                 soundEnabled: true,
-                selectedChannels: ['General', 'Technology', 'Gaming', 'Music', 'Random', 'Channel105']
+                mentionsOnly: false,
+                mutedChannels: []
             };
             saveNotificationSettings();
         }
@@ -387,7 +573,8 @@ function loadNotificationSettings() {
         console.log('本地存储中没有设置，使用默认值并保存');
         notificationSettings = {
             soundEnabled: true,
-            selectedChannels: ['General', 'Technology', 'Gaming', 'Music', 'Random', 'Channel105']
+            mentionsOnly: false,
+            mutedChannels: []
         };
         saveNotificationSettings();
     }
@@ -532,9 +719,14 @@ function updateNotificationSettingsUI() {
         notificationSoundCheckbox.checked = notificationSettings.soundEnabled;
     }
     
+    const mentionsOnlyCheckbox = document.getElementById('notifyMentionsOnly');
+    if (mentionsOnlyCheckbox) {
+        mentionsOnlyCheckbox.checked = notificationSettings.mentionsOnly;
+    }
+    
     const channelCheckboxes = document.querySelectorAll('.channel-notification-item input[type="checkbox"]');
     channelCheckboxes.forEach(checkbox => {
-        checkbox.checked = notificationSettings.selectedChannels.includes(checkbox.value);
+        checkbox.checked = !notificationSettings.mutedChannels.includes(checkbox.value);
     });
 }
 
@@ -544,7 +736,7 @@ const messageInput = document.getElementById('messageInput');
 const sendBtn = document.getElementById('sendBtn');
 const imageUpload = document.getElementById('imageUpload');
 const uploadProgress = document.getElementById('uploadProgress');
-const channelItems = document.querySelectorAll('.channel-item');
+let channelItems = []; // 由 loadChannels 根据服务端频道列表生成
 const currentChannelName = document.getElementById('currentChannelName');
 const currentChannelIcon = document.getElementById('currentChannelIcon');
 const settingsBtn = document.getElementById('settingsBtn');
@@ -567,6 +759,10 @@ const emojiPicker = document.getElementById('emojiPicker');
 const emojiGrid = document.querySelector('.emoji-grid');
 
 const changePasswordBtn = document.getElementById('changePasswordBtn');
+const logoutAllBtn = document.getElementById('logoutAllBtn');
+const sessionList = document.getElementById('sessionList');
+const twoFactorPanel = document.getElementById('twoFactorPanel');
+const emailVerificationStatus = document.getElementById('emailVerificationStatus');
 const passwordChangePanel = document.getElementById('passwordChangePanel');
 const closePasswordPanel = document.getElementById('closePasswordPanel');
 const cancelPasswordChange = document.getElementById('cancelPasswordChange');
@@ -617,6 +813,7 @@ function showNotification(message, type = 'info', duration = 3000) {
 function subscribeToPusherChannel(channelName) {
     // 取消订阅之前的频道
     if (currentPusherChannel) {
+        resetTypingState();
         currentPusherChannel.unbind_all();
         pusher.unsubscribe(currentPusherChannel.name);
         console.log('取消订阅频道:', currentPusherChannel.name);
@@ -632,6 +829,7 @@ function subscribeToPusherChannel(channelName) {
     currentPusherChannel.bind('pusher:subscription_succeeded', (members) => {
         console.log('频道订阅成功:', pusherChannelName);
         console.log('当前在线成员数:', members.count);
+        members.each(member => addMentionCandidate(member.info));
     });
     
     // 监听订阅错误
@@ -643,10 +841,17 @@ function subscribeToPusherChannel(channelName) {
     // 监听新消息
     currentPusherChannel.bind('message-received', (data) => {
         console.log('收到新消息:', data);
-        addMessageToDOM(data);
-        
-        // 播放提示音（如果不是自己发送的消息）
-        if (data.user_id !== currentUser.id && notificationSettings.selectedChannels.includes(channelName)) {
+        if (!messagesContainer.querySelector(`.message[data-message-id="${data.id}"]`)) {
+            addMessageToDOM(data);
+        }
+        removeTypingUser(data.user_id);
+        scheduleMarkChannelRead();
+        
+        // 播放提示音（如果不是自己发送的消息）；提及当前用户的消息由 mention 事件单独提醒
+        if (data.user_id !== currentUser.id &&
+            !notificationSettings.mentionsOnly &&
+            !isMentioningCurrentUser(data) &&
+            !notificationSettings.mutedChannels.includes(channelName)) {
             playNotificationSound();
             showBrowserNotification('新消息', `${data.nickname}: ${data.content || '[图片/语音]'}`);
         }
@@ -664,21 +869,361 @@ function subscribeToPusherChannel(channelName) {
         updateRecalledMessage(data);
     });
     
+    // 监听消息编辑
+    currentPusherChannel.bind('message-edited', (data) => {
+        console.log('消息被编辑:', data);
+        updateEditedMessage(data);
+    });
+    
+    // 监听表情回应变化
+    currentPusherChannel.bind('reaction-updated', (data) => {
+        console.log('表情回应更新:', data);
+        updateMessageReactions(data);
+    });
+    
     // 监听消息删除
     currentPusherChannel.bind('message-deleted', (data) => {
         console.log('消息被删除:', data);
         removeMessageFromDOM(data.messageId);
+        if (pinnedMessages.some(pin => pin.id === data.messageId)) {
+            pinnedMessages = pinnedMessages.filter(pin => pin.id !== data.messageId);
+            renderPinnedBar();
+        }
+    });
+    
+    // 监听置顶变化
+    currentPusherChannel.bind('message-pinned', (data) => {
+        console.log('消息被置顶:', data);
+        updatePinnedState(data.messageId, true);
+        loadPinnedMessages(channelName);
+    });
+    
+    currentPusherChannel.bind('message-unpinned', (data) => {
+        console.log('消息取消置顶:', data);
+        updatePinnedState(data.messageId, false);
+        pinnedMessages = pinnedMessages.filter(pin => pin.id !== data.messageId);
+        renderPinnedBar();
+    });
+    
+    // 监听频道角色变化
+    currentPusherChannel.bind('roles-updated', (data) => {
+        console.log('频道角色更新:', data);
+        handleRolesUpdated(data);
+    });
+    
+    // 监听频道被管理员修改或删除
+    currentPusherChannel.bind('channel-updated', (data) => {
+        console.log('频道已更新:', data);
+        if (data.is_archived) {
+            leaveCurrentChannel('该频道已被归档');
+        } else {
+            currentChannelName.textContent = data.display_name;
+            currentChannelIcon.textContent = data.icon;
+            renderSlowModeIndicator(data.slow_mode_seconds || 0);
+        }
+        loadChannels();
+    });
+    
+    currentPusherChannel.bind('channel-deleted', (data) => {
+        console.log('频道已删除:', data);
+        leaveCurrentChannel('该频道已被删除');
+        loadChannels();
+    });
+    
+    // 监听其他成员的输入状态（客户端事件，发送者自己不会收到）
+    currentPusherChannel.bind('client-typing', (data, metadata) => {
+        handleTypingEvent(data, metadata);
     });
     
     // 监听成员加入
     currentPusherChannel.bind('pusher:member_added', (member) => {
         console.log('成员加入:', member);
+        addMentionCandidate(member.info);
     });
     
     // 监听成员离开
     currentPusherChannel.bind('pusher:member_removed', (member) => {
         console.log('成员离开:', member);
+        removeTypingUser(member.id);
+    });
+}
+
+// 订阅当前用户的私有频道，用于接收私信
+function subscribeToUserChannel() {
+    userPusherChannel = pusher.subscribe(`private-user-${currentUser.id}`);
+    
+    userPusherChannel.bind('pusher:subscription_error', (error) => {
+        console.error('私信频道订阅失败:', error);
+    });
+    
+    userPusherChannel.bind('dm-received', (data) => {
+        console.log('收到私信:', data);
+        handleIncomingDirectMessage(data);
+    });
+    
+    // 被 @提及 时无论所在频道和通知设置都会提醒
+    userPusherChannel.bind('mention', (data) => {
+        console.log('被提及:', data);
+        const sender = data.from.nickname || data.from.username;
+        playNotificationSound();
+        showBrowserNotification(`${sender} 在 ${data.channel} 提到了你`, data.content || '');
+        showNotification(`${sender} 在 ${data.channel} 提到了你`, 'info');
+    });
+    
+    // 其他频道有新消息时累加未读数
+    userPusherChannel.bind('channel-activity', (data) => {
+        if (data.channel === currentChannel) return;
+        const state = channelReadState.get(data.channel);
+        if (!state) return;
+        state.unread++;
+        renderUnreadBadge(data.channel);
+    });
+    
+    // 已读位置在其他标签页或设备上更新
+    userPusherChannel.bind('unread-updated', (data) => {
+        channelReadState.set(data.channel, {
+            lastReadId: data.last_read_message_id,
+            unread: data.unread
+        });
+        renderUnreadBadge(data.channel);
+    });
+    
+    // 被版主或管理员移出频道
+    userPusherChannel.bind('member-removed', (data) => {
+        if (data.channel === currentChannel) {
+            leaveCurrentChannel('你已被移出该频道');
+        }
+        loadChannels();
+    });
+}
+
+// ============ 频道未读计数 ============
+
+const MARK_READ_DELAY_MS = 1000; // 新消息到达后延迟上报已读，合并连续的消息
+
+const channelReadState = new Map(); // channel -> { lastReadId, unread }
+let markReadTimer = null;
+
+async function loadUnreadCounts() {
+    try {
+        const response = await fetch('/api/channels/unread', {
+            headers: {
+                'Authorization': `Bearer ${localStorage.getItem('token')}`
+            }
+        });
+        
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || '获取未读计数失败');
+        }
+        
+        data.forEach(item => {
+            channelReadState.set(item.channel, {
+                lastReadId: item.last_read_message_id,
+                unread: item.unread
+            });
+            renderUnreadBadge(item.channel);
+        });
+    } catch (error) {
+        console.error('获取未读计数失败:', error);
+    }
+}
+
+function renderUnreadBadge(channel) {
+    const item = document.querySelector(`.channel-item[data-channel="${channel}"]`);
+    if (!item) return;
+    
+    let badge = item.querySelector('.unread-badge');
+    if (!badge) {
+        badge = document.createElement('span');
+        badge.className = 'unread-badge';
+        item.appendChild(badge);
+    }
+    
+    const unread = channel === currentChannel ? 0 : (channelReadState.get(channel)?.unread || 0);
+    badge.textContent = unread > 99 ? '99+' : String(unread);
+    badge.style.display = unread > 0 ? 'inline-block' : 'none';
+}
+
+// 将当前频道的已读位置推进到最新一条消息
+async function markChannelRead(channel) {
+    const messageElements = messagesContainer.querySelectorAll('.message[data-message-id]');
+    const latestMessage = messageElements[messageElements.length - 1];
+    if (!channel || !latestMessage) return;
+    
+    const messageId = parseInt(latestMessage.dataset.messageId);
+    const state = channelReadState.get(channel);
+    if (state && state.lastReadId >= messageId && state.unread === 0) return;
+    
+    try {
+        const response = await fetch(`/api/channels/${channel}/read`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${localStorage.getItem('token')}`
+            },
+            body: JSON.stringify({ messageId })
+        });
+        
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || '更新已读位置失败');
+        }
+        
+        channelReadState.set(channel, {
+            lastReadId: data.last_read_message_id,
+            unread: data.unread
+        });
+        renderUnreadBadge(channel);
+    } catch (error) {
+        console.error('更新已读位置失败:', error);
+    }
+}
+
+function scheduleMarkChannelRead() {
+    if (document.hidden) return;
+    
+    const channel = currentChannel;
+    clearTimeout(markReadTimer);
+    markReadTimer = setTimeout(() => markChannelRead(channel), MARK_READ_DELAY_MS);
+}
+
+// 在上次读到的位置之后插入"新消息"分隔线，并滚动到该位置
+function insertNewMessagesDivider(lastReadId) {
+    if (!lastReadId) return;
+    
+    const firstUnread = Array.from(messagesContainer.querySelectorAll('.message[data-message-id]'))
+        .find(el => parseInt(el.dataset.messageId) > lastReadId && !el.classList.contains('sent'));
+    if (!firstUnread) return;
+    
+    const divider = document.createElement('div');
+    divider.className = 'new-messages-divider';
+    divider.innerHTML = '<span>以下为新消息</span>';
+    messagesContainer.insertBefore(divider, firstUnread);
+    divider.scrollIntoView({ block: 'center' });
+}
+
+// ============ 正在输入提示 ============
+
+const TYPING_THROTTLE_MS = 3000; // 持续输入时重复发送"正在输入"的间隔
+const TYPING_IDLE_MS = 4000; // 停止敲键多久后发送"停止输入"
+const TYPING_EXPIRE_MS = 6000; // 超过该时间未收到刷新则自动移除提示（防止停止事件丢失）
+const TYPING_RENDER_DELAY_MS = 200; // 提示渲染防抖，避免频繁闪烁
+
+const typingUsers = new Map(); // userId -> { name, timer }
+let isTyping = false;
+let lastTypingSentAt = 0;
+let typingIdleTimer = null;
+let typingRenderTimer = null;
+
+function sendTypingState(typing) {
+    if (!currentPusherChannel || !currentPusherChannel.subscribed) return;
+    
+    try {
+        currentPusherChannel.trigger('client-typing', { typing });
+    } catch (error) {
+        console.error('发送输入状态失败:', error);
+    }
+}
+
+function handleTypingInput() {
+    if (currentDmUser || !currentChannel) return;
+    
+    if (!messageInput.value.trim()) {
+        stopTyping();
+        return;
+    }
+    
+    const now = Date.now();
+    if (!isTyping || now - lastTypingSentAt >= TYPING_THROTTLE_MS) {
+        sendTypingState(true);
+        isTyping = true;
+        lastTypingSentAt = now;
+    }
+    
+    clearTimeout(typingIdleTimer);
+    typingIdleTimer = setTimeout(stopTyping, TYPING_IDLE_MS);
+}
+
+function stopTyping() {
+    clearTimeout(typingIdleTimer);
+    typingIdleTimer = null;
+    
+    if (isTyping) {
+        sendTypingState(false);
+        isTyping = false;
+        lastTypingSentAt = 0;
+    }
+}
+
+function handleTypingEvent(data, metadata) {
+    const userId = metadata?.user_id;
+    if (!userId || String(userId) === String(currentUser.id)) return;
+    
+    if (!data?.typing) {
+        removeTypingUser(userId);
+        return;
+    }
+    
+    const member = currentPusherChannel?.members?.get(userId);
+    const name = member?.info?.nickname || member?.info?.username || '有人';
+    const key = String(userId);
+    
+    const existing = typingUsers.get(key);
+    if (existing) clearTimeout(existing.timer);
+    
+    typingUsers.set(key, {
+        name,
+        timer: setTimeout(() => removeTypingUser(key), TYPING_EXPIRE_MS)
     });
+    scheduleTypingIndicatorRender();
+}
+
+function removeTypingUser(userId) {
+    const key = String(userId);
+    const existing = typingUsers.get(key);
+    if (!existing) return;
+    
+    clearTimeout(existing.timer);
+    typingUsers.delete(key);
+    scheduleTypingIndicatorRender();
+}
+
+// 离开频道时通知其他人停止输入并清空提示
+function resetTypingState() {
+    stopTyping();
+    typingUsers.forEach(entry => clearTimeout(entry.timer));
+    typingUsers.clear();
+    scheduleTypingIndicatorRender();
+}
+
+function scheduleTypingIndicatorRender() {
+    clearTimeout(typingRenderTimer);
+    typingRenderTimer = setTimeout(renderTypingIndicator, TYPING_RENDER_DELAY_MS);
+}
+
+function renderTypingIndicator() {
+    const indicator = document.getElementById('typingIndicator');
+    if (!indicator) return;
+    
+    const names = Array.from(typingUsers.values()).map(entry => entry.name);
+    if (names.length === 0) {
+        indicator.textContent = '';
+        indicator.classList.remove('active');
+        return;
+    }
+    
+    let text;
+    if (names.length === 1) {
+        text = `${names[0]} 正在输入…`;
+    } else if (names.length <= 3) {
+        text = `${names.join('、')} 正在输入…`;
+    } else {
+        text = `${names.slice(0, 2).join('、')} 等 ${names.length} 人正在输入…`;
+    }
+    
+    indicator.textContent = text;
+    indicator.classList.add('active');
 }
 
 function updateRecalledMessage(data) {
@@ -701,24 +1246,103 @@ function updateRecalledMessage(data) {
         // 移除撤回按钮
         const recallBtn = messageElement.querySelector('.recall-btn');
         if (recallBtn) recallBtn.remove();
+        
+        // 移除编辑按钮和编辑标记
+        const editBtn = messageElement.querySelector('.edit-btn');
+        if (editBtn) editBtn.remove();
+        
+        const editedMarker = messageElement.querySelector('.edited-marker');
+        if (editedMarker) editedMarker.remove();
+        
+        // 移除表情回应
+        const reactBtn = messageElement.querySelector('.react-btn');
+        if (reactBtn) reactBtn.remove();
+        
+        const messageReactions = messageElement.querySelector('.message-reactions');
+        if (messageReactions) messageReactions.remove();
     }
 }
 
-function removeMessageFromDOM(messageId) {
-    const messageElement = document.querySelector(`[data-message-id="${messageId}"]`);
+function updateEditedMessage(data) {
+    const messageElement = document.querySelector(`[data-message-id="${data.messageId}"]`);
+    if (!messageElement) return;
+    
+    const messageText = messageElement.querySelector('.message-text');
+    if (messageText) {
+        messageText.textContent = data.content;
+    }
+    
+    if (!messageElement.querySelector('.edited-marker')) {
+        const messageHeader = messageElement.querySelector('.message-header');
+        if (messageHeader) {
+            messageHeader.appendChild(createEditedMarker(data.messageId, data.channel));
+        }
+    }
+}
+
+function createEditedMarker(messageId, channel) {
+    const marker = document.createElement('span');
+    marker.className = 'edited-marker';
+    marker.title = '查看编辑历史';
+    marker.textContent = '(已编辑)';
+    marker.addEventListener('click', () => {
+        showEditHistory(messageId, channel);
+    });
+    return marker;
+}
+
+function updateMessageReactions(data) {
+    const messageElement = document.querySelector(`[data-message-id="${data.messageId}"]`);
     if (messageElement) {
-        messageElement.remove();
+        renderReactions(messageElement, data.messageId, data.reactions);
     }
 }
 
-function initPage() {
-    settingsPanel.classList.remove('open');
+function renderReactions(messageElement, messageId, reactions) {
+    let container = messageElement.querySelector('.message-reactions');
     
-    updateUserInfo();
+    if (!reactions || reactions.length === 0) {
+        if (container) container.remove();
+        return;
+    }
     
-    // 延迟加载音频和权限请求
-    setTimeout(() => {
-        preloadAudioAndRequestPermission();
+    if (!container) {
+        container = document.createElement('div');
+        container.className = 'message-reactions';
+        const messageContent = messageElement.querySelector('.message-content');
+        const messageActions = messageContent.querySelector('.message-actions');
+        messageContent.insertBefore(container, messageActions);
+    }
+    
+    container.innerHTML = '';
+    reactions.forEach(reaction => {
+        const reacted = reaction.users.some(user => user.id === currentUser.id);
+        const chip = document.createElement('button');
+        chip.className = `reaction-chip${reacted ? ' reacted' : ''}`;
+        chip.title = reaction.users.map(user => user.nickname).join('、');
+        chip.textContent = `${reaction.emoji} ${reaction.count}`;
+        chip.addEventListener('click', () => {
+            toggleReaction(messageId, reaction.emoji, reacted);
+        });
+        container.appendChild(chip);
+    });
+}
+
+function removeMessageFromDOM(messageId) {
+    const messageElement = document.querySelector(`[data-message-id="${messageId}"]`);
+    if (messageElement) {
+        messageElement.remove();
+    }
+}
+
+function initPage() {
+    settingsPanel.classList.remove('open');
+    
+    updateUserInfo();
+    
+    // 延迟加载音频和权限请求
+    setTimeout(() => {
+        preloadAudioAndRequestPermission();
     }, 1000);
     
     messagesContainer.innerHTML = `
@@ -821,16 +1445,40 @@ function setupNotificationEventListeners() {
         });
     }
     
-    const channelCheckboxes = document.querySelectorAll('.channel-notification-item input[type="checkbox"]');
-    channelCheckboxes.forEach(checkbox => {
+    const mentionsOnlyCheckbox = document.getElementById('notifyMentionsOnly');
+    if (mentionsOnlyCheckbox) {
+        mentionsOnlyCheckbox.addEventListener('change', (e) => {
+            notificationSettings.mentionsOnly = e.target.checked;
+            saveNotificationSettings();
+        });
+    }
+}
+
+// 按频道列表生成"接收通知的频道"开关
+function renderChannelNotificationSettings(channels) {
+    const container = document.querySelector('.channel-notification-settings');
+    if (!container) return;
+    
+    container.innerHTML = channels.map(channel => `
+        <div class="channel-notification-item">
+            <label class="channel-toggle-container">
+                <span class="channel-toggle-name">${escapeHtml(channel.display_name)}</span>
+                <label class="toggle-switch">
+                    <input type="checkbox" value="${escapeHtml(channel.name)}">
+                    <span class="toggle-slider"></span>
+                </label>
+            </label>
+        </div>
+    `).join('');
+    
+    container.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+        checkbox.checked = !notificationSettings.mutedChannels.includes(checkbox.value);
         checkbox.addEventListener('change', (e) => {
             const channel = e.target.value;
             if (e.target.checked) {
-                if (!notificationSettings.selectedChannels.includes(channel)) {
-                    notificationSettings.selectedChannels.push(channel);
-                }
-            } else {
-                notificationSettings.selectedChannels = notificationSettings.selectedChannels.filter(c => c !== channel);
+                notificationSettings.mutedChannels = notificationSettings.mutedChannels.filter(c => c !== channel);
+            } else if (!notificationSettings.mutedChannels.includes(channel)) {
+                notificationSettings.mutedChannels.push(channel);
             }
             saveNotificationSettings();
         });
@@ -924,10 +1572,156 @@ function updateUserInfo() {
 
 // ============ 消息显示和处理 ============
 
-function addMessageToDOM(message) {
+// ============ @提及 ============
+
+// 自动补全候选用户：username -> { username, nickname, avatar }，来自频道在线成员和消息作者
+const mentionCandidates = new Map();
+let mentionSuggestionIndex = 0;
+
+function addMentionCandidate(user) {
+    if (!user?.username || user.username === currentUser?.username) return;
+    mentionCandidates.set(user.username, {
+        username: user.username,
+        nickname: user.nickname || user.username,
+        avatar: user.avatar
+    });
+}
+
+function isMentioningCurrentUser(message) {
+    return Array.isArray(message.mentions) && message.mentions.some(m => m.user_id === currentUser.id);
+}
+
+// 在已转义的消息内容中高亮服务端确认过的 @用户名
+function highlightMentions(safeContent, mentions) {
+    if (!Array.isArray(mentions) || mentions.length === 0) return safeContent;
+    
+    const byUsername = new Map(mentions.map(m => [m.username, m]));
+    return safeContent.replace(/@([\w\u4e00-\u9fa5]{3,20})/g, (match, username) => {
+        const mention = byUsername.get(username);
+        if (!mention) return match;
+        const selfClass = mention.user_id === currentUser.id ? ' mention-self' : '';
+        return `<span class="mention${selfClass}">${match}</span>`;
+    });
+}
+
+function initMentionAutocomplete() {
+    const container = document.querySelector('.message-input-container');
+    if (!messageInput || !container) return;
+    
+    const suggestions = document.createElement('div');
+    suggestions.className = 'mention-suggestions';
+    suggestions.style.display = 'none';
+    container.appendChild(suggestions);
+    
+    // 光标前正在输入的 @关键字
+    const getMentionQuery = () => {
+        const beforeCursor = messageInput.value.slice(0, messageInput.selectionStart);
+        const match = beforeCursor.match(/(?:^|\s)@([\w\u4e00-\u9fa5]{0,20})$/);
+        return match ? match[1] : null;
+    };
+    
+    const hideSuggestions = () => {
+        suggestions.style.display = 'none';
+        suggestions.innerHTML = '';
+    };
+    
+    const applySuggestion = (username) => {
+        const cursor = messageInput.selectionStart;
+        const beforeCursor = messageInput.value.slice(0, cursor).replace(/@([\w\u4e00-\u9fa5]{0,20})$/, `@${username} `);
+        messageInput.value = beforeCursor + messageInput.value.slice(cursor);
+        messageInput.selectionStart = messageInput.selectionEnd = beforeCursor.length;
+        messageInput.focus();
+        hideSuggestions();
+    };
+    
+    const renderSuggestions = () => {
+        const query = getMentionQuery();
+        if (query === null || currentDmUser) {
+            hideSuggestions();
+            return;
+        }
+        
+        const keyword = query.toLowerCase();
+        const matched = Array.from(mentionCandidates.values())
+            .filter(u => u.username.toLowerCase().includes(keyword) || u.nickname.toLowerCase().includes(keyword))
+            .slice(0, 8);
+        
+        if (matched.length === 0) {
+            hideSuggestions();
+            return;
+        }
+        
+        mentionSuggestionIndex = Math.min(mentionSuggestionIndex, matched.length - 1);
+        suggestions.innerHTML = matched.map((u, i) => `
+            <div class="mention-suggestion${i === mentionSuggestionIndex ? ' active' : ''}" data-username="${escapeHtml(u.username)}">
+                <img src="${sanitizeUrl(u.avatar) || 'images/default.png'}" alt="Avatar">
+                <span class="mention-suggestion-nickname">${escapeHtml(u.nickname)}</span>
+                <span class="mention-suggestion-username">@${escapeHtml(u.username)}</span>
+            </div>
+        `).join('');
+        suggestions.style.display = 'block';
+    };
+    
+    messageInput.addEventListener('input', () => {
+        mentionSuggestionIndex = 0;
+        renderSuggestions();
+    });
+    
+    messageInput.addEventListener('keydown', (e) => {
+        if (suggestions.style.display === 'none') return;
+        
+        const items = suggestions.querySelectorAll('.mention-suggestion');
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            mentionSuggestionIndex = (mentionSuggestionIndex + step + items.length) % items.length;
+            renderSuggestions();
+        } else if (e.key === 'Enter' || e.key === 'Tab') {
+            e.preventDefault();
+            applySuggestion(items[mentionSuggestionIndex].dataset.username);
+        } else if (e.key === 'Escape') {
+            hideSuggestions();
+        }
+    });
+    
+    suggestions.addEventListener('mousedown', (e) => {
+        const item = e.target.closest('.mention-suggestion');
+        if (item) {
+            e.preventDefault();
+            applySuggestion(item.dataset.username);
+        }
+    });
+    
+    messageInput.addEventListener('blur', hideSuggestions);
+}
+
+function addMessageToDOM(message, options = {}) {
+    const { prepend = false, direct = false } = options; // direct: 私信消息，不显示回复/撤回/编辑/回应操作
+    
+    // 发件箱中的消息按 client_id 对应页面上的元素：状态变化或发送成功后原地替换
+    const outboxElement = message.client_id
+        ? messagesContainer.querySelector(`.message.outbox-message[data-client-id="${CSS.escape(message.client_id)}"]`)
+        : null;
+    // status: pending 发送中、failed 发送失败（都还在发件箱中）、sent 已发送
+    const status = options.status || (outboxElement ? 'sent' : null);
+    const isOutbox = status === 'pending' || status === 'failed';
+    
     const messageElement = document.createElement('div');
     messageElement.className = `message ${message.user_id === currentUser.id ? 'sent' : 'received'}`;
-    messageElement.dataset.messageId = message.id;
+    if (message.id) {
+        messageElement.dataset.messageId = message.id;
+    }
+    if (message.client_id) {
+        messageElement.dataset.clientId = message.client_id;
+    }
+    if (isOutbox) {
+        messageElement.classList.add('outbox-message', status);
+    }
+    
+    if (isMentioningCurrentUser(message)) {
+        messageElement.classList.add('mentioned');
+    }
+    addMentionCandidate(message);
     
     const isCurrentUser = message.user_id === currentUser.id;
     const now = new Date();
@@ -946,6 +1740,7 @@ function addMessageToDOM(message) {
         <div class="message-content">
             <div class="message-header">
                 <span class="message-username">${safeNickname}</span>
+                ${message.is_pinned && !direct ? '<span class="pinned-marker" title="已置顶">📌</span>' : ''}
             </div>
     `;
     
@@ -968,7 +1763,7 @@ function addMessageToDOM(message) {
     
     if (message.content) {
         // 转义消息内容防止 XSS
-        const safeContent = escapeHtml(message.content);
+        const safeContent = highlightMentions(escapeHtml(message.content), message.mentions);
         messageContent += `<div class="message-text">${safeContent}</div>`;
     }
     
@@ -1038,15 +1833,73 @@ function addMessageToDOM(message) {
         ">撤回</button>`);
     }
     
-    if (actionButtons.length > 0) {
+    if (isCurrentUser && message.content && !message.is_recalled && !message.is_blocked) {
+        actionButtons.push(`<button class="edit-btn" data-message-id="${message.id}" style="
+            background: none;
+            border: none;
+            color: #0071e3;
+            font-size: 14px;
+            cursor: pointer;
+            margin-top: 5px;
+            padding: 2px 6px;
+            border-radius: 10px;
+            transition: all 0.3s ease;
+            opacity: 0.7;
+        ">编辑</button>`);
+    }
+    
+    if (!message.is_recalled && !message.is_blocked) {
+        actionButtons.push(`<button class="react-btn" data-message-id="${message.id}" title="添加表情回应">😊</button>`);
+    }
+    
+    // 版主可以置顶和删除频道内任意消息
+    if (!direct && isChannelModerator()) {
+        if (!message.is_recalled && !message.is_blocked) {
+            actionButtons.push(`<button class="pin-btn" data-message-id="${message.id}" data-pinned="${message.is_pinned ? 'true' : 'false'}">${message.is_pinned ? '取消置顶' : '置顶'}</button>`);
+        }
+        actionButtons.push(`<button class="mod-delete-btn" data-message-id="${message.id}" title="删除消息">删除</button>`);
+    }
+    
+    if (!direct && !isOutbox && actionButtons.length > 0) {
         messageContent += `<div class="message-actions">${actionButtons.join('')}</div>`;
     }
     
+    if (status) {
+        const statusText = { pending: '发送中…', sent: '已发送', failed: '发送失败' }[status];
+        messageContent += `<div class="message-status ${status}">
+            <span>${statusText}</span>
+            ${status === 'failed' ? '<button class="retry-send-btn" title="重新发送">重试</button>' : ''}
+        </div>`;
+    }
+    
     messageContent += `</div>`;
     messageElement.innerHTML = messageContent;
     
-    messagesContainer.appendChild(messageElement);
-    messagesContainer.scrollTop = messagesContainer.scrollHeight;
+    if (message.is_edited && !message.is_recalled) {
+        messageElement.querySelector('.message-header').appendChild(createEditedMarker(message.id, message.channel));
+    }
+    
+    if (!message.is_recalled && !direct && !isOutbox) {
+        renderReactions(messageElement, message.id, message.reactions);
+    }
+    
+    if (outboxElement) {
+        outboxElement.replaceWith(messageElement);
+    } else if (prepend) {
+        messagesContainer.insertBefore(messageElement, messagesContainer.firstChild);
+    } else {
+        messagesContainer.appendChild(messageElement);
+        messagesContainer.scrollTop = messagesContainer.scrollHeight;
+    }
+    
+    // 绑定重发按钮事件
+    const retrySendBtn = messageElement.querySelector('.retry-send-btn');
+    if (retrySendBtn) {
+        retrySendBtn.addEventListener('click', async () => {
+            retrySendBtn.disabled = true;
+            await retryOutboxMessage(message.client_id);
+        });
+    }
     
     // 绑定回复按钮事件
     const replyBtn = messageElement.querySelector('.reply-btn');
@@ -1064,6 +1917,40 @@ function addMessageToDOM(message) {
         });
     }
     
+    // 绑定编辑按钮事件
+    const editBtn = messageElement.querySelector('.edit-btn');
+    if (editBtn) {
+        editBtn.addEventListener('click', async () => {
+            const messageText = messageElement.querySelector('.message-text');
+            await editMessage(message.id, messageText ? messageText.textContent : message.content);
+        });
+    }
+    
+    // 绑定版主操作按钮事件
+    const pinBtn = messageElement.querySelector('.pin-btn');
+    if (pinBtn) {
+        pinBtn.addEventListener('click', async () => {
+            await togglePinMessage(message.id, pinBtn.dataset.pinned === 'true');
+        });
+    }
+    
+    const modDeleteBtn = messageElement.querySelector('.mod-delete-btn');
+    if (modDeleteBtn) {
+        modDeleteBtn.addEventListener('click', async () => {
+            await deleteChannelMessage(message.id);
+        });
+    }
+    
+    // 绑定表情回应按钮事件（复用输入框的表情选择器）
+    const reactBtn = messageElement.querySelector('.react-btn');
+    if (reactBtn && emojiPicker) {
+        reactBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            reactionTargetMessageId = message.id;
+            emojiPicker.classList.add('show');
+        });
+    }
+    
     // 绑定音频播放器事件
     const playBtn = messageElement.querySelector('.play-btn');
     if (playBtn) {
@@ -1118,6 +2005,119 @@ async function recallMessage(messageId, channel) {
     }
 }
 
+async function editMessage(messageId, currentContent) {
+    const newContent = prompt('编辑消息:', currentContent);
+    if (newContent === null) return;
+    
+    const content = newContent.trim();
+    if (!content) {
+        showNotification('消息内容不能为空', 'warning');
+        return;
+    }
+    if (content === currentContent) return;
+    
+    try {
+        const response = await fetch('/api/pusher/edit-message', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${localStorage.getItem('token')}`
+            },
+            body: JSON.stringify({ messageId, content })
+        });
+        
+        const result = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(result.error || '编辑失败');
+        }
+        
+        showNotification('消息已编辑', 'success');
+        
+    } catch (error) {
+        console.error('编辑消息失败:', error);
+        showNotification(error.message, 'error');
+    }
+}
+
+async function toggleReaction(messageId, emoji, reacted) {
+    try {
+        const response = await fetch(`/api/pusher/${reacted ? 'remove' : 'add'}-reaction`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${localStorage.getItem('token')}`
+            },
+            body: JSON.stringify({ messageId, emoji })
+        });
+        
+        const result = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(result.error || '表情回应失败');
+        }
+        
+        updateMessageReactions({ messageId, reactions: result.reactions });
+        
+    } catch (error) {
+        console.error('表情回应失败:', error);
+        showNotification(error.message, 'error');
+    }
+}
+
+async function showEditHistory(messageId, channel) {
+    try {
+        const response = await fetch(`/api/messages/${encodeURIComponent(channel)}/${messageId}/edits`, {
+            headers: {
+                'Authorization': `Bearer ${localStorage.getItem('token')}`
+            }
+        });
+        
+        const edits = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(edits.error || '获取编辑历史失败');
+        }
+        
+        const historyItems = edits.length === 0
+            ? '<div class="edit-history-empty">暂无编辑历史</div>'
+            : edits.map(edit => `
+                <div class="edit-history-item">
+                    <div class="edit-history-time">${escapeHtml(new Date(edit.edited_at).toLocaleString())} 之前</div>
+                    <div class="edit-history-content">${escapeHtml(edit.content)}</div>
+                </div>
+            `).join('');
+        
+        const modal = document.createElement('div');
+        modal.className = 'edit-history-modal';
+        modal.innerHTML = `
+            <div class="edit-history-content-box">
+                <div class="edit-history-header">
+                    <h3>编辑历史</h3>
+                    <button class="close-btn">✕</button>
+                </div>
+                <div class="edit-history-list">${historyItems}</div>
+            </div>
+        `;
+        
+        document.body.appendChild(modal);
+        
+        modal.querySelector('.close-btn').addEventListener('click', () => {
+            document.body.removeChild(modal);
+        });
+        
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                document.body.removeChild(modal);
+            }
+        });
+        
+    } catch (error) {
+        console.error('获取编辑历史失败:', error);
+        showNotification(error.message, 'error');
+    }
+}
+
 function toggleAudioPlayback(audioId) {
     const audio = document.getElementById(`audio-${audioId}`);
     const playBtn = document.querySelector(`[data-audio-id="${audioId}"]`);
@@ -1215,11 +2215,24 @@ function openUserProfile(userId) {
                         <p><strong>邮箱:</strong> ${safeEmail}</p>
                         <p><strong>加入时间:</strong> ${safeJoinDate}</p>
                     </div>
+                    ${user.id !== currentUser.id ? '<button class="profile-message-btn">发消息</button>' : ''}
                 </div>
             `;
             
             document.body.appendChild(modal);
             
+            const messageBtn = modal.querySelector('.profile-message-btn');
+            if (messageBtn) {
+                messageBtn.addEventListener('click', () => {
+                    document.body.removeChild(modal);
+                    openDirectMessage({
+                        id: user.id,
+                        nickname: user.nickname || user.username,
+                        avatar: user.avatar
+                    });
+                });
+            }
+            
             modal.querySelector('.close-profile-btn').addEventListener('click', () => {
                 document.body.removeChild(modal);
             });
@@ -1236,128 +2249,873 @@ function openUserProfile(userId) {
         });
 }
 
-// ============ 频道切换 ============
+// ============ 频道角色与置顶消息 ============
 
-channelItems.forEach(item => {
-    item.addEventListener('click', async () => {
-        const channel = item.dataset.channel;
-        const channelIcon = item.querySelector('.channel-icon').textContent;
-        const channelName = item.querySelector('.channel-name').textContent;
-        
-        // 检查私有频道访问权限
-        if (channel === 'Channel105') {
-            try {
-                const response = await fetch(`/api/channel/${channel}/access/${currentUser.id}`);
-                const data = await response.json();
-                
-                if (!data.hasAccess) {
-                    const password = prompt('请输入频道密码:');
-                    if (!password) return;
-                    
-                    const verifyResponse = await fetch('/api/channel/verify-password', {
-                        method: 'POST',
-                        headers: {
-                            'Content-Type': 'application/json'
-                        },
-                        body: JSON.stringify({
-                            channel,
-                            password,
-                            userId: currentUser.id
-                        })
-                    });
-                    
-                    const verifyData = await verifyResponse.json();
-                    
-                    if (!verifyResponse.ok) {
-                        showNotification(verifyData.error || '密码错误', 'error');
-                        return;
-                    }
-                }
-            } catch (error) {
-                console.error('验证频道访问权限失败:', error);
-                showNotification('验证频道访问权限失败', 'error');
-                return;
+const currentChannelRoles = new Map(); // userId -> 'owner' | 'moderator'（当前频道）
+let pinnedMessages = []; // 当前频道的置顶消息
+
+// 当前用户是否为当前频道的版主或所有者
+function isChannelModerator() {
+    return ['moderator', 'owner'].includes(currentChannelRoles.get(currentUser.id));
+}
+
+async function loadChannelRoles(channel) {
+    currentChannelRoles.clear();
+    
+    try {
+        const response = await fetch(`/api/channel/${channel}/roles`, {
+            headers: {
+                'Authorization': `Bearer ${localStorage.getItem('token')}`
             }
-        }
-        
-        // 切换频道
-        currentChannel = channel;
-        currentChannelName.textContent = channelName;
-        currentChannelIcon.textContent = channelIcon;
-        
-        // 更新频道选中状态
-        channelItems.forEach(i => i.classList.remove('active'));
-        item.classList.add('active');
-        
-        // 显示消息输入区域
-        const messageInputContainer = document.querySelector('.message-input-container');
-        messageInputContainer.style.display = 'flex';
-        
-        // 清空消息容器
-        messagesContainer.innerHTML = '<div style="text-align: center; padding: 20px; color: #999;">加载中...</div>';
+        });
+        const roles = await response.json();
         
-        // 订阅 Pusher 频道
-        subscribeToPusherChannel(channel);
+        if (!response.ok) {
+            throw new Error(roles.error || '获取频道角色失败');
+        }
         
-        // 加载历史消息
-        await loadMessages(channel);
-    });
-});
+        roles.forEach(entry => currentChannelRoles.set(entry.user_id, entry.role));
+    } catch (error) {
+        console.error('获取频道角色失败:', error);
+    }
+    
+    const slowModeBtn = document.getElementById('slowModeBtn');
+    if (slowModeBtn) {
+        slowModeBtn.style.display = isChannelModerator() ? 'block' : 'none';
+    }
+}
 
-async function loadMessages(channel) {
+// 角色变化时重新加载；当前用户的权限变化后重新渲染消息以更新管理按钮
+async function handleRolesUpdated(data) {
+    const wasModerator = isChannelModerator();
+    await loadChannelRoles(data.channel);
+    
+    if (data.userId === currentUser.id && wasModerator !== isChannelModerator()) {
+        showNotification(isChannelModerator() ? '你已成为该频道的版主' : '你的频道管理权限已被撤销', 'info');
+        await loadMessages(currentChannel);
+        renderPinnedBar();
+    }
+}
+
+async function loadPinnedMessages(channel) {
+    pinnedMessages = [];
+    
     try {
-        const response = await fetch(`/api/messages/${channel}`, {
+        const response = await fetch(`/api/channel/${channel}/pins`, {
             headers: {
                 'Authorization': `Bearer ${localStorage.getItem('token')}`
             }
         });
+        const pins = await response.json();
         
-        const messages = await response.json();
-        
-        messagesContainer.innerHTML = '';
-        
-        if (messages.length === 0) {
-            messagesContainer.innerHTML = '<div style="text-align: center; padding: 20px; color: #999;">暂无消息</div>';
-        } else {
-            messages.forEach(message => {
-                addMessageToDOM(message);
-            });
+        if (!response.ok) {
+            throw new Error(pins.error || '获取置顶消息失败');
         }
         
+        pinnedMessages = pins;
     } catch (error) {
-        console.error('加载消息失败:', error);
-        messagesContainer.innerHTML = '<div style="text-align: center; padding: 20px; color: #f00;">加载消息失败</div>';
+        console.error('获取置顶消息失败:', error);
     }
+    
+    renderPinnedBar();
 }
 
-// ============ 发送消息 ============
-
-sendBtn.addEventListener('click', async () => {
-    const content = messageInput.value.trim();
+// 频道顶部的置顶栏：默认只显示最新一条，点击展开全部
+function renderPinnedBar() {
+    const pinnedBar = document.getElementById('pinnedBar');
+    if (!pinnedBar) return;
     
-    if (!content && !currentReplyTo) {
+    if (pinnedMessages.length === 0) {
+        pinnedBar.classList.remove('active', 'expanded');
+        pinnedBar.innerHTML = '';
         return;
     }
     
-    if (!currentChannel) {
-        showNotification('请先选择一个频道', 'warning');
-        return;
-    }
+    pinnedBar.classList.add('active');
+    pinnedBar.innerHTML = `
+        <div class="pinned-bar-header">
+            <span>📌 置顶消息（${pinnedMessages.length}）</span>
+            <button class="pinned-toggle-btn">${pinnedBar.classList.contains('expanded') ? '收起' : '展开'}</button>
+        </div>
+        <div class="pinned-list">
+            ${pinnedMessages.map(pin => `
+                <div class="pinned-item" data-message-id="${pin.id}">
+                    <span class="pinned-item-author">${escapeHtml(pin.nickname)}:</span>
+                    <span class="pinned-item-content">${escapeHtml(pin.content || '[图片/语音]')}</span>
+                    ${isChannelModerator() ? `<button class="unpin-btn" data-message-id="${pin.id}" title="取消置顶">✕</button>` : ''}
+                </div>
+            `).join('')}
+        </div>
+    `;
     
-    await sendMessageViaPusher({
-        userId: currentUser.id,
-        channel: currentChannel,
-        content: content,
-        image: null,
-        voice: null,
-        reply_to: currentReplyTo
+    pinnedBar.querySelector('.pinned-toggle-btn').addEventListener('click', () => {
+        pinnedBar.classList.toggle('expanded');
+        renderPinnedBar();
     });
     
-    messageInput.value = '';
-    cancelReply();
-});
-
-messageInput.addEventListener('keypress', async (e) => {
+    pinnedBar.querySelectorAll('.pinned-item').forEach(item => {
+        item.addEventListener('click', (e) => {
+            if (e.target.closest('.unpin-btn')) return;
+            const messageElement = messagesContainer.querySelector(`.message[data-message-id="${item.dataset.messageId}"]`);
+            if (messageElement) {
+                messageElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            } else {
+                showNotification('该消息不在已加载的记录中', 'info');
+            }
+        });
+    });
+    
+    pinnedBar.querySelectorAll('.unpin-btn').forEach(btn => {
+        btn.addEventListener('click', () => togglePinMessage(parseInt(btn.dataset.messageId), true));
+    });
+}
+
+// 更新消息上的置顶标记和置顶按钮
+function updatePinnedState(messageId, pinned) {
+    const messageElement = messagesContainer.querySelector(`.message[data-message-id="${messageId}"]`);
+    if (!messageElement) return;
+    
+    const header = messageElement.querySelector('.message-header');
+    const marker = header && header.querySelector('.pinned-marker');
+    if (pinned && header && !marker) {
+        header.insertAdjacentHTML('beforeend', '<span class="pinned-marker" title="已置顶">📌</span>');
+    } else if (!pinned && marker) {
+        marker.remove();
+    }
+    
+    const pinBtn = messageElement.querySelector('.pin-btn');
+    if (pinBtn) {
+        pinBtn.dataset.pinned = pinned ? 'true' : 'false';
+        pinBtn.textContent = pinned ? '取消置顶' : '置顶';
+    }
+}
+
+async function togglePinMessage(messageId, pinned) {
+    try {
+        const response = await fetch(pinned
+            ? `/api/channel/${currentChannel}/pins/${messageId}`
+            : `/api/channel/${currentChannel}/pins`, {
+            method: pinned ? 'DELETE' : 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${localStorage.getItem('token')}`
+            },
+            body: pinned ? undefined : JSON.stringify({ messageId })
+        });
+        const result = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(result.error || '操作失败');
+        }
+        
+        showNotification(pinned ? '已取消置顶' : '消息已置顶', 'success');
+    } catch (error) {
+        console.error('置顶操作失败:', error);
+        showNotification(error.message, 'error');
+    }
+}
+
+// 版主删除频道内的消息
+async function deleteChannelMessage(messageId) {
+    if (!confirm('确定要删除这条消息吗？删除后无法恢复。')) return;
+    
+    try {
+        const response = await fetch(`/api/channel/${currentChannel}/messages/${messageId}`, {
+            method: 'DELETE',
+            headers: {
+                'Authorization': `Bearer ${localStorage.getItem('token')}`
+            }
+        });
+        const result = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(result.error || '删除失败');
+        }
+        
+        showNotification('消息已删除', 'success');
+    } catch (error) {
+        console.error('删除消息失败:', error);
+        showNotification(error.message, 'error');
+    }
+}
+
+// 频道名旁的慢速模式提示
+function renderSlowModeIndicator(seconds) {
+    const indicator = document.getElementById('slowModeIndicator');
+    if (!indicator) return;
+    
+    indicator.textContent = seconds > 0 ? `🐢 慢速模式 ${seconds} 秒` : '';
+    indicator.style.display = seconds > 0 ? 'inline-block' : 'none';
+}
+
+async function promptSlowMode() {
+    const item = channelItems.find(i => i.dataset.channel === currentChannel);
+    const current = item ? parseInt(item.dataset.slowMode) || 0 : 0;
+    const input = prompt('设置慢速模式间隔（秒，0 表示关闭）:', current);
+    if (input === null) return;
+    
+    const seconds = parseInt(input);
+    if (isNaN(seconds) || seconds < 0 || seconds > 3600) {
+        showNotification('慢速模式间隔需在 0-3600 秒之间', 'warning');
+        return;
+    }
+    
+    try {
+        const response = await fetch(`/api/channel/${currentChannel}/slow-mode`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${localStorage.getItem('token')}`
+            },
+            body: JSON.stringify({ seconds })
+        });
+        const result = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(result.error || '设置慢速模式失败');
+        }
+        
+        showNotification(seconds > 0 ? `慢速模式已设为 ${seconds} 秒` : '慢速模式已关闭', 'success');
+    } catch (error) {
+        console.error('设置慢速模式失败:', error);
+        showNotification(error.message, 'error');
+    }
+}
+
+// 离开频道（含切换到私信）时清空角色、置顶和慢速模式状态
+function resetChannelModeration() {
+    currentChannelRoles.clear();
+    pinnedMessages = [];
+    renderPinnedBar();
+    renderSlowModeIndicator(0);
+    
+    const slowModeBtn = document.getElementById('slowModeBtn');
+    if (slowModeBtn) slowModeBtn.style.display = 'none';
+}
+
+// ============ 频道切换 ============
+
+// 切换到指定频道，成功返回 true
+async function switchChannel(item) {
+    const channel = item.dataset.channel;
+    const channelIcon = item.querySelector('.channel-icon').textContent;
+    const channelName = item.querySelector('.channel-name').textContent;
+    
+    // 检查私有频道访问权限
+    if (item.dataset.private === 'true') {
+        try {
+            const response = await fetch(`/api/channel/${channel}/access/${currentUser.id}`, {
+                headers: {
+                    'Authorization': `Bearer ${localStorage.getItem('token')}`
+                }
+            });
+            const data = await response.json();
+            
+            if (!data.hasAccess) {
+                if (data.access_mode === 'invite') {
+                    showNotification('该频道仅限受邀成员加入', 'error');
+                    return false;
+                }
+                
+                const password = prompt('请输入频道密码:');
+                if (!password) return false;
+                
+                const verifyResponse = await fetch('/api/channel/verify-password', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Authorization': `Bearer ${localStorage.getItem('token')}`
+                    },
+                    body: JSON.stringify({
+                        channel,
+                        password
+                    })
+                });
+                
+                const verifyData = await verifyResponse.json();
+                
+                if (!verifyResponse.ok) {
+                    showNotification(verifyData.error || '密码错误', 'error');
+                    return false;
+                }
+            }
+        } catch (error) {
+            console.error('验证频道访问权限失败:', error);
+            showNotification('验证频道访问权限失败', 'error');
+            return false;
+        }
+    }
+    
+    // 切换频道
+    currentChannel = channel;
+    currentDmUser = null;
+    document.querySelectorAll('.dm-item').forEach(i => i.classList.remove('active'));
+    currentChannelName.textContent = channelName;
+    currentChannelIcon.textContent = channelIcon;
+    renderSlowModeIndicator(parseInt(item.dataset.slowMode) || 0);
+    
+    // 更新频道选中状态
+    channelItems.forEach(i => i.classList.remove('active'));
+    item.classList.add('active');
+    renderUnreadBadge(channel);
+    
+    // 显示消息输入区域
+    const messageInputContainer = document.querySelector('.message-input-container');
+    messageInputContainer.style.display = 'flex';
+    
+    // 清空消息容器
+    messagesContainer.innerHTML = '<div style="text-align: center; padding: 20px; color: #999;">加载中...</div>';
+    
+    // 订阅 Pusher 频道
+    subscribeToPusherChannel(channel);
+    
+    // 先加载角色，渲染消息时需要据此显示管理按钮
+    await loadChannelRoles(channel);
+    loadPinnedMessages(channel);
+    
+    // 加载历史消息，并在上次读到的位置显示分隔线
+    const lastReadId = channelReadState.get(channel)?.lastReadId || 0;
+    await loadMessages(channel);
+    insertNewMessagesDivider(lastReadId);
+    await markChannelRead(channel);
+    
+    return true;
+}
+
+// 从服务端加载频道列表并生成侧边栏
+async function loadChannels() {
+    const channelList = document.querySelector('.channel-list');
+    
+    try {
+        const response = await fetch('/api/channels');
+        const channels = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(channels.error || '获取频道列表失败');
+        }
+        
+        channelList.innerHTML = channels.map(channel => `
+            <div class="channel-item" data-channel="${escapeHtml(channel.name)}" data-private="${channel.is_private}" data-slow-mode="${channel.slow_mode_seconds || 0}">
+                <span class="channel-icon">${escapeHtml(channel.icon)}</span>
+                <span class="channel-name">${escapeHtml(channel.display_name)}</span>
+            </div>
+        `).join('');
+        
+        channelItems = Array.from(channelList.querySelectorAll('.channel-item'));
+        channelItems.forEach(item => {
+            item.classList.toggle('active', item.dataset.channel === currentChannel);
+            item.addEventListener('click', () => switchChannel(item));
+        });
+        
+        renderChannelNotificationSettings(channels);
+        channelReadState.forEach((state, channel) => renderUnreadBadge(channel));
+    } catch (error) {
+        console.error('获取频道列表失败:', error);
+        channelList.innerHTML = '<div class="dm-empty">频道列表加载失败</div>';
+    }
+}
+
+// 使用保存的邀请码加入频道，成功后切换到该频道
+async function redeemPendingInvite() {
+    const code = sessionStorage.getItem(PENDING_INVITE_KEY);
+    if (!code) return;
+    
+    sessionStorage.removeItem(PENDING_INVITE_KEY);
+    if (inviteCodeFromUrl) {
+        history.replaceState(null, '', window.location.pathname);
+    }
+    
+    try {
+        const response = await fetch(`/api/invites/${encodeURIComponent(code)}/redeem`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${localStorage.getItem('token')}`
+            }
+        });
+        const data = await response.json();
+        
+        if (!response.ok) {
+            showNotification(data.error || '邀请链接无效', 'error');
+            return;
+        }
+        
+        await loadChannels();
+        const item = channelItems.find(i => i.dataset.channel === data.channel.name);
+        if (item) {
+            showNotification(`已加入频道 ${data.channel.display_name}`, 'success');
+            await switchChannel(item);
+        }
+    } catch (error) {
+        console.error('使用邀请链接失败:', error);
+        showNotification('使用邀请链接失败', 'error');
+    }
+}
+
+// 当前频道被删除或归档后回到初始状态
+function leaveCurrentChannel(reason) {
+    if (currentPusherChannel) {
+        resetTypingState();
+        currentPusherChannel.unbind_all();
+        pusher.unsubscribe(currentPusherChannel.name);
+        currentPusherChannel = null;
+    }
+    currentChannel = '';
+    hasMoreHistory = false;
+    cancelReply();
+    resetChannelModeration();
+    
+    channelItems.forEach(i => i.classList.remove('active'));
+    currentChannelName.textContent = '请选择频道';
+    currentChannelIcon.textContent = '';
+    messagesContainer.innerHTML = `<div style="text-align: center; padding: 20px; color: #999;">${escapeHtml(reason)}</div>`;
+    document.querySelector('.message-input-container').style.display = 'none';
+}
+
+async function loadMessages(channel) {
+    hasMoreHistory = false;
+    
+    try {
+        const response = await fetch(`/api/messages/${channel}?limit=${MESSAGE_PAGE_SIZE}`, {
+            headers: {
+                'Authorization': `Bearer ${localStorage.getItem('token')}`
+            }
+        });
+        
+        const messages = await response.json();
+        
+        messagesContainer.innerHTML = '';
+        hasMoreHistory = messages.length === MESSAGE_PAGE_SIZE;
+        
+        if (messages.length === 0) {
+            messagesContainer.innerHTML = '<div style="text-align: center; padding: 20px; color: #999;">暂无消息</div>';
+        } else {
+            messages.forEach(message => {
+                addMessageToDOM(message);
+            });
+        }
+        
+        // 发件箱中还没有发送成功的消息显示在最后
+        await renderOutboxForChannel(channel);
+        
+    } catch (error) {
+        console.error('加载消息失败:', error);
+        messagesContainer.innerHTML = '<div style="text-align: center; padding: 20px; color: #f00;">加载消息失败</div>';
+    }
+}
+
+// ============ 历史消息分页 ============
+
+async function loadOlderMessages() {
+    if (!currentChannel || !hasMoreHistory || isLoadingHistory) return;
+    
+    const oldestMessage = messagesContainer.querySelector('.message[data-message-id]');
+    if (!oldestMessage) return;
+    
+    const channel = currentChannel;
+    isLoadingHistory = true;
+    
+    try {
+        const response = await fetch(`/api/messages/${channel}?before=${oldestMessage.dataset.messageId}&limit=${MESSAGE_PAGE_SIZE}`, {
+            headers: {
+                'Authorization': `Bearer ${localStorage.getItem('token')}`
+            }
+        });
+        
+        const messages = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(messages.error || '加载历史消息失败');
+        }
+        
+        // 加载期间已切换频道，丢弃结果
+        if (channel !== currentChannel) return;
+        
+        hasMoreHistory = messages.length === MESSAGE_PAGE_SIZE;
+        
+        // 插入前记录滚动高度，插入后补偿差值，保持当前可见内容不跳动
+        const previousScrollHeight = messagesContainer.scrollHeight;
+        const previousScrollTop = messagesContainer.scrollTop;
+        
+        for (let i = messages.length - 1; i >= 0; i--) {
+            addMessageToDOM(messages[i], { prepend: true });
+        }
+        
+        messagesContainer.scrollTop = messagesContainer.scrollHeight - previousScrollHeight + previousScrollTop;
+        
+    } catch (error) {
+        console.error('加载历史消息失败:', error);
+        showNotification(error.message, 'error');
+    } finally {
+        isLoadingHistory = false;
+    }
+}
+
+function initHistoryScroll() {
+    // 滚动到顶部附近时加载更早的消息
+    messagesContainer.addEventListener('scroll', () => {
+        if (messagesContainer.scrollTop < 100) {
+            loadOlderMessages();
+        }
+    });
+}
+
+// ============ 私信 ============
+
+async function loadDmConversations() {
+    const dmList = document.getElementById('dmList');
+    if (!dmList) return;
+    
+    try {
+        const response = await fetch('/api/dm/conversations', {
+            headers: {
+                'Authorization': `Bearer ${localStorage.getItem('token')}`
+            }
+        });
+        
+        const conversations = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(conversations.error || '获取私信列表失败');
+        }
+        
+        // 保留未读标记
+        const unreadIds = new Set(Array.from(dmList.querySelectorAll('.dm-item.unread')).map(item => item.dataset.userId));
+        
+        if (conversations.length === 0) {
+            dmList.innerHTML = '<div class="dm-empty">暂无私信</div>';
+            return;
+        }
+        
+        dmList.innerHTML = conversations.map(conv => {
+            const preview = conv.last_message ? conv.last_message.content : '';
+            const classes = ['dm-item'];
+            if (currentDmUser && currentDmUser.id === conv.user.id) classes.push('active');
+            if (unreadIds.has(String(conv.user.id))) classes.push('unread');
+            
+            return `
+                <div class="${classes.join(' ')}" data-user-id="${conv.user.id}">
+                    <img src="${sanitizeUrl(conv.user.avatar) || 'images/default.png'}" alt="Avatar" class="dm-avatar">
+                    <div class="dm-info">
+                        <span class="dm-name">${escapeHtml(conv.user.nickname)}</span>
+                        <span class="dm-preview">${escapeHtml(preview.length > 20 ? preview.substring(0, 20) + '...' : preview)}</span>
+                    </div>
+                </div>
+            `;
+        }).join('');
+        
+        dmList.querySelectorAll('.dm-item').forEach(item => {
+            const conv = conversations.find(c => String(c.user.id) === item.dataset.userId);
+            item.addEventListener('click', () => openDirectMessage(conv.user));
+        });
+        
+    } catch (error) {
+        console.error('获取私信列表失败:', error);
+    }
+}
+
+async function openDirectMessage(user) {
+    // 离开当前频道
+    if (currentPusherChannel) {
+        resetTypingState();
+        currentPusherChannel.unbind_all();
+        pusher.unsubscribe(currentPusherChannel.name);
+        currentPusherChannel = null;
+    }
+    currentChannel = '';
+    currentDmUser = user;
+    hasMoreHistory = false;
+    cancelReply();
+    resetChannelModeration();
+    
+    channelItems.forEach(i => i.classList.remove('active'));
+    document.querySelectorAll('.dm-item').forEach(item => {
+        const isActive = item.dataset.userId === String(user.id);
+        item.classList.toggle('active', isActive);
+        if (isActive) item.classList.remove('unread');
+    });
+    
+    currentChannelName.textContent = user.nickname;
+    currentChannelIcon.textContent = '✉️';
+    
+    const messageInputContainer = document.querySelector('.message-input-container');
+    messageInputContainer.style.display = 'flex';
+    
+    messagesContainer.innerHTML = '<div style="text-align: center; padding: 20px; color: #999;">加载中...</div>';
+    
+    try {
+        const response = await fetch(`/api/dm/${user.id}/messages?limit=${MESSAGE_PAGE_SIZE}`, {
+            headers: {
+                'Authorization': `Bearer ${localStorage.getItem('token')}`
+            }
+        });
+        
+        const messages = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(messages.error || '加载私信失败');
+        }
+        
+        // 加载期间已切换到其他会话
+        if (currentDmUser !== user) return;
+        
+        messagesContainer.innerHTML = '';
+        
+        if (messages.length === 0) {
+            messagesContainer.innerHTML = '<div class="dm-placeholder" style="text-align: center; padding: 20px; color: #999;">还没有私信，打个招呼吧</div>';
+        } else {
+            messages.forEach(message => {
+                addMessageToDOM(message, { direct: true });
+            });
+        }
+        
+    } catch (error) {
+        console.error('加载私信失败:', error);
+        messagesContainer.innerHTML = '<div style="text-align: center; padding: 20px; color: #f00;">加载私信失败</div>';
+    }
+}
+
+async function sendDirectMessage(recipientId, content) {
+    try {
+        const response = await fetch('/api/dm/send', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${localStorage.getItem('token')}`
+            },
+            body: JSON.stringify({ recipientId, content })
+        });
+        
+        const result = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(result.error || '发送私信失败');
+        }
+        
+    } catch (error) {
+        console.error('发送私信失败:', error);
+        showNotification('发送私信失败: ' + error.message, 'error');
+    }
+}
+
+function handleIncomingDirectMessage(message) {
+    const isOwn = message.sender_id === currentUser.id;
+    const otherUserId = isOwn ? message.recipient_id : message.sender_id;
+    
+    if (currentDmUser && currentDmUser.id === otherUserId) {
+        const placeholder = messagesContainer.querySelector('.dm-placeholder');
+        if (placeholder) placeholder.remove();
+        
+        if (!messagesContainer.querySelector(`.message[data-message-id="${message.id}"]`)) {
+            addMessageToDOM(message, { direct: true });
+        }
+    } else if (!isOwn) {
+        playNotificationSound();
+        showBrowserNotification('新私信', `${message.nickname}: ${message.content}`);
+        showNotification(`${message.nickname} 给你发来私信`, 'info');
+    }
+    
+    loadDmConversations().then(() => {
+        if (!isOwn && (!currentDmUser || currentDmUser.id !== otherUserId)) {
+            const item = document.querySelector(`.dm-item[data-user-id="${otherUserId}"]`);
+            if (item) item.classList.add('unread');
+        }
+    });
+}
+
+// ============ 消息搜索 ============
+
+function openSearchPanel() {
+    const channelOptions = Array.from(channelItems).map(item => {
+        const channel = escapeHtml(item.dataset.channel);
+        const name = escapeHtml(item.querySelector('.channel-name').textContent);
+        return `<option value="${channel}">${name}</option>`;
+    }).join('');
+    
+    const modal = document.createElement('div');
+    modal.className = 'search-modal';
+    modal.innerHTML = `
+        <div class="search-content-box">
+            <div class="search-header">
+                <h3>搜索消息</h3>
+                <button class="close-btn">✕</button>
+            </div>
+            <form class="search-form">
+                <input type="text" class="search-query" placeholder="输入关键词" maxlength="100" required>
+                <div class="search-filters">
+                    <select class="search-channel">
+                        <option value="">全部频道</option>
+                        ${channelOptions}
+                    </select>
+                    <input type="text" class="search-author" placeholder="发送者用户名" maxlength="50">
+                    <input type="date" class="search-from" title="开始日期">
+                    <input type="date" class="search-to" title="结束日期">
+                    <label><input type="checkbox" class="search-has-image"> 含图片</label>
+                    <label><input type="checkbox" class="search-has-voice"> 含语音</label>
+                </div>
+                <button type="submit" class="search-submit">搜索</button>
+            </form>
+            <div class="search-results"></div>
+        </div>
+    `;
+    
+    document.body.appendChild(modal);
+    modal.querySelector('.search-query').focus();
+    
+    const closeModal = () => {
+        if (modal.parentNode) {
+            document.body.removeChild(modal);
+        }
+    };
+    
+    modal.querySelector('.close-btn').addEventListener('click', closeModal);
+    
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            closeModal();
+        }
+    });
+    
+    modal.querySelector('.search-form').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        
+        const params = new URLSearchParams({ q: modal.querySelector('.search-query').value.trim() });
+        const channel = modal.querySelector('.search-channel').value;
+        const author = modal.querySelector('.search-author').value.trim();
+        const from = modal.querySelector('.search-from').value;
+        const to = modal.querySelector('.search-to').value;
+        
+        if (!params.get('q')) return;
+        if (channel) params.set('channel', channel);
+        if (author) params.set('author', author);
+        // 日期按本地时区换算为当天的起止时间
+        if (from) params.set('from', new Date(`${from}T00:00:00`).toISOString());
+        if (to) params.set('to', new Date(`${to}T23:59:59.999`).toISOString());
+        if (modal.querySelector('.search-has-image').checked) params.set('hasImage', 'true');
+        if (modal.querySelector('.search-has-voice').checked) params.set('hasVoice', 'true');
+        
+        const resultsContainer = modal.querySelector('.search-results');
+        resultsContainer.innerHTML = '<div class="search-empty">搜索中...</div>';
+        
+        try {
+            const response = await fetch(`/api/search/messages?${params.toString()}`, {
+                headers: {
+                    'Authorization': `Bearer ${localStorage.getItem('token')}`
+                }
+            });
+            
+            const results = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(results.error || '搜索失败');
+            }
+            
+            if (results.length === 0) {
+                resultsContainer.innerHTML = '<div class="search-empty">没有找到匹配的消息</div>';
+                return;
+            }
+            
+            resultsContainer.innerHTML = results.map(result => `
+                <div class="search-result-item" data-message-id="${result.id}" data-channel="${escapeHtml(result.channel)}">
+                    <div class="search-result-meta">
+                        <span class="search-result-channel">#${escapeHtml(result.channel)}</span>
+                        <span class="search-result-author">${escapeHtml(result.nickname || result.username)}</span>
+                        <span class="search-result-time">${escapeHtml(new Date(result.created_at).toLocaleString())}</span>
+                    </div>
+                    <div class="search-result-content">${escapeHtml(result.content || '[图片/语音]')}</div>
+                </div>
+            `).join('');
+            
+            resultsContainer.querySelectorAll('.search-result-item').forEach(item => {
+                item.addEventListener('click', () => {
+                    closeModal();
+                    jumpToMessage(item.dataset.channel, item.dataset.messageId);
+                });
+            });
+            
+        } catch (error) {
+            console.error('搜索消息失败:', error);
+            resultsContainer.innerHTML = '';
+            showNotification(error.message, 'error');
+        }
+    });
+}
+
+async function jumpToMessage(channel, messageId) {
+    if (channel !== currentChannel) {
+        const item = document.querySelector(`.channel-item[data-channel="${channel}"]`);
+        if (!item || !(await switchChannel(item))) return;
+    }
+    
+    const selector = `.message[data-message-id="${messageId}"]`;
+    let messageElement = messagesContainer.querySelector(selector);
+    
+    // 目标消息不在已加载范围内时逐页向上加载（最多 20 页）
+    for (let page = 0; !messageElement && hasMoreHistory && page < 20; page++) {
+        await loadOlderMessages();
+        messageElement = messagesContainer.querySelector(selector);
+    }
+    
+    if (!messageElement) {
+        showNotification('未找到该消息，可能已被删除', 'warning');
+        return;
+    }
+    
+    messageElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    messageElement.classList.add('message-highlight');
+    setTimeout(() => {
+        messageElement.classList.remove('message-highlight');
+    }, 2000);
+}
+
+function initSearchPanel() {
+    const searchBtn = document.getElementById('searchBtn');
+    if (searchBtn) {
+        searchBtn.addEventListener('click', openSearchPanel);
+    }
+    
+    const slowModeBtn = document.getElementById('slowModeBtn');
+    if (slowModeBtn) {
+        slowModeBtn.addEventListener('click', promptSlowMode);
+    }
+}
+
+// ============ 发送消息 ============
+
+sendBtn.addEventListener('click', async () => {
+    const content = messageInput.value.trim();
+    
+    if (!content && !currentReplyTo) {
+        return;
+    }
+    
+    if (currentDmUser) {
+        await sendDirectMessage(currentDmUser.id, content);
+        messageInput.value = '';
+        return;
+    }
+    
+    if (!currentChannel) {
+        showNotification('请先选择一个频道', 'warning');
+        return;
+    }
+    
+    stopTyping();
+    await sendMessageViaPusher({
+        channel: currentChannel,
+        content: content,
+        image: null,
+        voice: null,
+        reply_to: currentReplyTo
+    });
+    
+    messageInput.value = '';
+    cancelReply();
+});
+
+messageInput.addEventListener('input', handleTypingInput);
+messageInput.addEventListener('blur', stopTyping);
+
+messageInput.addEventListener('keypress', async (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
         e.preventDefault();
         sendBtn.click();
@@ -1383,6 +3141,9 @@ imageUpload.addEventListener('change', async (e) => {
     try {
         const response = await fetch('/api/upload/image', {
             method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${localStorage.getItem('token')}`
+            },
             body: formData
         });
         
@@ -1390,7 +3151,6 @@ imageUpload.addEventListener('change', async (e) => {
         
         if (data.success) {
             await sendMessageViaPusher({
-                userId: currentUser.id,
                 channel: currentChannel,
                 content: messageInput.value.trim() || null,
                 image: data.image,
@@ -1420,6 +3180,9 @@ imageUpload.addEventListener('change', async (e) => {
 
 settingsBtn.addEventListener('click', () => {
     settingsPanel.classList.add('open');
+    loadSessions();
+    loadTwoFactorStatus();
+    loadEmailVerificationStatus();
 });
 
 closeSettings.addEventListener('click', () => {
@@ -1438,11 +3201,13 @@ avatarInput.addEventListener('change', async (e) => {
     
     const formData = new FormData();
     formData.append('avatar', file);
-    formData.append('userId', currentUser.id);
     
     try {
         const response = await fetch('/api/upload/avatar', {
             method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${localStorage.getItem('token')}`
+            },
             body: formData
         });
         
@@ -1487,6 +3252,7 @@ saveSettings.addEventListener('click', async () => {
             currentUser.nickname = nickname;
             localStorage.setItem('user', JSON.stringify(currentUser));
             updateUserInfo();
+            loadEmailVerificationStatus();
             showNotification('设置保存成功', 'success');
         } else {
             showNotification(data.error || '保存失败', 'error');
@@ -1497,6 +3263,277 @@ saveSettings.addEventListener('click', async () => {
     }
 });
 
+// ============ 邮箱验证 ============
+
+async function loadEmailVerificationStatus() {
+    if (!emailVerificationStatus) return;
+    
+    try {
+        const response = await fetch(`/api/profile/${currentUser.id}`);
+        const profile = await response.json();
+        
+        if (!profile.email) {
+            emailVerificationStatus.innerHTML = '<span class="email-unverified">填写邮箱并验证后，可以通过邮箱找回密码</span>';
+        } else if (profile.email_verified) {
+            emailVerificationStatus.innerHTML = '<span class="email-verified">✅ 邮箱已验证</span>';
+        } else {
+            emailVerificationStatus.innerHTML = `
+                <span class="email-unverified">邮箱未验证，请查收验证邮件</span>
+                <button id="resendVerificationBtn" class="btn-secondary">重新发送</button>
+            `;
+            document.getElementById('resendVerificationBtn').addEventListener('click', resendVerificationEmail);
+        }
+    } catch (error) {
+        console.error('获取邮箱验证状态失败:', error);
+        emailVerificationStatus.innerHTML = '';
+    }
+}
+
+async function resendVerificationEmail() {
+    try {
+        const response = await fetch('/api/resend-verification', {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${localStorage.getItem('token')}`
+            }
+        });
+        const data = await response.json();
+        
+        if (response.ok) {
+            showNotification('验证邮件已发送，请查收', 'success');
+        } else {
+            showNotification(data.error || '发送失败', 'error');
+        }
+    } catch (error) {
+        console.error('发送验证邮件失败:', error);
+        showNotification('发送验证邮件失败', 'error');
+    }
+}
+
+// ============ 登录设备管理 ============
+
+async function loadSessions() {
+    if (!sessionList) return;
+    
+    try {
+        const response = await fetch('/api/sessions', {
+            headers: {
+                'Authorization': `Bearer ${localStorage.getItem('token')}`
+            }
+        });
+        const sessions = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(sessions.error || '获取登录设备失败');
+        }
+        
+        renderSessions(sessions);
+    } catch (error) {
+        console.error('获取登录设备失败:', error);
+        sessionList.innerHTML = '<div class="session-empty">获取登录设备失败</div>';
+    }
+}
+
+function renderSessions(sessions) {
+    if (sessions.length === 0) {
+        sessionList.innerHTML = '<div class="session-empty">暂无登录设备</div>';
+        return;
+    }
+    
+    sessionList.innerHTML = sessions.map(session => `
+        <div class="session-item${session.current ? ' current' : ''}">
+            <div class="session-info">
+                <div class="session-device">${escapeHtml(session.device)}${session.current ? ' <span class="session-current-tag">当前设备</span>' : ''}</div>
+                <div class="session-meta">${escapeHtml(session.ip || '')} · 最近活动 ${escapeHtml(new Date(session.last_active_at).toLocaleString())}</div>
+            </div>
+            ${session.current ? '' : `<button class="session-revoke-btn" data-session-id="${escapeHtml(session.id)}">下线</button>`}
+        </div>
+    `).join('');
+    
+    sessionList.querySelectorAll('.session-revoke-btn').forEach(btn => {
+        btn.addEventListener('click', () => revokeSessionById(btn.dataset.sessionId));
+    });
+}
+
+async function revokeSessionById(sessionId) {
+    if (!confirm('确定要让该设备下线吗？')) return;
+    
+    try {
+        const response = await fetch(`/api/sessions/${encodeURIComponent(sessionId)}`, {
+            method: 'DELETE',
+            headers: {
+                'Authorization': `Bearer ${localStorage.getItem('token')}`
+            }
+        });
+        const result = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(result.error || '下线失败');
+        }
+        
+        showNotification('该设备已下线', 'success');
+        loadSessions();
+    } catch (error) {
+        console.error('下线设备失败:', error);
+        showNotification(error.message, 'error');
+    }
+}
+
+// ============ 两步验证 ============
+
+async function twoFactorRequest(url, body) {
+    const response = await fetch(url, {
+        method: body ? 'POST' : 'GET',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const result = await response.json();
+    
+    if (!response.ok) {
+        throw new Error(result.error || '操作失败');
+    }
+    return result;
+}
+
+async function loadTwoFactorStatus() {
+    if (!twoFactorPanel) return;
+    
+    try {
+        renderTwoFactorStatus(await twoFactorRequest('/api/2fa/status'));
+    } catch (error) {
+        console.error('获取两步验证状态失败:', error);
+        twoFactorPanel.innerHTML = '<div class="session-empty">获取两步验证状态失败</div>';
+    }
+}
+
+function renderTwoFactorStatus(status) {
+    if (!status.enabled) {
+        twoFactorPanel.innerHTML = `
+            <p class="two-factor-hint">开启后，登录时除密码外还需要输入身份验证器应用生成的验证码。</p>
+            <button id="twoFactorSetupBtn" class="btn-secondary">开启两步验证</button>
+        `;
+        document.getElementById('twoFactorSetupBtn').addEventListener('click', startTwoFactorSetup);
+        return;
+    }
+    
+    twoFactorPanel.innerHTML = `
+        <p class="two-factor-hint">✅ 两步验证已开启，剩余恢复码 ${status.recoveryCodesRemaining} 个。</p>
+        <div class="security-actions">
+            <button id="twoFactorRecoveryBtn" class="btn-secondary">重新生成恢复码</button>
+            <button id="twoFactorDisableBtn" class="btn-secondary">关闭两步验证</button>
+        </div>
+    `;
+    document.getElementById('twoFactorRecoveryBtn').addEventListener('click', regenerateRecoveryCodes);
+    document.getElementById('twoFactorDisableBtn').addEventListener('click', disableTwoFactor);
+}
+
+// 生成密钥并显示二维码，输入验证码确认后才会开启
+async function startTwoFactorSetup() {
+    try {
+        const enrollment = await twoFactorRequest('/api/2fa/setup', {});
+        
+        twoFactorPanel.innerHTML = `
+            <p class="two-factor-hint">使用身份验证器应用扫描二维码，或手动输入密钥：</p>
+            <img class="two-factor-qr" src="${enrollment.qrCode}" alt="两步验证二维码">
+            <div class="two-factor-key">${escapeHtml(enrollment.manualEntryKey)}</div>
+            <div class="form-group">
+                <input type="text" id="twoFactorEnableCode" autocomplete="one-time-code" placeholder="输入应用中显示的 6 位验证码">
+            </div>
+            <button id="twoFactorEnableBtn" class="btn-primary">确认开启</button>
+        `;
+        document.getElementById('twoFactorEnableBtn').addEventListener('click', confirmTwoFactorSetup);
+    } catch (error) {
+        console.error('生成两步验证密钥失败:', error);
+        showNotification(error.message, 'error');
+    }
+}
+
+async function confirmTwoFactorSetup() {
+    const code = document.getElementById('twoFactorEnableCode').value.trim();
+    if (!code) {
+        showNotification('请输入验证码', 'warning');
+        return;
+    }
+    
+    try {
+        const result = await twoFactorRequest('/api/2fa/enable', { code });
+        showNotification('两步验证已开启', 'success');
+        renderRecoveryCodes(result.recoveryCodes);
+    } catch (error) {
+        console.error('开启两步验证失败:', error);
+        showNotification(error.message, 'error');
+    }
+}
+
+// 恢复码只显示这一次
+function renderRecoveryCodes(codes) {
+    twoFactorPanel.innerHTML = `
+        <p class="two-factor-hint">请妥善保存以下恢复码。丢失身份验证器时可用恢复码登录，每个只能使用一次，离开此页面后将无法再次查看。</p>
+        <div class="two-factor-codes">${codes.map(code => `<code>${escapeHtml(code)}</code>`).join('')}</div>
+        <button id="twoFactorDoneBtn" class="btn-secondary">我已保存</button>
+    `;
+    document.getElementById('twoFactorDoneBtn').addEventListener('click', loadTwoFactorStatus);
+}
+
+async function regenerateRecoveryCodes() {
+    const code = prompt('请输入身份验证器中的验证码（旧恢复码将全部作废）:');
+    if (!code) return;
+    
+    try {
+        const result = await twoFactorRequest('/api/2fa/recovery-codes', { code: code.trim() });
+        renderRecoveryCodes(result.recoveryCodes);
+    } catch (error) {
+        console.error('生成恢复码失败:', error);
+        showNotification(error.message, 'error');
+    }
+}
+
+async function disableTwoFactor() {
+    const password = prompt('请输入当前密码:');
+    if (!password) return;
+    const code = prompt('请输入身份验证器中的验证码或一个恢复码:');
+    if (!code) return;
+    
+    try {
+        await twoFactorRequest('/api/2fa/disable', { password, code: code.trim() });
+        showNotification('两步验证已关闭', 'success');
+        loadTwoFactorStatus();
+    } catch (error) {
+        console.error('关闭两步验证失败:', error);
+        showNotification(error.message, 'error');
+    }
+}
+
+// ============ 退出所有设备 ============
+
+if (logoutAllBtn) {
+    logoutAllBtn.addEventListener('click', async () => {
+        if (!confirm('确定要退出所有设备吗？包括当前设备在内的所有登录都将失效。')) return;
+        
+        try {
+            const response = await fetch('/api/logout-all', {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${localStorage.getItem('token')}`
+                }
+            });
+            const result = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(result.error || '操作失败');
+            }
+            
+            logout();
+        } catch (error) {
+            console.error('退出所有设备失败:', error);
+            showNotification(error.message, 'error');
+        }
+    });
+}
+
 // ============ 密码修改 ============
 
 if (changePasswordBtn) {
@@ -1546,7 +3583,9 @@ if (passwordChangeForm) {
             const data = await response.json();
             
             if (data.success) {
-                showNotification('密码修改成功', 'success');
+                // 修改密码后其他设备已全部退出，当前设备换用服务端签发的新令牌
+                saveTokens(data);
+                showNotification('密码修改成功，其他设备已退出登录', 'success');
                 passwordChangePanel.classList.remove('open');
                 passwordChangeForm.reset();
             } else {
@@ -1593,15 +3632,21 @@ function initEmojiPicker() {
     // 点击emoji按钮显示/隐藏选择器
     emojiBtn.addEventListener('click', (e) => {
         e.stopPropagation();
+        reactionTargetMessageId = null;
         emojiPicker.classList.toggle('show');
     });
     
-    // 点击emoji插入到输入框
+    // 点击emoji插入到输入框，或作为消息的表情回应
     emojiGrid.addEventListener('click', (e) => {
         if (e.target.classList.contains('emoji-item')) {
             const emoji = e.target.textContent;
-            messageInput.value += emoji;
-            messageInput.focus();
+            if (reactionTargetMessageId !== null) {
+                toggleReaction(reactionTargetMessageId, emoji, false);
+                reactionTargetMessageId = null;
+            } else {
+                messageInput.value += emoji;
+                messageInput.focus();
+            }
             emojiPicker.classList.remove('show');
         }
     });
@@ -1610,6 +3655,7 @@ function initEmojiPicker() {
     document.addEventListener('click', (e) => {
         if (!emojiPicker.contains(e.target) && e.target !== emojiBtn) {
             emojiPicker.classList.remove('show');
+            reactionTargetMessageId = null;
         }
     });
 }
@@ -1636,9 +3682,32 @@ window.addEventListener('DOMContentLoaded', async () => {
     // 初始化页面
     initPage();
     
+    // 订阅私信频道并加载私信列表
+    subscribeToUserChannel();
+    loadDmConversations();
+    
+    // 加载频道列表和各频道未读数
+    await loadChannels();
+    loadUnreadCounts();
+    redeemPendingInvite();
+    document.addEventListener('visibilitychange', () => {
+        if (!document.hidden && currentChannel) {
+            markChannelRead(currentChannel);
+        }
+    });
+    
     // 初始化emoji选择器
     initEmojiPicker();
     
     // 初始化回复功能
     initReplyFeature();
+    
+    // 初始化历史消息分页
+    initHistoryScroll();
+    
+    // 初始化消息搜索
+    initSearchPanel();
+    
+    // 初始化 @提及 自动补全
+    initMentionAutocomplete();
 });
@@ -0,0 +1,90 @@
+// 离线发件箱：待发送的频道消息先保存在 IndexedDB 中，发送成功后删除
+// 网络断开或服务端出错时消息留在发件箱，刷新页面也不会丢失，连接恢复后自动重发
+// 每条消息带有客户端生成的 client_id，服务端按 client_id 去重，重发不会产生重复消息
+
+const OUTBOX_DB_NAME = 'nexi-chat-outbox';
+const OUTBOX_DB_VERSION = 1;
+const OUTBOX_STORE = 'messages';
+
+class MessageOutbox {
+    constructor() {
+        this.dbPromise = null;
+        this.memory = null; // 浏览器不支持 IndexedDB（例如部分隐私模式）时退回内存保存，刷新页面后丢失
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (!window.indexedDB) {
+                    reject(new Error('IndexedDB 不可用'));
+                    return;
+                }
+                const request = indexedDB.open(OUTBOX_DB_NAME, OUTBOX_DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(OUTBOX_STORE, { keyPath: 'client_id' });
+                    store.createIndex('user_id', 'user_id');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).catch(error => {
+                console.warn('发件箱无法使用 IndexedDB，改为内存保存:', error);
+                this.memory = new Map();
+                return null;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async run(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(OUTBOX_STORE, mode);
+            const request = operation(transaction.objectStore(OUTBOX_STORE));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * 保存或更新一条待发送消息
+     * @param {Object} entry - { client_id, user_id, payload, status, attempts, error, created_at }
+     */
+    async put(entry) {
+        if (!(await this.open())) {
+            this.memory.set(entry.client_id, { ...entry });
+            return;
+        }
+        await this.run('readwrite', store => store.put(entry));
+    }
+
+    async get(clientId) {
+        if (!(await this.open())) {
+            const entry = this.memory.get(clientId);
+            return entry ? { ...entry } : null;
+        }
+        return (await this.run('readonly', store => store.get(clientId))) || null;
+    }
+
+    async delete(clientId) {
+        if (!(await this.open())) {
+            this.memory.delete(clientId);
+            return;
+        }
+        await this.run('readwrite', store => store.delete(clientId));
+    }
+
+    /**
+     * 获取用户的全部待发送消息（按创建时间排序）
+     * @param {number} userId
+     * @returns {Promise<Object[]>}
+     */
+    async list(userId) {
+        let entries;
+        if (!(await this.open())) {
+            entries = [...this.memory.values()].filter(entry => entry.user_id === userId).map(entry => ({ ...entry }));
+        } else {
+            entries = await this.run('readonly', store => store.index('user_id').getAll(userId));
+        }
+        return entries.sort((a, b) => a.created_at.localeCompare(b.created_at));
+    }
+}
@@ -0,0 +1,317 @@
+// 内置 WebSocket 实时服务的客户端（服务端 REALTIME_TRANSPORT=websocket 时代替 pusher-js）
+// 只实现 chat-pusher.js 用到的 Pusher 接口：connection.bind、subscribe/unsubscribe、
+// 频道的 bind/unbind_all/trigger 以及在线频道的 members
+
+const REALTIME_RECONNECT_MIN_MS = 1000;
+const REALTIME_RECONNECT_MAX_MS = 30000;
+
+/**
+ * 简单的事件分发
+ */
+class RealtimeEvents {
+    constructor() {
+        this.callbacks = new Map();
+    }
+
+    bind(event, callback) {
+        if (!this.callbacks.has(event)) {
+            this.callbacks.set(event, []);
+        }
+        this.callbacks.get(event).push(callback);
+        return this;
+    }
+
+    unbind(event, callback) {
+        if (!callback) {
+            this.callbacks.delete(event);
+        } else if (this.callbacks.has(event)) {
+            this.callbacks.set(event, this.callbacks.get(event).filter(cb => cb !== callback));
+        }
+        return this;
+    }
+
+    unbind_all() {
+        this.callbacks.clear();
+        return this;
+    }
+
+    emit(event, ...args) {
+        (this.callbacks.get(event) || []).forEach(callback => {
+            try {
+                callback(...args);
+            } catch (error) {
+                console.error(`处理实时事件 ${event} 出错:`, error);
+            }
+        });
+    }
+}
+
+/**
+ * 在线频道成员列表（与 Pusher 的 channel.members 用法相同）
+ */
+class RealtimeMembers {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.members = {};
+        this.count = 0;
+        this.me = null;
+    }
+
+    setMembers(presence, myData) {
+        this.members = { ...(presence.hash || {}) };
+        this.count = Object.keys(this.members).length;
+        this.me = myData ? { id: myData.user_id, info: myData.user_info } : null;
+    }
+
+    addMember(data) {
+        if (!(data.user_id in this.members)) {
+            this.count++;
+        }
+        this.members[data.user_id] = data.user_info;
+        return this.get(data.user_id);
+    }
+
+    removeMember(data) {
+        const member = this.get(data.user_id);
+        if (member) {
+            delete this.members[data.user_id];
+            this.count--;
+        }
+        return member;
+    }
+
+    get(id) {
+        return Object.prototype.hasOwnProperty.call(this.members, id)
+            ? { id, info: this.members[id] }
+            : null;
+    }
+
+    each(callback) {
+        Object.keys(this.members).forEach(id => callback({ id, info: this.members[id] }));
+    }
+}
+
+class RealtimeChannel extends RealtimeEvents {
+    constructor(name, client) {
+        super();
+        this.name = name;
+        this.client = client;
+        this.subscribed = false;
+        this.members = name.startsWith('presence-') ? new RealtimeMembers() : null;
+        this.channelData = null;
+    }
+
+    /**
+     * 向频道内其他成员发送客户端事件（事件名必须以 client- 开头）
+     * @returns {boolean} - 未订阅成功时返回 false
+     */
+    trigger(event, data) {
+        if (!event.startsWith('client-') || !this.subscribed) return false;
+        return this.client.send({ event, channel: this.name, data });
+    }
+
+    handleEvent(message) {
+        switch (message.event) {
+            case 'pusher_internal:subscription_succeeded':
+                this.subscribed = true;
+                if (this.members) {
+                    this.members.setMembers(message.data.presence || {}, this.channelData);
+                    this.emit('pusher:subscription_succeeded', this.members);
+                } else {
+                    this.emit('pusher:subscription_succeeded', message.data);
+                }
+                break;
+            case 'pusher:subscription_error':
+                this.emit('pusher:subscription_error', message.data);
+                break;
+            case 'pusher_internal:member_added':
+                if (this.members) {
+                    this.emit('pusher:member_added', this.members.addMember(message.data));
+                }
+                break;
+            case 'pusher_internal:member_removed':
+                if (this.members) {
+                    const member = this.members.removeMember(message.data);
+                    if (member) {
+                        this.emit('pusher:member_removed', member);
+                    }
+                }
+                break;
+            default:
+                this.emit(message.event, message.data, message.user_id !== undefined ? { user_id: message.user_id } : {});
+        }
+    }
+}
+
+class RealtimeClient {
+    /**
+     * @param {Object} options
+     * @param {string} options.path - 服务端 WebSocket 路径
+     * @param {Object} options.channelAuthorization - 订阅鉴权配置 { endpoint, headersProvider }
+     */
+    constructor({ path, channelAuthorization }) {
+        this.path = path;
+        this.channelAuthorization = channelAuthorization;
+        this.channels = new Map();
+        this.connection = new RealtimeEvents();
+        this.connection.state = 'initialized';
+        this.connection.socket_id = null;
+        this.socket = null;
+        this.reconnectDelay = REALTIME_RECONNECT_MIN_MS;
+        this.reconnectTimer = null;
+        this.closedByUser = false;
+        this.connect();
+    }
+
+    setState(state) {
+        const previous = this.connection.state;
+        if (previous === state) return;
+        this.connection.state = state;
+        this.connection.emit('state_change', { previous, current: state });
+        this.connection.emit(state);
+    }
+
+    connect() {
+        this.closedByUser = false;
+        this.setState('connecting');
+
+        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+        const socket = new WebSocket(`${protocol}//${window.location.host}${this.path}`);
+        this.socket = socket;
+
+        socket.onmessage = (event) => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (error) {
+                return;
+            }
+            this.handleMessage(message);
+        };
+
+        socket.onerror = () => {
+            this.connection.emit('error', { type: 'WebSocketError', error: { data: { message: '实时连接出错' } } });
+        };
+
+        socket.onclose = () => {
+            if (this.socket !== socket) return;
+            this.socket = null;
+            this.connection.socket_id = null;
+            this.channels.forEach(channel => {
+                channel.subscribed = false;
+            });
+
+            if (this.closedByUser) {
+                this.setState('disconnected');
+                return;
+            }
+
+            // 意外断开后按指数退避重连，重连成功后重新订阅全部频道
+            this.setState('unavailable');
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = setTimeout(() => this.connect(), this.reconnectDelay);
+            this.reconnectDelay = Math.min(this.reconnectDelay * 2, REALTIME_RECONNECT_MAX_MS);
+        };
+    }
+
+    disconnect() {
+        this.closedByUser = true;
+        clearTimeout(this.reconnectTimer);
+        if (this.socket) {
+            this.socket.close();
+        } else {
+            this.setState('disconnected');
+        }
+    }
+
+    handleMessage(message) {
+        if (message.event === 'pusher:connection_established') {
+            this.connection.socket_id = message.data.socket_id;
+            this.reconnectDelay = REALTIME_RECONNECT_MIN_MS;
+            this.setState('connected');
+            this.channels.forEach(channel => this.sendSubscribe(channel));
+            return;
+        }
+        if (message.event === 'pusher:error') {
+            this.connection.emit('error', { type: 'PusherError', error: { data: message.data } });
+            return;
+        }
+
+        const channel = message.channel && this.channels.get(message.channel);
+        if (channel) {
+            channel.handleEvent(message);
+        }
+    }
+
+    send(message) {
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN) return false;
+        this.socket.send(JSON.stringify(message));
+        return true;
+    }
+
+    /**
+     * 订阅频道（私有频道和在线频道都需要先通过鉴权接口获取签名）
+     * @param {string} name - 频道名
+     * @returns {RealtimeChannel}
+     */
+    subscribe(name) {
+        let channel = this.channels.get(name);
+        if (!channel) {
+            channel = new RealtimeChannel(name, this);
+            this.channels.set(name, channel);
+            if (this.connection.state === 'connected') {
+                this.sendSubscribe(channel);
+            }
+        }
+        return channel;
+    }
+
+    unsubscribe(name) {
+        const channel = this.channels.get(name);
+        if (!channel) return;
+
+        this.channels.delete(name);
+        channel.subscribed = false;
+        this.send({ event: 'pusher:unsubscribe', data: { channel: name } });
+    }
+
+    async sendSubscribe(channel) {
+        const socketId = this.connection.socket_id;
+        const { endpoint, headersProvider } = this.channelAuthorization;
+
+        try {
+            const response = await fetch(endpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/x-www-form-urlencoded',
+                    ...(headersProvider ? headersProvider() : {})
+                },
+                body: new URLSearchParams({ socket_id: socketId, channel_name: channel.name }).toString()
+            });
+
+            if (!response.ok) {
+                channel.emit('pusher:subscription_error', {
+                    type: 'AuthError',
+                    error: `订阅鉴权失败 (${response.status})`,
+                    status: response.status
+                });
+                return;
+            }
+
+            const auth = await response.json();
+            // 鉴权期间连接断开重连或已取消订阅时，这次签名已经作废
+            if (this.connection.socket_id !== socketId || this.channels.get(channel.name) !== channel) return;
+
+            channel.channelData = auth.channel_data ? JSON.parse(auth.channel_data) : null;
+            this.send({
+                event: 'pusher:subscribe',
+                data: { channel: channel.name, auth: auth.auth, channel_data: auth.channel_data }
+            });
+        } catch (error) {
+            channel.emit('pusher:subscription_error', { type: 'AuthError', error: error.message, status: 0 });
+        }
+    }
+}
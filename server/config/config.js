@@ -29,7 +29,8 @@ module.exports = {
         return 'dev-secret-key-change-in-production';
     })(),
     
-    // 管理员凭证（生产环境必须通过环境变量配置）
+    // 初始管理员凭证（生产环境必须通过环境变量配置）
+    // 管理员账号保存在数据库中，这里的账号只在数据库中还没有管理员时用于创建第一个超级管理员
     ADMIN_CREDENTIALS: {
         username: process.env.ADMIN_USERNAME || (() => {
             if (process.env.NODE_ENV === 'production') {
@@ -42,14 +43,79 @@ module.exports = {
                 throw new Error('ADMIN_PASSWORD 必须在生产环境中配置');
             }
             return 'admin123';
-        })()
+        })(),
+        // 初始管理员的两步验证密钥（Base32），配置后该管理员登录需要输入验证码
+        totpSecret: process.env.ADMIN_TOTP_SECRET || null
+    },
+    
+    // 登录令牌配置：短期访问令牌 + 服务端保存、每次使用后轮换的刷新令牌
+    AUTH_TOKENS: {
+        ACCESS_TOKEN_EXPIRES_IN: process.env.ACCESS_TOKEN_EXPIRES_IN || '15m',
+        REFRESH_TOKEN_TTL_DAYS: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30
+    },
+    
+    // 站点访问地址（用于邮件中的链接，例如 https://chat.example.com）
+    // 除 console 外的邮件发送方式都必须配置，未配置时不发送带链接的邮件
+    APP_URL: process.env.APP_URL ? process.env.APP_URL.replace(/\/+$/, '') : null,
+    
+    // 邮件配置：MAIL_TRANSPORT 可选 smtp、file（写入 MAIL_FILE_DIR）、console（打印到控制台，只能用于开发环境）
+    // 未配置时开发环境默认使用 console，生产环境不发送邮件
+    MAIL: {
+        TRANSPORT: process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? null : 'console'),
+        FROM: process.env.MAIL_FROM || 'NEXI CHAT <no-reply@localhost>',
+        SMTP: {
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            user: process.env.SMTP_USER,
+            pass: process.env.SMTP_PASS
+        },
+        FILE_DIR: process.env.MAIL_FILE_DIR || null
+    },
+    
+    // 找回密码：重置链接的有效期
+    PASSWORD_RESET: {
+        EXPIRES_IN: '30m',
+        EXPIRES_IN_MINUTES: 30
     },
     
-    // 频道配置
-    CHANNELS: ['General', 'Technology', 'Gaming', 'Music', 'Random', 'Channel105'],
+    // 邮箱验证：注册或修改邮箱后发送验证链接
+    // EMAIL_VERIFICATION_REQUIRED=true 时，邮箱未验证的用户只能浏览，不能发消息和上传文件
+    EMAIL_VERIFICATION: {
+        REQUIRED: process.env.EMAIL_VERIFICATION_REQUIRED === 'true',
+        EXPIRES_IN: '24h',
+        EXPIRES_IN_HOURS: 24
+    },
+    
+    // 实时消息通道：pusher 使用 Pusher 托管服务（默认）；websocket 使用 server/server.js 内置的 WebSocket 服务，局域网离线可用；
+    // memory 不推送给客户端，只用于测试
+    REALTIME: {
+        TRANSPORT: ['pusher', 'websocket', 'memory'].includes(process.env.REALTIME_TRANSPORT)
+            ? process.env.REALTIME_TRANSPORT
+            : 'pusher',
+        WS_PATH: '/api/realtime'
+    },
+    
+    // 共享状态存储：封禁、速率限制计数、蜜罐捕获、IP 黑名单和登录会话保存的位置
+    // memory 保存在进程内存中（默认，只适合单进程）；redis 保存在 Redis（或兼容 Redis 协议的服务）中，多进程 / 多实例部署时必须使用
+    STATE_STORE: {
+        TYPE: ['memory', 'redis'].includes(process.env.STATE_STORE) ? process.env.STATE_STORE : 'memory',
+        REDIS_URL: process.env.REDIS_URL || 'redis://127.0.0.1:6379',
+        KEY_PREFIX: process.env.STATE_STORE_PREFIX || 'nexi:'
+    },
+    
+    // 消息分页配置
+    MESSAGE_PAGE: {
+        DEFAULT_LIMIT: 100,
+        MAX_LIMIT: 200
+    },
     
     // 功能开关
-    REGISTRATION_ENABLED: process.env.REGISTRATION_ENABLED !== 'false',
+    // 注册模式：open 开放注册，invite 凭邀请码注册，closed 关闭注册
+    // 未配置 REGISTRATION_MODE 时沿用旧的 REGISTRATION_ENABLED（false 表示关闭注册）
+    REGISTRATION_MODE: ['open', 'invite', 'closed'].includes(process.env.REGISTRATION_MODE)
+        ? process.env.REGISTRATION_MODE
+        : (process.env.REGISTRATION_ENABLED === 'false' ? 'closed' : 'open'),
     
     // 版本信息
     VERSION: 'beta v 1',
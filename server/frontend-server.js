@@ -5,6 +5,7 @@ const https = require('https');
 const fs = require('fs');
 const app = express();
 const proxy = require('express-http-proxy');
+const httpProxy = require('http-proxy');
 
 // 加载环境变量
 require('dotenv').config();
@@ -32,6 +33,18 @@ const apiProxy = proxy(`https://localhost:${BACKEND_PORT}`, {
     }
 });
 
+// 内置 WebSocket 实时服务（REALTIME_TRANSPORT=websocket）的连接转发到后端
+const realtimeProxy = httpProxy.createProxyServer({
+    target: `wss://localhost:${BACKEND_PORT}`,
+    ws: true,
+    secure: false
+});
+
+realtimeProxy.on('error', (err, req, socket) => {
+    if (!SILENT_MODE) console.error('WebSocket 代理错误:', err.message);
+    socket.destroy();
+});
+
 const publicDir = path.join(__dirname, '..', 'public');
 
 if (!fs.existsSync(publicDir)) {
@@ -101,6 +114,14 @@ for (const ifaceName in networkInterfaces) {
     if (lanIp) break;
 }
 
+httpsServer.on('upgrade', (req, socket, head) => {
+    if (req.url.startsWith('/api/realtime')) {
+        realtimeProxy.ws(req, socket, head);
+    } else {
+        socket.destroy();
+    }
+});
+
 httpsServer.listen(PORT, '0.0.0.0', () => {
     console.log(`✓ 前端服务已启动: https://localhost:${PORT}`);
     if (lanIp) {
@@ -7,12 +7,13 @@ const jwt = require('jsonwebtoken');
 const multer = require('multer');
 const sharp = require('sharp');
 const fs = require('fs');
+const crypto = require('crypto');
 const helmet = require('helmet');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const db = require('./utils/db-adapter'); // 使用数据库适配器
 const logger = require('./utils/log');
 const badWordsFilter = require('./utils/badwords');
-const pusher = require('./config/pusher'); // 引入 Pusher
+const realtime = require('./utils/realtime-adapter'); // 实时消息（Pusher / 内置 WebSocket）
 const xssProtection = require('./utils/xss-protection'); // XSS 防护
 const securityMiddleware = require('./utils/security-middleware'); // 综合安全中间件
 const supabaseSecurity = require('./utils/supabase-security'); // Supabase 安全
@@ -24,6 +25,14 @@ const stealthProtection = require('./utils/stealth-protection'); // 隐蔽防护
 const payloadScanner = require('./utils/payload-scanner'); // 载荷扫描
 const botDetection = require('./utils/bot-detection'); // 机器人检测
 const geoProtection = require('./utils/geo-protection'); // 地理位置防护
+const { extractMentions } = require('./utils/mentions'); // @提及解析
+const { ACCESS_MODES, getAccessMode, isRestrictedChannel, canAccessChannel, CHANNEL_ROLES, hasChannelRole, getInviteStatus } = require('./utils/channel-access'); // 频道访问控制
+const { isAccessTokenRevoked, issueTokenPair, startSession, rotateRefreshToken, revokeRefreshToken, revokeAllUserTokens, listUserSessions, revokeSession } = require('./utils/auth-tokens'); // 登录令牌
+const twoFactor = require('./utils/two-factor'); // TOTP 两步验证
+const passwordReset = require('./utils/password-reset'); // 找回密码
+const emailVerification = require('./utils/email-verification'); // 邮箱验证
+const mailer = require('./utils/mailer'); // 邮件发送
+const { ADMIN_ROLES, hasAdminPermission, adminActor, formatAdmin, issueAdminToken, getAdminFromToken, ensureDefaultAdmin, countSuperadmins } = require('./utils/admin-accounts'); // 管理员账号
 
 const app = express();
 const sslOptions = {
@@ -41,10 +50,8 @@ SecurityConfigHelper.checkAndWarn();
 
 const PORT = config.PORT;
 const JWT_SECRET = config.JWT_SECRET;
-const CHANNELS = config.CHANNELS;
-const REGISTRATION_ENABLED = config.REGISTRATION_ENABLED;
+const REGISTRATION_MODE = config.REGISTRATION_MODE;
 const VERSION = config.VERSION;
-const ADMIN_CREDENTIALS = config.ADMIN_CREDENTIALS;
 
 app.use(cors({
     origin: config.CORS_ORIGINS,
@@ -133,7 +140,13 @@ const authenticateUser = async (req, res, next) => {
         if (!user) {
             return res.status(401).json({ error: 'User not found', code: 'USER_NOT_FOUND' });
         }
+        // 修改密码或退出所有设备后，之前签发的访问令牌立即失效
+        if (await isAccessTokenRevoked(decoded, user)) {
+            return res.status(401).json({ error: 'Invalid or expired token', code: 'INVALID_TOKEN' });
+        }
         req.userId = decoded.userId;
+        req.sessionId = decoded.sid;
+        req.emailVerified = !!user.email_verified;
         next();
     } catch (error) {
         if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
@@ -142,22 +155,118 @@ const authenticateUser = async (req, res, next) => {
         next();
     }
 };
-const authenticateAdmin = (req, res, next) => {
+// 要求已登录（放在 authenticateUser 之后）：身份只取自令牌中的 req.userId，不信任请求体或路径中的用户 ID
+const requireUser = (req, res, next) => {
+    if (!req.userId) {
+        return res.status(401).json({ error: 'Authorization token required' });
+    }
+    next();
+};
+// 资源归属校验：路径中的 :userId 必须是当前登录用户本人
+const requireSelf = (req, res, next) => {
+    if (parseInt(req.params.userId) !== parseInt(req.userId)) {
+        return res.status(403).json({ error: 'Access denied' });
+    }
+    next();
+};
+// 开启 EMAIL_VERIFICATION_REQUIRED 后，邮箱未验证的用户只读（放在 requireUser 之后，用于发消息、上传等写操作）
+const requireVerifiedEmail = (req, res, next) => {
+    if (config.EMAIL_VERIFICATION.REQUIRED && !req.emailVerified) {
+        return res.status(403).json({ error: '请先验证邮箱', code: 'EMAIL_NOT_VERIFIED' });
+    }
+    next();
+};
+const authenticateAdmin = async (req, res, next) => {
     const token = req.headers.authorization?.split(' ')[1];
     
     if (!token) {
         return res.status(401).json({ error: 'Admin token required' });
     }
     
+    let decoded;
     try {
-        const decoded = jwt.verify(token, JWT_SECRET);
+        decoded = jwt.verify(token, JWT_SECRET);
+    } catch (error) {
+        return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+    if (!decoded.admin) {
+        return res.status(403).json({ error: 'Not authorized as admin' });
+    }
+    
+    try {
+        // 管理员账号被删除、修改密码后，之前签发的令牌立即失效
+        const admin = await getAdminFromToken(decoded);
+        if (!admin) {
+            return res.status(401).json({ error: 'Invalid or expired token' });
+        }
+        req.admin = admin;
+        next();
+    } catch (error) {
+        console.error('管理员身份校验失败:', error);
+        res.status(500).json({ error: 'Failed to verify admin' });
+    }
+};
+// 管理员权限校验（放在 authenticateAdmin 之后）：权限由管理员角色决定，见 admin-accounts.js
+const requireAdminPermission = (permission) => (req, res, next) => {
+    if (!hasAdminPermission(req.admin.role, permission)) {
+        return res.status(403).json({ error: 'Insufficient admin permission' });
+    }
+    next();
+};
+// 频道角色校验：要求当前用户在 :channel 中至少拥有 minRole 角色（管理员不受限制）
+const requireChannelRole = (minRole) => async (req, res, next) => {
+    const token = req.headers.authorization?.split(' ')[1];
+    
+    if (!token) {
+        return res.status(401).json({ error: 'Authorization token required' });
+    }
+    
+    let decoded;
+    try {
+        decoded = jwt.verify(token, JWT_SECRET);
+    } catch (error) {
+        return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+    
+    try {
+        const channelData = await db.getChannelByName(req.params.channel);
+        if (!channelData) {
+            return res.status(404).json({ error: 'Channel not found' });
+        }
+        req.channelData = channelData;
+        
+        // 管理员需要有频道管理权限：查看需要 channels.read，其余操作需要 channels.moderate
         if (decoded.admin) {
-            next();
-        } else {
-            res.status(403).json({ error: 'Not authorized as admin' });
+            const admin = await getAdminFromToken(decoded);
+            if (!admin) {
+                return res.status(401).json({ error: 'Invalid or expired token' });
+            }
+            if (!hasAdminPermission(admin.role, req.method === 'GET' ? 'channels.read' : 'channels.moderate')) {
+                return res.status(403).json({ error: 'Insufficient admin permission' });
+            }
+            req.isAdmin = true;
+            req.admin = admin;
+            return next();
+        }
+        
+        if (decoded.userId) {
+            const user = await db.getUserById(decoded.userId);
+            if (!user || await isAccessTokenRevoked(decoded, user)) {
+                return res.status(401).json({ error: 'Invalid or expired token', code: 'INVALID_TOKEN' });
+            }
+        }
+        
+        const role = decoded.userId ? await db.getChannelRole(channelData.name, decoded.userId) : null;
+        if (!hasChannelRole(role, minRole)) {
+            return res.status(403).json({ error: 'Insufficient channel role' });
         }
+        
+        req.userId = decoded.userId;
+        req.channelRole = role;
+        next();
     } catch (error) {
-        res.status(401).json({ error: 'Invalid or expired token' });
+        console.error('频道角色校验失败:', error);
+        res.status(500).json({ error: 'Failed to verify channel role' });
     }
 };
 
@@ -194,47 +303,64 @@ const upload = multer({
 });
 
 app.get('/api/registration-status', (req, res) => {
-    res.json({ enabled: REGISTRATION_ENABLED });
+    res.json({
+        enabled: REGISTRATION_MODE !== 'closed',
+        mode: REGISTRATION_MODE,
+        inviteRequired: REGISTRATION_MODE === 'invite'
+    });
 });
 
 app.get('/api/version', (req, res) => {
     res.json({ version: VERSION });
 });
 
-app.post('/api/channel/verify-password', async (req, res) => {
-    const { channel, password, userId } = req.body;
+app.post('/api/channel/verify-password', authenticateUser, requireUser, async (req, res) => {
+    const { channel, password } = req.body;
     
     const channelData = await db.getChannelByName(channel);
-    if (!channelData || !channelData.password) {
-        return res.status(400).json({ error: 'Not a private channel' });
+    if (!channelData || getAccessMode(channelData) !== 'protected') {
+        return res.status(400).json({ error: 'Not a password-protected channel' });
     }
     
-    if (channelData.password === password) {
-        await db.addChannelMember(channel, userId);
+    const match = !!channelData.password && typeof password === 'string' && await bcrypt.compare(password, channelData.password);
+    if (match) {
+        await db.addChannelMember(channel, req.userId);
         return res.json({ success: true, message: 'Password verified successfully' });
     } else {
         return res.status(401).json({ error: 'Invalid password' });
     }
 });
 
-app.get('/api/channel/:channel/access/:userId', async (req, res) => {
-    const { channel, userId } = req.params;
+app.get('/api/channel/:channel/access/:userId', authenticateUser, requireUser, requireSelf, async (req, res) => {
+    const { channel } = req.params;
 
     const channelData = await db.getChannelByName(channel);
-    if (!channelData || !channelData.password) {
-        return res.json({ hasAccess: true });
+    if (!channelData) {
+        return res.status(400).json({ error: 'Invalid channel' });
     }
-    const hasAccess = await db.isChannelMember(channel, parseInt(userId));
-    return res.json({ hasAccess });
+    const hasAccess = await canAccessChannel(channelData, req.userId);
+    return res.json({ hasAccess, access_mode: getAccessMode(channelData) });
 });
+// 发送邮箱验证邮件：发送失败只记录错误，不影响注册和修改资料，用户之后可以重新发送
+// 未配置 APP_URL 时不发送（启动时已提示）
+async function sendVerificationEmailSafely(user) {
+    if (!user.email || !mailer.canSendLinkEmails()) return;
+    try {
+        await emailVerification.sendVerificationEmail(user);
+        logger.auditLog('email_verification_sent', user.id, { email: user.email });
+    } catch (error) {
+        console.error('发送验证邮件失败:', error);
+    }
+}
 app.post('/api/register', [
     securityMiddleware.registerLimiter, // 注册速率限制
     body('username').trim().isLength({ min: 3, max: 20 }).matches(/^[\w\u4e00-\u9fa5]+$/),
     body('password').isLength({ min: 6, max: 50 }),
     body('email').optional().isEmail().normalizeEmail(),
-    body('nickname').optional().trim().isLength({ max: 30 })
+    body('nickname').optional().trim().isLength({ max: 30 }),
+    body('inviteCode').optional().isString()
 ], async (req, res) => {
-    if (!REGISTRATION_ENABLED) {
+    if (REGISTRATION_MODE === 'closed') {
         return res.status(403).json({ error: '注册功能已关闭' });
     }
     
@@ -272,23 +398,49 @@ app.post('/api/register', [
             }
         }
         
-        const hashedPassword = await bcrypt.hash(password, 10);
+        // 邀请码注册模式：先占用一次邀请码的使用次数，再创建用户
+        let invite = null;
+        if (REGISTRATION_MODE === 'invite') {
+            invite = await findRegistrationInvite(req.body.inviteCode);
+            const redeemed = invite && getInviteStatus(invite) === 'active' && await db.redeemRegistrationInvite(invite.id);
+            if (!redeemed) {
+                return res.status(403).json({ error: '邀请码无效或已失效', code: 'INVALID_INVITE_CODE' });
+            }
+        }
         
-        const newUser = await db.insertUser({
-            username,
-            password: hashedPassword,
-            email,
-            nickname
-        });
+        let newUser;
+        try {
+            const hashedPassword = await bcrypt.hash(password, 10);
+            
+            newUser = await db.insertUser({
+                username,
+                password: hashedPassword,
+                email,
+                nickname
+            });
+        } catch (error) {
+            // 用户没有创建成功，退还占用的邀请码使用次数
+            if (invite) {
+                await db.releaseRegistrationInvite(invite.id)
+                    .catch(releaseError => console.error('退还注册邀请码失败:', releaseError));
+            }
+            throw error;
+        }
+        if (invite) {
+            await db.addRegistrationInviteRedemption(invite.id, newUser.id);
+        }
         
-        const token = jwt.sign({ userId: newUser.id }, JWT_SECRET, { expiresIn: '24h' });
-        logger.auditLog('user_register', newUser.id, { username: newUser.username });
+        const { token, refreshToken } = await startSession(newUser, req);
+        logger.auditLog('user_register', newUser.id, { username: newUser.username, inviteId: invite ? invite.id : undefined });
+        await sendVerificationEmailSafely(newUser);
         
         res.status(201).json({ 
             token, 
+            refreshToken, 
             userId: newUser.id, 
             username: newUser.username, 
-            nickname: newUser.nickname 
+            nickname: newUser.nickname,
+            emailVerified: false
         });
         
     } catch (error) {
@@ -296,10 +448,28 @@ app.post('/api/register', [
     }
 });
 
+// 登录成功：创建会话并返回令牌和用户资料
+async function completeUserLogin(req, res, user) {
+    logger.auditLog('user_login', user.id, { username: user.username });
+    const { token, refreshToken } = await startSession(user, req);
+    res.json({ 
+        token, 
+        refreshToken, 
+        userId: user.id, 
+        username: user.username,
+        nickname: user.nickname,
+        avatar: user.avatar,
+        bio: user.bio,
+        gender: user.gender,
+        emailVerified: !!user.email_verified
+    });
+}
+// 登录分两步：先校验用户名和密码，开启两步验证的账号再凭 twoFactorToken 和验证码（或恢复码）完成登录
 app.post('/api/login', [
     securityMiddleware.loginLimiter, // 登录速率限制
-    body('username').trim().notEmpty(),
-    body('password').notEmpty()
+    body('username').if(body('twoFactorToken').not().exists()).trim().notEmpty(),
+    body('password').if(body('twoFactorToken').not().exists()).notEmpty(),
+    body('code').if(body('twoFactorToken').exists()).isString().notEmpty()
 ], async (req, res) => {
     // 验证输入
     const errors = validationResult(req);
@@ -307,6 +477,19 @@ app.post('/api/login', [
         return res.status(400).json({ error: 'Username and password are required' });
     }
     
+    if (req.body.twoFactorToken) {
+        try {
+            const subject = twoFactor.verifyChallengeToken(req.body.twoFactorToken);
+            const user = subject ? await db.getUserById(parseInt(subject)) : null;
+            if (!user || !(await twoFactor.verifyUserSecondFactor(user, req.body.code))) {
+                return res.status(401).json({ error: '验证码不正确或已过期', code: 'INVALID_TWO_FACTOR' });
+            }
+            return completeUserLogin(req, res, user);
+        } catch (error) {
+            return res.status(500).json({ error: 'Server error' });
+        }
+    }
+    
     // XSS 清理
     const username = xssProtection.sanitizeUsername(req.body.username);
     const password = req.body.password;
@@ -320,216 +503,1463 @@ app.post('/api/login', [
         if (!user) return res.status(401).json({ error: 'Invalid credentials' });
         const match = await bcrypt.compare(password, user.password);
         if (!match) return res.status(401).json({ error: 'Invalid credentials' });
-        logger.auditLog('user_login', user.id, { username: user.username });
-        const token = jwt.sign({ userId: user.id }, JWT_SECRET, { expiresIn: '24h' });
-        res.json({ 
-            token, 
-            userId: user.id, 
-            username: user.username,
-            nickname: user.nickname,
-            avatar: user.avatar,
-            bio: user.bio,
-            gender: user.gender
-        });
+        if (user.totp_enabled) {
+            return res.json({ twoFactorRequired: true, twoFactorToken: twoFactor.issueChallengeToken(user.id) });
+        }
+        await completeUserLogin(req, res, user);
         
     } catch (error) {
         res.status(500).json({ error: 'Server error' });
     }
 });
-app.post('/api/admin/login', [
-    securityMiddleware.loginLimiter, // 管理员登录速率限制
+// 刷新令牌：用刷新令牌换取新的令牌对，旧刷新令牌随即作废
+app.post('/api/auth/refresh', [
+    body('refreshToken').isString().notEmpty()
 ], async (req, res) => {
-    const { username, password } = req.body;
-    
-    if (!username || !password) {
-        return res.status(400).json({ error: 'Username and password are required' });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Refresh token is required' });
     }
-    if (username === ADMIN_CREDENTIALS.username && password === ADMIN_CREDENTIALS.password) {
-        const token = jwt.sign({ admin: true }, JWT_SECRET, { expiresIn: '24h' });
-        res.json({ token, admin: true });
-    } else {
-        res.status(401).json({ error: 'Invalid admin credentials' });
+    
+    try {
+        const result = await rotateRefreshToken(req.body.refreshToken, req);
+        if (!result) {
+            return res.status(401).json({ error: 'Invalid or expired refresh token', code: 'INVALID_REFRESH_TOKEN' });
+        }
+        res.json({ token: result.token, refreshToken: result.refreshToken, userId: result.user.id });
+    } catch (error) {
+        console.error('刷新令牌失败:', error);
+        res.status(500).json({ error: 'Server error' });
     }
 });
-
-app.put('/api/admin/password', authenticateAdmin, (req, res) => {
-    const { currentPassword, newPassword } = req.body;
-    
-    if (!currentPassword || !newPassword) {
-        return res.status(400).json({ error: 'Current password and new password are required' });
+// 退出登录：吊销当前设备的刷新令牌（访问令牌有效期很短，随后自然过期）
+app.post('/api/logout', [
+    body('refreshToken').isString().notEmpty()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Refresh token is required' });
     }
     
-    if (currentPassword !== ADMIN_CREDENTIALS.password) {
-        return res.status(401).json({ error: 'Current password is incorrect' });
+    try {
+        const revoked = await revokeRefreshToken(req.body.refreshToken);
+        if (revoked) {
+            logger.auditLog('user_logout', revoked.user_id, {});
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('退出登录失败:', error);
+        res.status(500).json({ error: 'Server error' });
     }
-    
-    ADMIN_CREDENTIALS.password = newPassword;
-    res.json({ success: true, message: 'Admin password updated successfully' });
 });
-
-app.get('/api/channel/:channel/members', authenticateAdmin, async (req, res) => {
-    const { channel } = req.params;
-    const channelData = await db.getChannelByName(channel);
-    if (!channelData || !channelData.password) {
-        return res.status(400).json({ error: 'Not a private channel' });
+// 退出所有设备：吊销该用户的全部访问令牌和刷新令牌
+app.post('/api/logout-all', authenticateUser, requireUser, async (req, res) => {
+    try {
+        const count = await revokeAllUserTokens(req.userId);
+        logger.auditLog('user_logout_all', req.userId, { revokedSessions: count });
+        res.json({ success: true, revokedSessions: count });
+    } catch (error) {
+        console.error('退出所有设备失败:', error);
+        res.status(500).json({ error: 'Server error' });
     }
-    const memberIds = await db.getChannelMembers(channel);
-    const memberPromises = memberIds.map(async userId => {
-        const user = await db.getUserById(userId);
-        return user ? { id: user.id, username: user.username } : null;
-    });
-    
-    const members = (await Promise.all(memberPromises)).filter(member => member !== null);
-    
-    res.json(members);
 });
-
-app.delete('/api/channel/:channel/members/:userId', authenticateAdmin, async (req, res) => {
-    const { channel, userId } = req.params;
-    const parsedUserId = parseInt(userId);
-
-    const channelData = await db.getChannelByName(channel);
-    if (!channelData || !channelData.password) {
-        return res.status(400).json({ error: 'Not a private channel' });
+// 获取当前用户的登录会话（设备）列表
+app.get('/api/sessions', authenticateUser, requireUser, async (req, res) => {
+    try {
+        res.json(await listUserSessions(req.userId, req.sessionId));
+    } catch (error) {
+        console.error('获取会话列表失败:', error);
+        res.status(500).json({ error: 'Server error' });
     }
-    const success = await db.removeChannelMember(channel, parsedUserId);
-    if (success) {
-        res.json({ success: true, message: 'User removed from channel' });
-    } else {
-        res.status(404).json({ error: 'User not found in channel' });
+});
+// 下线指定会话
+app.delete('/api/sessions/:sessionId', authenticateUser, requireUser, async (req, res) => {
+    try {
+        const revoked = await revokeSession(req.userId, req.params.sessionId);
+        if (!revoked) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        logger.auditLog('session_revoke', req.userId, { current: req.params.sessionId === req.sessionId });
+        res.json({ success: true });
+    } catch (error) {
+        console.error('下线会话失败:', error);
+        res.status(500).json({ error: 'Server error' });
     }
 });
 
-app.put('/api/channel/:channel/password', authenticateAdmin, async (req, res) => {
-    const { channel } = req.params;
-    const { newPassword } = req.body;
-    
-    if (!newPassword) {
-        return res.status(400).json({ error: 'New password is required' });
-    }
-    
-    const channelData = await db.getChannelByName(channel);
-    if (!channelData || !channelData.password) {
-        return res.status(400).json({ error: 'Not a private channel' });
-    }
+// ============ 两步验证 ============
 
-    const success = await db.updateChannelPassword(channel, newPassword);
-    if (success) {
-        res.json({ success: true, message: 'Channel password updated successfully' });
-    } else {
-        res.status(500).json({ error: 'Failed to update password' });
+// 获取当前用户的两步验证状态
+app.get('/api/2fa/status', authenticateUser, requireUser, async (req, res) => {
+    try {
+        const user = await db.getUserById(req.userId);
+        res.json({
+            enabled: !!user.totp_enabled,
+            recoveryCodesRemaining: user.totp_enabled ? (user.totp_recovery_codes || []).length : 0
+        });
+    } catch (error) {
+        console.error('获取两步验证状态失败:', error);
+        res.status(500).json({ error: 'Server error' });
     }
 });
-app.get('/api/profile/:userId', async (req, res) => {
-    const { userId } = req.params;
-    
-    const user = await db.getUserById(userId);
-    if (!user) return res.status(404).json({ error: 'User not found' });
-    const userProfile = {
-        id: user.id,
-        username: user.username,
-        nickname: user.nickname || user.username,
-        avatar: user.avatar,
-        bio: user.bio,
-        gender: user.gender,
-        email: user.email,
-        created_at: user.created_at
-    };
-    
-    res.json(userProfile);
+// 开始绑定：生成新密钥并返回 otpauth 链接和二维码（输入验证码确认后才会生效）
+app.post('/api/2fa/setup', authenticateUser, requireUser, async (req, res) => {
+    try {
+        const user = await db.getUserById(req.userId);
+        if (user.totp_enabled) {
+            return res.status(400).json({ error: '两步验证已开启' });
+        }
+        
+        const secret = twoFactor.generateSecret();
+        await db.updateUser(user.id, { totp_secret: secret, totp_enabled: false });
+        res.json(await twoFactor.createEnrollment(user.username, secret));
+    } catch (error) {
+        console.error('生成两步验证密钥失败:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
 });
-app.put('/api/profile/:userId', [
-    body('bio').optional().trim().isLength({ max: 200 }),
-    body('gender').optional().isIn(['male', 'female', 'other']),
-    body('email').optional().isEmail().normalizeEmail(),
-    body('nickname').optional().trim().isLength({ max: 30 })
+// 确认绑定：校验验证器应用生成的验证码，开启两步验证并返回一次性恢复码
+app.post('/api/2fa/enable', [
+    authenticateUser,
+    requireUser,
+    body('code').isString().notEmpty()
 ], async (req, res) => {
-    const { userId } = req.params;
-    
-    // 验证输入
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
-        return res.status(400).json({ error: '输入格式不正确' });
+        return res.status(400).json({ error: '请输入验证码' });
     }
     
-    // XSS 清理
-    const bio = req.body.bio ? xssProtection.sanitizeText(req.body.bio) : null;
-    const gender = req.body.gender;
-    const email = req.body.email ? xssProtection.sanitizeEmail(req.body.email) : null;
-    const nickname = req.body.nickname ? xssProtection.sanitizeText(req.body.nickname) : null;
-    
-    if (email) {
-        const existingUser = await db.getUserByEmail(email);
-        if (existingUser && existingUser.id != userId) {
-            return res.status(400).json({ error: 'Email already exists' });
+    try {
+        const user = await db.getUserById(req.userId);
+        if (user.totp_enabled) {
+            return res.status(400).json({ error: '两步验证已开启' });
+        }
+        if (!user.totp_secret) {
+            return res.status(400).json({ error: '请先生成两步验证密钥' });
         }
+        
+        const step = twoFactor.verifyCode(user.totp_secret, req.body.code);
+        if (step === null) {
+            return res.status(400).json({ error: '验证码不正确' });
+        }
+        
+        const { codes, hashes } = twoFactor.generateRecoveryCodes();
+        await db.updateUser(user.id, { totp_enabled: true, totp_last_step: step, totp_recovery_codes: hashes });
+        logger.auditLog('two_factor_enable', user.id, {});
+        res.json({ success: true, recoveryCodes: codes });
+    } catch (error) {
+        console.error('开启两步验证失败:', error);
+        res.status(500).json({ error: 'Server error' });
     }
-    const updatedUser = await db.updateUser(userId, { bio, gender, email, nickname });
-    if (!updatedUser) return res.status(404).json({ error: 'User not found' });
-    res.json({ success: true });
 });
-app.post('/api/change-password', async (req, res) => {
-    const { currentPassword, newPassword } = req.body;
-    const token = req.headers.authorization?.split(' ')[1];
-    
-    if (!token) {
-        return res.status(401).json({ error: 'Authorization token required' });
+// 关闭两步验证（需要密码和验证码或恢复码）
+app.post('/api/2fa/disable', [
+    authenticateUser,
+    requireUser,
+    body('password').isString().notEmpty(),
+    body('code').isString().notEmpty()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: '请输入密码和验证码' });
     }
     
     try {
-        const decoded = jwt.verify(token, JWT_SECRET);
-        const userId = decoded.userId;
-        const user = await db.getUserById(userId);
-        if (!user) {
-            return res.status(404).json({ error: 'User not found' });
+        const user = await db.getUserById(req.userId);
+        if (!user.totp_enabled) {
+            return res.status(400).json({ error: '两步验证未开启' });
         }
-        const match = await bcrypt.compare(currentPassword, user.password);
-        if (!match) {
-            return res.status(401).json({ error: 'Current password is incorrect', success: false });
+        if (!(await bcrypt.compare(req.body.password, user.password))) {
+            return res.status(401).json({ error: 'Current password is incorrect' });
         }
-        const hashedPassword = await bcrypt.hash(newPassword, 10);
-        const updatedUser = await db.updateUser(userId, { password: hashedPassword });
-        if (!updatedUser) {
-            return res.status(500).json({ error: 'Failed to update password', success: false });
+        if (!(await twoFactor.verifyUserSecondFactor(user, req.body.code))) {
+            return res.status(401).json({ error: '验证码不正确', code: 'INVALID_TWO_FACTOR' });
         }
         
-        res.json({ success: true, message: 'Password updated successfully' });
+        await db.updateUser(user.id, { totp_enabled: false, totp_secret: null, totp_recovery_codes: null, totp_last_step: null });
+        logger.auditLog('two_factor_disable', user.id, {});
+        res.json({ success: true });
     } catch (error) {
-        if (error.name === 'JsonWebTokenError') {
-            return res.status(401).json({ error: 'Invalid token', success: false });
-        }
-        res.status(500).json({ error: 'Server error', success: false });
+        console.error('关闭两步验证失败:', error);
+        res.status(500).json({ error: 'Server error' });
     }
 });
-
-app.post('/api/upload/avatar', upload.single('avatar'), async (req, res) => {
-    const { userId } = req.body;
-    
-    if (!req.file || !userId) {
-        return res.status(400).json({ error: 'File and user ID are required' });
+// 重新生成恢复码（旧恢复码全部作废）
+app.post('/api/2fa/recovery-codes', [
+    authenticateUser,
+    requireUser,
+    body('code').isString().notEmpty()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: '请输入验证码' });
     }
     
     try {
-        // 文件安全验证
-        const allowedMimeTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'];
-        if (!allowedMimeTypes.includes(req.file.mimetype)) {
-            fs.unlinkSync(req.file.path);
-            return res.status(400).json({ error: '不支持的图片格式' });
+        const user = await db.getUserById(req.userId);
+        if (!user.totp_enabled) {
+            return res.status(400).json({ error: '两步验证未开启' });
         }
-        
-        // 检查文件大小
-        if (req.file.size > 5 * 1024 * 1024) { // 5MB
-            fs.unlinkSync(req.file.path);
-            return res.status(400).json({ error: '图片大小不能超过 5MB' });
+        if (!(await twoFactor.verifyUserSecondFactor(user, req.body.code))) {
+            return res.status(401).json({ error: '验证码不正确', code: 'INVALID_TWO_FACTOR' });
         }
         
-        const originalExt = path.extname(req.file.originalname).toLowerCase();
-        const isGif = originalExt === '.gif';
-        
-        const optimizedPath = path.join(__dirname, '..', 'public', 'uploads', 'optimized-' + req.file.filename);
-        const sharpInstance = sharp(req.file.path)
-            .resize(200, 200, { fit: 'cover' });
-        
+        const { codes, hashes } = twoFactor.generateRecoveryCodes();
+        await db.updateUser(user.id, { totp_recovery_codes: hashes });
+        logger.auditLog('two_factor_recovery_codes', user.id, {});
+        res.json({ success: true, recoveryCodes: codes });
+    } catch (error) {
+        console.error('生成恢复码失败:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+app.post('/api/admin/login', [
+    securityMiddleware.loginLimiter, // 管理员登录速率限制
+], async (req, res) => {
+    const { username, password, twoFactorToken, code } = req.body;
+    
+    try {
+        await ensureDefaultAdmin();
+        
+        let admin;
+        if (twoFactorToken) {
+            // 两步验证第二步：挑战令牌的 subject 为 admin:<管理员 ID>
+            const subject = twoFactor.verifyChallengeToken(twoFactorToken) || '';
+            admin = subject.startsWith('admin:') ? await db.getAdminById(parseInt(subject.slice(6))) : null;
+            if (!admin || !(await twoFactor.verifyAdminSecondFactor(admin, code))) {
+                return res.status(401).json({ error: '验证码不正确或已过期', code: 'INVALID_TWO_FACTOR' });
+            }
+        } else {
+            if (!username || !password) {
+                return res.status(400).json({ error: 'Username and password are required' });
+            }
+            admin = await db.getAdminByUsername(username);
+            if (!admin || !(await bcrypt.compare(password, admin.password))) {
+                return res.status(401).json({ error: 'Invalid admin credentials' });
+            }
+            if (admin.totp_enabled) {
+                return res.json({ twoFactorRequired: true, twoFactorToken: twoFactor.issueChallengeToken(`admin:${admin.id}`) });
+            }
+        }
+        
+        await db.updateAdmin(admin.id, { last_login_at: new Date().toISOString() });
+        logger.auditLog('admin_login', adminActor(admin), {});
+        res.json({ token: issueAdminToken(admin), admin: formatAdmin(admin) });
+    } catch (error) {
+        console.error('管理员登录失败:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 当前管理员的资料和权限（后台据此显示可用的功能）
+app.get('/api/admin/me', authenticateAdmin, (req, res) => {
+    res.json(formatAdmin(req.admin));
+});
+
+// 修改自己的密码：之前签发的管理员令牌全部失效，返回新令牌
+app.put('/api/admin/password', authenticateAdmin, async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+    
+    if (typeof currentPassword !== 'string' || !currentPassword || typeof newPassword !== 'string' || !newPassword) {
+        return res.status(400).json({ error: 'Current password and new password are required' });
+    }
+    if (newPassword.length < 8) {
+        return res.status(400).json({ error: 'New password must be at least 8 characters' });
+    }
+    
+    try {
+        if (!(await bcrypt.compare(currentPassword, req.admin.password))) {
+            return res.status(401).json({ error: 'Current password is incorrect' });
+        }
+        
+        const admin = await db.updateAdmin(req.admin.id, {
+            password: await bcrypt.hash(newPassword, 10),
+            token_version: (req.admin.token_version || 0) + 1
+        });
+        logger.auditLog('admin_password_change', adminActor(admin), {});
+        res.json({ success: true, message: 'Admin password updated successfully', token: issueAdminToken(admin) });
+    } catch (error) {
+        console.error('修改管理员密码失败:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 管理员两步验证：密钥保存在管理员账号中，输入验证码确认后才会生效，和用户一样可以使用恢复码
+app.get('/api/admin/2fa/status', authenticateAdmin, (req, res) => {
+    res.json({
+        enabled: !!req.admin.totp_enabled,
+        recoveryCodesRemaining: req.admin.totp_enabled ? (req.admin.totp_recovery_codes || []).length : 0
+    });
+});
+app.post('/api/admin/2fa/setup', authenticateAdmin, async (req, res) => {
+    if (req.admin.totp_enabled) {
+        return res.status(400).json({ error: '两步验证已开启' });
+    }
+    
+    try {
+        const secret = twoFactor.generateSecret();
+        await db.updateAdmin(req.admin.id, { totp_secret: secret, totp_enabled: false });
+        res.json(await twoFactor.createEnrollment(req.admin.username, secret));
+    } catch (error) {
+        console.error('生成两步验证密钥失败:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+app.post('/api/admin/2fa/enable', authenticateAdmin, async (req, res) => {
+    if (req.admin.totp_enabled) {
+        return res.status(400).json({ error: '两步验证已开启' });
+    }
+    
+    const step = twoFactor.verifyCode(req.admin.totp_secret, req.body.code);
+    if (step === null) {
+        return res.status(400).json({ error: '验证码不正确' });
+    }
+    
+    try {
+        // 恢复码明文只在这里返回一次
+        const { codes, hashes } = twoFactor.generateRecoveryCodes();
+        await db.updateAdmin(req.admin.id, { totp_enabled: true, totp_last_step: step, totp_recovery_codes: hashes });
+        logger.auditLog('admin_two_factor_enable', adminActor(req.admin), {});
+        res.json({ success: true, message: '两步验证已开启', recoveryCodes: codes });
+    } catch (error) {
+        console.error('开启两步验证失败:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+app.post('/api/admin/2fa/disable', authenticateAdmin, async (req, res) => {
+    try {
+        if (!(await twoFactor.verifyAdminSecondFactor(req.admin, req.body.code))) {
+            return res.status(401).json({ error: '验证码不正确', code: 'INVALID_TWO_FACTOR' });
+        }
+        
+        await db.updateAdmin(req.admin.id, { totp_enabled: false, totp_secret: null, totp_recovery_codes: null, totp_last_step: null });
+        logger.auditLog('admin_two_factor_disable', adminActor(req.admin), {});
+        res.json({ success: true, message: '两步验证已关闭' });
+    } catch (error) {
+        console.error('关闭两步验证失败:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+// 重新生成恢复码（旧恢复码全部作废）
+app.post('/api/admin/2fa/recovery-codes', authenticateAdmin, async (req, res) => {
+    if (!req.admin.totp_enabled) {
+        return res.status(400).json({ error: '两步验证未开启' });
+    }
+    
+    try {
+        if (!(await twoFactor.verifyAdminSecondFactor(req.admin, req.body.code))) {
+            return res.status(401).json({ error: '验证码不正确', code: 'INVALID_TWO_FACTOR' });
+        }
+        
+        const { codes, hashes } = twoFactor.generateRecoveryCodes();
+        await db.updateAdmin(req.admin.id, { totp_recovery_codes: hashes });
+        logger.auditLog('admin_two_factor_recovery_codes', adminActor(req.admin), {});
+        res.json({ success: true, recoveryCodes: codes });
+    } catch (error) {
+        console.error('生成恢复码失败:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ============ 管理员账号管理（超级管理员） ============
+
+app.get('/api/admin/admins', authenticateAdmin, requireAdminPermission('admins.manage'), async (req, res) => {
+    try {
+        const admins = await db.listAdmins();
+        res.json(admins.map(formatAdmin));
+    } catch (error) {
+        console.error('获取管理员列表失败:', error);
+        res.status(500).json({ error: 'Failed to get admins' });
+    }
+});
+
+app.post('/api/admin/admins', [
+    authenticateAdmin,
+    requireAdminPermission('admins.manage'),
+    body('username').trim().isLength({ min: 3, max: 50 }).matches(/^[a-zA-Z0-9_]+$/),
+    body('password').isLength({ min: 8 }),
+    body('role').isIn(ADMIN_ROLES)
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: '输入格式不正确' });
+    }
+    
+    const { username, password, role } = req.body;
+    
+    try {
+        if (await db.getAdminByUsername(username)) {
+            return res.status(400).json({ error: 'Admin username already exists' });
+        }
+        
+        const admin = await db.createAdmin({
+            username,
+            password: await bcrypt.hash(password, 10),
+            role
+        });
+        logger.auditLog('admin_create', adminActor(req.admin), { adminId: admin.id, username, role });
+        res.status(201).json(formatAdmin(admin));
+    } catch (error) {
+        console.error('创建管理员失败:', error);
+        res.status(500).json({ error: 'Failed to create admin' });
+    }
+});
+
+// 修改其他管理员的角色、重置密码或两步验证（修改密码后该管理员需要重新登录）
+app.put('/api/admin/admins/:adminId', [
+    authenticateAdmin,
+    requireAdminPermission('admins.manage'),
+    body('role').optional().isIn(ADMIN_ROLES),
+    body('password').optional().isLength({ min: 8 }),
+    body('resetTwoFactor').optional().isBoolean()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: '输入格式不正确' });
+    }
+    
+    const { role, password, resetTwoFactor } = req.body;
+    
+    try {
+        const target = await db.getAdminById(parseInt(req.params.adminId));
+        if (!target) {
+            return res.status(404).json({ error: 'Admin not found' });
+        }
+        if (role && role !== 'superadmin' && target.role === 'superadmin' && await countSuperadmins() <= 1) {
+            return res.status(400).json({ error: '至少需要保留一个超级管理员' });
+        }
+        
+        const updates = {};
+        if (role) updates.role = role;
+        if (password) {
+            updates.password = await bcrypt.hash(password, 10);
+            updates.token_version = (target.token_version || 0) + 1;
+        }
+        if (resetTwoFactor) {
+            Object.assign(updates, { totp_enabled: false, totp_secret: null, totp_recovery_codes: null, totp_last_step: null });
+        }
+        
+        const admin = await db.updateAdmin(target.id, updates);
+        logger.auditLog('admin_update', adminActor(req.admin), {
+            adminId: target.id,
+            username: target.username,
+            role,
+            passwordReset: !!password,
+            twoFactorReset: !!resetTwoFactor
+        });
+        res.json(formatAdmin(admin));
+    } catch (error) {
+        console.error('更新管理员失败:', error);
+        res.status(500).json({ error: 'Failed to update admin' });
+    }
+});
+
+app.delete('/api/admin/admins/:adminId', authenticateAdmin, requireAdminPermission('admins.manage'), async (req, res) => {
+    try {
+        const target = await db.getAdminById(parseInt(req.params.adminId));
+        if (!target) {
+            return res.status(404).json({ error: 'Admin not found' });
+        }
+        if (target.id === req.admin.id) {
+            return res.status(400).json({ error: '不能删除自己的管理员账号' });
+        }
+        if (target.role === 'superadmin' && await countSuperadmins() <= 1) {
+            return res.status(400).json({ error: '至少需要保留一个超级管理员' });
+        }
+        
+        await db.deleteAdmin(target.id);
+        logger.auditLog('admin_delete', adminActor(req.admin), { adminId: target.id, username: target.username });
+        res.json({ success: true });
+    } catch (error) {
+        console.error('删除管理员失败:', error);
+        res.status(500).json({ error: 'Failed to delete admin' });
+    }
+});
+// 重置用户的两步验证（用户丢失验证器且恢复码用完时由管理员处理）
+app.delete('/api/admin/users/:username/2fa', authenticateAdmin, requireAdminPermission('users.manage'), async (req, res) => {
+    try {
+        const user = await db.getUserByUsername(req.params.username);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        await db.updateUser(user.id, { totp_enabled: false, totp_secret: null, totp_recovery_codes: null, totp_last_step: null });
+        logger.auditLog('two_factor_reset', adminActor(req.admin), { userId: user.id, username: user.username });
+        res.json({ success: true, message: `已重置用户 ${user.username} 的两步验证` });
+    } catch (error) {
+        console.error('重置两步验证失败:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.get('/api/channel/:channel/members', requireChannelRole('moderator'), async (req, res) => {
+    const { channel } = req.params;
+    if (!isRestrictedChannel(req.channelData)) {
+        return res.status(400).json({ error: 'Not a private channel' });
+    }
+    const memberIds = await db.getChannelMembers(channel);
+    const memberPromises = memberIds.map(async userId => {
+        const user = await db.getUserById(userId);
+        const role = await db.getChannelRole(channel, userId);
+        return user ? { id: user.id, username: user.username, role: role || 'member' } : null;
+    });
+    
+    const members = (await Promise.all(memberPromises)).filter(member => member !== null);
+    
+    res.json(members);
+});
+
+// 管理员按用户名添加频道成员（仅限邀请的频道只能通过这种方式加入）
+app.post('/api/channel/:channel/members', [
+    authenticateAdmin,
+    requireAdminPermission('channels.moderate'),
+    body('username').trim().notEmpty().isLength({ max: 50 })
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: '输入格式不正确' });
+    }
+    
+    const { channel } = req.params;
+    const channelData = await db.getChannelByName(channel);
+    if (!channelData || !isRestrictedChannel(channelData)) {
+        return res.status(400).json({ error: 'Not a private channel' });
+    }
+    
+    const user = await db.getUserByUsername(req.body.username);
+    if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+    
+    await db.addChannelMember(channel, user.id);
+    logger.auditLog('channel_member_add', adminActor(req.admin), { channel, userId: user.id });
+    res.status(201).json({ id: user.id, username: user.username });
+});
+
+app.delete('/api/channel/:channel/members/:userId', requireChannelRole('moderator'), async (req, res) => {
+    const { channel, userId } = req.params;
+    const parsedUserId = parseInt(userId);
+
+    if (!isRestrictedChannel(req.channelData)) {
+        return res.status(400).json({ error: 'Not a private channel' });
+    }
+    
+    // 版主只能移除角色低于自己的成员
+    const targetRole = await db.getChannelRole(channel, parsedUserId);
+    if (!req.isAdmin && hasChannelRole(targetRole, req.channelRole)) {
+        return res.status(403).json({ error: 'Insufficient channel role' });
+    }
+    
+    const success = await db.removeChannelMember(channel, parsedUserId);
+    if (success) {
+        logger.auditLog('channel_member_remove', req.isAdmin ? adminActor(req.admin) : req.userId, { channel, userId: parsedUserId });
+        await realtime.publish(`private-user-${parsedUserId}`, 'member-removed', { channel });
+        res.json({ success: true, message: 'User removed from channel' });
+    } else {
+        res.status(404).json({ error: 'User not found in channel' });
+    }
+});
+
+app.put('/api/channel/:channel/password', authenticateAdmin, requireAdminPermission('channels.manage'), async (req, res) => {
+    const { channel } = req.params;
+    const { newPassword } = req.body;
+    
+    if (!newPassword) {
+        return res.status(400).json({ error: 'New password is required' });
+    }
+    
+    const channelData = await db.getChannelByName(channel);
+    if (!channelData || getAccessMode(channelData) !== 'protected') {
+        return res.status(400).json({ error: 'Not a password-protected channel' });
+    }
+
+    const success = await db.updateChannelPassword(channel, await bcrypt.hash(newPassword, 10));
+    if (success) {
+        res.json({ success: true, message: 'Channel password updated successfully' });
+    } else {
+        res.status(500).json({ error: 'Failed to update password' });
+    }
+});
+
+// ============ 频道管理 ============
+
+// 频道名只允许字母、数字、下划线和连字符（同时用于消息记录和 Pusher 频道名，创建后不可修改）
+const CHANNEL_NAME_PATTERN = /^[A-Za-z0-9_-]{1,50}$/;
+
+// 对外返回的频道信息（不包含密码）
+function formatChannel(channel) {
+    return {
+        name: channel.name,
+        display_name: channel.display_name || channel.name,
+        icon: channel.icon || '#',
+        access_mode: getAccessMode(channel),
+        is_private: isRestrictedChannel(channel),
+        slow_mode_seconds: channel.slow_mode_seconds || 0,
+        is_archived: !!channel.is_archived,
+        sort_order: channel.sort_order || 0,
+        created_at: channel.created_at
+    };
+}
+
+// 频道存在且未归档时才允许发送新消息
+async function getWritableChannel(name) {
+    const channel = await db.getChannelByName(name);
+    return channel && !channel.is_archived ? channel : null;
+}
+
+// 获取频道列表（用于侧边栏，不包含已归档频道）
+app.get('/api/channels', async (req, res) => {
+    try {
+        const channels = await db.listChannels();
+        res.json(channels.map(formatChannel));
+    } catch (error) {
+        console.error('获取频道列表失败:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 管理员获取全部频道（包含已归档）
+app.get('/api/admin/channels', authenticateAdmin, requireAdminPermission('channels.read'), async (req, res) => {
+    try {
+        const channels = await db.listChannels({ includeArchived: true });
+        res.json(channels.map(formatChannel));
+    } catch (error) {
+        console.error('获取频道列表失败:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 管理员创建频道
+app.post('/api/admin/channels', [
+    authenticateAdmin,
+    requireAdminPermission('channels.manage'),
+    body('name').matches(CHANNEL_NAME_PATTERN),
+    body('display_name').optional().trim().isLength({ min: 1, max: 50 }),
+    body('icon').optional().trim().isLength({ min: 1, max: 10 }),
+    body('access_mode').optional().isIn(ACCESS_MODES),
+    body('password').optional({ checkFalsy: true }).isLength({ min: 4, max: 100 })
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: '频道参数不正确' });
+    }
+    
+    // 未指定访问模式时，设置了密码即为密码频道
+    const { name, display_name, icon, password } = req.body;
+    const access_mode = req.body.access_mode || (password ? 'protected' : 'public');
+    if (access_mode === 'protected' && !password) {
+        return res.status(400).json({ error: '密码频道必须设置访问密码' });
+    }
+    
+    try {
+        const channel = await db.createChannel({
+            name,
+            display_name,
+            icon,
+            access_mode,
+            password: access_mode === 'protected' ? await bcrypt.hash(password, 10) : null
+        });
+        if (!channel) {
+            return res.status(409).json({ error: 'Channel already exists' });
+        }
+        
+        logger.auditLog('channel_create', adminActor(req.admin), { channel: name });
+        res.status(201).json(formatChannel(channel));
+    } catch (error) {
+        console.error('创建频道失败:', error);
+        res.status(500).json({ error: 'Failed to create channel' });
+    }
+});
+
+// 管理员修改频道（重命名显示名称、更换图标、切换访问模式、归档/恢复、调整排序）
+app.put('/api/admin/channels/:channel', [
+    authenticateAdmin,
+    requireAdminPermission('channels.manage'),
+    body('display_name').optional().trim().isLength({ min: 1, max: 50 }),
+    body('icon').optional().trim().isLength({ min: 1, max: 10 }),
+    body('access_mode').optional().isIn(ACCESS_MODES),
+    body('password').optional({ checkFalsy: true }).isLength({ min: 4, max: 100 }),
+    body('is_archived').optional().isBoolean(),
+    body('sort_order').optional().isInt({ min: 0 })
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: '频道参数不正确' });
+    }
+    
+    try {
+        const { channel } = req.params;
+        const { display_name, icon, access_mode, password, is_archived, sort_order } = req.body;
+        
+        const existing = await db.getChannelByName(channel);
+        if (!existing) {
+            return res.status(404).json({ error: 'Channel not found' });
+        }
+        
+        // 切换为密码频道时必须已有密码或同时提供新密码
+        if (access_mode === 'protected' && !password && !existing.password) {
+            return res.status(400).json({ error: '密码频道必须设置访问密码' });
+        }
+        if (password) {
+            await db.updateChannelPassword(channel, await bcrypt.hash(password, 10));
+        }
+        
+        const updated = await db.updateChannel(channel, {
+            display_name,
+            icon,
+            access_mode,
+            is_archived: is_archived === undefined ? undefined : is_archived === true || is_archived === 'true',
+            sort_order: sort_order === undefined ? undefined : parseInt(sort_order)
+        });
+        if (!updated) {
+            return res.status(404).json({ error: 'Channel not found' });
+        }
+        
+        const channelInfo = formatChannel(updated);
+        await realtime.publish(`presence-${channel}`, 'channel-updated', channelInfo);
+        
+        logger.auditLog('channel_update', adminActor(req.admin), { channel, display_name, icon, access_mode, is_archived, sort_order });
+        res.json(channelInfo);
+    } catch (error) {
+        console.error('更新频道失败:', error);
+        res.status(500).json({ error: 'Failed to update channel' });
+    }
+});
+
+// 管理员删除频道（同时删除频道内的全部消息）
+app.delete('/api/admin/channels/:channel', authenticateAdmin, requireAdminPermission('channels.manage'), async (req, res) => {
+    try {
+        const { channel } = req.params;
+        const success = await db.deleteChannel(channel);
+        if (!success) {
+            return res.status(404).json({ error: 'Channel not found' });
+        }
+        
+        await realtime.publish(`presence-${channel}`, 'channel-deleted', { channel });
+        
+        logger.auditLog('channel_delete', adminActor(req.admin), { channel });
+        res.json({ success: true, message: 'Channel deleted successfully' });
+    } catch (error) {
+        console.error('删除频道失败:', error);
+        res.status(500).json({ error: 'Failed to delete channel' });
+    }
+});
+
+// ============ 频道邀请链接 ============
+
+// 邀请链接最长有效期（小时）和单个链接的使用次数上限
+const INVITE_MAX_EXPIRES_HOURS = 24 * 30;
+const INVITE_MAX_USES = 1000;
+const INVITE_CODE_PATTERN = /^[a-f0-9]{32}$/;
+
+// 对外返回的邀请链接信息
+function formatInvite(invite) {
+    return {
+        id: invite.id,
+        channel: invite.channel,
+        code: invite.code,
+        max_uses: invite.max_uses,
+        uses: invite.uses,
+        expires_at: invite.expires_at,
+        revoked_at: invite.revoked_at,
+        created_at: invite.created_at,
+        status: getInviteStatus(invite)
+    };
+}
+
+// 管理员获取频道的邀请链接
+app.get('/api/channel/:channel/invites', authenticateAdmin, requireAdminPermission('channels.moderate'), async (req, res) => {
+    try {
+        const { channel } = req.params;
+        const channelData = await db.getChannelByName(channel);
+        if (!channelData || !isRestrictedChannel(channelData)) {
+            return res.status(400).json({ error: 'Not a private channel' });
+        }
+        
+        const invites = await db.getChannelInvites(channel);
+        res.json(invites.map(formatInvite));
+    } catch (error) {
+        console.error('获取邀请链接失败:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 管理员创建邀请链接（默认 24 小时有效，不填使用次数则不限次数）
+app.post('/api/channel/:channel/invites', [
+    authenticateAdmin,
+    requireAdminPermission('channels.moderate'),
+    body('expiresInHours').optional().isInt({ min: 1, max: INVITE_MAX_EXPIRES_HOURS }),
+    body('maxUses').optional({ checkFalsy: true }).isInt({ min: 1, max: INVITE_MAX_USES })
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: '邀请参数不正确' });
+    }
+    
+    try {
+        const { channel } = req.params;
+        const channelData = await db.getChannelByName(channel);
+        if (!channelData || !isRestrictedChannel(channelData)) {
+            return res.status(400).json({ error: 'Not a private channel' });
+        }
+        
+        const expiresInHours = parseInt(req.body.expiresInHours) || 24;
+        const invite = await db.createChannelInvite({
+            channel,
+            code: crypto.randomBytes(16).toString('hex'),
+            max_uses: req.body.maxUses ? parseInt(req.body.maxUses) : null,
+            expires_at: new Date(Date.now() + expiresInHours * 60 * 60 * 1000).toISOString()
+        });
+        
+        logger.auditLog('channel_invite_create', adminActor(req.admin), {
+            channel,
+            inviteId: invite.id,
+            max_uses: invite.max_uses,
+            expires_at: invite.expires_at
+        });
+        res.status(201).json(formatInvite(invite));
+    } catch (error) {
+        console.error('创建邀请链接失败:', error);
+        res.status(500).json({ error: 'Failed to create invite' });
+    }
+});
+
+// 管理员撤销邀请链接
+app.delete('/api/channel/:channel/invites/:inviteId', authenticateAdmin, requireAdminPermission('channels.moderate'), async (req, res) => {
+    try {
+        const { channel, inviteId } = req.params;
+        const invite = await db.getChannelInviteById(parseInt(inviteId));
+        if (!invite || invite.channel !== channel) {
+            return res.status(404).json({ error: 'Invite not found' });
+        }
+        
+        const revoked = await db.revokeChannelInvite(invite.id);
+        
+        logger.auditLog('channel_invite_revoke', adminActor(req.admin), { channel, inviteId: invite.id });
+        res.json(formatInvite(revoked));
+    } catch (error) {
+        console.error('撤销邀请链接失败:', error);
+        res.status(500).json({ error: 'Failed to revoke invite' });
+    }
+});
+
+// 使用邀请链接加入频道
+app.post('/api/invites/:code/redeem', authenticateUser, requireUser, async (req, res) => {
+    try {
+        const { code } = req.params;
+        const invite = INVITE_CODE_PATTERN.test(code) ? await db.getChannelInviteByCode(code) : null;
+        const channelData = invite ? await db.getChannelByName(invite.channel) : null;
+        if (!channelData) {
+            return res.status(404).json({ error: 'Invite not found' });
+        }
+        
+        // 已经是成员时直接返回，不占用使用次数
+        if (await canAccessChannel(channelData, req.userId)) {
+            return res.json({ success: true, channel: formatChannel(channelData) });
+        }
+        
+        const redeemed = getInviteStatus(invite) === 'active' && await db.redeemChannelInvite(invite.id);
+        if (!redeemed) {
+            return res.status(410).json({ error: '邀请链接已失效' });
+        }
+        
+        await db.addChannelMember(invite.channel, req.userId);
+        
+        logger.auditLog('channel_invite_redeem', req.userId, { channel: invite.channel, inviteId: invite.id });
+        res.json({ success: true, channel: formatChannel(channelData) });
+    } catch (error) {
+        console.error('使用邀请链接失败:', error);
+        res.status(500).json({ error: 'Failed to redeem invite' });
+    }
+});
+
+// ============ 注册邀请码 ============
+
+// 邀请码为 16 位十六进制字符，方便手动输入
+const REGISTRATION_INVITE_CODE_PATTERN = /^[a-f0-9]{16}$/;
+
+// 按用户输入查找注册邀请码（忽略大小写和首尾空格）
+async function findRegistrationInvite(inputCode) {
+    const code = typeof inputCode === 'string' ? inputCode.trim().toLowerCase() : '';
+    return REGISTRATION_INVITE_CODE_PATTERN.test(code) ? db.getRegistrationInviteByCode(code) : null;
+}
+
+// 对外返回的注册邀请码信息，附带通过该邀请码注册的用户
+async function formatRegistrationInvite(invite) {
+    const redemptions = await db.getRegistrationInviteRedemptions(invite.id);
+    const redeemedBy = await Promise.all(redemptions.map(async (redemption) => {
+        const user = await db.getUserById(redemption.user_id);
+        return {
+            user_id: redemption.user_id,
+            username: user ? user.username : null,
+            redeemed_at: redemption.created_at
+        };
+    }));
+    
+    return {
+        id: invite.id,
+        code: invite.code,
+        note: invite.note,
+        max_uses: invite.max_uses,
+        uses: invite.uses,
+        expires_at: invite.expires_at,
+        created_by: invite.created_by,
+        revoked_at: invite.revoked_at,
+        created_at: invite.created_at,
+        status: getInviteStatus(invite),
+        redeemed_by: redeemedBy
+    };
+}
+
+// 管理员获取注册邀请码及使用情况
+app.get('/api/admin/registration-invites', authenticateAdmin, requireAdminPermission('users.manage'), async (req, res) => {
+    try {
+        const invites = await db.getRegistrationInvites();
+        res.json({
+            mode: REGISTRATION_MODE,
+            invites: await Promise.all(invites.map(formatRegistrationInvite))
+        });
+    } catch (error) {
+        console.error('获取注册邀请码失败:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 管理员创建注册邀请码（默认 7 天有效，不填使用次数则不限次数）
+app.post('/api/admin/registration-invites', [
+    authenticateAdmin,
+    requireAdminPermission('users.manage'),
+    body('expiresInHours').optional().isInt({ min: 1, max: INVITE_MAX_EXPIRES_HOURS }),
+    body('maxUses').optional({ checkFalsy: true }).isInt({ min: 1, max: INVITE_MAX_USES }),
+    body('note').optional().trim().isLength({ max: 100 })
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: '邀请码参数不正确' });
+    }
+    
+    try {
+        const expiresInHours = parseInt(req.body.expiresInHours) || 24 * 7;
+        const invite = await db.createRegistrationInvite({
+            code: crypto.randomBytes(8).toString('hex'),
+            note: req.body.note ? xssProtection.sanitizeText(req.body.note) : null,
+            max_uses: req.body.maxUses ? parseInt(req.body.maxUses) : null,
+            expires_at: new Date(Date.now() + expiresInHours * 60 * 60 * 1000).toISOString(),
+            created_by: req.admin.username
+        });
+        
+        logger.auditLog('registration_invite_create', adminActor(req.admin), {
+            inviteId: invite.id,
+            max_uses: invite.max_uses,
+            expires_at: invite.expires_at
+        });
+        res.status(201).json(await formatRegistrationInvite(invite));
+    } catch (error) {
+        console.error('创建注册邀请码失败:', error);
+        res.status(500).json({ error: 'Failed to create invite' });
+    }
+});
+
+// 管理员撤销注册邀请码
+app.delete('/api/admin/registration-invites/:inviteId', authenticateAdmin, requireAdminPermission('users.manage'), async (req, res) => {
+    try {
+        const invite = await db.getRegistrationInviteById(parseInt(req.params.inviteId));
+        if (!invite) {
+            return res.status(404).json({ error: 'Invite not found' });
+        }
+        
+        const revoked = await db.revokeRegistrationInvite(invite.id);
+        
+        logger.auditLog('registration_invite_revoke', adminActor(req.admin), { inviteId: invite.id });
+        res.json(await formatRegistrationInvite(revoked));
+    } catch (error) {
+        console.error('撤销注册邀请码失败:', error);
+        res.status(500).json({ error: 'Failed to revoke invite' });
+    }
+});
+
+// ============ 频道角色与管理 ============
+
+// 每个频道最多置顶的消息数
+const MAX_PINNED_MESSAGES = 50;
+// 慢速模式最长间隔（秒）
+const MAX_SLOW_MODE_SECONDS = 3600;
+
+// 获取频道中的 owner/moderator 列表（未列出的成员均为 member）
+app.get('/api/channel/:channel/roles', authenticateUser, async (req, res) => {
+    try {
+        const { channel } = req.params;
+        const channelData = await db.getChannelByName(channel);
+        if (!channelData) {
+            return res.status(404).json({ error: 'Channel not found' });
+        }
+        if (!(await canAccessChannel(channelData, req.userId))) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+        
+        const roles = await db.getChannelRoles(channel);
+        const result = await Promise.all(roles.map(async ({ user_id, role }) => {
+            const user = await db.getUserById(user_id);
+            return user ? { user_id, username: user.username, nickname: user.nickname || user.username, role } : null;
+        }));
+        
+        res.json(result.filter(entry => entry !== null));
+    } catch (error) {
+        console.error('获取频道角色失败:', error);
+        res.status(500).json({ error: 'Failed to get channel roles' });
+    }
+});
+
+// 设置成员角色（频道所有者可任命或撤销版主，只有管理员可以变更所有者）
+app.put('/api/channel/:channel/roles/:userId', [
+    requireChannelRole('owner'),
+    body('role').isIn(CHANNEL_ROLES)
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: '角色不正确' });
+    }
+    
+    try {
+        const { channel } = req.params;
+        const { role } = req.body;
+        const targetUserId = parseInt(req.params.userId);
+        
+        const user = await db.getUserById(targetUserId);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        const currentRole = await db.getChannelRole(channel, targetUserId);
+        if (!req.isAdmin && (role === 'owner' || currentRole === 'owner')) {
+            return res.status(403).json({ error: 'Insufficient channel role' });
+        }
+        
+        await db.setChannelRole(channel, targetUserId, role);
+        
+        logger.auditLog('channel_role_update', req.isAdmin ? adminActor(req.admin) : req.userId, {
+            channel,
+            userId: targetUserId,
+            from: currentRole,
+            to: role
+        });
+        await realtime.publish(`presence-${channel}`, 'roles-updated', { channel, userId: targetUserId, role });
+        res.json({ user_id: targetUserId, username: user.username, role });
+    } catch (error) {
+        console.error('设置频道角色失败:', error);
+        res.status(500).json({ error: 'Failed to update channel role' });
+    }
+});
+
+// 版主删除频道内的消息（不能删除同级或更高角色成员的消息）
+app.delete('/api/channel/:channel/messages/:messageId', requireChannelRole('moderator'), async (req, res) => {
+    try {
+        const { channel } = req.params;
+        const message = await db.getMessageById(parseInt(req.params.messageId));
+        if (!message || message.channel !== channel) {
+            return res.status(404).json({ error: 'Message not found' });
+        }
+        
+        // 版主只能删除角色低于自己的成员发送的消息
+        const authorRole = await db.getChannelRole(channel, message.user_id);
+        if (!req.isAdmin && message.user_id !== req.userId && hasChannelRole(authorRole, req.channelRole)) {
+            return res.status(403).json({ error: 'Insufficient channel role' });
+        }
+        
+        await db.deleteMessage(message.id);
+        
+        logger.auditLog('message_delete', req.isAdmin ? adminActor(req.admin) : req.userId, {
+            channel,
+            messageId: message.id,
+            authorId: message.user_id,
+            content: message.content
+        });
+        await realtime.publish(`presence-${channel}`, 'message-deleted', { messageId: message.id, channel });
+        res.json({ success: true });
+    } catch (error) {
+        console.error('删除消息失败:', error);
+        res.status(500).json({ error: 'Failed to delete message' });
+    }
+});
+
+// 获取频道置顶消息
+app.get('/api/channel/:channel/pins', authenticateUser, async (req, res) => {
+    try {
+        const { channel } = req.params;
+        const channelData = await db.getChannelByName(channel);
+        if (!channelData) {
+            return res.status(404).json({ error: 'Channel not found' });
+        }
+        if (!(await canAccessChannel(channelData, req.userId))) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+        
+        const pinned = (await db.getPinnedMessages(channel))
+            .filter(msg => !msg.is_recalled && !msg.is_blocked);
+        const result = await Promise.all(pinned.map(async msg => {
+            const user = await db.getUserById(msg.user_id);
+            return {
+                id: msg.id,
+                user_id: msg.user_id,
+                username: user?.username || 'Unknown',
+                nickname: user?.nickname || user?.username || 'Unknown',
+                content: msg.content,
+                image: msg.image,
+                voice: msg.voice,
+                created_at: msg.created_at,
+                pinned_at: msg.pinned_at,
+                pinned_by: msg.pinned_by
+            };
+        }));
+        
+        res.json(result);
+    } catch (error) {
+        console.error('获取置顶消息失败:', error);
+        res.status(500).json({ error: 'Failed to get pinned messages' });
+    }
+});
+
+// 置顶消息
+app.post('/api/channel/:channel/pins', [
+    requireChannelRole('moderator'),
+    body('messageId').isInt({ min: 1 })
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: '输入格式不正确' });
+    }
+    
+    try {
+        const { channel } = req.params;
+        const message = await db.getMessageById(parseInt(req.body.messageId));
+        if (!message || message.channel !== channel || message.is_recalled || message.is_blocked) {
+            return res.status(404).json({ error: 'Message not found' });
+        }
+        if (message.is_pinned) {
+            return res.json({ success: true, messageId: message.id });
+        }
+        
+        const pinned = await db.getPinnedMessages(channel);
+        if (pinned.length >= MAX_PINNED_MESSAGES) {
+            return res.status(400).json({ error: `每个频道最多置顶 ${MAX_PINNED_MESSAGES} 条消息` });
+        }
+        
+        const pinnedBy = req.isAdmin ? null : parseInt(req.userId);
+        await db.updateMessage(message.id, {
+            is_pinned: true,
+            pinned_at: new Date().toISOString(),
+            pinned_by: pinnedBy
+        });
+        
+        logger.auditLog('message_pin', req.isAdmin ? adminActor(req.admin) : req.userId, { channel, messageId: message.id });
+        await realtime.publish(`presence-${channel}`, 'message-pinned', { messageId: message.id, channel, pinned_by: pinnedBy });
+        res.json({ success: true, messageId: message.id });
+    } catch (error) {
+        console.error('置顶消息失败:', error);
+        res.status(500).json({ error: 'Failed to pin message' });
+    }
+});
+
+// 取消置顶
+app.delete('/api/channel/:channel/pins/:messageId', requireChannelRole('moderator'), async (req, res) => {
+    try {
+        const { channel } = req.params;
+        const message = await db.getMessageById(parseInt(req.params.messageId));
+        if (!message || message.channel !== channel || !message.is_pinned) {
+            return res.status(404).json({ error: 'Pinned message not found' });
+        }
+        
+        await db.updateMessage(message.id, {
+            is_pinned: false,
+            pinned_at: null,
+            pinned_by: null
+        });
+        
+        logger.auditLog('message_unpin', req.isAdmin ? adminActor(req.admin) : req.userId, { channel, messageId: message.id });
+        await realtime.publish(`presence-${channel}`, 'message-unpinned', { messageId: message.id, channel });
+        res.json({ success: true });
+    } catch (error) {
+        console.error('取消置顶失败:', error);
+        res.status(500).json({ error: 'Failed to unpin message' });
+    }
+});
+
+// 设置慢速模式（0 表示关闭）
+app.put('/api/channel/:channel/slow-mode', [
+    requireChannelRole('moderator'),
+    body('seconds').isInt({ min: 0, max: MAX_SLOW_MODE_SECONDS })
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: `慢速模式间隔需在 0-${MAX_SLOW_MODE_SECONDS} 秒之间` });
+    }
+    
+    try {
+        const { channel } = req.params;
+        const seconds = parseInt(req.body.seconds);
+        const updated = await db.updateChannel(channel, { slow_mode_seconds: seconds });
+        const channelInfo = formatChannel(updated);
+        
+        logger.auditLog('channel_slow_mode', req.isAdmin ? adminActor(req.admin) : req.userId, { channel, seconds });
+        await realtime.publish(`presence-${channel}`, 'channel-updated', channelInfo);
+        res.json(channelInfo);
+    } catch (error) {
+        console.error('设置慢速模式失败:', error);
+        res.status(500).json({ error: 'Failed to update slow mode' });
+    }
+});
+
+// 计算慢速模式下还需等待的秒数（版主和所有者不受限制）
+async function getSlowModeWait(channelData, userId) {
+    const interval = channelData.slow_mode_seconds || 0;
+    if (!interval || !userId) return 0;
+    
+    const role = await db.getChannelRole(channelData.name, userId);
+    if (hasChannelRole(role, 'moderator')) return 0;
+    
+    const lastMessage = await db.getLatestMessageByUser(channelData.name, userId);
+    if (!lastMessage) return 0;
+    
+    const elapsed = (Date.now() - new Date(lastMessage.created_at).getTime()) / 1000;
+    return elapsed < interval ? Math.ceil(interval - elapsed) : 0;
+}
+
+app.get('/api/profile/:userId', async (req, res) => {
+    const { userId } = req.params;
+    
+    const user = await db.getUserById(userId);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    const userProfile = {
+        id: user.id,
+        username: user.username,
+        nickname: user.nickname || user.username,
+        avatar: user.avatar,
+        bio: user.bio,
+        gender: user.gender,
+        email: user.email,
+        email_verified: !!user.email_verified,
+        created_at: user.created_at
+    };
+    
+    res.json(userProfile);
+});
+app.put('/api/profile/:userId', [
+    authenticateUser,
+    requireUser,
+    requireSelf,
+    body('bio').optional().trim().isLength({ max: 200 }),
+    body('gender').optional().isIn(['male', 'female', 'other']),
+    body('email').optional().isEmail().normalizeEmail(),
+    body('nickname').optional().trim().isLength({ max: 30 })
+], async (req, res) => {
+    const userId = parseInt(req.userId);
+    
+    // 验证输入
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: '输入格式不正确' });
+    }
+    
+    // XSS 清理
+    const bio = req.body.bio ? xssProtection.sanitizeText(req.body.bio) : null;
+    const gender = req.body.gender;
+    const email = req.body.email ? xssProtection.sanitizeEmail(req.body.email) : null;
+    const nickname = req.body.nickname ? xssProtection.sanitizeText(req.body.nickname) : null;
+    
+    if (email) {
+        const existingUser = await db.getUserByEmail(email);
+        if (existingUser && existingUser.id != userId) {
+            return res.status(400).json({ error: 'Email already exists' });
+        }
+    }
+    // 修改邮箱后需要重新验证
+    const currentUser = await db.getUserById(userId);
+    if (!currentUser) return res.status(404).json({ error: 'User not found' });
+    const emailChanged = (currentUser.email || null) !== email;
+    const updates = { bio, gender, email, nickname };
+    if (emailChanged) {
+        updates.email_verified = false;
+    }
+    const updatedUser = await db.updateUser(userId, updates);
+    if (!updatedUser) return res.status(404).json({ error: 'User not found' });
+    if (emailChanged) {
+        await sendVerificationEmailSafely(updatedUser);
+    }
+    res.json({ success: true, emailVerified: !!updatedUser.email_verified });
+});
+// 验证邮箱：凭邮件中的令牌确认邮箱（不需要登录，在哪个浏览器打开链接都可以）
+app.post('/api/verify-email', [
+    body('token').isString().notEmpty()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: '验证链接无效或已过期', code: 'INVALID_VERIFICATION_TOKEN' });
+    }
+    
+    try {
+        const user = await emailVerification.verifyVerificationToken(req.body.token);
+        if (!user) {
+            return res.status(400).json({ error: '验证链接无效或已过期', code: 'INVALID_VERIFICATION_TOKEN' });
+        }
+        
+        if (!user.email_verified) {
+            await db.updateUser(user.id, { email_verified: true });
+            logger.auditLog('email_verified', user.id, { email: user.email });
+        }
+        res.json({ success: true, message: '邮箱验证成功' });
+    } catch (error) {
+        console.error('验证邮箱失败:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+// 重新发送验证邮件
+app.post('/api/resend-verification', [
+    securityMiddleware.emailVerificationLimiter, // 验证邮件发送速率限制
+    authenticateUser,
+    requireUser
+], async (req, res) => {
+    try {
+        const user = await db.getUserById(req.userId);
+        if (!user.email) {
+            return res.status(400).json({ error: '请先在个人资料中填写邮箱' });
+        }
+        if (user.email_verified) {
+            return res.status(400).json({ error: '邮箱已验证' });
+        }
+        if (!mailer.canSendLinkEmails()) {
+            return res.status(503).json({ error: '邮件服务未配置，暂时无法发送验证邮件' });
+        }
+        
+        await emailVerification.sendVerificationEmail(user);
+        logger.auditLog('email_verification_sent', user.id, { email: user.email, resend: true });
+        res.json({ success: true, message: '验证邮件已发送' });
+    } catch (error) {
+        console.error('发送验证邮件失败:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+app.post('/api/change-password', authenticateUser, requireUser, async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+    const userId = parseInt(req.userId);
+    
+    try {
+        const user = await db.getUserById(userId);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        const match = await bcrypt.compare(currentPassword, user.password);
+        if (!match) {
+            return res.status(401).json({ error: 'Current password is incorrect', success: false });
+        }
+        const hashedPassword = await bcrypt.hash(newPassword, 10);
+        const updatedUser = await db.updateUser(userId, { password: hashedPassword });
+        if (!updatedUser) {
+            return res.status(500).json({ error: 'Failed to update password', success: false });
+        }
+        
+        // 修改密码后其他设备全部下线，并为当前会话签发新令牌
+        const revokedSessions = await revokeAllUserTokens(userId, req.sessionId);
+        const refreshedUser = await db.getUserById(userId);
+        const { token, refreshToken } = req.sessionId
+            ? await issueTokenPair(refreshedUser, req.sessionId)
+            : await startSession(refreshedUser, req);
+        logger.auditLog('user_password_change', userId, { revokedSessions });
+        
+        res.json({ success: true, message: 'Password updated successfully', token, refreshToken });
+    } catch (error) {
+        res.status(500).json({ error: 'Server error', success: false });
+    }
+});
+// 忘记密码：向注册邮箱发送重置链接（无论邮箱是否存在都返回相同结果，避免被用来探测账号）
+app.post('/api/forgot-password', [
+    securityMiddleware.passwordResetLimiter, // 找回密码速率限制
+    body('email').isEmail().normalizeEmail()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: '请输入有效的邮箱地址' });
+    }
+    
+    // 未配置 APP_URL 时不能生成重置链接，在查询账号之前返回，避免不同的结果暴露邮箱是否已注册
+    if (!mailer.canSendLinkEmails()) {
+        return res.status(503).json({ error: '邮件服务未配置，暂时无法找回密码' });
+    }
+    
+    try {
+        const email = xssProtection.sanitizeEmail(req.body.email);
+        const user = await db.getUserByEmail(email);
+        if (user) {
+            await passwordReset.sendResetEmail(user);
+        }
+        logger.auditLog('password_reset_request', user ? user.id : null, { email, matched: !!user });
+        res.json({ success: true, message: '如果该邮箱已注册，重置密码的链接已发送到邮箱' });
+    } catch (error) {
+        console.error('发送重置密码邮件失败:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+// 重置密码：凭邮件中的令牌设置新密码，令牌只能使用一次，成功后所有设备下线
+app.post('/api/reset-password', [
+    securityMiddleware.passwordResetLimiter, // 找回密码速率限制
+    body('token').isString().notEmpty(),
+    body('newPassword').isString().isLength({ min: 6, max: 50 })
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: '新密码长度应为 6-50 个字符' });
+    }
+    
+    try {
+        const user = await passwordReset.consumeResetToken(req.body.token);
+        if (!user) {
+            return res.status(400).json({ error: '重置链接无效或已过期', code: 'INVALID_RESET_TOKEN' });
+        }
+        
+        const hashedPassword = await bcrypt.hash(req.body.newPassword, 10);
+        await db.updateUser(user.id, { password: hashedPassword });
+        const revokedSessions = await revokeAllUserTokens(user.id);
+        logger.auditLog('password_reset', user.id, { revokedSessions });
+        
+        res.json({ success: true, message: '密码已重置，请使用新密码登录' });
+    } catch (error) {
+        console.error('重置密码失败:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.post('/api/upload/avatar', [
+    authenticateUser,
+    requireUser,
+    requireVerifiedEmail,
+    upload.single('avatar')
+], async (req, res) => {
+    const userId = parseInt(req.userId);
+    
+    if (!req.file) {
+        return res.status(400).json({ error: 'File is required' });
+    }
+    
+    try {
+        // 文件安全验证
+        const allowedMimeTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'];
+        if (!allowedMimeTypes.includes(req.file.mimetype)) {
+            fs.unlinkSync(req.file.path);
+            return res.status(400).json({ error: '不支持的图片格式' });
+        }
+        
+        // 检查文件大小
+        if (req.file.size > 5 * 1024 * 1024) { // 5MB
+            fs.unlinkSync(req.file.path);
+            return res.status(400).json({ error: '图片大小不能超过 5MB' });
+        }
+        
+        const originalExt = path.extname(req.file.originalname).toLowerCase();
+        const isGif = originalExt === '.gif';
+        
+        const optimizedPath = path.join(__dirname, '..', 'public', 'uploads', 'optimized-' + req.file.filename);
+        const sharpInstance = sharp(req.file.path)
+            .resize(200, 200, { fit: 'cover' });
+        
         if (isGif) {
             await sharpInstance.toFile(optimizedPath);
         } else {
@@ -556,6 +1986,9 @@ app.post('/api/upload/avatar', upload.single('avatar'), async (req, res) => {
 
 app.post('/api/upload/image', [
     securityMiddleware.uploadLimiter, // 上传速率限制
+    authenticateUser,
+    requireUser,
+    requireVerifiedEmail,
     upload.single('image')
 ], async (req, res) => {
     if (!req.file) {
@@ -617,7 +2050,8 @@ app.post('/api/upload/image', [
 
 app.get('/api/admin/logs/list', [
     securityMiddleware.adminLimiter, // 管理员操作限制
-    authenticateAdmin
+    authenticateAdmin,
+    requireAdminPermission('logs.read')
 ], (req, res) => {
     const fs = require('fs');
     const path = require('path');
@@ -647,7 +2081,8 @@ app.get('/api/admin/logs/list', [
 
 app.get('/api/admin/logs/content/:filename', [
     securityMiddleware.adminLimiter, // 管理员操作限制
-    authenticateAdmin
+    authenticateAdmin,
+    requireAdminPermission('logs.read')
 ], (req, res) => {
     const fs = require('fs');
     const path = require('path');
@@ -699,6 +2134,9 @@ app.get('/api/admin/logs/content/:filename', [
 
 app.post('/api/upload/voice', [
     securityMiddleware.uploadLimiter, // 上传速率限制
+    authenticateUser,
+    requireUser,
+    requireVerifiedEmail,
     upload.single('voice')
 ], async (req, res) => {
     if (!req.file) {
@@ -741,30 +2179,126 @@ app.post('/api/upload/voice', [
     }
 });
 
-app.get('/api/messages/:channel', authenticateUser, async (req, res) => {
+// 将表情回应记录聚合为 [{ emoji, count, users: [{ id, nickname }] }]，按首次回应的顺序排列
+async function summarizeReactions(reactions, userCache = new Map()) {
+    const summary = new Map();
+    
+    for (const reaction of reactions) {
+        let user = userCache.get(reaction.user_id);
+        if (!user) {
+            user = await db.getUserById(reaction.user_id);
+            if (user) userCache.set(reaction.user_id, user);
+        }
+        
+        if (!summary.has(reaction.emoji)) {
+            summary.set(reaction.emoji, { emoji: reaction.emoji, count: 0, users: [] });
+        }
+        const entry = summary.get(reaction.emoji);
+        entry.count++;
+        entry.users.push({
+            id: reaction.user_id,
+            nickname: user?.nickname || user?.username || 'Unknown'
+        });
+    }
+    
+    return Array.from(summary.values());
+}
+
+// 将 @提及记录转换为 [{ user_id, username }]，前端据此高亮消息中的 @用户名
+async function summarizeMentions(mentions, userCache = new Map()) {
+    const result = [];
+    
+    for (const mention of mentions) {
+        let user = userCache.get(mention.user_id);
+        if (!user) {
+            user = await db.getUserById(mention.user_id);
+            if (user) userCache.set(mention.user_id, user);
+        }
+        if (user) {
+            result.push({ user_id: user.id, username: user.username });
+        }
+    }
+    
+    return result;
+}
+
+// 解析消息中 @提及 的用户：忽略不存在的用户和发送者本人，私有频道只通知频道成员
+async function resolveMentions(content, authorId, channel) {
+    const usernames = extractMentions(content);
+    if (usernames.length === 0) return [];
+    
+    const channelInfo = await db.getChannelByName(channel);
+    const mentioned = [];
+    
+    for (const username of usernames) {
+        const user = await db.getUserByUsername(username);
+        if (!user || user.id === authorId) continue;
+        if (!(await canAccessChannel(channelInfo, user.id))) continue;
+        mentioned.push(user);
+    }
+    
+    return mentioned;
+}
+
+app.get('/api/messages/:channel', [
+    authenticateUser,
+    query('before').optional().isInt({ min: 1 }),
+    query('after').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1 })
+], async (req, res) => {
     const { channel } = req.params;
-    const { limit = 100 } = req.query; // 默认只加载最近 100 条消息
     
-    if (!CHANNELS.includes(channel)) {
+    const channelData = await db.getChannelByName(channel);
+    if (!channelData) {
         return res.status(400).json({ error: 'Invalid channel' });
     }
     
-    let messages = await db.getMessagesByChannel(channel);
+    if (!(await canAccessChannel(channelData, req.userId))) {
+        return res.status(403).json({ error: 'Access denied' });
+    }
     
-    if (req.userId) {
-        messages = messages.filter(msg => {
-            return !msg.is_blocked || msg.user_id === parseInt(req.userId);
-        });
-    } else {
-        messages = messages.filter(msg => !msg.is_blocked);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: '分页参数不正确' });
     }
     
-    // 只返回最近的消息
-    messages = messages.slice(-parseInt(limit));
+    // 游标分页：before 加载更早的历史，after 补齐更新的消息
+    const { before, after } = req.query;
+    const limit = Math.min(
+        parseInt(req.query.limit) || config.MESSAGE_PAGE.DEFAULT_LIMIT,
+        config.MESSAGE_PAGE.MAX_LIMIT
+    );
+    
+    const messages = await db.getMessagesPage(channel, {
+        before: before ? parseInt(before) : null,
+        after: after ? parseInt(after) : null,
+        limit,
+        viewerId: req.userId
+    });
     
     // 用户信息缓存
     const userCache = new Map();
     
+    // 批量获取表情回应并按消息分组
+    const reactionsByMessage = new Map();
+    const reactions = await db.getReactionsByMessageIds(messages.map(msg => msg.id));
+    for (const reaction of reactions) {
+        if (!reactionsByMessage.has(reaction.message_id)) {
+            reactionsByMessage.set(reaction.message_id, []);
+        }
+        reactionsByMessage.get(reaction.message_id).push(reaction);
+    }
+    
+    // 批量获取 @提及并按消息分组
+    const mentionsByMessage = new Map();
+    const mentions = await db.getMentionsByMessageIds(messages.map(msg => msg.id));
+    for (const mention of mentions) {
+        if (!mentionsByMessage.has(mention.message_id)) {
+            mentionsByMessage.set(mention.message_id, []);
+        }
+        mentionsByMessage.get(mention.message_id).push(mention);
+    }
+    
     const messagesWithUserInfo = await Promise.all(messages.map(async msg => {
         // 使用缓存避免重复查询
         let user = userCache.get(msg.user_id);
@@ -778,11 +2312,13 @@ app.get('/api/messages/:channel', authenticateUser, async (req, res) => {
             username: user?.username || 'Unknown',
             nickname: user?.nickname || user?.username || 'Unknown',
             avatar: user?.avatar || 'images/default.png',
-            reply_info: null
+            reply_info: null,
+            reactions: await summarizeReactions(reactionsByMessage.get(msg.id) || [], userCache),
+            mentions: await summarizeMentions(mentionsByMessage.get(msg.id) || [], userCache)
         };
         
         if (msg.reply_to) {
-            const repliedMessage = await db.getMessageById(msg.reply_to);
+            const repliedMessage = await getVisibleRepliedMessage(msg, req.userId);
             if (repliedMessage) {
                 let repliedUser = userCache.get(repliedMessage.user_id);
                 if (!repliedUser) {
@@ -824,6 +2360,7 @@ app.get('/api/profile/:userId', async (req, res) => {
         bio: user.bio,
         gender: user.gender,
         email: user.email,
+        email_verified: !!user.email_verified,
         created_at: user.created_at
     };
         
@@ -835,20 +2372,100 @@ app.get('/api/profile/:userId', async (req, res) => {
 
 // ============ Pusher API 端点 ============
 
-// 获取 Pusher 配置（只返回公开的 Key 和 Cluster）
+// 获取实时消息配置（Pusher 只返回公开的 Key 和 Cluster）
 app.get('/api/pusher/config', (req, res) => {
     res.json({
+        transport: config.REALTIME.TRANSPORT,
+        path: config.REALTIME.WS_PATH,
         key: process.env.PUSHER_KEY || 'your-key',
         cluster: process.env.PUSHER_CLUSTER || 'ap3'
     });
 });
 
+// 离线发件箱生成的消息 ID（客户端重试时保持不变，用于去重）
+const CLIENT_MESSAGE_ID_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+
+// 回复的消息 ID 必须是正整数（数字或数字字符串），否则部分数据库会因外键约束保存失败
+const REPLY_TO_PATTERN = /^[1-9]\d{0,9}$/;
+
+function isValidReplyTo(value) {
+    return (typeof value === 'number' || typeof value === 'string') && REPLY_TO_PATTERN.test(String(value));
+}
+
+// 回复的原消息：原消息和回复不在同一频道时，只有查看者能访问原消息所在的频道才返回
+// （viewerId 为空表示推送给频道内所有人，只返回公开频道中的原消息）
+async function getVisibleRepliedMessage(message, viewerId) {
+    const repliedMessage = await db.getMessageById(message.reply_to);
+    if (!repliedMessage) return null;
+    if (repliedMessage.channel === message.channel) return repliedMessage;
+    
+    const channelData = await db.getChannelByName(repliedMessage.channel);
+    return (await canAccessChannel(channelData, viewerId)) ? repliedMessage : null;
+}
+
+// 发送消息接口返回和推送的消息数据（mentions 为 [{ user_id, username }]）
+async function formatSentMessage(message, user, mentions) {
+    const messageData = {
+        id: message.id,
+        client_id: message.client_id || null,
+        user_id: message.user_id,
+        channel: message.channel,
+        content: message.content,
+        image: message.image,
+        voice: message.voice,
+        created_at: message.created_at,
+        username: user.username,
+        nickname: user.nickname || user.username,
+        avatar: user.avatar,
+        reply_to: message.reply_to,
+        reply_info: null,
+        is_blocked: message.is_blocked,
+        blocked_at: message.blocked_at,
+        mentions
+    };
+    
+    if (message.reply_to) {
+        const repliedMessage = await getVisibleRepliedMessage(message, null);
+        if (repliedMessage) {
+            const repliedUser = await db.getUserById(repliedMessage.user_id);
+            messageData.reply_info = {
+                message_id: repliedMessage.id,
+                username: repliedUser?.username || 'Unknown',
+                nickname: repliedUser?.nickname || repliedUser?.username || 'Unknown',
+                content: repliedMessage.content,
+                image: repliedMessage.image,
+                is_blocked: repliedMessage.is_blocked
+            };
+        }
+    }
+    
+    return messageData;
+}
+
+// 查找用户已用该 client_id 发送过的消息：重复提交时按原样返回，不再保存和推送
+async function findSentMessageByClientId(userId, clientId) {
+    const message = await db.getMessageByClientId(userId, clientId);
+    if (!message) return null;
+    
+    const user = await db.getUserById(userId);
+    const mentions = await summarizeMentions(await db.getMentionsByMessageIds([message.id]));
+    return formatSentMessage(message, user, mentions);
+}
+
 // 发送消息 API（替代 Socket.IO 的 sendMessage 事件）
 app.post('/api/pusher/send-message', [
     securityMiddleware.messageLimiter, // 消息速率限制
     authenticateUser,
+    requireUser,
+    requireVerifiedEmail,
     body('content').optional().trim().isLength({ max: 5000 }),
-    body('channel').notEmpty().isIn(CHANNELS)
+    body('client_id').optional().isString().matches(CLIENT_MESSAGE_ID_PATTERN),
+    body('reply_to').optional({ nullable: true }).custom(isValidReplyTo),
+    body('channel').notEmpty().custom(async (name) => {
+        if (!(await getWritableChannel(name))) {
+            throw new Error('Invalid channel');
+        }
+    })
 ], async (req, res) => {
     try {
         // 验证输入
@@ -857,7 +2474,40 @@ app.post('/api/pusher/send-message', [
             return res.status(400).json({ error: '输入格式不正确' });
         }
         
-        const { userId, channel, image, voice, reply_to } = req.body;
+        // 发送者只取自令牌，忽略请求体中的 userId
+        const userId = parseInt(req.userId);
+        const { channel, image, voice, reply_to } = req.body;
+        
+        const channelData = await db.getChannelByName(channel);
+        if (!(await canAccessChannel(channelData, userId))) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+        
+        // 只能回复同一频道中的消息，避免通过回复读取其他频道的内容
+        const replyTo = reply_to === undefined || reply_to === null ? null : parseInt(reply_to);
+        if (replyTo) {
+            const repliedMessage = await db.getMessageById(replyTo);
+            if (!repliedMessage || repliedMessage.channel !== channel) {
+                return res.status(400).json({ error: '回复的消息不存在' });
+            }
+        }
+        
+        // 离线发件箱重试时会携带相同的 client_id，已保存过的消息直接返回
+        const clientId = req.body.client_id || null;
+        if (clientId) {
+            const duplicate = await findSentMessageByClientId(userId, clientId);
+            if (duplicate) {
+                return res.json({ success: true, duplicate: true, message: duplicate });
+            }
+        }
+        
+        const slowModeWait = await getSlowModeWait(channelData, userId);
+        if (slowModeWait > 0) {
+            return res.status(429).json({
+                error: `慢速模式已开启，请在 ${slowModeWait} 秒后再发送`,
+                retryAfter: slowModeWait
+            });
+        }
         
         // XSS 清理内容
         const content = req.body.content ? xssProtection.sanitizeText(req.body.content) : null;
@@ -868,7 +2518,7 @@ app.post('/api/pusher/send-message', [
         logger.chatLog(channel, userId, content, messageType, {
             image,
             voice,
-            reply_to,
+            reply_to: replyTo,
             is_blocked: containsBadWords
         });
         
@@ -880,58 +2530,47 @@ app.post('/api/pusher/send-message', [
             });
         }
         
-        const newMessage = await db.insertMessage({
-            user_id: userId,
-            channel,
-            content,
-            image,
-            voice,
-            reply_to,
-            is_blocked: containsBadWords
-        });
+        let newMessage;
+        try {
+            newMessage = await db.insertMessage({
+                user_id: userId,
+                channel,
+                content,
+                image,
+                voice,
+                reply_to: replyTo,
+                client_id: clientId,
+                is_blocked: containsBadWords
+            });
+        } catch (error) {
+            // 同一 client_id 的请求同时到达时只有一条能保存成功，其余按重复提交处理
+            const duplicate = clientId ? await findSentMessageByClientId(userId, clientId) : null;
+            if (!duplicate) throw error;
+            return res.json({ success: true, duplicate: true, message: duplicate });
+        }
         
         const user = await db.getUserById(userId);
         if (!user) {
-            return res.status(404).json({ error: 'User not found' });
-        }
-        
-        const messageData = {
-            id: newMessage.id,
-            user_id: userId,
-            channel: channel,
-            content: content,
-            image: image,
-            voice: newMessage.voice,
-            created_at: newMessage.created_at,
-            username: user.username,
-            nickname: user.nickname || user.username,
-            avatar: user.avatar,
-            reply_to: newMessage.reply_to,
-            reply_info: null,
-            is_blocked: newMessage.is_blocked,
-            blocked_at: newMessage.blocked_at
-        };
-        
-        if (newMessage.reply_to) {
-            const repliedMessage = await db.getMessageById(newMessage.reply_to);
-            if (repliedMessage) {
-                const repliedUser = await db.getUserById(repliedMessage.user_id);
-                messageData.reply_info = {
-                    message_id: repliedMessage.id,
-                    username: repliedUser?.username || 'Unknown',
-                    nickname: repliedUser?.nickname || repliedUser?.username || 'Unknown',
-                    content: repliedMessage.content,
-                    image: repliedMessage.image,
-                    is_blocked: repliedMessage.is_blocked
-                };
-            }
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        // 解析 @提及（被屏蔽的消息不会通知任何人）
+        const mentionedUsers = newMessage.is_blocked ? [] : await resolveMentions(content, userId, channel);
+        if (mentionedUsers.length > 0) {
+            await db.insertMessageMentions(newMessage.id, mentionedUsers.map(u => u.id));
         }
         
-        // 使用 Pusher 发送消息到频道
+        const messageData = await formatSentMessage(
+            newMessage,
+            user,
+            mentionedUsers.map(u => ({ user_id: u.id, username: u.username }))
+        );
+        
+        // 推送消息到频道
         if (newMessage.is_blocked) {
             // 被屏蔽的消息只发送给发送者
-            await pusher.trigger(`private-user-${userId}`, 'message-received', messageData);
-            await pusher.trigger(`private-user-${userId}`, 'message-blocked', {
+            await realtime.publish(`private-user-${userId}`, 'message-received', messageData);
+            await realtime.publish(`private-user-${userId}`, 'message-blocked', {
                 messageId: newMessage.id,
                 reason: '消息包含屏蔽词',
                 content: content
@@ -942,12 +2581,32 @@ app.post('/api/pusher/send-message', [
                 const msg = db.getMessageById(newMessage.id);
                 if (msg && msg.is_blocked) {
                     db.deleteMessage(newMessage.id);
-                    pusher.trigger(`presence-${channel}`, 'message-deleted', { messageId: newMessage.id });
+                    realtime.publish(`presence-${channel}`, 'message-deleted', { messageId: newMessage.id });
                 }
             }, 24 * 60 * 60 * 1000);
         } else {
             // 正常消息发送到频道
-            await pusher.trigger(`presence-${channel}`, 'message-received', messageData);
+            await realtime.publish(`presence-${channel}`, 'message-received', messageData);
+            
+            // 自己发送的消息视为已读，其他用户的未读计数加一
+            await db.advanceReadMarker(userId, channel, newMessage.id);
+            await notifyChannelActivity(channel, newMessage.id, userId);
+            
+            // 通过被提及用户的私有频道单独通知，对方不在该频道时也能收到
+            await Promise.all(mentionedUsers.map(mentioned =>
+                realtime.publish(`private-user-${mentioned.id}`, 'mention', {
+                    messageId: newMessage.id,
+                    channel,
+                    content,
+                    created_at: newMessage.created_at,
+                    from: {
+                        id: user.id,
+                        username: user.username,
+                        nickname: user.nickname || user.username,
+                        avatar: user.avatar
+                    }
+                })
+            ));
         }
         
         res.json({ success: true, message: messageData });
@@ -959,15 +2618,25 @@ app.post('/api/pusher/send-message', [
 });
 
 // 撤回消息 API（替代 Socket.IO 的 recallMessage 事件）
-app.post('/api/pusher/recall-message', authenticateUser, async (req, res) => {
+app.post('/api/pusher/recall-message', authenticateUser, requireUser, async (req, res) => {
     try {
-        const { messageId, channel } = req.body;
+        const { messageId } = req.body;
         
         const message = await db.getMessageById(messageId);
         if (!message) {
             return res.status(404).json({ error: 'Message not found' });
         }
         
+        if (parseInt(message.user_id) !== parseInt(req.userId)) {
+            return res.status(403).json({ error: '只能撤回自己的消息' });
+        }
+        
+        // 以消息实际所在的频道为准，不信任请求中的频道名
+        const channel = message.channel;
+        if (!(await canAccessChannel(await db.getChannelByName(channel), req.userId))) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+        
         const messageTime = new Date(message.created_at);
         const now = new Date();
         const timeDiff = (now - messageTime) / (1000 * 60);
@@ -988,8 +2657,8 @@ app.post('/api/pusher/recall-message', authenticateUser, async (req, res) => {
                     originalContent: message.content
                 });
                 
-                // 使用 Pusher 通知频道内所有用户
-                await pusher.trigger(`presence-${channel}`, 'message-recalled', {
+                // 通知频道内所有用户
+                await realtime.publish(`presence-${channel}`, 'message-recalled', {
                     messageId,
                     channel,
                     content: '[此消息已撤回]',
@@ -1013,21 +2682,572 @@ app.post('/api/pusher/recall-message', authenticateUser, async (req, res) => {
     }
 });
 
-// Pusher 认证端点（用于私有和在线频道）
+// 编辑消息 API（旧内容写入编辑历史）
+app.post('/api/pusher/edit-message', [
+    securityMiddleware.messageLimiter, // 与发送消息共用速率限制
+    authenticateUser,
+    requireUser,
+    requireVerifiedEmail,
+    body('messageId').notEmpty(),
+    body('content').trim().notEmpty().isLength({ max: 5000 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ error: '输入格式不正确' });
+        }
+
+        const { messageId } = req.body;
+
+        const message = await db.getMessageById(messageId);
+        if (!message) {
+            return res.status(404).json({ error: 'Message not found' });
+        }
+
+        if (parseInt(message.user_id) !== parseInt(req.userId)) {
+            return res.status(403).json({ error: '只能编辑自己的消息' });
+        }
+
+        if (!(await canAccessChannel(await db.getChannelByName(message.channel), req.userId))) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        if (message.is_recalled || message.is_blocked) {
+            return res.status(400).json({ error: '该消息无法编辑' });
+        }
+
+        // 与新消息相同的 XSS 清理和屏蔽词检查
+        const content = xssProtection.sanitizeText(req.body.content);
+        if (!content) {
+            return res.status(400).json({ error: '消息内容不能为空' });
+        }
+
+        if (content === message.content) {
+            return res.json({ success: true, message });
+        }
+
+        if (badWordsFilter.containsBadWords(content)) {
+            logger.auditLog('message_edit_blocked', req.userId, {
+                messageId: message.id,
+                channel: message.channel,
+                content
+            });
+            return res.status(400).json({ error: '消息包含屏蔽词' });
+        }
+
+        await db.insertMessageEdit({
+            message_id: message.id,
+            user_id: message.user_id,
+            content: message.content
+        });
+
+        const updatedMessage = await db.updateMessage(message.id, {
+            content,
+            is_edited: true,
+            edited_at: new Date().toISOString()
+        });
+
+        if (!updatedMessage) {
+            return res.status(500).json({ error: 'Failed to edit message' });
+        }
+
+        logger.auditLog('message_edit', req.userId, {
+            messageId: message.id,
+            channel: message.channel,
+            originalContent: message.content,
+            content
+        });
+
+        // 通知频道内所有用户
+        await realtime.publish(`presence-${message.channel}`, 'message-edited', {
+            messageId: message.id,
+            channel: message.channel,
+            content,
+            is_edited: true,
+            edited_at: updatedMessage.edited_at
+        });
+
+        res.json({ success: true, message: updatedMessage });
+
+    } catch (error) {
+        console.error('编辑消息失败:', error);
+        res.status(500).json({ error: 'Failed to edit message' });
+    }
+});
+
+// 获取用户有权访问的频道名（受限频道仅限成员），默认不包含已归档频道
+async function getAccessibleChannels(userId, options = {}) {
+    const accessible = [];
+    for (const channelData of await db.listChannels(options)) {
+        if (await canAccessChannel(channelData, userId)) {
+            accessible.push(channelData.name);
+        }
+    }
+    return accessible;
+}
+
+// 全文搜索消息
+app.get('/api/search/messages', [
+    authenticateUser,
+    requireUser,
+    query('q').trim().notEmpty().isLength({ max: 100 }),
+    query('channel').optional().matches(CHANNEL_NAME_PATTERN),
+    query('author').optional().trim().isLength({ min: 1, max: 50 }),
+    query('from').optional().isISO8601(),
+    query('to').optional().isISO8601(),
+    query('hasImage').optional().isIn(['true', 'false']),
+    query('hasVoice').optional().isIn(['true', 'false']),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ error: '搜索参数不正确' });
+        }
+        
+        const { q, channel, author, from, to, hasImage, hasVoice, limit } = req.query;
+        
+        let channels = await getAccessibleChannels(req.userId, { includeArchived: true });
+        if (channel) {
+            if (!channels.includes(channel)) {
+                return res.status(403).json({ error: 'Access denied' });
+            }
+            channels = [channel];
+        }
+        
+        let authorId = null;
+        if (author) {
+            const authorUser = await db.getUserByUsername(author);
+            if (!authorUser) {
+                return res.json([]);
+            }
+            authorId = authorUser.id;
+        }
+        
+        const messages = await db.searchMessages(q, {
+            channels,
+            userId: authorId,
+            from,
+            to,
+            hasImage: hasImage === 'true',
+            hasVoice: hasVoice === 'true',
+            limit: limit ? parseInt(limit) : 50
+        });
+        
+        const userCache = new Map();
+        const results = await Promise.all(messages.map(async msg => {
+            let user = userCache.get(msg.user_id);
+            if (!user) {
+                user = await db.getUserById(msg.user_id);
+                if (user) userCache.set(msg.user_id, user);
+            }
+            
+            return {
+                id: msg.id,
+                channel: msg.channel,
+                user_id: msg.user_id,
+                content: msg.content,
+                image: msg.image,
+                voice: msg.voice,
+                is_edited: msg.is_edited,
+                created_at: msg.created_at,
+                username: user?.username || 'Unknown',
+                nickname: user?.nickname || user?.username || 'Unknown',
+                avatar: user?.avatar || 'images/default.png'
+            };
+        }));
+        
+        res.json(results);
+        
+    } catch (error) {
+        console.error('搜索消息失败:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 表情回应只接受单个 emoji（含变体选择符、肤色和 ZWJ 组合）
+const REACTION_EMOJI_PATTERN = /^[\p{Extended_Pictographic}\p{Emoji_Component}\u200d\ufe0f\u20e3]+$/u;
+
+function isValidReactionEmoji(emoji) {
+    return typeof emoji === 'string' &&
+        emoji.length > 0 &&
+        emoji.length <= 16 &&
+        REACTION_EMOJI_PATTERN.test(emoji) &&
+        /\p{Extended_Pictographic}/u.test(emoji);
+}
+
+// 添加或移除表情回应
+const handleReaction = (action) => async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ error: '输入格式不正确' });
+        }
+
+        const { messageId, emoji } = req.body;
+        if (!isValidReactionEmoji(emoji)) {
+            return res.status(400).json({ error: '无效的表情' });
+        }
+
+        const message = await db.getMessageById(messageId);
+        if (!message || (message.is_blocked && parseInt(message.user_id) !== parseInt(req.userId))) {
+            return res.status(404).json({ error: 'Message not found' });
+        }
+
+        if (!(await canAccessChannel(await db.getChannelByName(message.channel), req.userId))) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        if (message.is_recalled || message.is_blocked) {
+            return res.status(400).json({ error: '该消息无法回应' });
+        }
+
+        if (action === 'add') {
+            await db.addMessageReaction({
+                message_id: message.id,
+                user_id: parseInt(req.userId),
+                emoji
+            });
+        } else {
+            await db.removeMessageReaction(message.id, parseInt(req.userId), emoji);
+        }
+
+        const reactions = await summarizeReactions(await db.getMessageReactions(message.id));
+
+        // 通知频道内所有用户
+        await realtime.publish(`presence-${message.channel}`, 'reaction-updated', {
+            messageId: message.id,
+            channel: message.channel,
+            reactions
+        });
+
+        res.json({ success: true, reactions });
+
+    } catch (error) {
+        console.error('更新表情回应失败:', error);
+        res.status(500).json({ error: 'Failed to update reaction' });
+    }
+};
+
+const reactionValidators = [
+    securityMiddleware.messageLimiter, // 与发送消息共用速率限制
+    authenticateUser,
+    requireUser,
+    requireVerifiedEmail,
+    body('messageId').notEmpty(),
+    body('emoji').isString().notEmpty()
+];
+
+app.post('/api/pusher/add-reaction', reactionValidators, handleReaction('add'));
+
+app.post('/api/pusher/remove-reaction', reactionValidators, handleReaction('remove'));
+
+// 获取消息编辑历史
+app.get('/api/messages/:channel/:messageId/edits', authenticateUser, async (req, res) => {
+    const { channel, messageId } = req.params;
+
+    const channelData = await db.getChannelByName(channel);
+    if (!channelData) {
+        return res.status(400).json({ error: 'Invalid channel' });
+    }
+
+    if (!(await canAccessChannel(channelData, req.userId))) {
+        return res.status(403).json({ error: 'Access denied' });
+    }
+
+    try {
+        const message = await db.getMessageById(messageId);
+        if (!message || message.channel !== channel) {
+            return res.status(404).json({ error: 'Message not found' });
+        }
+
+        if (message.is_blocked && parseInt(message.user_id) !== parseInt(req.userId)) {
+            return res.status(404).json({ error: 'Message not found' });
+        }
+
+        // 撤回后的消息不再暴露历史内容
+        if (message.is_recalled) {
+            return res.json([]);
+        }
+
+        const edits = await db.getMessageEdits(message.id);
+        res.json(edits.map(edit => ({
+            id: edit.id,
+            content: edit.content,
+            edited_at: edit.edited_at
+        })));
+    } catch (error) {
+        console.error('获取编辑历史失败:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ============ 频道未读计数 ============
+
+// 向多个用户的私有频道广播同一事件
+async function publishToUsers(userIds, event, data) {
+    await realtime.publish(userIds.map(id => `private-user-${id}`), event, data);
+}
+
+// 新消息到达后通知频道内其他用户更新未读计数（只通知建立过已读位置且仍有权访问的用户）
+async function notifyChannelActivity(channel, messageId, authorId) {
+    const channelData = await db.getChannelByName(channel);
+    const markers = await db.getReadMarkersByChannel(channel);
+    const recipients = [];
+    
+    for (const marker of markers) {
+        if (marker.user_id === parseInt(authorId)) continue;
+        if (!(await canAccessChannel(channelData, marker.user_id))) continue;
+        recipients.push(marker.user_id);
+    }
+    
+    await publishToUsers(recipients, 'channel-activity', { channel, messageId, user_id: parseInt(authorId) });
+}
+
+// 获取当前用户在各频道的未读数和已读位置
+app.get('/api/channels/unread', authenticateUser, requireUser, async (req, res) => {
+    try {
+        const userId = parseInt(req.userId);
+        const channels = await getAccessibleChannels(userId);
+        const markers = await db.getReadMarkersByUser(userId);
+        
+        const result = [];
+        for (const channel of channels) {
+            let marker = markers.find(m => m.channel === channel);
+            if (!marker) {
+                // 首次统计时从最新消息开始，避免历史消息全部显示为未读
+                marker = await db.advanceReadMarker(userId, channel, await db.getLatestMessageId(channel));
+            }
+            result.push({
+                channel,
+                last_read_message_id: marker.last_read_message_id,
+                unread: await db.countUnreadMessages(channel, userId, marker.last_read_message_id)
+            });
+        }
+        
+        res.json(result);
+    } catch (error) {
+        console.error('获取未读计数失败:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 推进频道已读位置
+app.post('/api/channels/:channel/read', [
+    authenticateUser,
+    requireUser,
+    body('messageId').isInt({ min: 1 })
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: '输入格式不正确' });
+    }
+    
+    try {
+        const userId = parseInt(req.userId);
+        const { channel } = req.params;
+        
+        const channelData = await db.getChannelByName(channel);
+        if (!channelData) {
+            return res.status(400).json({ error: 'Invalid channel' });
+        }
+        
+        if (!(await canAccessChannel(channelData, userId))) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+        
+        const marker = await db.advanceReadMarker(userId, channel, req.body.messageId);
+        const result = {
+            channel,
+            last_read_message_id: marker.last_read_message_id,
+            unread: await db.countUnreadMessages(channel, userId, marker.last_read_message_id)
+        };
+        
+        // 同步该用户的其他标签页/设备
+        await realtime.publish(`private-user-${userId}`, 'unread-updated', result);
+        
+        res.json(result);
+    } catch (error) {
+        console.error('更新已读位置失败:', error);
+        res.status(500).json({ error: 'Failed to update read marker' });
+    }
+});
+
+// ============ 私信 API ============
+
+// 私信消息返回格式（带发送者信息，user_id 与频道消息保持一致）
+function formatDirectMessage(msg, sender, recipientId) {
+    return {
+        id: msg.id,
+        conversation_id: msg.conversation_id,
+        user_id: msg.sender_id,
+        sender_id: msg.sender_id,
+        recipient_id: parseInt(recipientId),
+        content: msg.content,
+        created_at: msg.created_at,
+        username: sender?.username || 'Unknown',
+        nickname: sender?.nickname || sender?.username || 'Unknown',
+        avatar: sender?.avatar || 'images/default.png'
+    };
+}
+
+// 获取当前用户的私信会话列表
+app.get('/api/dm/conversations', authenticateUser, requireUser, async (req, res) => {
+    try {
+        const userId = parseInt(req.userId);
+        const conversations = await db.getDmConversationsByUser(userId);
+        
+        const result = await Promise.all(conversations.map(async conv => {
+            const otherUserId = conv.user1_id === userId ? conv.user2_id : conv.user1_id;
+            const otherUser = await db.getUserById(otherUserId);
+            const [lastMessage] = await db.getDirectMessages(conv.id, { limit: 1 });
+            
+            return {
+                id: conv.id,
+                user: {
+                    id: otherUserId,
+                    username: otherUser?.username || 'Unknown',
+                    nickname: otherUser?.nickname || otherUser?.username || 'Unknown',
+                    avatar: otherUser?.avatar || 'images/default.png'
+                },
+                last_message: lastMessage ? {
+                    sender_id: lastMessage.sender_id,
+                    content: lastMessage.content,
+                    created_at: lastMessage.created_at
+                } : null,
+                last_message_at: conv.last_message_at
+            };
+        }));
+        
+        res.json(result);
+    } catch (error) {
+        console.error('获取私信会话失败:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 获取与指定用户的私信记录
+app.get('/api/dm/:userId/messages', [
+    authenticateUser,
+    requireUser,
+    query('before').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1 })
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: '分页参数不正确' });
+    }
+    
+    try {
+        const otherUserId = parseInt(req.params.userId);
+        const otherUser = await db.getUserById(otherUserId);
+        if (!otherUser) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        const conversation = await db.getDmConversation(req.userId, otherUserId);
+        if (!conversation) {
+            return res.json([]);
+        }
+        
+        const limit = Math.min(
+            parseInt(req.query.limit) || config.MESSAGE_PAGE.DEFAULT_LIMIT,
+            config.MESSAGE_PAGE.MAX_LIMIT
+        );
+        const messages = await db.getDirectMessages(conversation.id, {
+            before: req.query.before ? parseInt(req.query.before) : null,
+            limit
+        });
+        
+        const currentUser = await db.getUserById(req.userId);
+        res.json(messages.map(msg => {
+            const isOwn = msg.sender_id === parseInt(req.userId);
+            return formatDirectMessage(msg, isOwn ? currentUser : otherUser, isOwn ? otherUserId : req.userId);
+        }));
+    } catch (error) {
+        console.error('获取私信失败:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 发送私信
+app.post('/api/dm/send', [
+    securityMiddleware.messageLimiter, // 与发送消息共用速率限制
+    authenticateUser,
+    requireUser,
+    requireVerifiedEmail,
+    body('recipientId').isInt({ min: 1 }),
+    body('content').trim().notEmpty().isLength({ max: 5000 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ error: '输入格式不正确' });
+        }
+        
+        const senderId = parseInt(req.userId);
+        const recipientId = parseInt(req.body.recipientId);
+        
+        if (senderId === recipientId) {
+            return res.status(400).json({ error: '不能给自己发送私信' });
+        }
+        
+        const sender = await db.getUserById(senderId);
+        const recipient = await db.getUserById(recipientId);
+        if (!recipient) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        const content = xssProtection.sanitizeText(req.body.content);
+        if (!content) {
+            return res.status(400).json({ error: '消息内容不能为空' });
+        }
+        
+        if (badWordsFilter.containsBadWords(content)) {
+            logger.auditLog('dm_blocked', senderId, { recipientId, content });
+            return res.status(400).json({ error: '消息包含屏蔽词' });
+        }
+        
+        const conversation = await db.getOrCreateDmConversation(senderId, recipientId);
+        const newMessage = await db.insertDirectMessage({
+            conversation_id: conversation.id,
+            sender_id: senderId,
+            content
+        });
+        
+        const messageData = formatDirectMessage(newMessage, sender, recipientId);
+        
+        logger.chatLog(`dm:${conversation.id}`, senderId, content, 'direct', { recipientId });
+        
+        // 通过双方的用户私有频道投递
+        await realtime.publish([`private-user-${senderId}`, `private-user-${recipientId}`], 'dm-received', messageData);
+        
+        res.json({ success: true, message: messageData });
+        
+    } catch (error) {
+        console.error('发送私信失败:', error);
+        res.status(500).json({ error: 'Failed to send message' });
+    }
+});
+
+// 频道订阅鉴权端点（用于私有和在线频道，Pusher 和内置 WebSocket 服务共用）
 app.post('/api/pusher/auth', authenticateUser, async (req, res) => {
     const socketId = req.body.socket_id;
     const channel = req.body.channel_name;
     const userId = req.userId;
     
-    // 检查私有频道访问权限
-    if (channel.startsWith('presence-Channel105')) {
-        const channelName = 'Channel105';
-        const channelData = await db.getChannelByName(channelName);
-        if (channelData && channelData.password) {
-            const hasAccess = await db.isChannelMember(channelName, parseInt(userId));
-            if (!userId || !hasAccess) {
-                return res.status(403).json({ error: 'Access denied' });
-            }
+    // 在线频道必须对应已存在的频道，受限频道只允许成员订阅
+    if (channel.startsWith('presence-')) {
+        const channelData = await db.getChannelByName(channel.slice('presence-'.length));
+        if (!(await canAccessChannel(channelData, userId))) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+    }
+    
+    // 用户私有频道（私信投递）只能由本人订阅
+    if (channel.startsWith('private-user-')) {
+        if (!userId || channel !== `private-user-${parseInt(userId)}`) {
+            return res.status(403).json({ error: 'Access denied' });
         }
     }
     
@@ -1043,19 +3263,18 @@ app.post('/api/pusher/auth', authenticateUser, async (req, res) => {
             }
         };
         
-        const auth = pusher.authorizeChannel(socketId, channel, presenceData);
+        const auth = realtime.authorizeChannel(socketId, channel, presenceData);
         res.send(auth);
     } else {
         // 私有频道
-        const auth = pusher.authorizeChannel(socketId, channel);
+        const auth = realtime.authorizeChannel(socketId, channel);
         res.send(auth);
     }
 });
 
 // Pusher Webhook 端点（可选，用于接收 Pusher 事件）
 app.post('/api/pusher/webhook', (req, res) => {
-    const webhook = pusher.webhook(req);
-    if (webhook.isValid()) {
+    if (realtime.isValidWebhook(req)) {
         // 处理 Pusher 事件
         res.send('OK');
     } else {
@@ -1063,12 +3282,15 @@ app.post('/api/pusher/webhook', (req, res) => {
     }
 });
 
+// 内置 WebSocket 实时服务与 API 共用同一个 HTTPS 端口（其他实时服务不需要挂载）
+realtime.attach(server);
+
 server.listen(PORT, '0.0.0.0', async () => {
     console.log(`✓ 后端服务已启动: https://localhost:${PORT}`);
     
     // 清理过期的被屏蔽消息
     const allMessages = [];
-    for (const channel of CHANNELS) {
+    for (const { name: channel } of await db.listChannels({ includeArchived: true })) {
         const channelMessages = await db.getMessagesByChannel(channel);
         if (Array.isArray(channelMessages)) {
             allMessages.push(...channelMessages);
@@ -1089,8 +3311,8 @@ server.listen(PORT, '0.0.0.0', async () => {
                 const updatedMsg = await db.getMessageById(msg.id);
                 if (updatedMsg && updatedMsg.is_blocked) {
                     await db.deleteMessage(msg.id);
-                    // 使用 Pusher 通知删除
-                    await pusher.trigger(`presence-${msg.channel}`, 'message-deleted', { messageId: msg.id });
+                    // 通知频道内删除消息
+                    await realtime.publish(`presence-${msg.channel}`, 'message-deleted', { messageId: msg.id });
                 }
             }, remainingTime);
         } else {
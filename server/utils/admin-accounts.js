@@ -0,0 +1,132 @@
+// 管理员账号模块
+// 管理员保存在数据库中（密码为 bcrypt 哈希），按角色授予各后台接口的权限
+
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const db = require('./db-adapter');
+const config = require('../config/config');
+
+// 管理员角色：超级管理员拥有全部权限并可管理其他管理员；版主负责频道成员和内容；审计员只读
+const ADMIN_ROLES = ['superadmin', 'moderator', 'auditor'];
+
+// 各角色拥有的权限
+const ADMIN_ROLE_PERMISSIONS = {
+    superadmin: ['channels.read', 'channels.moderate', 'channels.manage', 'users.manage', 'logs.read', 'admins.manage'],
+    moderator: ['channels.read', 'channels.moderate'],
+    auditor: ['channels.read', 'logs.read']
+};
+
+/**
+ * 判断管理员角色是否拥有某项权限
+ * channels.read 查看频道、channels.moderate 管理成员/邀请/消息、channels.manage 创建修改删除频道、
+ * users.manage 处理用户账号、logs.read 查看日志、admins.manage 管理管理员账号
+ * @param {string} role - 管理员角色
+ * @param {string} permission - 权限名
+ * @returns {boolean}
+ */
+function hasAdminPermission(role, permission) {
+    return (ADMIN_ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+/**
+ * 审计日志中的管理员标识
+ * @param {Object} admin - 管理员记录
+ * @returns {string}
+ */
+function adminActor(admin) {
+    return `admin:${admin.username}`;
+}
+
+/**
+ * 返回给前端的管理员资料（不包含密码哈希和两步验证密钥）
+ * @param {Object} admin - 管理员记录
+ * @returns {Object}
+ */
+function formatAdmin(admin) {
+    return {
+        id: admin.id,
+        username: admin.username,
+        role: admin.role,
+        permissions: ADMIN_ROLE_PERMISSIONS[admin.role] || [],
+        totp_enabled: !!admin.totp_enabled,
+        last_login_at: admin.last_login_at || null,
+        created_at: admin.created_at
+    };
+}
+
+/**
+ * 签发管理员令牌，载荷中的 tv 与管理员当前的 token_version 不一致时令牌失效（修改密码、删除账号后）
+ * @param {Object} admin - 管理员记录
+ * @returns {string}
+ */
+function issueAdminToken(admin) {
+    return jwt.sign(
+        { admin: true, adminId: admin.id, tv: admin.token_version || 0 },
+        config.JWT_SECRET,
+        { expiresIn: '24h' }
+    );
+}
+
+/**
+ * 根据解码后的管理员令牌获取管理员记录（角色以数据库为准，调整后立即生效）
+ * 旧版令牌没有 adminId，视为无效，需要重新登录
+ * @param {Object} decoded - 解码后的 JWT 载荷
+ * @returns {Promise<Object|null>} - 管理员不存在或令牌已失效时返回 null
+ */
+async function getAdminFromToken(decoded) {
+    if (!decoded.admin || !decoded.adminId) return null;
+
+    const admin = await db.getAdminById(decoded.adminId);
+    if (!admin || (decoded.tv || 0) !== (admin.token_version || 0)) return null;
+    return admin;
+}
+
+// 数据库中还没有管理员时，用环境变量中的管理员账号创建第一个超级管理员
+let defaultAdminPromise = null;
+
+/**
+ * 确保至少存在一个管理员账号（首次使用时从 ADMIN_USERNAME / ADMIN_PASSWORD 导入）
+ * @returns {Promise<void>}
+ */
+function ensureDefaultAdmin() {
+    if (!defaultAdminPromise) {
+        defaultAdminPromise = (async () => {
+            const admins = await db.listAdmins();
+            if (admins.length > 0) return;
+
+            const { username, password, totpSecret } = config.ADMIN_CREDENTIALS;
+            await db.createAdmin({
+                username,
+                password: await bcrypt.hash(password, 10),
+                role: 'superadmin',
+                totp_secret: totpSecret,
+                totp_enabled: !!totpSecret
+            });
+        })().catch(error => {
+            defaultAdminPromise = null;
+            throw error;
+        });
+    }
+    return defaultAdminPromise;
+}
+
+/**
+ * 统计超级管理员数量（删除或降级时至少保留一个）
+ * @returns {Promise<number>}
+ */
+async function countSuperadmins() {
+    const admins = await db.listAdmins();
+    return admins.filter(admin => admin.role === 'superadmin').length;
+}
+
+module.exports = {
+    ADMIN_ROLES,
+    ADMIN_ROLE_PERMISSIONS,
+    hasAdminPermission,
+    adminActor,
+    formatAdmin,
+    issueAdminToken,
+    getAdminFromToken,
+    ensureDefaultAdmin,
+    countSuperadmins
+};
@@ -1,16 +1,17 @@
 // 高级安全防护模块 - 多层防御系统
 const crypto = require('crypto');
+const stateStore = require('./state-store');
 
 /**
  * 请求指纹识别 - 检测异常行为
+ * 最近一分钟的请求计数保存在共享状态存储中（fingerprint:*，按固定窗口自动过期），
+ * 被判定为可疑的 IP 记录为 fingerprint:suspicious:<IP>，多进程部署时所有进程共用
  */
 class RequestFingerprint {
-    constructor() {
-        this.fingerprints = new Map();
-        this.suspiciousIPs = new Set();
-        this.cleanupInterval = 3600000; // 1小时清理一次
-        
-        setInterval(() => this.cleanup(), this.cleanupInterval);
+    constructor(options = {}) {
+        this.windowMs = options.windowMs || 60000; // 1分钟统计窗口
+        this.suspiciousDuration = options.suspiciousDuration || 3600000; // 可疑标记保留1小时
+        this.store = options.store || stateStore;
     }
     
     /**
@@ -44,92 +45,62 @@ class RequestFingerprint {
     /**
      * 记录请求
      */
-    track(req) {
+    async track(req) {
         const fingerprint = this.generate(req);
         const ip = this.getIP(req);
-        const now = Date.now();
-        
-        if (!this.fingerprints.has(fingerprint)) {
-            this.fingerprints.set(fingerprint, {
-                ip,
-                requests: [],
-                firstSeen: now,
-                suspicious: false
-            });
-        }
+        const path = req.path || '';
         
-        const data = this.fingerprints.get(fingerprint);
-        data.requests.push({
-            timestamp: now,
-            path: req.path,
-            method: req.method
-        });
+        // 窗口内的请求总数
+        const { count: requestCount } = await this.store.increment(`fingerprint:requests:${fingerprint}`, this.windowMs);
+        
+        // 窗口内访问过的不同路径数：路径在窗口内第一次出现时才计入（路径取哈希，避免超长键）
+        const pathHash = crypto.createHash('sha1').update(path).digest('hex');
+        const { count: pathHits } = await this.store.increment(`fingerprint:path:${fingerprint}:${pathHash}`, this.windowMs);
+        const distinctPaths = pathHits === 1
+            ? (await this.store.increment(`fingerprint:paths:${fingerprint}`, this.windowMs)).count
+            : (await this.store.get(`fingerprint:paths:${fingerprint}`)) || 0;
         
-        // 保留最近100个请求
-        if (data.requests.length > 100) {
-            data.requests = data.requests.slice(-100);
+        // 窗口内的登录/注册请求数
+        const authRequests = path.includes('/login') || path.includes('/register')
+            ? (await this.store.increment(`fingerprint:auth:${fingerprint}`, this.windowMs)).count
+            : (await this.store.get(`fingerprint:auth:${fingerprint}`)) || 0;
+        
+        const analysis = this.analyze({ requestCount, distinctPaths, authRequests });
+        
+        if (analysis.suspicious) {
+            await this.store.set(`fingerprint:suspicious:${ip}`, true, this.suspiciousDuration);
         }
         
-        return this.analyze(fingerprint);
+        return analysis;
     }
     
     /**
      * 分析请求模式
      */
-    analyze(fingerprint) {
-        const data = this.fingerprints.get(fingerprint);
-        if (!data) return { suspicious: false };
-        
-        const recentRequests = data.requests.filter(
-            r => Date.now() - r.timestamp < 60000 // 最近1分钟
-        );
-        
+    analyze({ requestCount, distinctPaths, authRequests }) {
         // 检测异常模式
         const patterns = {
             // 高频请求
-            highFrequency: recentRequests.length > 60,
+            highFrequency: requestCount > 60,
             // 扫描行为（访问大量不同路径）
-            scanning: new Set(recentRequests.map(r => r.path)).size > 20,
+            scanning: distinctPaths > 20,
             // 暴力破解（大量登录尝试）
-            bruteForce: recentRequests.filter(r => 
-                r.path.includes('/login') || r.path.includes('/register')
-            ).length > 5
+            bruteForce: authRequests > 5
         };
         
-        const suspicious = Object.values(patterns).some(v => v);
-        
-        if (suspicious) {
-            data.suspicious = true;
-            this.suspiciousIPs.add(data.ip);
-        }
-        
         return {
-            suspicious,
+            suspicious: Object.values(patterns).some(v => v),
             patterns,
-            requestCount: recentRequests.length
+            requestCount
         };
     }
     
     /**
      * 检查IP是否可疑
      */
-    isSuspicious(req) {
+    async isSuspicious(req) {
         const ip = this.getIP(req);
-        return this.suspiciousIPs.has(ip);
-    }
-    
-    /**
-     * 清理过期数据
-     */
-    cleanup() {
-        const now = Date.now();
-        const maxAge = 3600000; // 1小时
-        
-        for (const [fingerprint, data] of this.fingerprints.entries()) {
-            if (now - data.firstSeen > maxAge) {
-                this.fingerprints.delete(fingerprint);
-            }
-        }
+        return !!(await this.store.get(`fingerprint:suspicious:${ip}`));
     }
 }
 
@@ -307,33 +278,39 @@ class InputValidator {
 
 /**
  * 会话管理
+ * 会话保存在共享状态存储中（session:<会话 ID>，不活动超时后自动过期），
+ * 另外为每个用户维护一个会话 ID 集合（session-user:<用户 ID>），用于列出和批量下线用户的会话
  */
 class SessionManager {
-    constructor() {
-        this.sessions = new Map();
-        this.maxSessions = 10000;
-        this.sessionTimeout = 3600000; // 1小时
-        
-        setInterval(() => this.cleanup(), 300000); // 5分钟清理一次
+    constructor(options = {}) {
+        this.sessionTimeout = options.sessionTimeout || 3600000; // 1小时
+        this.store = options.store || stateStore;
+    }
+    
+    sessionKey(sessionId) {
+        return `session:${sessionId}`;
+    }
+    
+    userKey(userId) {
+        return `session-user:${userId}`;
     }
     
     /**
      * 创建会话
      */
-    create(userId, metadata = {}) {
+    async create(userId, metadata = {}) {
         const sessionId = crypto.randomBytes(32).toString('hex');
         
-        this.sessions.set(sessionId, {
+        await this.store.set(this.sessionKey(sessionId), {
             userId,
             createdAt: Date.now(),
             lastActivity: Date.now(),
             metadata
-        });
+        }, this.sessionTimeout);
+        await this.store.addToSet(this.userKey(userId), sessionId);
         
-        // 限制会话数量
-        if (this.sessions.size > this.maxSessions) {
-            this.cleanupOldest();
-        }
+        // 顺便清理该用户已过期的会话 ID，集合不会无限增长
+        await this.listByUser(userId);
         
         return sessionId;
     }
@@ -341,23 +318,16 @@ class SessionManager {
     /**
      * 验证会话
      */
-    validate(sessionId) {
-        const session = this.sessions.get(sessionId);
+    async validate(sessionId) {
+        const session = await this.store.get(this.sessionKey(sessionId));
         
         if (!session) {
-            return { valid: false, reason: '会话不存在' };
-        }
-        
-        const now = Date.now();
-        
-        // 检查超时
-        if (now - session.lastActivity > this.sessionTimeout) {
-            this.sessions.delete(sessionId);
-            return { valid: false, reason: '会话已过期' };
+            return { valid: false, reason: '会话不存在或已过期' };
         }
         
-        // 更新活动时间
-        session.lastActivity = now;
+        // 更新活动时间，过期时间从现在重新计算
+        session.lastActivity = Date.now();
+        await this.store.set(this.sessionKey(sessionId), session, this.sessionTimeout);
         
         return {
             valid: true,
@@ -365,43 +335,68 @@ class SessionManager {
         };
     }
     
+    /**
+     * 恢复会话（会话因不活动过期或内存存储随服务重启丢失后，凭刷新令牌按原 ID 重新登记）
+     */
+    async restore(sessionId, userId, metadata = {}) {
+        const existing = await this.store.get(this.sessionKey(sessionId));
+        if (!existing) {
+            await this.store.set(this.sessionKey(sessionId), {
+                userId,
+                createdAt: Date.now(),
+                lastActivity: Date.now(),
+                metadata
+            }, this.sessionTimeout);
+            await this.store.addToSet(this.userKey(userId), sessionId);
+        }
+        
+        return this.validate(sessionId);
+    }
+    
     /**
      * 销毁会话
      */
-    destroy(sessionId) {
-        return this.sessions.delete(sessionId);
+    async destroy(sessionId) {
+        const session = await this.store.get(this.sessionKey(sessionId));
+        if (session) {
+            await this.store.removeFromSet(this.userKey(session.userId), sessionId);
+        }
+        return this.store.delete(this.sessionKey(sessionId));
     }
     
     /**
-     * 清理过期会话
+     * 获取用户的全部有效会话（已过期的会话 ID 从集合中移除）
      */
-    cleanup() {
-        const now = Date.now();
-        
-        for (const [sessionId, session] of this.sessions.entries()) {
-            if (now - session.lastActivity > this.sessionTimeout) {
-                this.sessions.delete(sessionId);
+    async listByUser(userId) {
+        const result = [];
+        
+        for (const sessionId of await this.store.getSetMembers(this.userKey(userId))) {
+            const session = await this.store.get(this.sessionKey(sessionId));
+            if (session && session.userId === userId) {
+                result.push({ sessionId, ...session });
+            } else {
+                await this.store.removeFromSet(this.userKey(userId), sessionId);
             }
         }
+        
+        return result;
     }
     
     /**
-     * 清理最旧的会话
+     * 销毁用户的全部会话（可保留指定的会话），返回销毁的会话 ID
      */
-    cleanupOldest() {
-        let oldest = null;
-        let oldestTime = Infinity;
-        
-        for (const [sessionId, session] of this.sessions.entries()) {
-            if (session.lastActivity < oldestTime) {
-                oldest = sessionId;
-                oldestTime = session.lastActivity;
+    async destroyByUser(userId, exceptSessionId = null) {
+        const destroyed = [];
+        
+        for (const sessionId of await this.store.getSetMembers(this.userKey(userId))) {
+            if (sessionId !== exceptSessionId) {
+                await this.store.delete(this.sessionKey(sessionId));
+                await this.store.removeFromSet(this.userKey(userId), sessionId);
+                destroyed.push(sessionId);
             }
         }
         
-        if (oldest) {
-            this.sessions.delete(oldest);
-        }
+        return destroyed;
     }
 }
 
@@ -465,17 +460,20 @@ class APIKeyManager {
 
 /**
  * 威胁检测系统
+ * 每个 IP 的累计威胁分数和最近的威胁事件保存在共享状态存储中（threat:<IP>，最后一次事件后保留一天）
  */
 class ThreatDetector {
-    constructor() {
-        this.threats = new Map();
+    constructor(options = {}) {
         this.threshold = 10; // 威胁分数阈值
+        this.retention = options.retention || 86400000; // 威胁记录保留1天
+        this.maxIncidents = options.maxIncidents || 100; // 每个IP只保留最近100条事件
+        this.store = options.store || stateStore;
     }
     
     /**
      * 评估威胁
      */
-    assess(req, analysis) {
+    async assess(req, analysis) {
         const ip = this.getIP(req);
         let score = 0;
         const reasons = [];
@@ -511,16 +509,13 @@ class ThreatDetector {
             reasons.push('缺少必要头部');
         }
         
-        // 记录威胁
+        // 记录威胁（读改写，多进程并发时个别事件可能互相覆盖，累计分数只用于查询，不影响本次拦截判断）
         if (score > 0) {
-            if (!this.threats.has(ip)) {
-                this.threats.set(ip, {
-                    score: 0,
-                    incidents: []
-                });
-            }
+            const threat = (await this.store.get(`threat:${ip}`)) || {
+                score: 0,
+                incidents: []
+            };
             
-            const threat = this.threats.get(ip);
             threat.score += score;
             threat.incidents.push({
                 timestamp: Date.now(),
@@ -528,6 +523,9 @@ class ThreatDetector {
                 reasons,
                 path: req.path
             });
+            threat.incidents = threat.incidents.slice(-this.maxIncidents);
+            
+            await this.store.set(`threat:${ip}`, threat, this.retention);
         }
         
         return {
@@ -570,8 +568,8 @@ class ThreatDetector {
     /**
      * 检查IP威胁等级
      */
-    getThreatLevel(ip) {
-        const threat = this.threats.get(ip);
+    async getThreatLevel(ip) {
+        const threat = await this.store.get(`threat:${ip}`);
         if (!threat) return 0;
         return threat.score;
     }
@@ -587,12 +585,19 @@ const threatDetector = new ThreatDetector();
 /**
  * 高级安全中间件
  */
-function advancedSecurityMiddleware(req, res, next) {
-    // 请求指纹追踪
-    const analysis = fingerprint.track(req);
-    
-    // 威胁评估
-    const threat = threatDetector.assess(req, analysis);
+async function advancedSecurityMiddleware(req, res, next) {
+    let threat;
+    try {
+        // 请求指纹追踪
+        const analysis = await fingerprint.track(req);
+        
+        // 威胁评估
+        threat = await threatDetector.assess(req, analysis);
+    } catch (error) {
+        // 状态存储不可用时放行，避免存储故障导致整站无法访问
+        console.error('高级安全检查失败:', error);
+        return next();
+    }
     
     // 阻止高威胁请求
     if (threat.blocked) {
@@ -0,0 +1,215 @@
+// 登录令牌模块
+// 访问令牌是短期 JWT；刷新令牌是随机字符串，服务端只保存其哈希，每次使用后轮换
+// 每次登录对应 SessionManager 中的一个会话，访问令牌和刷新令牌都带有会话 ID，会话被下线后两者一起失效
+// 会话保存在共享状态存储中，多进程部署时任一进程下线的会话在所有进程中立即失效
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('./db-adapter');
+const config = require('../config/config');
+const { sessionManager, fingerprint } = require('./advanced-security');
+
+const { ACCESS_TOKEN_EXPIRES_IN, REFRESH_TOKEN_TTL_DAYS } = config.AUTH_TOKENS;
+
+/**
+ * 计算令牌的 SHA-256 哈希（数据库中不保存刷新令牌明文）
+ * @param {string} token - 刷新令牌
+ * @returns {string}
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * 从 User-Agent 粗略识别浏览器和操作系统，用于会话列表展示
+ * @param {string} userAgent - User-Agent 请求头
+ * @returns {string}
+ */
+function describeDevice(userAgent = '') {
+    const browsers = [[/Edg\//, 'Edge'], [/OPR\/|Opera/, 'Opera'], [/Firefox\//, 'Firefox'], [/Chrome\//, 'Chrome'], [/Safari\//, 'Safari']];
+    const systems = [[/Windows/, 'Windows'], [/Android/, 'Android'], [/iPhone|iPad|iPod/, 'iOS'], [/Mac OS X/, 'macOS'], [/Linux/, 'Linux']];
+
+    const browser = browsers.find(([pattern]) => pattern.test(userAgent));
+    const system = systems.find(([pattern]) => pattern.test(userAgent));
+
+    if (!browser && !system) return '未知设备';
+    return [browser && browser[1], system && system[1]].filter(Boolean).join(' · ');
+}
+
+/**
+ * 收集登录请求的设备信息：设备描述、IP 和请求指纹
+ * @param {Object} req - Express 请求
+ * @returns {Object}
+ */
+function getSessionMetadata(req) {
+    const userAgent = req.headers['user-agent'] || '';
+    return {
+        device: describeDevice(userAgent),
+        userAgent,
+        ip: fingerprint.getIP(req),
+        fingerprint: fingerprint.generate(req)
+    };
+}
+
+/**
+ * 签发访问令牌，载荷中的 tv 与用户当前的 token_version 不一致时令牌失效
+ * @param {Object} user - 用户记录
+ * @param {string} sessionId - 会话 ID
+ * @returns {string}
+ */
+function issueAccessToken(user, sessionId) {
+    return jwt.sign(
+        { userId: user.id, tv: user.token_version || 0, sid: sessionId },
+        config.JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+    );
+}
+
+/**
+ * 访问令牌是否已被吊销：修改密码或"退出所有设备"后递增 token_version，或者所属会话已被下线
+ * 会话因不活动过期（或使用内存存储时服务重启）后，访问令牌同样视为失效，客户端刷新令牌时会恢复会话
+ * @param {Object} decoded - 解码后的 JWT 载荷
+ * @param {Object} user - 用户记录
+ * @returns {Promise<boolean>}
+ */
+async function isAccessTokenRevoked(decoded, user) {
+    if ((decoded.tv || 0) !== (user.token_version || 0)) return true;
+    if (!decoded.sid) return false;
+
+    const result = await sessionManager.validate(decoded.sid);
+    return !result.valid || result.session.userId !== parseInt(user.id);
+}
+
+/**
+ * 为会话签发一组访问令牌和刷新令牌
+ * @param {Object} user - 用户记录
+ * @param {string} sessionId - 会话 ID
+ * @returns {Promise<{token: string, refreshToken: string}>}
+ */
+async function issueTokenPair(user, sessionId) {
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+    await db.createRefreshToken({
+        user_id: user.id,
+        session_id: sessionId,
+        token_hash: hashToken(refreshToken),
+        expires_at: expiresAt.toISOString()
+    });
+
+    return { token: issueAccessToken(user, sessionId), refreshToken };
+}
+
+/**
+ * 登录成功后创建会话并签发令牌
+ * @param {Object} user - 用户记录
+ * @param {Object} req - 登录请求（用于记录设备信息）
+ * @returns {Promise<{token: string, refreshToken: string}>}
+ */
+async function startSession(user, req) {
+    const sessionId = await sessionManager.create(parseInt(user.id), getSessionMetadata(req));
+    return issueTokenPair(user, sessionId);
+}
+
+/**
+ * 使用刷新令牌换取新的令牌对，旧刷新令牌随即作废
+ * @param {string} refreshToken - 刷新令牌
+ * @param {Object} req - 刷新请求（会话需要恢复时用于记录设备信息）
+ * @returns {Promise<{user: Object, token: string, refreshToken: string}|null>} - 令牌无效时返回 null
+ */
+async function rotateRefreshToken(refreshToken, req) {
+    const stored = await db.getRefreshTokenByHash(hashToken(refreshToken));
+    if (!stored || stored.revoked_at) return null;
+    if (new Date(stored.expires_at) <= new Date()) return null;
+
+    const user = await db.getUserById(stored.user_id);
+    if (!user) return null;
+
+    // 吊销失败说明同一令牌正在被并发使用，只允许其中一个请求成功
+    const revoked = await db.revokeRefreshToken(stored.id);
+    if (!revoked) return null;
+
+    // 会话因长时间不活动已过期时按原 ID 恢复，刷新令牌仍有效说明会话没有被下线
+    if (!stored.session_id) {
+        const pair = await startSession(user, req);
+        return { user, ...pair };
+    }
+    await sessionManager.restore(stored.session_id, parseInt(user.id), getSessionMetadata(req));
+
+    const pair = await issueTokenPair(user, stored.session_id);
+    return { user, ...pair };
+}
+
+/**
+ * 吊销单个刷新令牌并结束其所属会话（退出登录）
+ * @param {string} refreshToken - 刷新令牌
+ * @returns {Promise<Object|null>} - 被吊销的令牌记录，令牌不存在或已吊销时返回 null
+ */
+async function revokeRefreshToken(refreshToken) {
+    const stored = await db.getRefreshTokenByHash(hashToken(refreshToken));
+    if (!stored) return null;
+
+    if (stored.session_id) {
+        await sessionManager.destroy(stored.session_id);
+    }
+    return db.revokeRefreshToken(stored.id);
+}
+
+/**
+ * 吊销用户的全部令牌：已签发的访问令牌和刷新令牌都立即失效，会话全部结束
+ * @param {number|string} userId - 用户 ID
+ * @param {string} [keepSessionId] - 保留的会话（修改密码时保留当前会话，随后为其签发新令牌）
+ * @returns {Promise<number>} - 吊销的刷新令牌数量
+ */
+async function revokeAllUserTokens(userId, keepSessionId = null) {
+    await sessionManager.destroyByUser(parseInt(userId), keepSessionId);
+    await db.incrementTokenVersion(parseInt(userId));
+    return db.revokeUserRefreshTokens(parseInt(userId));
+}
+
+/**
+ * 获取用户当前的登录会话列表
+ * @param {number|string} userId - 用户 ID
+ * @param {string} [currentSessionId] - 发起请求的会话，结果中标记为 current
+ * @returns {Promise<Array<Object>>}
+ */
+async function listUserSessions(userId, currentSessionId = null) {
+    return (await sessionManager.listByUser(parseInt(userId)))
+        .sort((a, b) => b.lastActivity - a.lastActivity)
+        .map(session => ({
+            id: session.sessionId,
+            device: session.metadata.device || '未知设备',
+            ip: session.metadata.ip,
+            created_at: new Date(session.createdAt).toISOString(),
+            last_active_at: new Date(session.lastActivity).toISOString(),
+            current: session.sessionId === currentSessionId
+        }));
+}
+
+/**
+ * 下线用户的某个会话：会话立即结束，其刷新令牌全部吊销
+ * @param {number|string} userId - 用户 ID
+ * @param {string} sessionId - 会话 ID
+ * @returns {Promise<boolean>} - 会话不存在或不属于该用户时返回 false
+ */
+async function revokeSession(userId, sessionId) {
+    const owned = (await sessionManager.listByUser(parseInt(userId))).some(session => session.sessionId === sessionId);
+    if (!owned) return false;
+
+    await sessionManager.destroy(sessionId);
+    await db.revokeSessionRefreshTokens(sessionId);
+    return true;
+}
+
+module.exports = {
+    hashToken,
+    issueAccessToken,
+    isAccessTokenRevoked,
+    issueTokenPair,
+    startSession,
+    rotateRefreshToken,
+    revokeRefreshToken,
+    revokeAllUserTokens,
+    listUserSessions,
+    revokeSession
+};
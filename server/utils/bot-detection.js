@@ -1,13 +1,16 @@
 // 机器人检测模块
 const crypto = require('crypto');
+const stateStore = require('./state-store');
 
 /**
  * 机器人检测器
+ * 可疑 IP 记录保存在共享状态存储中（bot:suspicious:<IP>，一分钟后过期），多进程部署时所有进程共用
  */
 class BotDetector {
-    constructor() {
+    constructor(options = {}) {
         this.knownBots = this.loadBotSignatures();
-        this.suspiciousIPs = new Map();
+        this.suspiciousDuration = options.suspiciousDuration || 60000; // 可疑记录保留1分钟
+        this.store = options.store || stateStore;
     }
     
     /**
@@ -33,16 +36,16 @@ class BotDetector {
     /**
      * 检测是否为机器人
      */
-    detect(req) {
-        const score = this.calculateBotScore(req);
+    async detect(req) {
+        const score = await this.calculateBotScore(req);
         const ip = this.getIP(req);
         
         // 记录可疑IP
         if (score > 5) {
-            this.suspiciousIPs.set(ip, {
+            await this.store.set(`bot:suspicious:${ip}`, {
                 score,
                 lastSeen: Date.now()
-            });
+            }, this.suspiciousDuration);
         }
         
         return {
@@ -55,7 +58,7 @@ class BotDetector {
     /**
      * 计算机器人分数
      */
-    calculateBotScore(req) {
+    async calculateBotScore(req) {
         let score = 0;
         const ua = req.headers['user-agent'] || '';
         
@@ -79,7 +82,7 @@ class BotDetector {
         }
         
         // 请求模式检查
-        if (this.checkRequestPattern(req)) {
+        if (await this.checkRequestPattern(req)) {
             score += 2;
         }
         
@@ -89,9 +92,9 @@ class BotDetector {
     /**
      * 检查请求模式
      */
-    checkRequestPattern(req) {
+    async checkRequestPattern(req) {
         const ip = this.getIP(req);
-        const data = this.suspiciousIPs.get(ip);
+        const data = await this.store.get(`bot:suspicious:${ip}`);
         
         if (!data) return false;
         
@@ -173,9 +176,16 @@ const botDetector = new BotDetector();
 /**
  * 机器人检测中间件
  */
-function botDetectionMiddleware(req, res, next) {
+async function botDetectionMiddleware(req, res, next) {
     // 检测机器人
-    const botCheck = botDetector.detect(req);
+    let botCheck;
+    try {
+        botCheck = await botDetector.detect(req);
+    } catch (error) {
+        // 状态存储不可用时只跳过机器人评分，其余检查照常进行
+        console.error('机器人检测失败:', error);
+        botCheck = { isBot: false };
+    }
     
     if (botCheck.isBot) {
         // 不明确告知是机器人检测
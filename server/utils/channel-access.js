@@ -0,0 +1,78 @@
+// 频道访问控制模块
+// 订阅授权、消息读取、发送和撤回统一通过这里判断，避免各接口规则不一致
+
+const db = require('./db-adapter');
+
+// 频道访问模式：公开、密码加入（protected）、仅限邀请
+// 不使用 'password' 作为取值：响应中的 "password":... 片段会被数据保护中间件当作泄露打码
+const ACCESS_MODES = ['public', 'protected', 'invite'];
+
+/**
+ * 获取频道的访问模式（旧数据没有该字段时按是否设置了密码推断）
+ * @param {Object} channel - 频道记录
+ * @returns {string} - 'public' | 'protected' | 'invite'
+ */
+function getAccessMode(channel) {
+    if (ACCESS_MODES.includes(channel.access_mode)) {
+        return channel.access_mode;
+    }
+    return channel.password ? 'protected' : 'public';
+}
+
+/**
+ * 频道是否需要成员身份才能访问
+ * @param {Object} channel - 频道记录
+ * @returns {boolean}
+ */
+function isRestrictedChannel(channel) {
+    return getAccessMode(channel) !== 'public';
+}
+
+/**
+ * 判断用户能否读写频道：公开频道所有人可访问，受限频道仅成员可访问
+ * @param {Object} channel - 频道记录
+ * @param {number|string} userId - 用户 ID（匿名时为空）
+ * @returns {Promise<boolean>}
+ */
+async function canAccessChannel(channel, userId) {
+    if (!channel) return false;
+    if (!isRestrictedChannel(channel)) return true;
+    if (!userId) return false;
+    return db.isChannelMember(channel.name, parseInt(userId));
+}
+
+// 频道角色，按权限从低到高排列
+const CHANNEL_ROLES = ['member', 'moderator', 'owner'];
+
+/**
+ * 判断频道角色是否达到要求的最低级别
+ * @param {string|null} role - 用户在频道中的角色（非成员时为空）
+ * @param {string} minRole - 要求的最低角色
+ * @returns {boolean}
+ */
+function hasChannelRole(role, minRole) {
+    if (!CHANNEL_ROLES.includes(role)) return false;
+    return CHANNEL_ROLES.indexOf(role) >= CHANNEL_ROLES.indexOf(minRole);
+}
+
+/**
+ * 获取邀请链接的当前状态
+ * @param {Object} invite - 邀请链接记录
+ * @returns {string} - 'active' | 'revoked' | 'expired' | 'exhausted'
+ */
+function getInviteStatus(invite) {
+    if (invite.revoked_at) return 'revoked';
+    if (new Date(invite.expires_at) <= new Date()) return 'expired';
+    if (invite.max_uses && invite.uses >= invite.max_uses) return 'exhausted';
+    return 'active';
+}
+
+module.exports = {
+    ACCESS_MODES,
+    getAccessMode,
+    isRestrictedChannel,
+    canAccessChannel,
+    CHANNEL_ROLES,
+    hasChannelRole,
+    getInviteStatus
+};
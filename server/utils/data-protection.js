@@ -507,10 +507,28 @@ dataRetentionPolicy.setPolicy('messages', 90); // 消息保留90天
 dataRetentionPolicy.setPolicy('logs', 30); // 日志保留30天
 dataRetentionPolicy.setPolicy('sessions', 7); // 会话保留7天
 
+// 签发登录凭证的接口：响应中的令牌、两步验证密钥和恢复码正是要交给用户本人的，不能被当作泄露打码或当作敏感字段移除
+const CREDENTIAL_ISSUING_PATHS = new Set([
+    '/api/register',
+    '/api/login',
+    '/api/admin/login',
+    '/api/admin/password',
+    '/api/auth/refresh',
+    '/api/change-password',
+    '/api/2fa/setup',
+    '/api/2fa/enable',
+    '/api/2fa/recovery-codes',
+    '/api/admin/2fa/setup'
+]);
+
 /**
  * 数据保护中间件
  */
 function dataProtectionMiddleware(req, res, next) {
+    if (CREDENTIAL_ISSUING_PATHS.has(req.path)) {
+        return next();
+    }
+    
     // 拦截响应
     const originalJson = res.json.bind(res);
     
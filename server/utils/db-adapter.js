@@ -1,6 +1,6 @@
 /**
  * 数据库适配器
- * 根据环境变量 DB_TYPE 选择使用 JSON 文件存储或 Supabase
+ * 根据环境变量 DB_TYPE 选择使用 JSON 文件存储、SQLite 或 Supabase
  */
 
 require('dotenv').config();
@@ -12,6 +12,9 @@ let db;
 if (DB_TYPE === 'supabase') {
     console.log('✓ 使用 Supabase 数据库');
     db = require('./db-supabase');
+} else if (DB_TYPE === 'sqlite') {
+    console.log('✓ 使用 SQLite 数据库');
+    db = require('./db-sqlite');
 } else {
     console.log('✓ 使用 JSON 文件存储');
     // JSON 数据库的同步方法需要包装成异步
@@ -24,19 +27,86 @@ if (DB_TYPE === 'supabase') {
         getUserByEmail: async (email) => jsonDb.getUserByEmail(email),
         insertUser: async (userData) => jsonDb.insertUser(userData),
         updateUser: async (id, userData) => jsonDb.updateUser(id, userData),
+        incrementTokenVersion: async (id) => jsonDb.incrementTokenVersion(id),
         
         getMessagesByChannel: async (channel) => jsonDb.getMessagesByChannel(channel),
+        getMessagesPage: async (channel, options) => jsonDb.getMessagesPage(channel, options),
         getMessageById: async (id) => jsonDb.getMessageById(id),
+        getMessageByClientId: async (userId, clientId) => jsonDb.getMessageByClientId(userId, clientId),
         insertMessage: async (messageData) => jsonDb.insertMessage(messageData),
         updateMessage: async (id, messageData) => jsonDb.updateMessage(id, messageData),
         deleteMessage: async (id) => jsonDb.deleteMessage(id),
+        getPinnedMessages: async (channel) => jsonDb.getPinnedMessages(channel),
+        getLatestMessageByUser: async (channel, userId) => jsonDb.getLatestMessageByUser(channel, userId),
+        searchMessages: async (query, filters) => jsonDb.searchMessages(query, filters),
+        
+        getMessageEdits: async (messageId) => jsonDb.getMessageEdits(messageId),
+        insertMessageEdit: async (editData) => jsonDb.insertMessageEdit(editData),
+        
+        getMessageReactions: async (messageId) => jsonDb.getMessageReactions(messageId),
+        getReactionsByMessageIds: async (messageIds) => jsonDb.getReactionsByMessageIds(messageIds),
+        addMessageReaction: async (reactionData) => jsonDb.addMessageReaction(reactionData),
+        removeMessageReaction: async (messageId, userId, emoji) => jsonDb.removeMessageReaction(messageId, userId, emoji),
+        
+        insertMessageMentions: async (messageId, userIds) => jsonDb.insertMessageMentions(messageId, userIds),
+        getMentionsByMessageIds: async (messageIds) => jsonDb.getMentionsByMessageIds(messageIds),
+        
+        getDmConversation: async (userA, userB) => jsonDb.getDmConversation(userA, userB),
+        getDmConversationById: async (id) => jsonDb.getDmConversationById(id),
+        getOrCreateDmConversation: async (userA, userB) => jsonDb.getOrCreateDmConversation(userA, userB),
+        getDmConversationsByUser: async (userId) => jsonDb.getDmConversationsByUser(userId),
+        getDirectMessages: async (conversationId, options) => jsonDb.getDirectMessages(conversationId, options),
+        insertDirectMessage: async (messageData) => jsonDb.insertDirectMessage(messageData),
+        
+        getReadMarkersByUser: async (userId) => jsonDb.getReadMarkersByUser(userId),
+        getReadMarkersByChannel: async (channel) => jsonDb.getReadMarkersByChannel(channel),
+        advanceReadMarker: async (userId, channel, messageId) => jsonDb.advanceReadMarker(userId, channel, messageId),
+        getLatestMessageId: async (channel) => jsonDb.getLatestMessageId(channel),
+        countUnreadMessages: async (channel, userId, afterMessageId) => jsonDb.countUnreadMessages(channel, userId, afterMessageId),
         
         getChannelByName: async (name) => jsonDb.getChannelByName(name),
+        listChannels: async (options) => jsonDb.listChannels(options),
+        createChannel: async (channelData) => jsonDb.createChannel(channelData),
+        updateChannel: async (name, updates) => jsonDb.updateChannel(name, updates),
+        deleteChannel: async (name) => jsonDb.deleteChannel(name),
         getChannelMembers: async (channelName) => jsonDb.getChannelMembers(channelName),
         addChannelMember: async (channelName, userId) => jsonDb.addChannelMember(channelName, userId),
         removeChannelMember: async (channelName, userId) => jsonDb.removeChannelMember(channelName, userId),
         isChannelMember: async (channelName, userId) => jsonDb.isChannelMember(channelName, userId),
         updateChannelPassword: async (channelName, newPassword) => jsonDb.updateChannelPassword(channelName, newPassword),
+        getChannelRole: async (channelName, userId) => jsonDb.getChannelRole(channelName, userId),
+        getChannelRoles: async (channelName) => jsonDb.getChannelRoles(channelName),
+        setChannelRole: async (channelName, userId, role) => jsonDb.setChannelRole(channelName, userId, role),
+        
+        getChannelInvites: async (channel) => jsonDb.getChannelInvites(channel),
+        getChannelInviteById: async (id) => jsonDb.getChannelInviteById(id),
+        getChannelInviteByCode: async (code) => jsonDb.getChannelInviteByCode(code),
+        createChannelInvite: async (inviteData) => jsonDb.createChannelInvite(inviteData),
+        revokeChannelInvite: async (id) => jsonDb.revokeChannelInvite(id),
+        redeemChannelInvite: async (id) => jsonDb.redeemChannelInvite(id),
+        
+        getRefreshTokenByHash: async (tokenHash) => jsonDb.getRefreshTokenByHash(tokenHash),
+        createRefreshToken: async (tokenData) => jsonDb.createRefreshToken(tokenData),
+        revokeRefreshToken: async (id) => jsonDb.revokeRefreshToken(id),
+        revokeUserRefreshTokens: async (userId) => jsonDb.revokeUserRefreshTokens(userId),
+        revokeSessionRefreshTokens: async (sessionId) => jsonDb.revokeSessionRefreshTokens(sessionId),
+        
+        getAdminById: async (id) => jsonDb.getAdminById(id),
+        getAdminByUsername: async (username) => jsonDb.getAdminByUsername(username),
+        listAdmins: async () => jsonDb.listAdmins(),
+        createAdmin: async (adminData) => jsonDb.createAdmin(adminData),
+        updateAdmin: async (id, adminData) => jsonDb.updateAdmin(id, adminData),
+        deleteAdmin: async (id) => jsonDb.deleteAdmin(id),
+        
+        getRegistrationInvites: async () => jsonDb.getRegistrationInvites(),
+        getRegistrationInviteById: async (id) => jsonDb.getRegistrationInviteById(id),
+        getRegistrationInviteByCode: async (code) => jsonDb.getRegistrationInviteByCode(code),
+        createRegistrationInvite: async (inviteData) => jsonDb.createRegistrationInvite(inviteData),
+        revokeRegistrationInvite: async (id) => jsonDb.revokeRegistrationInvite(id),
+        redeemRegistrationInvite: async (id) => jsonDb.redeemRegistrationInvite(id),
+        releaseRegistrationInvite: async (id) => jsonDb.releaseRegistrationInvite(id),
+        addRegistrationInviteRedemption: async (inviteId, userId) => jsonDb.addRegistrationInviteRedemption(inviteId, userId),
+        getRegistrationInviteRedemptions: async (inviteId) => jsonDb.getRegistrationInviteRedemptions(inviteId),
         
         channels: jsonDb.channels,
         saveData: () => jsonDb.saveData()
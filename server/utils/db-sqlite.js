@@ -0,0 +1,1187 @@
+// SQLite 数据库（DB_TYPE=sqlite）
+// 所有数据保存在一个数据库文件中（默认 server/data/nexi-chat.db，可用 SQLITE_FILE 修改），首次启动时自动建表并创建默认频道
+// 表结构与 supabase-schema.sql 一致：布尔字段保存为 0/1，时间保存为 ISO 8601 字符串，恢复码数组保存为 JSON 文本
+
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const Database = require('better-sqlite3');
+const { splitRuns, tokenize, tokenizeQuery } = require('./search-index');
+
+const DB_FILE = process.env.SQLITE_FILE || path.join(__dirname, '..', 'data', 'nexi-chat.db');
+
+// 数据库结构版本，以后修改表结构时递增并在 migrate() 中补充升级步骤
+const SCHEMA_VERSION = 2;
+
+const NOW = `(strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))`;
+
+const SCHEMA = `
+    -- 1. 用户表
+    CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT UNIQUE NOT NULL,
+        password TEXT NOT NULL,
+        email TEXT UNIQUE,
+        nickname TEXT,
+        avatar TEXT,
+        bio TEXT,
+        gender TEXT,
+        token_version INTEGER NOT NULL DEFAULT 0,
+        totp_secret TEXT,
+        totp_enabled INTEGER NOT NULL DEFAULT 0,
+        totp_recovery_codes TEXT,
+        totp_last_step INTEGER,
+        email_verified INTEGER NOT NULL DEFAULT 0,
+        created_at TEXT DEFAULT ${NOW}
+    );
+    
+    -- 2. 消息表
+    CREATE TABLE IF NOT EXISTS messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        channel TEXT NOT NULL,
+        content TEXT,
+        image TEXT,
+        voice TEXT,
+        reply_to INTEGER REFERENCES messages(id) ON DELETE SET NULL,
+        is_blocked INTEGER DEFAULT 0,
+        blocked_at TEXT,
+        is_recalled INTEGER DEFAULT 0,
+        recalled_at TEXT,
+        is_edited INTEGER DEFAULT 0,
+        edited_at TEXT,
+        is_pinned INTEGER DEFAULT 0,
+        pinned_at TEXT,
+        pinned_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        client_id TEXT,
+        created_at TEXT DEFAULT ${NOW}
+    );
+    
+    -- 3. 频道表
+    CREATE TABLE IF NOT EXISTS channels (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT UNIQUE NOT NULL,
+        display_name TEXT,
+        icon TEXT DEFAULT '#',
+        password TEXT,
+        access_mode TEXT NOT NULL DEFAULT 'public' CHECK (access_mode IN ('public', 'protected', 'invite')),
+        slow_mode_seconds INTEGER NOT NULL DEFAULT 0,
+        is_archived INTEGER DEFAULT 0,
+        sort_order INTEGER DEFAULT 0,
+        created_at TEXT DEFAULT ${NOW}
+    );
+    
+    -- 4. 频道成员表（role：owner 频道所有者、moderator 版主、member 普通成员）
+    CREATE TABLE IF NOT EXISTS channel_members (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        channel_id INTEGER NOT NULL REFERENCES channels(id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        role TEXT NOT NULL DEFAULT 'member' CHECK (role IN ('owner', 'moderator', 'member')),
+        joined_at TEXT DEFAULT ${NOW},
+        UNIQUE(channel_id, user_id)
+    );
+    
+    -- 5. 消息编辑历史表（保存每次编辑前的内容）
+    CREATE TABLE IF NOT EXISTS message_edits (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        message_id INTEGER NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        content TEXT,
+        edited_at TEXT DEFAULT ${NOW}
+    );
+    
+    -- 6. 消息表情回应表（每个用户对同一消息的同一表情只记录一次）
+    CREATE TABLE IF NOT EXISTS message_reactions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        message_id INTEGER NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        emoji TEXT NOT NULL,
+        created_at TEXT DEFAULT ${NOW},
+        UNIQUE(message_id, user_id, emoji)
+    );
+    
+    -- 7. 私信会话表（两个用户之间只有一个会话，user1_id 始终小于 user2_id）
+    CREATE TABLE IF NOT EXISTS dm_conversations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user1_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        user2_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        created_at TEXT DEFAULT ${NOW},
+        last_message_at TEXT,
+        UNIQUE(user1_id, user2_id),
+        CHECK (user1_id < user2_id)
+    );
+    
+    -- 8. 私信消息表
+    CREATE TABLE IF NOT EXISTS direct_messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        conversation_id INTEGER NOT NULL REFERENCES dm_conversations(id) ON DELETE CASCADE,
+        sender_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        content TEXT NOT NULL,
+        created_at TEXT DEFAULT ${NOW}
+    );
+    
+    -- 9. 消息提及表（记录消息中被 @ 的用户）
+    CREATE TABLE IF NOT EXISTS message_mentions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        message_id INTEGER NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        created_at TEXT DEFAULT ${NOW},
+        UNIQUE(message_id, user_id)
+    );
+    
+    -- 10. 频道已读位置表（记录每个用户在每个频道最后读到的消息）
+    CREATE TABLE IF NOT EXISTS channel_read_markers (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        channel TEXT NOT NULL,
+        last_read_message_id INTEGER NOT NULL DEFAULT 0,
+        updated_at TEXT DEFAULT ${NOW},
+        UNIQUE(user_id, channel)
+    );
+    
+    -- 11. 频道邀请链接表（max_uses 为空表示不限次数）
+    CREATE TABLE IF NOT EXISTS channel_invites (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        channel TEXT NOT NULL REFERENCES channels(name) ON DELETE CASCADE,
+        code TEXT UNIQUE NOT NULL,
+        max_uses INTEGER CHECK (max_uses IS NULL OR max_uses > 0),
+        uses INTEGER NOT NULL DEFAULT 0,
+        expires_at TEXT NOT NULL,
+        revoked_at TEXT,
+        created_at TEXT DEFAULT ${NOW}
+    );
+    
+    -- 12. 刷新令牌表（只保存令牌的 SHA-256 哈希）
+    CREATE TABLE IF NOT EXISTS refresh_tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        session_id TEXT,
+        token_hash TEXT UNIQUE NOT NULL,
+        expires_at TEXT NOT NULL,
+        revoked_at TEXT,
+        created_at TEXT DEFAULT ${NOW}
+    );
+    
+    -- 13. 管理员账号表（密码为 bcrypt 哈希；表为空时服务端用 ADMIN_USERNAME / ADMIN_PASSWORD 创建超级管理员）
+    CREATE TABLE IF NOT EXISTS admins (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT UNIQUE NOT NULL,
+        password TEXT NOT NULL,
+        role TEXT NOT NULL DEFAULT 'moderator' CHECK (role IN ('superadmin', 'moderator', 'auditor')),
+        token_version INTEGER NOT NULL DEFAULT 0,
+        totp_secret TEXT,
+        totp_enabled INTEGER NOT NULL DEFAULT 0,
+        totp_recovery_codes TEXT,
+        totp_last_step INTEGER,
+        last_login_at TEXT,
+        created_at TEXT DEFAULT ${NOW}
+    );
+    
+    -- 14. 注册邀请码表（REGISTRATION_MODE=invite 时注册需要邀请码）
+    CREATE TABLE IF NOT EXISTS registration_invites (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        code TEXT UNIQUE NOT NULL,
+        note TEXT,
+        max_uses INTEGER CHECK (max_uses IS NULL OR max_uses > 0),
+        uses INTEGER NOT NULL DEFAULT 0,
+        expires_at TEXT NOT NULL,
+        created_by TEXT,
+        revoked_at TEXT,
+        created_at TEXT DEFAULT ${NOW}
+    );
+    
+    -- 15. 注册邀请码使用记录表（记录每个邀请码注册了哪些用户）
+    CREATE TABLE IF NOT EXISTS registration_invite_redemptions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        invite_id INTEGER NOT NULL REFERENCES registration_invites(id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        created_at TEXT DEFAULT ${NOW}
+    );
+    
+    -- 全文搜索：rowid 为消息 ID，tokens 保存 search-index.js 分词后的词项（中文按单字和双字切分）
+    CREATE VIRTUAL TABLE IF NOT EXISTS message_search USING fts5(tokens, tokenize = 'unicode61 remove_diacritics 0');
+    
+    -- 创建索引以提高查询性能（消息分页按 ID 游标，频道索引带上 id）
+    CREATE INDEX IF NOT EXISTS idx_messages_channel ON messages(channel, id);
+    CREATE INDEX IF NOT EXISTS idx_messages_user_id ON messages(user_id);
+    CREATE INDEX IF NOT EXISTS idx_messages_created_at ON messages(created_at DESC);
+    CREATE INDEX IF NOT EXISTS idx_channel_members_channel_id ON channel_members(channel_id);
+    CREATE INDEX IF NOT EXISTS idx_channel_members_user_id ON channel_members(user_id);
+    CREATE INDEX IF NOT EXISTS idx_messages_pinned ON messages(channel, pinned_at DESC) WHERE is_pinned = 1;
+    CREATE INDEX IF NOT EXISTS idx_message_edits_message_id ON message_edits(message_id);
+    CREATE INDEX IF NOT EXISTS idx_message_reactions_message_id ON message_reactions(message_id);
+    CREATE INDEX IF NOT EXISTS idx_message_mentions_message_id ON message_mentions(message_id);
+    CREATE INDEX IF NOT EXISTS idx_message_mentions_user_id ON message_mentions(user_id);
+    CREATE INDEX IF NOT EXISTS idx_dm_conversations_user2_id ON dm_conversations(user2_id);
+    CREATE INDEX IF NOT EXISTS idx_direct_messages_conversation_id ON direct_messages(conversation_id, id DESC);
+    CREATE INDEX IF NOT EXISTS idx_channel_read_markers_channel ON channel_read_markers(channel);
+    CREATE INDEX IF NOT EXISTS idx_channel_invites_channel ON channel_invites(channel);
+    CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON refresh_tokens(user_id);
+    CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session_id ON refresh_tokens(session_id);
+    CREATE INDEX IF NOT EXISTS idx_registration_invite_redemptions_invite_id ON registration_invite_redemptions(invite_id);
+    -- 同一用户的 client_id 唯一，重试的请求同时到达时也只会保存一条
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_messages_user_client_id ON messages(user_id, client_id) WHERE client_id IS NOT NULL;
+`;
+
+// 默认频道（与 supabase-schema.sql 一致），私密频道密码从环境变量读取，未配置时创建为仅限邀请的频道
+const defaultChannelList = [
+    { name: 'General', display_name: '频道1', icon: '1', password: null },
+    { name: 'Technology', display_name: '频道2', icon: '2', password: null },
+    { name: 'Gaming', display_name: '频道3', icon: '3', password: null },
+    { name: 'Music', display_name: '频道4', icon: '4', password: null },
+    { name: 'Random', display_name: '频道5', icon: '5', password: null },
+    {
+        name: 'Channel105',
+        display_name: '105专用频道',
+        icon: '🔒',
+        password: process.env.CHANNEL105_PASSWORD || null,
+        access_mode: process.env.CHANNEL105_PASSWORD ? 'protected' : 'invite'
+    }
+];
+
+// 需要在 0/1 和 true/false 之间转换的布尔字段，以及以 JSON 文本保存的数组字段
+const BOOLEAN_COLUMNS = {
+    users: ['totp_enabled', 'email_verified'],
+    messages: ['is_blocked', 'is_recalled', 'is_edited', 'is_pinned'],
+    channels: ['is_archived'],
+    admins: ['totp_enabled']
+};
+const JSON_COLUMNS = {
+    users: ['totp_recovery_codes'],
+    admins: ['totp_recovery_codes']
+};
+
+fs.mkdirSync(path.dirname(DB_FILE), { recursive: true });
+
+const db = new Database(DB_FILE);
+// WAL 模式下读写互不阻塞，多个进程共用同一个数据库文件时写入按顺序排队等待
+db.pragma('journal_mode = WAL');
+db.pragma('synchronous = NORMAL');
+db.pragma('busy_timeout = 5000');
+db.pragma('foreign_keys = ON');
+
+function migrate() {
+    const version = db.pragma('user_version', { simple: true });
+    if (version >= SCHEMA_VERSION) return;
+    
+    db.exec(SCHEMA);
+    
+    // 新建的数据库写入默认频道
+    if (version === 0) {
+        const insertChannel = db.prepare(`
+            INSERT OR IGNORE INTO channels (name, display_name, icon, password, access_mode, sort_order)
+            VALUES (@name, @display_name, @icon, @password, @access_mode, @sort_order)
+        `);
+        defaultChannelList.forEach((channel, index) => {
+            insertChannel.run({
+                ...channel,
+                password: channel.password ? bcrypt.hashSync(channel.password, 10) : null,
+                access_mode: channel.access_mode || (channel.password ? 'protected' : 'public'),
+                sort_order: index
+            });
+        });
+    }
+    
+    // 版本 2：管理员两步验证恢复码
+    if (version === 1) {
+        db.exec('ALTER TABLE admins ADD COLUMN totp_recovery_codes TEXT');
+    }
+    
+    db.pragma(`user_version = ${SCHEMA_VERSION}`);
+}
+
+// 多个进程同时启动时只有一个进程执行建表
+db.transaction(migrate).immediate();
+
+const tableColumns = {};
+
+function getTableColumns(table) {
+    if (!tableColumns[table]) {
+        tableColumns[table] = db.pragma(`table_info(${table})`).map(column => column.name);
+    }
+    return tableColumns[table];
+}
+
+// 预编译语句缓存
+const statements = new Map();
+
+function sql(text) {
+    if (!statements.has(text)) {
+        statements.set(text, db.prepare(text));
+    }
+    return statements.get(text);
+}
+
+function now() {
+    return new Date().toISOString();
+}
+
+/**
+ * 数据库行转换为与其他存储方式一致的对象（布尔字段、JSON 字段）
+ */
+function fromRow(table, row) {
+    if (!row) return null;
+    
+    (BOOLEAN_COLUMNS[table] || []).forEach(column => {
+        if (row[column] !== null && row[column] !== undefined) {
+            row[column] = row[column] === 1;
+        }
+    });
+    (JSON_COLUMNS[table] || []).forEach(column => {
+        if (typeof row[column] === 'string') {
+            row[column] = JSON.parse(row[column]);
+        }
+    });
+    return row;
+}
+
+function fromRows(table, rows) {
+    return rows.map(row => fromRow(table, row));
+}
+
+/**
+ * 写入前转换字段值（SQLite 不能直接绑定布尔值和数组）
+ */
+function toParams(table, values) {
+    const params = { ...values };
+    
+    (BOOLEAN_COLUMNS[table] || []).forEach(column => {
+        if (typeof params[column] === 'boolean') {
+            params[column] = params[column] ? 1 : 0;
+        }
+    });
+    (JSON_COLUMNS[table] || []).forEach(column => {
+        if (params[column] !== null && params[column] !== undefined) {
+            params[column] = JSON.stringify(params[column]);
+        }
+    });
+    return params;
+}
+
+function getRow(table, id) {
+    return fromRow(table, sql(`SELECT * FROM ${table} WHERE id = ?`).get(parseInt(id)));
+}
+
+function insertRow(table, values) {
+    const columns = Object.keys(values);
+    const { lastInsertRowid } = sql(
+        `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(column => `@${column}`).join(', ')})`
+    ).run(toParams(table, values));
+    return getRow(table, lastInsertRowid);
+}
+
+// 按 ID 更新记录，忽略表中不存在的字段，记录不存在时返回 null
+function updateRow(table, id, values) {
+    const columns = Object.keys(values).filter(column => column !== 'id' && getTableColumns(table).includes(column));
+    
+    if (columns.length > 0) {
+        sql(`UPDATE ${table} SET ${columns.map(column => `${column} = @${column}`).join(', ')} WHERE id = @id`)
+            .run({ ...toParams(table, values), id: parseInt(id) });
+    }
+    return getRow(table, id);
+}
+
+function isUniqueViolation(error) {
+    return error.code === 'SQLITE_CONSTRAINT_UNIQUE';
+}
+
+/**
+ * 用户相关操作
+ */
+
+async function getUserById(id) {
+    return getRow('users', id);
+}
+
+async function getUserByUsername(username) {
+    return fromRow('users', sql('SELECT * FROM users WHERE username = ?').get(username));
+}
+
+async function getUserByEmail(email) {
+    if (!email) return null;
+    return fromRow('users', sql('SELECT * FROM users WHERE email = ?').get(email));
+}
+
+async function insertUser(userData) {
+    return insertRow('users', {
+        username: userData.username,
+        password: userData.password,
+        email: userData.email || null,
+        email_verified: false,
+        nickname: userData.nickname || userData.username,
+        avatar: null,
+        bio: null,
+        gender: null,
+        created_at: now()
+    });
+}
+
+async function updateUser(id, userData) {
+    return updateRow('users', id, userData);
+}
+
+// 令牌版本加一，使该用户之前签发的访问令牌全部失效
+async function incrementTokenVersion(id) {
+    const row = sql('UPDATE users SET token_version = token_version + 1 WHERE id = ? RETURNING token_version').get(parseInt(id));
+    return row ? row.token_version : null;
+}
+
+/**
+ * 消息相关操作
+ */
+
+// 更新消息的全文搜索词项
+function indexMessage(id, content) {
+    sql('DELETE FROM message_search WHERE rowid = ?').run(id);
+    sql('INSERT INTO message_search (rowid, tokens) VALUES (?, ?)').run(id, Array.from(tokenize(content)).join(' '));
+}
+
+async function getMessagesByChannel(channel) {
+    return fromRows('messages', sql('SELECT * FROM messages WHERE channel = ? ORDER BY id').all(channel));
+}
+
+// 按消息 ID 游标分页：before 取更早的消息，after 取更新的消息，结果按时间正序
+// 被屏蔽的消息只对发送者本人（viewerId）可见
+async function getMessagesPage(channel, options = {}) {
+    const { before, after, limit = 100, viewerId } = options;
+    const conditions = ['channel = @channel', '(is_blocked = 0 OR user_id = @viewer)'];
+    if (before) conditions.push('id < @before');
+    if (after) conditions.push('id > @after');
+    
+    // 只有 after 时从游标往后取，否则取最近的 limit 条再反转为正序
+    const ascending = Boolean(after) && !before;
+    const rows = sql(`
+        SELECT * FROM messages WHERE ${conditions.join(' AND ')}
+        ORDER BY id ${ascending ? 'ASC' : 'DESC'} LIMIT @limit
+    `).all({
+        channel,
+        viewer: viewerId ? parseInt(viewerId) : null,
+        before: parseInt(before) || null,
+        after: parseInt(after) || null,
+        limit
+    });
+    
+    return fromRows('messages', ascending ? rows : rows.reverse());
+}
+
+async function getMessageById(id) {
+    return getRow('messages', id);
+}
+
+// 按客户端生成的消息 ID 查找用户发送过的消息（离线发件箱重试去重）
+async function getMessageByClientId(userId, clientId) {
+    return fromRow('messages', sql('SELECT * FROM messages WHERE user_id = ? AND client_id = ?').get(parseInt(userId), clientId));
+}
+
+// 插入新消息（同一用户的 client_id 有唯一索引，重复插入会报错）
+const insertMessageTransaction = db.transaction(messageData => {
+    const message = insertRow('messages', {
+        client_id: messageData.client_id || null,
+        user_id: messageData.user_id,
+        channel: messageData.channel,
+        content: messageData.content || '',
+        image: messageData.image || null,
+        voice: messageData.voice || null,
+        reply_to: messageData.reply_to || null,
+        is_blocked: messageData.is_blocked || false,
+        blocked_at: messageData.is_blocked ? now() : null,
+        is_recalled: false,
+        recalled_at: null,
+        is_edited: false,
+        edited_at: null,
+        is_pinned: false,
+        pinned_at: null,
+        pinned_by: null,
+        created_at: now()
+    });
+    indexMessage(message.id, message.content);
+    return message;
+});
+
+async function insertMessage(messageData) {
+    try {
+        return insertMessageTransaction(messageData);
+    } catch (error) {
+        if (isUniqueViolation(error) && messageData.client_id) {
+            throw new Error('消息已存在');
+        }
+        throw error;
+    }
+}
+
+const updateMessageTransaction = db.transaction((id, messageData) => {
+    const message = updateRow('messages', id, messageData);
+    if (message && messageData.content !== undefined) {
+        indexMessage(message.id, message.content);
+    }
+    return message;
+});
+
+async function updateMessage(id, messageData) {
+    if (messageData.is_recalled) {
+        messageData.image = null;
+        messageData.voice = null;
+    }
+    return updateMessageTransaction(id, messageData);
+}
+
+// 删除消息（编辑历史、表情回应和提及通过外键级联删除）
+const deleteMessageTransaction = db.transaction(id => {
+    sql('DELETE FROM message_search WHERE rowid = ?').run(id);
+    return sql('DELETE FROM messages WHERE id = ?').run(id).changes > 0;
+});
+
+async function deleteMessage(id) {
+    return deleteMessageTransaction(parseInt(id));
+}
+
+// 获取频道内的置顶消息（最近置顶的在前）
+async function getPinnedMessages(channel) {
+    return fromRows('messages', sql('SELECT * FROM messages WHERE channel = ? AND is_pinned = 1 ORDER BY pinned_at DESC').all(channel));
+}
+
+// 获取用户在频道内发送的最后一条消息（用于慢速模式）
+async function getLatestMessageByUser(channel, userId) {
+    return fromRow('messages', sql('SELECT * FROM messages WHERE channel = ? AND user_id = ? ORDER BY id DESC LIMIT 1').get(channel, parseInt(userId)));
+}
+
+// 全文搜索消息（不返回被屏蔽和已撤回的消息），结果按时间倒序
+// 分词规则与 JSON 存储的倒排索引相同，CJK 片段再用 instr 校验完整包含，排除双字拼凑出的误匹配
+async function searchMessages(query, filters = {}) {
+    const { channels, userId, from, to, hasImage, hasVoice, limit = 50 } = filters;
+    const tokens = Array.from(tokenizeQuery(query));
+    if (tokens.length === 0 || (channels && channels.length === 0)) return [];
+    
+    const params = {
+        match: tokens.map(token => `"${token}"`).join(' '),
+        limit
+    };
+    const conditions = ['message_search MATCH @match', 'm.is_blocked = 0', 'm.is_recalled = 0'];
+    
+    if (channels) {
+        conditions.push('m.channel IN (SELECT value FROM json_each(@channels))');
+        params.channels = JSON.stringify(channels);
+    }
+    if (userId) {
+        conditions.push('m.user_id = @userId');
+        params.userId = parseInt(userId);
+    }
+    if (from) {
+        conditions.push('m.created_at >= @from');
+        params.from = new Date(from).toISOString();
+    }
+    if (to) {
+        conditions.push('m.created_at <= @to');
+        params.to = new Date(to).toISOString();
+    }
+    if (hasImage) conditions.push('m.image IS NOT NULL');
+    if (hasVoice) conditions.push('m.voice IS NOT NULL');
+    
+    splitRuns(query)
+        .filter(run => run.cjk)
+        .forEach((run, index) => {
+            conditions.push(`instr(m.content, @cjk${index}) > 0`);
+            params[`cjk${index}`] = run.text;
+        });
+    
+    const rows = sql(`
+        SELECT m.* FROM message_search JOIN messages m ON m.id = message_search.rowid
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY m.created_at DESC LIMIT @limit
+    `).all(params);
+    return fromRows('messages', rows);
+}
+
+/**
+ * 消息编辑历史相关操作
+ */
+
+async function getMessageEdits(messageId) {
+    return sql('SELECT * FROM message_edits WHERE message_id = ? ORDER BY edited_at, id').all(parseInt(messageId));
+}
+
+async function insertMessageEdit(editData) {
+    return insertRow('message_edits', {
+        message_id: parseInt(editData.message_id),
+        user_id: editData.user_id,
+        content: editData.content || '',
+        edited_at: now()
+    });
+}
+
+/**
+ * 消息表情回应相关操作
+ */
+
+async function getMessageReactions(messageId) {
+    return sql('SELECT * FROM message_reactions WHERE message_id = ? ORDER BY id').all(parseInt(messageId));
+}
+
+async function getReactionsByMessageIds(messageIds) {
+    if (messageIds.length === 0) return [];
+    return sql('SELECT * FROM message_reactions WHERE message_id IN (SELECT value FROM json_each(?)) ORDER BY id')
+        .all(JSON.stringify(messageIds.map(id => parseInt(id))));
+}
+
+// 添加表情回应（重复添加时返回已有记录）
+async function addMessageReaction(reactionData) {
+    const messageId = parseInt(reactionData.message_id);
+    const userId = parseInt(reactionData.user_id);
+    
+    sql(`
+        INSERT INTO message_reactions (message_id, user_id, emoji, created_at) VALUES (?, ?, ?, ?)
+        ON CONFLICT (message_id, user_id, emoji) DO NOTHING
+    `).run(messageId, userId, reactionData.emoji, now());
+    return sql('SELECT * FROM message_reactions WHERE message_id = ? AND user_id = ? AND emoji = ?')
+        .get(messageId, userId, reactionData.emoji);
+}
+
+async function removeMessageReaction(messageId, userId, emoji) {
+    return sql('DELETE FROM message_reactions WHERE message_id = ? AND user_id = ? AND emoji = ?')
+        .run(parseInt(messageId), parseInt(userId), emoji).changes > 0;
+}
+
+/**
+ * 消息 @提及相关操作
+ */
+
+const insertMessageMentionsTransaction = db.transaction((messageId, userIds) =>
+    userIds.map(userId => insertRow('message_mentions', {
+        message_id: parseInt(messageId),
+        user_id: parseInt(userId),
+        created_at: now()
+    }))
+);
+
+async function insertMessageMentions(messageId, userIds) {
+    if (userIds.length === 0) return [];
+    return insertMessageMentionsTransaction(messageId, userIds);
+}
+
+async function getMentionsByMessageIds(messageIds) {
+    if (messageIds.length === 0) return [];
+    return sql('SELECT * FROM message_mentions WHERE message_id IN (SELECT value FROM json_each(?)) ORDER BY id')
+        .all(JSON.stringify(messageIds.map(id => parseInt(id))));
+}
+
+/**
+ * 私信相关操作（两个用户之间只有一个会话，user1_id 始终小于 user2_id）
+ */
+
+async function getDmConversation(userA, userB) {
+    const [user1Id, user2Id] = [parseInt(userA), parseInt(userB)].sort((a, b) => a - b);
+    return sql('SELECT * FROM dm_conversations WHERE user1_id = ? AND user2_id = ?').get(user1Id, user2Id) || null;
+}
+
+async function getDmConversationById(id) {
+    return sql('SELECT * FROM dm_conversations WHERE id = ?').get(parseInt(id)) || null;
+}
+
+async function getOrCreateDmConversation(userA, userB) {
+    const [user1Id, user2Id] = [parseInt(userA), parseInt(userB)].sort((a, b) => a - b);
+    sql(`
+        INSERT INTO dm_conversations (user1_id, user2_id, created_at) VALUES (?, ?, ?)
+        ON CONFLICT (user1_id, user2_id) DO NOTHING
+    `).run(user1Id, user2Id, now());
+    return getDmConversation(user1Id, user2Id);
+}
+
+// 获取用户参与的所有私信会话（最近活跃的在前）
+async function getDmConversationsByUser(userId) {
+    const id = parseInt(userId);
+    return sql(`
+        SELECT * FROM dm_conversations WHERE user1_id = ? OR user2_id = ?
+        ORDER BY COALESCE(last_message_at, created_at) DESC
+    `).all(id, id);
+}
+
+// 获取会话中的私信（结果按时间正序，before 为消息 ID 游标）
+async function getDirectMessages(conversationId, options = {}) {
+    const { before, limit = 100 } = options;
+    return sql(`
+        SELECT * FROM direct_messages WHERE conversation_id = @conversationId AND (@before IS NULL OR id < @before)
+        ORDER BY id DESC LIMIT @limit
+    `).all({
+        conversationId: parseInt(conversationId),
+        before: parseInt(before) || null,
+        limit
+    }).reverse();
+}
+
+// 插入私信并更新会话的最后活跃时间
+const insertDirectMessageTransaction = db.transaction(messageData => {
+    const message = insertRow('direct_messages', {
+        conversation_id: parseInt(messageData.conversation_id),
+        sender_id: parseInt(messageData.sender_id),
+        content: messageData.content || '',
+        created_at: now()
+    });
+    sql('UPDATE dm_conversations SET last_message_at = ? WHERE id = ?').run(message.created_at, message.conversation_id);
+    return message;
+});
+
+async function insertDirectMessage(messageData) {
+    return insertDirectMessageTransaction(messageData);
+}
+
+/**
+ * 频道已读位置操作（每个用户在每个频道只有一条记录）
+ */
+
+async function getReadMarkersByUser(userId) {
+    return sql('SELECT * FROM channel_read_markers WHERE user_id = ?').all(parseInt(userId));
+}
+
+async function getReadMarkersByChannel(channel) {
+    return sql('SELECT * FROM channel_read_markers WHERE channel = ?').all(channel);
+}
+
+// 推进已读位置（只前进不后退），返回更新后的记录
+async function advanceReadMarker(userId, channel, messageId) {
+    const id = parseInt(userId);
+    sql(`
+        INSERT INTO channel_read_markers (user_id, channel, last_read_message_id, updated_at) VALUES (@userId, @channel, @lastReadId, @updatedAt)
+        ON CONFLICT (user_id, channel) DO UPDATE SET
+            last_read_message_id = excluded.last_read_message_id,
+            updated_at = excluded.updated_at
+        WHERE excluded.last_read_message_id > channel_read_markers.last_read_message_id
+    `).run({
+        userId: id,
+        channel,
+        lastReadId: parseInt(messageId) || 0,
+        updatedAt: now()
+    });
+    return sql('SELECT * FROM channel_read_markers WHERE user_id = ? AND channel = ?').get(id, channel);
+}
+
+async function getLatestMessageId(channel) {
+    return sql('SELECT MAX(id) AS id FROM messages WHERE channel = ?').get(channel).id || 0;
+}
+
+// 统计已读位置之后其他用户发送的未屏蔽消息数量
+async function countUnreadMessages(channel, userId, afterMessageId) {
+    return sql(`
+        SELECT COUNT(*) AS count FROM messages
+        WHERE channel = ? AND id > ? AND user_id != ? AND is_blocked = 0
+    `).get(channel, parseInt(afterMessageId) || 0, parseInt(userId)).count;
+}
+
+/**
+ * 频道相关操作（成员和角色保存在 channel_members 表中）
+ */
+
+function findChannel(name) {
+    return fromRow('channels', sql('SELECT * FROM channels WHERE name = ?').get(name));
+}
+
+async function getChannelByName(name) {
+    return findChannel(name);
+}
+
+// 按排序值列出频道，默认不包含已归档频道
+async function listChannels(options = {}) {
+    const { includeArchived = false } = options;
+    return fromRows('channels', sql(`
+        SELECT * FROM channels ${includeArchived ? '' : 'WHERE is_archived = 0'}
+        ORDER BY sort_order, created_at
+    `).all());
+}
+
+// 创建频道，频道名已存在时返回 null
+async function createChannel(channelData) {
+    const { changes } = sql(`
+        INSERT INTO channels (name, display_name, icon, password, access_mode, sort_order, created_at)
+        VALUES (@name, @display_name, @icon, @password, @access_mode, (SELECT COALESCE(MAX(sort_order), -1) + 1 FROM channels), @created_at)
+        ON CONFLICT (name) DO NOTHING
+    `).run({
+        name: channelData.name,
+        display_name: channelData.display_name || channelData.name,
+        icon: channelData.icon || '#',
+        password: channelData.password || null,
+        access_mode: channelData.access_mode || (channelData.password ? 'protected' : 'public'),
+        created_at: now()
+    });
+    return changes > 0 ? findChannel(channelData.name) : null;
+}
+
+// 更新频道显示名称、图标、访问模式、慢速模式、归档状态或排序
+async function updateChannel(name, updates) {
+    const channel = findChannel(name);
+    if (!channel) return null;
+    
+    const fields = {};
+    ['display_name', 'icon', 'access_mode', 'slow_mode_seconds', 'is_archived', 'sort_order'].forEach(field => {
+        if (updates[field] !== undefined) {
+            fields[field] = updates[field];
+        }
+    });
+    return updateRow('channels', channel.id, fields);
+}
+
+// 删除频道及其全部消息和已读位置（频道成员和邀请链接通过外键级联删除）
+const deleteChannelTransaction = db.transaction(name => {
+    sql('DELETE FROM message_search WHERE rowid IN (SELECT id FROM messages WHERE channel = ?)').run(name);
+    sql('DELETE FROM messages WHERE channel = ?').run(name);
+    sql('DELETE FROM channel_read_markers WHERE channel = ?').run(name);
+    return sql('DELETE FROM channels WHERE name = ?').run(name).changes > 0;
+});
+
+async function deleteChannel(name) {
+    return deleteChannelTransaction(name);
+}
+
+async function getChannelMembers(channelName) {
+    return sql(`
+        SELECT cm.user_id FROM channel_members cm JOIN channels c ON c.id = cm.channel_id
+        WHERE c.name = ? ORDER BY cm.id
+    `).all(channelName).map(member => member.user_id);
+}
+
+async function addChannelMember(channelName, userId) {
+    const channel = findChannel(channelName);
+    if (!channel) return false;
+    
+    sql(`
+        INSERT INTO channel_members (channel_id, user_id, joined_at) VALUES (?, ?, ?)
+        ON CONFLICT (channel_id, user_id) DO NOTHING
+    `).run(channel.id, parseInt(userId), now());
+    return true;
+}
+
+async function removeChannelMember(channelName, userId) {
+    const channel = findChannel(channelName);
+    if (!channel) return false;
+    
+    sql('DELETE FROM channel_members WHERE channel_id = ? AND user_id = ?').run(channel.id, parseInt(userId));
+    return true;
+}
+
+async function isChannelMember(channelName, userId) {
+    return Boolean(sql(`
+        SELECT 1 FROM channel_members cm JOIN channels c ON c.id = cm.channel_id
+        WHERE c.name = ? AND cm.user_id = ?
+    `).get(channelName, parseInt(userId)));
+}
+
+// 获取成员在频道中的角色，不是成员时返回 null
+async function getChannelRole(channelName, userId) {
+    const member = sql(`
+        SELECT cm.role FROM channel_members cm JOIN channels c ON c.id = cm.channel_id
+        WHERE c.name = ? AND cm.user_id = ?
+    `).get(channelName, parseInt(userId));
+    return member ? member.role : null;
+}
+
+// 获取频道中拥有 owner/moderator 角色的成员
+async function getChannelRoles(channelName) {
+    return sql(`
+        SELECT cm.user_id, cm.role FROM channel_members cm JOIN channels c ON c.id = cm.channel_id
+        WHERE c.name = ? AND cm.role != 'member' ORDER BY cm.id
+    `).all(channelName);
+}
+
+// 设置成员角色，不是成员时同时加入频道
+async function setChannelRole(channelName, userId, role) {
+    const channel = findChannel(channelName);
+    if (!channel) return false;
+    
+    sql(`
+        INSERT INTO channel_members (channel_id, user_id, role, joined_at) VALUES (?, ?, ?, ?)
+        ON CONFLICT (channel_id, user_id) DO UPDATE SET role = excluded.role
+    `).run(channel.id, parseInt(userId), role, now());
+    return true;
+}
+
+// 更新频道密码（调用方传入 bcrypt 哈希）
+async function updateChannelPassword(channelName, newPassword) {
+    return sql('UPDATE channels SET password = ? WHERE name = ?').run(newPassword, channelName).changes > 0;
+}
+
+/**
+ * 频道邀请链接相关操作
+ */
+
+// 获取频道的邀请链接（最新的在前）
+async function getChannelInvites(channel) {
+    return sql('SELECT * FROM channel_invites WHERE channel = ? ORDER BY id DESC').all(channel);
+}
+
+async function getChannelInviteById(id) {
+    return getRow('channel_invites', id);
+}
+
+async function getChannelInviteByCode(code) {
+    return sql('SELECT * FROM channel_invites WHERE code = ?').get(code) || null;
+}
+
+async function createChannelInvite(inviteData) {
+    return insertRow('channel_invites', {
+        channel: inviteData.channel,
+        code: inviteData.code,
+        max_uses: inviteData.max_uses || null,
+        uses: 0,
+        expires_at: inviteData.expires_at,
+        revoked_at: null,
+        created_at: now()
+    });
+}
+
+// 撤销邀请链接（已撤销的保持原撤销时间）
+async function revokeChannelInvite(id) {
+    sql('UPDATE channel_invites SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL').run(now(), parseInt(id));
+    return getRow('channel_invites', id);
+}
+
+// 使用次数加一，已达上限时返回 null（检查和加一在同一条语句中完成，并发使用不会超出上限）
+async function redeemChannelInvite(id) {
+    const { changes } = sql(`
+        UPDATE channel_invites SET uses = uses + 1
+        WHERE id = ? AND (max_uses IS NULL OR uses < max_uses)
+    `).run(parseInt(id));
+    return changes > 0 ? getRow('channel_invites', id) : null;
+}
+
+/**
+ * 刷新令牌相关操作（只保存令牌的哈希值）
+ */
+
+async function getRefreshTokenByHash(tokenHash) {
+    return sql('SELECT * FROM refresh_tokens WHERE token_hash = ?').get(tokenHash) || null;
+}
+
+const createRefreshTokenTransaction = db.transaction(tokenData => {
+    // 顺带清理已过期的令牌
+    sql('DELETE FROM refresh_tokens WHERE expires_at <= ?').run(now());
+    
+    return insertRow('refresh_tokens', {
+        user_id: parseInt(tokenData.user_id),
+        session_id: tokenData.session_id || null,
+        token_hash: tokenData.token_hash,
+        expires_at: tokenData.expires_at,
+        revoked_at: null,
+        created_at: now()
+    });
+});
+
+async function createRefreshToken(tokenData) {
+    return createRefreshTokenTransaction(tokenData);
+}
+
+// 吊销单个刷新令牌，已经吊销过时返回 null（轮换时据此防止同一令牌被并发使用两次）
+async function revokeRefreshToken(id) {
+    const { changes } = sql('UPDATE refresh_tokens SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL').run(now(), parseInt(id));
+    return changes > 0 ? getRow('refresh_tokens', id) : null;
+}
+
+// 吊销用户的全部刷新令牌，返回吊销的数量
+async function revokeUserRefreshTokens(userId) {
+    return sql('UPDATE refresh_tokens SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL').run(now(), parseInt(userId)).changes;
+}
+
+// 吊销某个登录会话的全部刷新令牌，返回吊销的数量
+async function revokeSessionRefreshTokens(sessionId) {
+    return sql('UPDATE refresh_tokens SET revoked_at = ? WHERE session_id = ? AND revoked_at IS NULL').run(now(), sessionId).changes;
+}
+
+/**
+ * 管理员账号相关操作
+ */
+
+async function getAdminById(id) {
+    return getRow('admins', id);
+}
+
+async function getAdminByUsername(username) {
+    return fromRow('admins', sql('SELECT * FROM admins WHERE username = ?').get(username));
+}
+
+async function listAdmins() {
+    return fromRows('admins', sql('SELECT * FROM admins ORDER BY id').all());
+}
+
+async function createAdmin(adminData) {
+    return insertRow('admins', {
+        username: adminData.username,
+        password: adminData.password,
+        role: adminData.role,
+        token_version: 0,
+        totp_secret: adminData.totp_secret || null,
+        totp_enabled: !!adminData.totp_enabled,
+        totp_recovery_codes: null,
+        totp_last_step: null,
+        last_login_at: null,
+        created_at: now()
+    });
+}
+
+async function updateAdmin(id, adminData) {
+    return updateRow('admins', id, adminData);
+}
+
+async function deleteAdmin(id) {
+    return sql('DELETE FROM admins WHERE id = ?').run(parseInt(id)).changes > 0;
+}
+
+/**
+ * 注册邀请码相关操作
+ */
+
+// 获取全部注册邀请码（最新的在前）
+async function getRegistrationInvites() {
+    return sql('SELECT * FROM registration_invites ORDER BY id DESC').all();
+}
+
+async function getRegistrationInviteById(id) {
+    return getRow('registration_invites', id);
+}
+
+async function getRegistrationInviteByCode(code) {
+    return sql('SELECT * FROM registration_invites WHERE code = ?').get(code) || null;
+}
+
+async function createRegistrationInvite(inviteData) {
+    return insertRow('registration_invites', {
+        code: inviteData.code,
+        note: inviteData.note || null,
+        max_uses: inviteData.max_uses || null,
+        uses: 0,
+        expires_at: inviteData.expires_at,
+        created_by: inviteData.created_by || null,
+        revoked_at: null,
+        created_at: now()
+    });
+}
+
+// 撤销注册邀请码（已撤销的保持原撤销时间）
+async function revokeRegistrationInvite(id) {
+    sql('UPDATE registration_invites SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL').run(now(), parseInt(id));
+    return getRow('registration_invites', id);
+}
+
+// 使用次数加一，已达上限时返回 null（检查和加一在同一条语句中完成，并发使用不会超出上限）
+async function redeemRegistrationInvite(id) {
+    const { changes } = sql(`
+        UPDATE registration_invites SET uses = uses + 1
+        WHERE id = ? AND (max_uses IS NULL OR uses < max_uses)
+    `).run(parseInt(id));
+    return changes > 0 ? getRow('registration_invites', id) : null;
+}
+
+// 注册失败时退还占用的使用次数
+async function releaseRegistrationInvite(id) {
+    const { changes } = sql('UPDATE registration_invites SET uses = uses - 1 WHERE id = ? AND uses > 0').run(parseInt(id));
+    return changes > 0 ? getRow('registration_invites', id) : null;
+}
+
+// 记录通过邀请码注册的用户
+async function addRegistrationInviteRedemption(inviteId, userId) {
+    return insertRow('registration_invite_redemptions', {
+        invite_id: parseInt(inviteId),
+        user_id: parseInt(userId),
+        created_at: now()
+    });
+}
+
+async function getRegistrationInviteRedemptions(inviteId) {
+    return sql('SELECT * FROM registration_invite_redemptions WHERE invite_id = ? ORDER BY id').all(parseInt(inviteId));
+}
+
+module.exports = {
+    // 用户操作
+    getUserById,
+    getUserByUsername,
+    getUserByEmail,
+    insertUser,
+    updateUser,
+    incrementTokenVersion,
+    
+    // 消息操作
+    getMessagesByChannel,
+    getMessagesPage,
+    getMessageById,
+    getMessageByClientId,
+    insertMessage,
+    updateMessage,
+    deleteMessage,
+    getPinnedMessages,
+    getLatestMessageByUser,
+    searchMessages,
+    
+    // 消息编辑历史操作
+    getMessageEdits,
+    insertMessageEdit,
+    
+    // 消息表情回应操作
+    getMessageReactions,
+    getReactionsByMessageIds,
+    addMessageReaction,
+    removeMessageReaction,
+    
+    // 消息 @提及操作
+    insertMessageMentions,
+    getMentionsByMessageIds,
+    
+    // 私信操作
+    getDmConversation,
+    getDmConversationById,
+    getOrCreateDmConversation,
+    getDmConversationsByUser,
+    getDirectMessages,
+    insertDirectMessage,
+    
+    // 频道已读位置操作
+    getReadMarkersByUser,
+    getReadMarkersByChannel,
+    advanceReadMarker,
+    getLatestMessageId,
+    countUnreadMessages,
+    
+    // 频道操作
+    getChannelByName,
+    listChannels,
+    createChannel,
+    updateChannel,
+    deleteChannel,
+    getChannelMembers,
+    addChannelMember,
+    removeChannelMember,
+    isChannelMember,
+    updateChannelPassword,
+    getChannelRole,
+    getChannelRoles,
+    setChannelRole,
+    
+    // 频道邀请链接操作
+    getChannelInvites,
+    getChannelInviteById,
+    getChannelInviteByCode,
+    createChannelInvite,
+    revokeChannelInvite,
+    redeemChannelInvite,
+    
+    // 刷新令牌操作
+    getRefreshTokenByHash,
+    createRefreshToken,
+    revokeRefreshToken,
+    revokeUserRefreshTokens,
+    revokeSessionRefreshTokens,
+    
+    // 管理员账号操作
+    getAdminById,
+    getAdminByUsername,
+    listAdmins,
+    createAdmin,
+    updateAdmin,
+    deleteAdmin,
+    
+    // 注册邀请码操作
+    getRegistrationInvites,
+    getRegistrationInviteById,
+    getRegistrationInviteByCode,
+    createRegistrationInvite,
+    revokeRegistrationInvite,
+    redeemRegistrationInvite,
+    releaseRegistrationInvite,
+    addRegistrationInviteRedemption,
+    getRegistrationInviteRedemptions
+};
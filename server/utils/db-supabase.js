@@ -1,4 +1,5 @@
 const supabase = require('../config/supabase');
+const { splitRuns } = require('./search-index');
 
 /**
  * 用户相关操作
@@ -57,6 +58,7 @@ async function insertUser(userData) {
             username: userData.username,
             password: userData.password,
             email: userData.email || null,
+            email_verified: false,
             nickname: userData.nickname || userData.username,
             avatar: null,
             bio: null,
@@ -88,187 +90,1352 @@ async function updateUser(id, userData) {
     return data;
 }
 
+// 令牌版本加一，使该用户之前签发的访问令牌全部失效
+async function incrementTokenVersion(id) {
+    const user = await getUserById(id);
+    if (!user) return null;
+    
+    const tokenVersion = (user.token_version || 0) + 1;
+    const { error } = await supabase
+        .from('users')
+        .update({ token_version: tokenVersion })
+        .eq('id', id);
+    
+    if (error) {
+        console.error('更新令牌版本失败:', error);
+        throw error;
+    }
+    return tokenVersion;
+}
+
+/**
+ * 消息相关操作
+ */
+
+// 根据频道获取消息
+async function getMessagesByChannel(channel) {
+    const { data, error } = await supabase
+        .from('messages')
+        .select('*')
+        .eq('channel', channel)
+        .order('created_at', { ascending: true });
+    
+    if (error) {
+        console.error('获取消息失败:', error);
+        return [];
+    }
+    return data || [];
+}
+
+// 按消息 ID 游标分页：before 取更早的消息，after 取更新的消息，结果按时间正序
+// 直接比较 ID（走 idx_messages_channel_id 索引），游标消息被删除后仍能继续翻页，同一时间戳的消息也不会被跳过
+async function getMessagesPage(channel, options = {}) {
+    const { before, after, limit = 100, viewerId } = options;
+    
+    let query = supabase
+        .from('messages')
+        .select('*')
+        .eq('channel', channel);
+    
+    // 被屏蔽的消息只对发送者本人可见
+    query = viewerId
+        ? query.or(`is_blocked.eq.false,user_id.eq.${parseInt(viewerId)}`)
+        : query.eq('is_blocked', false);
+    
+    if (before) {
+        query = query.lt('id', parseInt(before));
+    }
+    
+    if (after) {
+        query = query.gt('id', parseInt(after));
+    }
+    
+    // 只有 after 时从游标往后取，否则取最近的 limit 条再反转为正序
+    const ascending = Boolean(after) && !before;
+    const { data, error } = await query
+        .order('id', { ascending })
+        .limit(limit);
+    
+    if (error) {
+        console.error('获取消息失败:', error);
+        return [];
+    }
+    return ascending ? (data || []) : (data || []).reverse();
+}
+
+// 根据 ID 获取消息
+async function getMessageById(id) {
+    const { data, error } = await supabase
+        .from('messages')
+        .select('*')
+        .eq('id', id)
+        .single();
+    
+    if (error) {
+        console.error('获取消息失败:', error);
+        return null;
+    }
+    return data;
+}
+
+// 按客户端生成的消息 ID 查找用户发送过的消息（离线发件箱重试去重）
+async function getMessageByClientId(userId, clientId) {
+    const { data, error } = await supabase
+        .from('messages')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('client_id', clientId)
+        .maybeSingle();
+    
+    if (error) {
+        console.error('按客户端 ID 获取消息失败:', error);
+        return null;
+    }
+    return data;
+}
+
+// 插入新消息（同一用户的 client_id 有唯一索引，重复插入会报错）
+async function insertMessage(messageData) {
+    const { data, error } = await supabase
+        .from('messages')
+        .insert([{
+            client_id: messageData.client_id || null,
+            user_id: messageData.user_id,
+            channel: messageData.channel,
+            content: messageData.content || '',
+            image: messageData.image || null,
+            voice: messageData.voice || null,
+            reply_to: messageData.reply_to || null,
+            is_blocked: messageData.is_blocked || false,
+            blocked_at: messageData.is_blocked ? new Date().toISOString() : null,
+            is_recalled: false,
+            recalled_at: null,
+            is_edited: false,
+            edited_at: null
+        }])
+        .select()
+        .single();
+    
+    if (error) {
+        console.error('插入消息失败:', error);
+        throw error;
+    }
+    return data;
+}
+
+// 更新消息
+async function updateMessage(id, messageData) {
+    const { data, error } = await supabase
+        .from('messages')
+        .update(messageData)
+        .eq('id', id)
+        .select()
+        .single();
+    
+    if (error) {
+        console.error('更新消息失败:', error);
+        return null;
+    }
+    return data;
+}
+
+// 删除消息
+async function deleteMessage(id) {
+    const { error } = await supabase
+        .from('messages')
+        .delete()
+        .eq('id', id);
+    
+    if (error) {
+        console.error('删除消息失败:', error);
+        return false;
+    }
+    return true;
+}
+
+// 获取频道内的置顶消息（最近置顶的在前）
+async function getPinnedMessages(channel) {
+    const { data, error } = await supabase
+        .from('messages')
+        .select('*')
+        .eq('channel', channel)
+        .eq('is_pinned', true)
+        .order('pinned_at', { ascending: false });
+    
+    if (error) {
+        console.error('获取置顶消息失败:', error);
+        return [];
+    }
+    return data || [];
+}
+
+// 获取用户在频道内发送的最后一条消息（用于慢速模式）
+async function getLatestMessageByUser(channel, userId) {
+    const { data, error } = await supabase
+        .from('messages')
+        .select('*')
+        .eq('channel', channel)
+        .eq('user_id', userId)
+        .order('id', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+    
+    if (error) {
+        console.error('获取用户最新消息失败:', error);
+        return null;
+    }
+    return data;
+}
+
+// 全文搜索消息，结果按时间倒序
+// 分词规则与 JSON / SQLite 存储相同：普通单词走 search_vector 全文索引；
+// to_tsvector 不会切分中文，CJK 片段改用 ILIKE 子串匹配（由 idx_messages_content_trgm 三元组索引加速）
+async function searchMessages(query, filters = {}) {
+    const { channels, userId, from, to, hasImage, hasVoice, limit = 50 } = filters;
+    const runs = splitRuns(query);
+    if (runs.length === 0) return [];
+    
+    let request = supabase
+        .from('messages')
+        .select('*')
+        .eq('is_blocked', false)
+        .eq('is_recalled', false);
+    
+    const words = runs.filter(run => !run.cjk).map(run => run.text);
+    if (words.length > 0) {
+        request = request.textSearch('search_vector', words.join(' '), { type: 'plain', config: 'simple' });
+    }
+    // CJK 片段只包含文字字符，不需要转义 % 和 _
+    runs.filter(run => run.cjk).forEach(run => {
+        request = request.ilike('content', `%${run.text}%`);
+    });
+    
+    if (channels) request = request.in('channel', channels);
+    if (userId) request = request.eq('user_id', userId);
+    if (from) request = request.gte('created_at', from);
+    if (to) request = request.lte('created_at', to);
+    if (hasImage) request = request.not('image', 'is', null);
+    if (hasVoice) request = request.not('voice', 'is', null);
+    
+    const { data, error } = await request
+        .order('created_at', { ascending: false })
+        .limit(limit);
+    
+    if (error) {
+        console.error('搜索消息失败:', error);
+        return [];
+    }
+    return data || [];
+}
+
+/**
+ * 消息编辑历史相关操作
+ */
+
+// 获取消息的编辑历史
+async function getMessageEdits(messageId) {
+    const { data, error } = await supabase
+        .from('message_edits')
+        .select('*')
+        .eq('message_id', messageId)
+        .order('edited_at', { ascending: true });
+    
+    if (error) {
+        console.error('获取编辑历史失败:', error);
+        return [];
+    }
+    return data || [];
+}
+
+// 插入编辑历史
+async function insertMessageEdit(editData) {
+    const { data, error } = await supabase
+        .from('message_edits')
+        .insert([{
+            message_id: editData.message_id,
+            user_id: editData.user_id,
+            content: editData.content || ''
+        }])
+        .select()
+        .single();
+    
+    if (error) {
+        console.error('插入编辑历史失败:', error);
+        throw error;
+    }
+    return data;
+}
+
+/**
+ * 消息表情回应相关操作
+ */
+
+// 获取单条消息的表情回应
+async function getMessageReactions(messageId) {
+    const { data, error } = await supabase
+        .from('message_reactions')
+        .select('*')
+        .eq('message_id', messageId)
+        .order('created_at', { ascending: true });
+    
+    if (error) {
+        console.error('获取表情回应失败:', error);
+        return [];
+    }
+    return data || [];
+}
+
+// 批量获取多条消息的表情回应
+async function getReactionsByMessageIds(messageIds) {
+    if (messageIds.length === 0) return [];
+    
+    const { data, error } = await supabase
+        .from('message_reactions')
+        .select('*')
+        .in('message_id', messageIds)
+        .order('created_at', { ascending: true });
+    
+    if (error) {
+        console.error('获取表情回应失败:', error);
+        return [];
+    }
+    return data || [];
+}
+
+// 添加表情回应（重复添加时返回已有记录）
+async function addMessageReaction(reactionData) {
+    const { data, error } = await supabase
+        .from('message_reactions')
+        .insert([{
+            message_id: reactionData.message_id,
+            user_id: reactionData.user_id,
+            emoji: reactionData.emoji
+        }])
+        .select()
+        .single();
+    
+    if (error) {
+        if (error.code === '23505') { // 23505 = 唯一约束冲突（已存在）
+            return reactionData;
+        }
+        console.error('添加表情回应失败:', error);
+        throw error;
+    }
+    return data;
+}
+
+// 移除表情回应
+async function removeMessageReaction(messageId, userId, emoji) {
+    const { data, error } = await supabase
+        .from('message_reactions')
+        .delete()
+        .eq('message_id', messageId)
+        .eq('user_id', userId)
+        .eq('emoji', emoji)
+        .select();
+    
+    if (error) {
+        console.error('移除表情回应失败:', error);
+        return false;
+    }
+    return (data || []).length > 0;
+}
+
+/**
+ * 消息 @提及相关操作
+ */
+
+// 批量记录消息中的提及
+async function insertMessageMentions(messageId, userIds) {
+    if (userIds.length === 0) return [];
+    
+    const { data, error } = await supabase
+        .from('message_mentions')
+        .insert(userIds.map(userId => ({
+            message_id: messageId,
+            user_id: userId
+        })))
+        .select();
+    
+    if (error) {
+        console.error('记录提及失败:', error);
+        throw error;
+    }
+    return data || [];
+}
+
+// 批量获取多条消息的提及
+async function getMentionsByMessageIds(messageIds) {
+    if (messageIds.length === 0) return [];
+    
+    const { data, error } = await supabase
+        .from('message_mentions')
+        .select('*')
+        .in('message_id', messageIds);
+    
+    if (error) {
+        console.error('获取提及失败:', error);
+        return [];
+    }
+    return data || [];
+}
+
+/**
+ * 私信相关操作（两个用户之间只有一个会话，user1_id 始终小于 user2_id）
+ */
+
+// 获取两个用户之间的私信会话
+async function getDmConversation(userA, userB) {
+    const [user1Id, user2Id] = [parseInt(userA), parseInt(userB)].sort((a, b) => a - b);
+    const { data, error } = await supabase
+        .from('dm_conversations')
+        .select('*')
+        .eq('user1_id', user1Id)
+        .eq('user2_id', user2Id)
+        .maybeSingle();
+    
+    if (error) {
+        console.error('获取私信会话失败:', error);
+        return null;
+    }
+    return data;
+}
+
+// 根据 ID 获取私信会话
+async function getDmConversationById(id) {
+    const { data, error } = await supabase
+        .from('dm_conversations')
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
+    
+    if (error) {
+        console.error('获取私信会话失败:', error);
+        return null;
+    }
+    return data;
+}
+
+// 获取或创建私信会话
+async function getOrCreateDmConversation(userA, userB) {
+    const existing = await getDmConversation(userA, userB);
+    if (existing) return existing;
+    
+    const [user1Id, user2Id] = [parseInt(userA), parseInt(userB)].sort((a, b) => a - b);
+    const { data, error } = await supabase
+        .from('dm_conversations')
+        .insert([{
+            user1_id: user1Id,
+            user2_id: user2Id
+        }])
+        .select()
+        .single();
+    
+    if (error) {
+        if (error.code === '23505') { // 23505 = 唯一约束冲突（并发创建）
+            return getDmConversation(userA, userB);
+        }
+        console.error('创建私信会话失败:', error);
+        throw error;
+    }
+    return data;
+}
+
+// 获取用户参与的所有私信会话（最近活跃的在前）
+async function getDmConversationsByUser(userId) {
+    const id = parseInt(userId);
+    const { data, error } = await supabase
+        .from('dm_conversations')
+        .select('*')
+        .or(`user1_id.eq.${id},user2_id.eq.${id}`)
+        .order('last_message_at', { ascending: false, nullsFirst: false });
+    
+    if (error) {
+        console.error('获取私信会话列表失败:', error);
+        return [];
+    }
+    return data || [];
+}
+
+// 获取会话中的私信（结果按时间正序，before 为消息 ID 游标）
+async function getDirectMessages(conversationId, options = {}) {
+    const { before, limit = 100 } = options;
+    
+    let query = supabase
+        .from('direct_messages')
+        .select('*')
+        .eq('conversation_id', conversationId);
+    
+    if (before) {
+        query = query.lt('id', before);
+    }
+    
+    const { data, error } = await query
+        .order('id', { ascending: false })
+        .limit(limit);
+    
+    if (error) {
+        console.error('获取私信失败:', error);
+        return [];
+    }
+    return (data || []).reverse();
+}
+
+// 插入私信并更新会话的最后活跃时间
+async function insertDirectMessage(messageData) {
+    const { data, error } = await supabase
+        .from('direct_messages')
+        .insert([{
+            conversation_id: messageData.conversation_id,
+            sender_id: messageData.sender_id,
+            content: messageData.content || ''
+        }])
+        .select()
+        .single();
+    
+    if (error) {
+        console.error('插入私信失败:', error);
+        throw error;
+    }
+    
+    const { error: updateError } = await supabase
+        .from('dm_conversations')
+        .update({ last_message_at: data.created_at })
+        .eq('id', data.conversation_id);
+    
+    if (updateError) {
+        console.error('更新私信会话失败:', updateError);
+    }
+    return data;
+}
+
+/**
+ * 频道已读位置操作（每个用户在每个频道只有一条记录）
+ */
+
+// 获取用户在所有频道的已读位置
+async function getReadMarkersByUser(userId) {
+    const { data, error } = await supabase
+        .from('channel_read_markers')
+        .select('*')
+        .eq('user_id', userId);
+    
+    if (error) {
+        console.error('获取已读位置失败:', error);
+        return [];
+    }
+    return data || [];
+}
+
+// 获取频道内所有用户的已读位置
+async function getReadMarkersByChannel(channel) {
+    const { data, error } = await supabase
+        .from('channel_read_markers')
+        .select('*')
+        .eq('channel', channel);
+    
+    if (error) {
+        console.error('获取已读位置失败:', error);
+        return [];
+    }
+    return data || [];
+}
+
+// 推进已读位置（只前进不后退），返回更新后的记录
+async function advanceReadMarker(userId, channel, messageId) {
+    const lastReadId = parseInt(messageId) || 0;
+    const { data: existing, error: fetchError } = await supabase
+        .from('channel_read_markers')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('channel', channel)
+        .maybeSingle();
+    
+    if (fetchError) {
+        console.error('获取已读位置失败:', fetchError);
+        throw fetchError;
+    }
+    
+    if (existing) {
+        if (lastReadId <= existing.last_read_message_id) return existing;
+        
+        const { data, error } = await supabase
+            .from('channel_read_markers')
+            .update({ last_read_message_id: lastReadId, updated_at: new Date().toISOString() })
+            .eq('id', existing.id)
+            .lt('last_read_message_id', lastReadId)
+            .select()
+            .maybeSingle();
+        
+        if (error) {
+            console.error('更新已读位置失败:', error);
+            throw error;
+        }
+        return data || existing;
+    }
+    
+    const { data, error } = await supabase
+        .from('channel_read_markers')
+        .insert([{
+            user_id: userId,
+            channel,
+            last_read_message_id: lastReadId
+        }])
+        .select()
+        .single();
+    
+    if (error) {
+        if (error.code === '23505') { // 23505 = 唯一约束冲突（并发创建）
+            return advanceReadMarker(userId, channel, messageId);
+        }
+        console.error('创建已读位置失败:', error);
+        throw error;
+    }
+    return data;
+}
+
+// 获取频道最新一条消息的 ID
+async function getLatestMessageId(channel) {
+    const { data, error } = await supabase
+        .from('messages')
+        .select('id')
+        .eq('channel', channel)
+        .order('id', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+    
+    if (error) {
+        console.error('获取最新消息失败:', error);
+        return 0;
+    }
+    return data?.id || 0;
+}
+
+// 统计已读位置之后其他用户发送的未屏蔽消息数量
+async function countUnreadMessages(channel, userId, afterMessageId) {
+    const { count, error } = await supabase
+        .from('messages')
+        .select('id', { count: 'exact', head: true })
+        .eq('channel', channel)
+        .gt('id', parseInt(afterMessageId) || 0)
+        .neq('user_id', userId)
+        .eq('is_blocked', false);
+    
+    if (error) {
+        console.error('统计未读消息失败:', error);
+        return 0;
+    }
+    return count || 0;
+}
+
+/**
+ * 频道相关操作
+ */
+
+// 获取频道信息
+async function getChannelByName(name) {
+    const { data, error } = await supabase
+        .from('channels')
+        .select('*')
+        .eq('name', name)
+        .single();
+    
+    if (error && error.code !== 'PGRST116') {
+        console.error('获取频道失败:', error);
+    }
+    return data;
+}
+
+// 按排序值列出频道，默认不包含已归档频道
+async function listChannels(options = {}) {
+    const { includeArchived = false } = options;
+    
+    let query = supabase
+        .from('channels')
+        .select('*');
+    
+    if (!includeArchived) {
+        query = query.eq('is_archived', false);
+    }
+    
+    const { data, error } = await query
+        .order('sort_order', { ascending: true })
+        .order('created_at', { ascending: true });
+    
+    if (error) {
+        console.error('获取频道列表失败:', error);
+        return [];
+    }
+    return data || [];
+}
+
+// 创建频道，频道名已存在时返回 null
+async function createChannel(channelData) {
+    const { data: last } = await supabase
+        .from('channels')
+        .select('sort_order')
+        .order('sort_order', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+    
+    const { data, error } = await supabase
+        .from('channels')
+        .insert([{
+            name: channelData.name,
+            display_name: channelData.display_name || channelData.name,
+            icon: channelData.icon || '#',
+            password: channelData.password || null,
+            access_mode: channelData.access_mode || (channelData.password ? 'protected' : 'public'),
+            sort_order: (last?.sort_order ?? -1) + 1
+        }])
+        .select()
+        .single();
+    
+    if (error) {
+        if (error.code === '23505') { // 23505 = 唯一约束冲突（频道名已存在）
+            return null;
+        }
+        console.error('创建频道失败:', error);
+        throw error;
+    }
+    return data;
+}
+
+// 更新频道显示名称、图标、访问模式、慢速模式、归档状态或排序
+async function updateChannel(name, updates) {
+    const fields = {};
+    ['display_name', 'icon', 'access_mode', 'slow_mode_seconds', 'is_archived', 'sort_order'].forEach(field => {
+        if (updates[field] !== undefined) {
+            fields[field] = updates[field];
+        }
+    });
+    
+    const { data, error } = await supabase
+        .from('channels')
+        .update(fields)
+        .eq('name', name)
+        .select()
+        .maybeSingle();
+    
+    if (error) {
+        console.error('更新频道失败:', error);
+        throw error;
+    }
+    return data;
+}
+
+// 删除频道及其全部消息和已读位置（频道成员和邀请链接通过外键级联删除）
+async function deleteChannel(name) {
+    const channel = await getChannelByName(name);
+    if (!channel) return false;
+    
+    const { error: messagesError } = await supabase
+        .from('messages')
+        .delete()
+        .eq('channel', name);
+    
+    if (messagesError) {
+        console.error('删除频道消息失败:', messagesError);
+        throw messagesError;
+    }
+    
+    const { error: markersError } = await supabase
+        .from('channel_read_markers')
+        .delete()
+        .eq('channel', name);
+    
+    if (markersError) {
+        console.error('删除频道已读位置失败:', markersError);
+    }
+    
+    const { error } = await supabase
+        .from('channels')
+        .delete()
+        .eq('id', channel.id);
+    
+    if (error) {
+        console.error('删除频道失败:', error);
+        throw error;
+    }
+    return true;
+}
+
+// 获取频道成员
+async function getChannelMembers(channelName) {
+    // 先获取频道 ID
+    const channel = await getChannelByName(channelName);
+    if (!channel) return [];
+    
+    const { data, error } = await supabase
+        .from('channel_members')
+        .select('user_id')
+        .eq('channel_id', channel.id);
+    
+    if (error) {
+        console.error('获取频道成员失败:', error);
+        return [];
+    }
+    return data ? data.map(m => m.user_id) : [];
+}
+
+// 添加频道成员
+async function addChannelMember(channelName, userId) {
+    const channel = await getChannelByName(channelName);
+    if (!channel) return false;
+    
+    const { error } = await supabase
+        .from('channel_members')
+        .insert([{
+            channel_id: channel.id,
+            user_id: userId
+        }]);
+    
+    if (error && error.code !== '23505') { // 23505 = 唯一约束冲突（已存在）
+        console.error('添加频道成员失败:', error);
+        return false;
+    }
+    return true;
+}
+
+// 移除频道成员
+async function removeChannelMember(channelName, userId) {
+    const channel = await getChannelByName(channelName);
+    if (!channel) return false;
+    
+    const { error } = await supabase
+        .from('channel_members')
+        .delete()
+        .eq('channel_id', channel.id)
+        .eq('user_id', userId);
+    
+    if (error) {
+        console.error('移除频道成员失败:', error);
+        return false;
+    }
+    return true;
+}
+
+// 检查用户是否是频道成员
+async function isChannelMember(channelName, userId) {
+    const members = await getChannelMembers(channelName);
+    return members.includes(parseInt(userId));
+}
+
+// 获取成员在频道中的角色，不是成员时返回 null
+async function getChannelRole(channelName, userId) {
+    const channel = await getChannelByName(channelName);
+    if (!channel) return null;
+    
+    const { data, error } = await supabase
+        .from('channel_members')
+        .select('role')
+        .eq('channel_id', channel.id)
+        .eq('user_id', userId)
+        .maybeSingle();
+    
+    if (error) {
+        console.error('获取频道角色失败:', error);
+        return null;
+    }
+    return data?.role || null;
+}
+
+// 获取频道中拥有 owner/moderator 角色的成员
+async function getChannelRoles(channelName) {
+    const channel = await getChannelByName(channelName);
+    if (!channel) return [];
+    
+    const { data, error } = await supabase
+        .from('channel_members')
+        .select('user_id, role')
+        .eq('channel_id', channel.id)
+        .neq('role', 'member');
+    
+    if (error) {
+        console.error('获取频道角色失败:', error);
+        return [];
+    }
+    return data || [];
+}
+
+// 设置成员角色，不是成员时同时加入频道
+async function setChannelRole(channelName, userId, role) {
+    const channel = await getChannelByName(channelName);
+    if (!channel) return false;
+    
+    const { error } = await supabase
+        .from('channel_members')
+        .upsert([{
+            channel_id: channel.id,
+            user_id: userId,
+            role
+        }], { onConflict: 'channel_id,user_id' });
+    
+    if (error) {
+        console.error('设置频道角色失败:', error);
+        return false;
+    }
+    return true;
+}
+
+// 更新频道密码（调用方传入 bcrypt 哈希）
+async function updateChannelPassword(channelName, newPassword) {
+    const { error } = await supabase
+        .from('channels')
+        .update({ password: newPassword })
+        .eq('name', channelName);
+    
+    if (error) {
+        console.error('更新频道密码失败:', error);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * 频道邀请链接相关操作
+ */
+
+// 获取频道的邀请链接（最新的在前）
+async function getChannelInvites(channel) {
+    const { data, error } = await supabase
+        .from('channel_invites')
+        .select('*')
+        .eq('channel', channel)
+        .order('id', { ascending: false });
+    
+    if (error) {
+        console.error('获取邀请链接失败:', error);
+        return [];
+    }
+    return data || [];
+}
+
+async function getChannelInviteById(id) {
+    const { data, error } = await supabase
+        .from('channel_invites')
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
+    
+    if (error) {
+        console.error('获取邀请链接失败:', error);
+        return null;
+    }
+    return data;
+}
+
+async function getChannelInviteByCode(code) {
+    const { data, error } = await supabase
+        .from('channel_invites')
+        .select('*')
+        .eq('code', code)
+        .maybeSingle();
+    
+    if (error) {
+        console.error('获取邀请链接失败:', error);
+        return null;
+    }
+    return data;
+}
+
+// 创建邀请链接
+async function createChannelInvite(inviteData) {
+    const { data, error } = await supabase
+        .from('channel_invites')
+        .insert([{
+            channel: inviteData.channel,
+            code: inviteData.code,
+            max_uses: inviteData.max_uses || null,
+            expires_at: inviteData.expires_at
+        }])
+        .select()
+        .single();
+    
+    if (error) {
+        console.error('创建邀请链接失败:', error);
+        throw error;
+    }
+    return data;
+}
+
+// 撤销邀请链接（已撤销的保持原撤销时间）
+async function revokeChannelInvite(id) {
+    const { error } = await supabase
+        .from('channel_invites')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('id', id)
+        .is('revoked_at', null);
+    
+    if (error) {
+        console.error('撤销邀请链接失败:', error);
+        throw error;
+    }
+    return getChannelInviteById(id);
+}
+
+// 使用次数加一，已达上限或被并发请求抢先时返回 null
+async function redeemChannelInvite(id) {
+    const invite = await getChannelInviteById(id);
+    if (!invite) return null;
+    if (invite.max_uses && invite.uses >= invite.max_uses) return null;
+    
+    // 乐观锁：只有使用次数未被其他请求修改时才更新
+    const { data, error } = await supabase
+        .from('channel_invites')
+        .update({ uses: invite.uses + 1 })
+        .eq('id', id)
+        .eq('uses', invite.uses)
+        .select()
+        .maybeSingle();
+    
+    if (error) {
+        console.error('使用邀请链接失败:', error);
+        throw error;
+    }
+    return data;
+}
+
 /**
- * 消息相关操作
+ * 刷新令牌相关操作（只保存令牌的哈希值）
  */
 
-// 根据频道获取消息
-async function getMessagesByChannel(channel) {
+async function getRefreshTokenByHash(tokenHash) {
     const { data, error } = await supabase
-        .from('messages')
+        .from('refresh_tokens')
         .select('*')
-        .eq('channel', channel)
-        .order('created_at', { ascending: true });
+        .eq('token_hash', tokenHash)
+        .maybeSingle();
     
     if (error) {
-        console.error('获取消息失败:', error);
-        return [];
+        console.error('获取刷新令牌失败:', error);
+        return null;
     }
-    return data || [];
+    return data;
 }
 
-// 根据 ID 获取消息
-async function getMessageById(id) {
+async function createRefreshToken(tokenData) {
+    // 顺带清理已过期的令牌
+    await supabase
+        .from('refresh_tokens')
+        .delete()
+        .lt('expires_at', new Date().toISOString());
+    
     const { data, error } = await supabase
-        .from('messages')
+        .from('refresh_tokens')
+        .insert([{
+            user_id: tokenData.user_id,
+            session_id: tokenData.session_id || null,
+            token_hash: tokenData.token_hash,
+            expires_at: tokenData.expires_at
+        }])
+        .select()
+        .single();
+    
+    if (error) {
+        console.error('创建刷新令牌失败:', error);
+        throw error;
+    }
+    return data;
+}
+
+// 吊销单个刷新令牌，已经吊销过时返回 null（轮换时据此防止同一令牌被并发使用两次）
+async function revokeRefreshToken(id) {
+    const { data, error } = await supabase
+        .from('refresh_tokens')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('id', id)
+        .is('revoked_at', null)
+        .select()
+        .maybeSingle();
+    
+    if (error) {
+        console.error('吊销刷新令牌失败:', error);
+        throw error;
+    }
+    return data;
+}
+
+// 吊销用户的全部刷新令牌，返回吊销的数量
+async function revokeUserRefreshTokens(userId) {
+    const { data, error } = await supabase
+        .from('refresh_tokens')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('user_id', userId)
+        .is('revoked_at', null)
+        .select('id');
+    
+    if (error) {
+        console.error('吊销用户刷新令牌失败:', error);
+        throw error;
+    }
+    return data.length;
+}
+
+// 吊销某个登录会话的全部刷新令牌，返回吊销的数量
+async function revokeSessionRefreshTokens(sessionId) {
+    const { data, error } = await supabase
+        .from('refresh_tokens')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('session_id', sessionId)
+        .is('revoked_at', null)
+        .select('id');
+    
+    if (error) {
+        console.error('吊销会话刷新令牌失败:', error);
+        throw error;
+    }
+    return data.length;
+}
+
+/**
+ * 管理员账号相关操作
+ */
+
+async function getAdminById(id) {
+    const { data, error } = await supabase
+        .from('admins')
         .select('*')
         .eq('id', id)
-        .single();
+        .maybeSingle();
     
     if (error) {
-        console.error('获取消息失败:', error);
+        console.error('获取管理员失败:', error);
         return null;
     }
     return data;
 }
 
-// 插入新消息
-async function insertMessage(messageData) {
+async function getAdminByUsername(username) {
     const { data, error } = await supabase
-        .from('messages')
+        .from('admins')
+        .select('*')
+        .eq('username', username)
+        .maybeSingle();
+    
+    if (error) {
+        console.error('获取管理员失败:', error);
+        return null;
+    }
+    return data;
+}
+
+async function listAdmins() {
+    const { data, error } = await supabase
+        .from('admins')
+        .select('*')
+        .order('id', { ascending: true });
+    
+    if (error) {
+        console.error('获取管理员列表失败:', error);
+        throw error;
+    }
+    return data;
+}
+
+async function createAdmin(adminData) {
+    const { data, error } = await supabase
+        .from('admins')
         .insert([{
-            user_id: messageData.user_id,
-            channel: messageData.channel,
-            content: messageData.content || '',
-            image: messageData.image || null,
-            voice: messageData.voice || null,
-            reply_to: messageData.reply_to || null,
-            is_blocked: messageData.is_blocked || false,
-            blocked_at: messageData.is_blocked ? new Date().toISOString() : null,
-            is_recalled: false,
-            recalled_at: null
+            username: adminData.username,
+            password: adminData.password,
+            role: adminData.role,
+            totp_secret: adminData.totp_secret || null,
+            totp_enabled: !!adminData.totp_enabled
         }])
         .select()
         .single();
     
     if (error) {
-        console.error('插入消息失败:', error);
+        console.error('创建管理员失败:', error);
         throw error;
     }
     return data;
 }
 
-// 更新消息
-async function updateMessage(id, messageData) {
+async function updateAdmin(id, adminData) {
     const { data, error } = await supabase
-        .from('messages')
-        .update(messageData)
+        .from('admins')
+        .update(adminData)
         .eq('id', id)
         .select()
-        .single();
+        .maybeSingle();
     
     if (error) {
-        console.error('更新消息失败:', error);
-        return null;
+        console.error('更新管理员失败:', error);
+        throw error;
     }
     return data;
 }
 
-// 删除消息
-async function deleteMessage(id) {
-    const { error } = await supabase
-        .from('messages')
+async function deleteAdmin(id) {
+    const { data, error } = await supabase
+        .from('admins')
         .delete()
-        .eq('id', id);
+        .eq('id', id)
+        .select('id');
     
     if (error) {
-        console.error('删除消息失败:', error);
-        return false;
+        console.error('删除管理员失败:', error);
+        throw error;
     }
-    return true;
+    return data.length > 0;
 }
 
 /**
- * 频道相关操作
+ * 注册邀请码相关操作
  */
 
-// 获取频道信息
-async function getChannelByName(name) {
+// 获取全部注册邀请码（最新的在前）
+async function getRegistrationInvites() {
     const { data, error } = await supabase
-        .from('channels')
+        .from('registration_invites')
         .select('*')
-        .eq('name', name)
-        .single();
+        .order('id', { ascending: false });
     
-    if (error && error.code !== 'PGRST116') {
-        console.error('获取频道失败:', error);
+    if (error) {
+        console.error('获取注册邀请码失败:', error);
+        return [];
     }
-    return data;
+    return data || [];
 }
 
-// 获取频道成员
-async function getChannelMembers(channelName) {
-    // 先获取频道 ID
-    const channel = await getChannelByName(channelName);
-    if (!channel) return [];
+async function getRegistrationInviteById(id) {
+    const { data, error } = await supabase
+        .from('registration_invites')
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
     
+    if (error) {
+        console.error('获取注册邀请码失败:', error);
+        return null;
+    }
+    return data;
+}
+
+async function getRegistrationInviteByCode(code) {
     const { data, error } = await supabase
-        .from('channel_members')
-        .select('user_id')
-        .eq('channel_id', channel.id);
+        .from('registration_invites')
+        .select('*')
+        .eq('code', code)
+        .maybeSingle();
     
     if (error) {
-        console.error('获取频道成员失败:', error);
-        return [];
+        console.error('获取注册邀请码失败:', error);
+        return null;
     }
-    return data ? data.map(m => m.user_id) : [];
+    return data;
 }
 
-// 添加频道成员
-async function addChannelMember(channelName, userId) {
-    const channel = await getChannelByName(channelName);
-    if (!channel) return false;
+// 创建注册邀请码
+async function createRegistrationInvite(inviteData) {
+    const { data, error } = await supabase
+        .from('registration_invites')
+        .insert([{
+            code: inviteData.code,
+            note: inviteData.note || null,
+            max_uses: inviteData.max_uses || null,
+            expires_at: inviteData.expires_at,
+            created_by: inviteData.created_by || null
+        }])
+        .select()
+        .single();
     
+    if (error) {
+        console.error('创建注册邀请码失败:', error);
+        throw error;
+    }
+    return data;
+}
+
+// 撤销注册邀请码（已撤销的保持原撤销时间）
+async function revokeRegistrationInvite(id) {
     const { error } = await supabase
-        .from('channel_members')
-        .insert([{
-            channel_id: channel.id,
-            user_id: userId
-        }]);
+        .from('registration_invites')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('id', id)
+        .is('revoked_at', null);
     
-    if (error && error.code !== '23505') { // 23505 = 唯一约束冲突（已存在）
-        console.error('添加频道成员失败:', error);
-        return false;
+    if (error) {
+        console.error('撤销注册邀请码失败:', error);
+        throw error;
     }
-    return true;
+    return getRegistrationInviteById(id);
 }
 
-// 移除频道成员
-async function removeChannelMember(channelName, userId) {
-    const channel = await getChannelByName(channelName);
-    if (!channel) return false;
+// 使用次数加一，已达上限或被并发请求抢先时返回 null
+async function redeemRegistrationInvite(id) {
+    const invite = await getRegistrationInviteById(id);
+    if (!invite) return null;
+    if (invite.max_uses && invite.uses >= invite.max_uses) return null;
     
-    const { error } = await supabase
-        .from('channel_members')
-        .delete()
-        .eq('channel_id', channel.id)
-        .eq('user_id', userId);
+    // 乐观锁：只有使用次数未被其他请求修改时才更新
+    const { data, error } = await supabase
+        .from('registration_invites')
+        .update({ uses: invite.uses + 1 })
+        .eq('id', id)
+        .eq('uses', invite.uses)
+        .select()
+        .maybeSingle();
     
     if (error) {
-        console.error('移除频道成员失败:', error);
-        return false;
+        console.error('使用注册邀请码失败:', error);
+        throw error;
     }
-    return true;
+    return data;
 }
 
-// 检查用户是否是频道成员
-async function isChannelMember(channelName, userId) {
-    const members = await getChannelMembers(channelName);
-    return members.includes(parseInt(userId));
+// 注册失败时退还占用的使用次数（乐观锁冲突时重新读取后重试）
+async function releaseRegistrationInvite(id) {
+    for (let attempt = 0; attempt < 3; attempt++) {
+        const invite = await getRegistrationInviteById(id);
+        if (!invite || invite.uses <= 0) return null;
+        
+        const { data, error } = await supabase
+            .from('registration_invites')
+            .update({ uses: invite.uses - 1 })
+            .eq('id', id)
+            .eq('uses', invite.uses)
+            .select()
+            .maybeSingle();
+        
+        if (error) {
+            console.error('退还注册邀请码失败:', error);
+            throw error;
+        }
+        if (data) return data;
+    }
+    return null;
 }
 
-// 更新频道密码
-async function updateChannelPassword(channelName, newPassword) {
-    const { error } = await supabase
-        .from('channels')
-        .update({ password: newPassword })
-        .eq('name', channelName);
+// 记录通过邀请码注册的用户
+async function addRegistrationInviteRedemption(inviteId, userId) {
+    const { data, error } = await supabase
+        .from('registration_invite_redemptions')
+        .insert([{ invite_id: inviteId, user_id: userId }])
+        .select()
+        .single();
     
     if (error) {
-        console.error('更新频道密码失败:', error);
-        return false;
+        console.error('记录邀请码使用失败:', error);
+        throw error;
     }
-    return true;
+    return data;
+}
+
+async function getRegistrationInviteRedemptions(inviteId) {
+    const { data, error } = await supabase
+        .from('registration_invite_redemptions')
+        .select('*')
+        .eq('invite_id', inviteId)
+        .order('id', { ascending: true });
+    
+    if (error) {
+        console.error('获取邀请码使用记录失败:', error);
+        return [];
+    }
+    return data || [];
 }
 
 /**
@@ -352,21 +1519,97 @@ module.exports = {
     getUserByEmail,
     insertUser,
     updateUser,
+    incrementTokenVersion,
     
     // 消息操作
     getMessagesByChannel,
+    getMessagesPage,
     getMessageById,
+    getMessageByClientId,
     insertMessage,
     updateMessage,
     deleteMessage,
+    getPinnedMessages,
+    getLatestMessageByUser,
+    searchMessages,
+    
+    // 消息编辑历史操作
+    getMessageEdits,
+    insertMessageEdit,
+    
+    // 消息表情回应操作
+    getMessageReactions,
+    getReactionsByMessageIds,
+    addMessageReaction,
+    removeMessageReaction,
+    
+    // 消息 @提及操作
+    insertMessageMentions,
+    getMentionsByMessageIds,
+    
+    // 私信操作
+    getDmConversation,
+    getDmConversationById,
+    getOrCreateDmConversation,
+    getDmConversationsByUser,
+    getDirectMessages,
+    insertDirectMessage,
+    
+    // 频道已读位置操作
+    getReadMarkersByUser,
+    getReadMarkersByChannel,
+    advanceReadMarker,
+    getLatestMessageId,
+    countUnreadMessages,
     
     // 频道操作
     getChannelByName,
+    listChannels,
+    createChannel,
+    updateChannel,
+    deleteChannel,
     getChannelMembers,
     addChannelMember,
     removeChannelMember,
     isChannelMember,
     updateChannelPassword,
+    getChannelRole,
+    getChannelRoles,
+    setChannelRole,
+    
+    // 频道邀请链接操作
+    getChannelInvites,
+    getChannelInviteById,
+    getChannelInviteByCode,
+    createChannelInvite,
+    revokeChannelInvite,
+    redeemChannelInvite,
+    
+    // 刷新令牌操作
+    getRefreshTokenByHash,
+    createRefreshToken,
+    revokeRefreshToken,
+    revokeUserRefreshTokens,
+    revokeSessionRefreshTokens,
+    
+    // 管理员账号操作
+    getAdminById,
+    getAdminByUsername,
+    listAdmins,
+    createAdmin,
+    updateAdmin,
+    deleteAdmin,
+    
+    // 注册邀请码操作
+    getRegistrationInvites,
+    getRegistrationInviteById,
+    getRegistrationInviteByCode,
+    createRegistrationInvite,
+    revokeRegistrationInvite,
+    redeemRegistrationInvite,
+    releaseRegistrationInvite,
+    addRegistrationInviteRedemption,
+    getRegistrationInviteRedemptions,
     
     // 文件上传
     uploadAvatar,
@@ -1,10 +1,23 @@
 const fs = require('fs');
 const path = require('path');
+const bcrypt = require('bcryptjs');
+const { MessageSearchIndex } = require('./search-index');
 
 const DATA_DIR = path.join(__dirname, '..', 'data');
 const USERS_FILE = path.join(DATA_DIR, 'users.json');
 const MESSAGES_FILE = path.join(DATA_DIR, 'messages.json');
 const CHANNELS_FILE = path.join(DATA_DIR, 'channels.json');
+const MESSAGE_EDITS_FILE = path.join(DATA_DIR, 'message_edits.json');
+const MESSAGE_REACTIONS_FILE = path.join(DATA_DIR, 'message_reactions.json');
+const MESSAGE_MENTIONS_FILE = path.join(DATA_DIR, 'message_mentions.json');
+const DM_CONVERSATIONS_FILE = path.join(DATA_DIR, 'dm_conversations.json');
+const DIRECT_MESSAGES_FILE = path.join(DATA_DIR, 'direct_messages.json');
+const READ_MARKERS_FILE = path.join(DATA_DIR, 'channel_read_markers.json');
+const CHANNEL_INVITES_FILE = path.join(DATA_DIR, 'channel_invites.json');
+const REFRESH_TOKENS_FILE = path.join(DATA_DIR, 'refresh_tokens.json');
+const ADMINS_FILE = path.join(DATA_DIR, 'admins.json');
+const REGISTRATION_INVITES_FILE = path.join(DATA_DIR, 'registration_invites.json');
+const REGISTRATION_INVITE_REDEMPTIONS_FILE = path.join(DATA_DIR, 'registration_invite_redemptions.json');
 
 if (!fs.existsSync(DATA_DIR)) {
     fs.mkdirSync(DATA_DIR, { recursive: true });
@@ -26,73 +39,263 @@ const defaultUsers = [
 
 const defaultMessages = [];
 
-// 从环境变量读取私密频道密码
-const defaultChannels = {
-    Channel105: {
-        password: process.env.CHANNEL105_PASSWORD || '123456',
-        members: []
-    }
-};
+const defaultMessageEdits = [];
 
-function loadData() {
-    if (!fs.existsSync(USERS_FILE)) {
-        fs.writeFileSync(USERS_FILE, JSON.stringify(defaultUsers, null, 2));
+const defaultMessageReactions = [];
+
+const defaultMessageMentions = [];
+
+const defaultDmConversations = [];
+
+const defaultDirectMessages = [];
+
+const defaultReadMarkers = [];
+
+const defaultChannelInvites = [];
+
+const defaultRefreshTokens = [];
+
+// 管理员账号在首次使用时从环境变量导入（见 admin-accounts.js）
+const defaultAdmins = [];
+
+const defaultRegistrationInvites = [];
+
+const defaultRegistrationInviteRedemptions = [];
+
+// 默认频道（频道名是消息和 Pusher 频道使用的固定标识，显示名称可由管理员修改）
+// 私密频道密码从环境变量读取，未配置时创建为仅限邀请的频道（不使用公开的默认密码）
+const defaultChannelList = [
+    { name: 'General', display_name: '频道1', icon: '1', password: null },
+    { name: 'Technology', display_name: '频道2', icon: '2', password: null },
+    { name: 'Gaming', display_name: '频道3', icon: '3', password: null },
+    { name: 'Music', display_name: '频道4', icon: '4', password: null },
+    { name: 'Random', display_name: '频道5', icon: '5', password: null },
+    {
+        name: 'Channel105',
+        display_name: '105专用频道',
+        icon: '🔒',
+        password: process.env.CHANNEL105_PASSWORD || null,
+        access_mode: process.env.CHANNEL105_PASSWORD ? 'protected' : 'invite'
     }
-    const usersData = JSON.parse(fs.readFileSync(USERS_FILE, 'utf8'));
-    
-    if (!fs.existsSync(MESSAGES_FILE)) {
-        fs.writeFileSync(MESSAGES_FILE, JSON.stringify(defaultMessages, null, 2));
+];
+
+// 旧版本在未配置 CHANNEL105_PASSWORD 时使用的默认密码（已公开，不能再作为频道密码）
+const LEGACY_CHANNEL105_PASSWORD = '123456';
+
+function buildChannelRecord(channelData, sortOrder) {
+    return {
+        display_name: channelData.display_name || channelData.name,
+        icon: channelData.icon || '#',
+        password: channelData.password || null,
+        access_mode: channelData.access_mode || (channelData.password ? 'protected' : 'public'),
+        members: [],
+        roles: {},
+        slow_mode_seconds: 0,
+        is_archived: false,
+        sort_order: sortOrder,
+        created_at: new Date().toISOString()
+    };
+}
+
+const defaultChannels = Object.fromEntries(
+    defaultChannelList.map((channel, index) => [channel.name, buildChannelRecord(channel, index)])
+);
+
+function loadFile(filePath, defaultData) {
+    if (!fs.existsSync(filePath)) {
+        fs.writeFileSync(filePath, JSON.stringify(defaultData, null, 2));
     }
-    const messagesData = JSON.parse(fs.readFileSync(MESSAGES_FILE, 'utf8'));
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function loadData() {
+    const usersData = loadFile(USERS_FILE, defaultUsers);
+    const messagesData = loadFile(MESSAGES_FILE, defaultMessages);
+    const channelsData = loadFile(CHANNELS_FILE, defaultChannels);
+    const messageEditsData = loadFile(MESSAGE_EDITS_FILE, defaultMessageEdits);
+    const messageReactionsData = loadFile(MESSAGE_REACTIONS_FILE, defaultMessageReactions);
+    const messageMentionsData = loadFile(MESSAGE_MENTIONS_FILE, defaultMessageMentions);
+    const dmConversationsData = loadFile(DM_CONVERSATIONS_FILE, defaultDmConversations);
+    const directMessagesData = loadFile(DIRECT_MESSAGES_FILE, defaultDirectMessages);
+    const readMarkersData = loadFile(READ_MARKERS_FILE, defaultReadMarkers);
+    const channelInvitesData = loadFile(CHANNEL_INVITES_FILE, defaultChannelInvites);
+    const refreshTokensData = loadFile(REFRESH_TOKENS_FILE, defaultRefreshTokens);
+    const adminsData = loadFile(ADMINS_FILE, defaultAdmins);
+    const registrationInvitesData = loadFile(REGISTRATION_INVITES_FILE, defaultRegistrationInvites);
+    const registrationInviteRedemptionsData = loadFile(REGISTRATION_INVITE_REDEMPTIONS_FILE, defaultRegistrationInviteRedemptions);
     
-    if (!fs.existsSync(CHANNELS_FILE)) {
-        fs.writeFileSync(CHANNELS_FILE, JSON.stringify(defaultChannels, null, 2));
+    return {
+        usersData,
+        messagesData,
+        channelsData,
+        messageEditsData,
+        messageReactionsData,
+        messageMentionsData,
+        dmConversationsData,
+        directMessagesData,
+        readMarkersData,
+        channelInvitesData,
+        refreshTokensData,
+        adminsData,
+        registrationInvitesData,
+        registrationInviteRedemptionsData
+    };
+}
+
+// 集合名 -> 数据文件和当前数据（集合在删除记录时会整体替换，所以通过函数读取）
+const COLLECTIONS = {
+    users: { file: USERS_FILE, data: () => users },
+    messages: { file: MESSAGES_FILE, data: () => messages },
+    channels: { file: CHANNELS_FILE, data: () => channels },
+    messageEdits: { file: MESSAGE_EDITS_FILE, data: () => messageEdits },
+    messageReactions: { file: MESSAGE_REACTIONS_FILE, data: () => messageReactions },
+    messageMentions: { file: MESSAGE_MENTIONS_FILE, data: () => messageMentions },
+    dmConversations: { file: DM_CONVERSATIONS_FILE, data: () => dmConversations },
+    directMessages: { file: DIRECT_MESSAGES_FILE, data: () => directMessages },
+    readMarkers: { file: READ_MARKERS_FILE, data: () => readMarkers },
+    channelInvites: { file: CHANNEL_INVITES_FILE, data: () => channelInvites },
+    refreshTokens: { file: REFRESH_TOKENS_FILE, data: () => refreshTokens },
+    admins: { file: ADMINS_FILE, data: () => admins },
+    registrationInvites: { file: REGISTRATION_INVITES_FILE, data: () => registrationInvites },
+    registrationInviteRedemptions: { file: REGISTRATION_INVITE_REDEMPTIONS_FILE, data: () => registrationInviteRedemptions }
+};
+
+// 有未写入变更的集合
+const dirtyCollections = new Set();
+
+// 标记变更的集合，不指定时标记全部集合
+function markDirty(names) {
+    (names.length > 0 ? names : Object.keys(COLLECTIONS)).forEach(name => {
+        if (!COLLECTIONS[name]) {
+            throw new Error(`未知的数据集合: ${name}`);
+        }
+        dirtyCollections.add(name);
+    });
+}
+
+// 只写入有变更的集合，写入失败的集合保留标记，下次保存时重试
+function writeDirtyFiles() {
+    for (const name of [...dirtyCollections]) {
+        try {
+            fs.writeFileSync(COLLECTIONS[name].file, JSON.stringify(COLLECTIONS[name].data(), null, 2));
+            dirtyCollections.delete(name);
+        } catch (error) {
+            console.error(`保存数据失败 (${name}):`, error);
+        }
     }
-    const channelsData = JSON.parse(fs.readFileSync(CHANNELS_FILE, 'utf8'));
-    
-    return { usersData, messagesData, channelsData };
 }
 
-// 防抖保存 - 避免频繁写入文件
+// 延迟保存 - 合并短时间内的多次变更，最多每 500ms 写入一次
+// 计时器不会因为新的变更而重新开始，持续有消息发送时数据也会按时落盘
 let saveTimeout = null;
 const SAVE_DELAY = 500; // 500ms 延迟
 
-function saveData() {
-    if (saveTimeout) {
-        clearTimeout(saveTimeout);
-    }
+function saveData(...names) {
+    markDirty(names);
+    if (saveTimeout) return;
     
     saveTimeout = setTimeout(() => {
-        try {
-            fs.writeFileSync(USERS_FILE, JSON.stringify(users, null, 2));
-            fs.writeFileSync(MESSAGES_FILE, JSON.stringify(messages, null, 2));
-            fs.writeFileSync(CHANNELS_FILE, JSON.stringify(channels, null, 2));
-        } catch (error) {
-            console.error('保存数据失败:', error);
-        }
+        saveTimeout = null;
+        writeDirtyFiles();
     }, SAVE_DELAY);
 }
 
-// 立即保存（用于关键操作）
-function saveDataImmediate() {
+// 立即保存（用于关键操作），同时写入之前延迟保存的集合
+function saveDataImmediate(...names) {
+    markDirty(names);
     if (saveTimeout) {
         clearTimeout(saveTimeout);
         saveTimeout = null;
     }
-    try {
-        fs.writeFileSync(USERS_FILE, JSON.stringify(users, null, 2));
-        fs.writeFileSync(MESSAGES_FILE, JSON.stringify(messages, null, 2));
-        fs.writeFileSync(CHANNELS_FILE, JSON.stringify(channels, null, 2));
-    } catch (error) {
-        console.error('保存数据失败:', error);
-    }
+    writeDirtyFiles();
 }
 
-let users, messages, channels;
-let { usersData, messagesData, channelsData } = loadData();
+let users, messages, channels, messageEdits, messageReactions, messageMentions, dmConversations, directMessages, readMarkers, channelInvites, refreshTokens, admins, registrationInvites, registrationInviteRedemptions;
+let {
+    usersData,
+    messagesData,
+    channelsData,
+    messageEditsData,
+    messageReactionsData,
+    messageMentionsData,
+    dmConversationsData,
+    directMessagesData,
+    readMarkersData,
+    channelInvitesData,
+    refreshTokensData,
+    adminsData,
+    registrationInvitesData,
+    registrationInviteRedemptionsData
+} = loadData();
 users = usersData;
 messages = messagesData;
 channels = channelsData;
+messageEdits = messageEditsData;
+messageReactions = messageReactionsData;
+messageMentions = messageMentionsData;
+dmConversations = dmConversationsData;
+directMessages = directMessagesData;
+readMarkers = readMarkersData;
+channelInvites = channelInvitesData;
+refreshTokens = refreshTokensData;
+admins = adminsData;
+registrationInvites = registrationInvitesData;
+registrationInviteRedemptions = registrationInviteRedemptionsData;
+
+// 旧版 channels.json 只保存了 Channel105 的密码和成员，补齐频道字段和默认公开频道
+if (Object.values(channels).some(channel => !channel.created_at)) {
+    defaultChannelList.forEach((channelData, index) => {
+        const record = buildChannelRecord(channelData, index);
+        channels[channelData.name] = channels[channelData.name]
+            ? { ...record, ...channels[channelData.name], created_at: record.created_at }
+            : record;
+    });
+    saveDataImmediate('channels');
+}
+
+// 访问模式字段出现之前创建的频道，按是否设置了密码推断
+const channelsWithoutAccessMode = Object.values(channels).filter(channel => !channel.access_mode);
+if (channelsWithoutAccessMode.length > 0) {
+    channelsWithoutAccessMode.forEach(channel => {
+        channel.access_mode = channel.password ? 'protected' : 'public';
+    });
+    saveDataImmediate('channels');
+}
+
+// 频道角色出现之前创建的频道，补齐角色表和慢速模式字段
+const channelsWithoutRoles = Object.values(channels).filter(channel => !channel.roles);
+if (channelsWithoutRoles.length > 0) {
+    channelsWithoutRoles.forEach(channel => {
+        channel.roles = {};
+        channel.slow_mode_seconds = channel.slow_mode_seconds || 0;
+    });
+    saveDataImmediate('channels');
+}
+
+// 旧版频道密码为明文保存，统一转换为 bcrypt 哈希
+const plaintextPasswordChannels = Object.values(channels)
+    .filter(channel => channel.password && !/^\$2[aby]\$\d{2}\$/.test(channel.password));
+if (plaintextPasswordChannels.length > 0) {
+    plaintextPasswordChannels.forEach(channel => {
+        channel.password = bcrypt.hashSync(channel.password, 10);
+    });
+    saveDataImmediate('channels');
+}
+
+// 仍在使用旧默认密码的 105 频道改为仅限邀请，由管理员重新设置密码或添加成员
+const legacyChannel105 = channels.Channel105;
+if (legacyChannel105 && legacyChannel105.password &&
+    process.env.CHANNEL105_PASSWORD !== LEGACY_CHANNEL105_PASSWORD &&
+    bcrypt.compareSync(LEGACY_CHANNEL105_PASSWORD, legacyChannel105.password)) {
+    legacyChannel105.password = null;
+    legacyChannel105.access_mode = 'invite';
+    console.warn('⚠️  105专用频道 仍在使用公开的默认密码，已改为仅限邀请，请在管理后台重新设置密码');
+    saveDataImmediate('channels');
+}
+
+// 启动时为已有消息建立全文搜索索引
+const searchIndex = new MessageSearchIndex();
+messages.forEach(msg => searchIndex.add(msg.id, msg.content));
 
 // 用户操作（改为异步以匹配 Supabase 接口）
 function getUserById(id) {
@@ -113,6 +316,7 @@ function insertUser(userData) {
         username: userData.username,
         password: userData.password,
         email: userData.email || null,
+        email_verified: false,
         nickname: userData.nickname || userData.username,
         avatar: null,
         bio: null,
@@ -120,7 +324,7 @@ function insertUser(userData) {
         created_at: new Date().toISOString()
     };
     users.push(newUser);
-    saveDataImmediate(); // 用户注册立即保存
+    saveDataImmediate('users'); // 用户注册立即保存
     return newUser;
 }
 
@@ -130,22 +334,59 @@ function updateUser(id, userData) {
     if (userIndex === -1) return null;
     
     users[userIndex] = { ...users[userIndex], ...userData };
-    saveData(); // 用户更新延迟保存
+    saveData('users'); // 用户更新延迟保存
     return users[userIndex];
 }
 
+// 令牌版本加一，使该用户之前签发的访问令牌全部失效
+function incrementTokenVersion(id) {
+    const user = getUserById(id);
+    if (!user) return null;
+    
+    user.token_version = (user.token_version || 0) + 1;
+    saveDataImmediate('users'); // 令牌吊销立即保存
+    return user.token_version;
+}
+
 // 消息操作（改为异步）
 function getMessagesByChannel(channel) {
     return messages.filter(msg => msg.channel === channel);
 }
 
+// 按消息 ID 游标分页：before 取更早的消息，after 取更新的消息，结果按时间正序
+// 被屏蔽的消息只对发送者本人（viewerId）可见
+function getMessagesPage(channel, options = {}) {
+    const { before, after, limit = 100, viewerId } = options;
+    const viewer = viewerId ? parseInt(viewerId) : null;
+    
+    const result = messages.filter(msg =>
+        msg.channel === channel &&
+        (!msg.is_blocked || msg.user_id === viewer) &&
+        (!before || msg.id < parseInt(before)) &&
+        (!after || msg.id > parseInt(after))
+    );
+    
+    return after && !before ? result.slice(0, limit) : result.slice(-limit);
+}
+
 function getMessageById(id) {
     return messages.find(msg => msg.id === parseInt(id));
 }
 
+// 按客户端生成的消息 ID 查找用户发送过的消息（离线发件箱重试去重）
+function getMessageByClientId(userId, clientId) {
+    return messages.find(msg => msg.user_id === parseInt(userId) && msg.client_id === clientId) || null;
+}
+
 function insertMessage(messageData) {
+    // 同一用户的 client_id 唯一（与 Supabase 的唯一索引一致）
+    if (messageData.client_id && getMessageByClientId(messageData.user_id, messageData.client_id)) {
+        throw new Error('消息已存在');
+    }
+    
     const newMessage = {
         id: messages.length > 0 ? Math.max(...messages.map(m => m.id)) + 1 : 1,
+        client_id: messageData.client_id || null,
         user_id: messageData.user_id,
         channel: messageData.channel,
         content: messageData.content || '',
@@ -156,10 +397,16 @@ function insertMessage(messageData) {
         blocked_at: messageData.is_blocked ? new Date().toISOString() : null,
         is_recalled: false,
         recalled_at: null,
+        is_edited: false,
+        edited_at: null,
+        is_pinned: false,
+        pinned_at: null,
+        pinned_by: null,
         created_at: new Date().toISOString()
     };
     messages.push(newMessage);
-    saveData(); // 消息延迟保存
+    searchIndex.add(newMessage.id, newMessage.content);
+    saveData('messages'); // 消息延迟保存
     return newMessage;
 }
 
@@ -174,7 +421,10 @@ function updateMessage(id, messageData) {
     }
     
     messages[messageIndex] = { ...messages[messageIndex], ...messageData };
-    saveData(); // 消息更新延迟保存
+    if (messageData.content !== undefined) {
+        searchIndex.add(messageId, messages[messageIndex].content);
+    }
+    saveData('messages'); // 消息更新延迟保存
     return messages[messageIndex];
 }
 
@@ -184,17 +434,321 @@ function deleteMessage(id) {
     if (messageIndex === -1) return false;
     
     messages.splice(messageIndex, 1);
-    saveData(); // 消息删除延迟保存
+    searchIndex.remove(messageId);
+    messageEdits = messageEdits.filter(edit => edit.message_id !== messageId);
+    messageReactions = messageReactions.filter(reaction => reaction.message_id !== messageId);
+    messageMentions = messageMentions.filter(mention => mention.message_id !== messageId);
+    saveData('messages', 'messageEdits', 'messageReactions', 'messageMentions'); // 消息删除延迟保存
+    return true;
+}
+
+// 获取频道内的置顶消息（最近置顶的在前）
+function getPinnedMessages(channel) {
+    return messages
+        .filter(msg => msg.channel === channel && msg.is_pinned)
+        .sort((a, b) => new Date(b.pinned_at) - new Date(a.pinned_at));
+}
+
+// 获取用户在频道内发送的最后一条消息（用于慢速模式）
+function getLatestMessageByUser(channel, userId) {
+    const id = parseInt(userId);
+    for (let i = messages.length - 1; i >= 0; i--) {
+        if (messages[i].channel === channel && messages[i].user_id === id) {
+            return messages[i];
+        }
+    }
+    return null;
+}
+
+// 全文搜索消息（不返回被屏蔽和已撤回的消息），结果按时间倒序
+function searchMessages(query, filters = {}) {
+    const { channels: channelNames, userId, from, to, hasImage, hasVoice, limit = 50 } = filters;
+    const fromTime = from ? new Date(from).getTime() : null;
+    const toTime = to ? new Date(to).getTime() : null;
+    const candidateIds = new Set(searchIndex.search(query));
+    
+    return messages
+        .filter(msg =>
+            candidateIds.has(msg.id) &&
+            !msg.is_blocked &&
+            !msg.is_recalled &&
+            (!channelNames || channelNames.includes(msg.channel)) &&
+            (!userId || msg.user_id === parseInt(userId)) &&
+            (fromTime === null || new Date(msg.created_at).getTime() >= fromTime) &&
+            (toTime === null || new Date(msg.created_at).getTime() <= toTime) &&
+            (!hasImage || Boolean(msg.image)) &&
+            (!hasVoice || Boolean(msg.voice)) &&
+            searchIndex.matches(msg.content, query)
+        )
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+        .slice(0, limit);
+}
+
+// 消息编辑历史操作
+function getMessageEdits(messageId) {
+    return messageEdits
+        .filter(edit => edit.message_id === parseInt(messageId))
+        .sort((a, b) => new Date(a.edited_at) - new Date(b.edited_at));
+}
+
+function insertMessageEdit(editData) {
+    const newEdit = {
+        id: messageEdits.length > 0 ? Math.max(...messageEdits.map(e => e.id)) + 1 : 1,
+        message_id: parseInt(editData.message_id),
+        user_id: editData.user_id,
+        content: editData.content || '',
+        edited_at: new Date().toISOString()
+    };
+    messageEdits.push(newEdit);
+    saveData('messageEdits'); // 编辑历史延迟保存
+    return newEdit;
+}
+
+// 消息表情回应操作
+function getMessageReactions(messageId) {
+    return messageReactions.filter(reaction => reaction.message_id === parseInt(messageId));
+}
+
+function getReactionsByMessageIds(messageIds) {
+    const ids = new Set(messageIds.map(id => parseInt(id)));
+    return messageReactions.filter(reaction => ids.has(reaction.message_id));
+}
+
+function addMessageReaction(reactionData) {
+    const messageId = parseInt(reactionData.message_id);
+    const userId = parseInt(reactionData.user_id);
+    const existing = messageReactions.find(reaction =>
+        reaction.message_id === messageId &&
+        reaction.user_id === userId &&
+        reaction.emoji === reactionData.emoji
+    );
+    if (existing) return existing;
+    
+    const newReaction = {
+        id: messageReactions.length > 0 ? Math.max(...messageReactions.map(r => r.id)) + 1 : 1,
+        message_id: messageId,
+        user_id: userId,
+        emoji: reactionData.emoji,
+        created_at: new Date().toISOString()
+    };
+    messageReactions.push(newReaction);
+    saveData('messageReactions'); // 表情回应延迟保存
+    return newReaction;
+}
+
+function removeMessageReaction(messageId, userId, emoji) {
+    const reactionIndex = messageReactions.findIndex(reaction =>
+        reaction.message_id === parseInt(messageId) &&
+        reaction.user_id === parseInt(userId) &&
+        reaction.emoji === emoji
+    );
+    if (reactionIndex === -1) return false;
+    
+    messageReactions.splice(reactionIndex, 1);
+    saveData('messageReactions'); // 表情回应延迟保存
     return true;
 }
 
+// 消息 @提及操作
+function insertMessageMentions(messageId, userIds) {
+    let nextId = messageMentions.length > 0 ? Math.max(...messageMentions.map(m => m.id)) + 1 : 1;
+    const newMentions = userIds.map(userId => ({
+        id: nextId++,
+        message_id: parseInt(messageId),
+        user_id: parseInt(userId),
+        created_at: new Date().toISOString()
+    }));
+    messageMentions.push(...newMentions);
+    saveData('messageMentions'); // 提及记录延迟保存
+    return newMentions;
+}
+
+function getMentionsByMessageIds(messageIds) {
+    const ids = new Set(messageIds.map(id => parseInt(id)));
+    return messageMentions.filter(mention => ids.has(mention.message_id));
+}
+
+// 私信会话操作（两个用户之间只有一个会话，user1_id 始终小于 user2_id）
+function getDmConversation(userA, userB) {
+    const [user1Id, user2Id] = [parseInt(userA), parseInt(userB)].sort((a, b) => a - b);
+    return dmConversations.find(conv => conv.user1_id === user1Id && conv.user2_id === user2Id) || null;
+}
+
+function getDmConversationById(id) {
+    return dmConversations.find(conv => conv.id === parseInt(id)) || null;
+}
+
+function getOrCreateDmConversation(userA, userB) {
+    const existing = getDmConversation(userA, userB);
+    if (existing) return existing;
+    
+    const [user1Id, user2Id] = [parseInt(userA), parseInt(userB)].sort((a, b) => a - b);
+    const newConversation = {
+        id: dmConversations.length > 0 ? Math.max(...dmConversations.map(c => c.id)) + 1 : 1,
+        user1_id: user1Id,
+        user2_id: user2Id,
+        created_at: new Date().toISOString(),
+        last_message_at: null
+    };
+    dmConversations.push(newConversation);
+    saveData('dmConversations'); // 私信会话延迟保存
+    return newConversation;
+}
+
+function getDmConversationsByUser(userId) {
+    const id = parseInt(userId);
+    return dmConversations
+        .filter(conv => conv.user1_id === id || conv.user2_id === id)
+        .sort((a, b) => new Date(b.last_message_at || b.created_at) - new Date(a.last_message_at || a.created_at));
+}
+
+// 私信消息操作（结果按时间正序，before 为消息 ID 游标）
+function getDirectMessages(conversationId, options = {}) {
+    const { before, limit = 100 } = options;
+    return directMessages
+        .filter(msg =>
+            msg.conversation_id === parseInt(conversationId) &&
+            (!before || msg.id < parseInt(before))
+        )
+        .slice(-limit);
+}
+
+function insertDirectMessage(messageData) {
+    const newMessage = {
+        id: directMessages.length > 0 ? Math.max(...directMessages.map(m => m.id)) + 1 : 1,
+        conversation_id: parseInt(messageData.conversation_id),
+        sender_id: parseInt(messageData.sender_id),
+        content: messageData.content || '',
+        created_at: new Date().toISOString()
+    };
+    directMessages.push(newMessage);
+    
+    const conversation = getDmConversationById(newMessage.conversation_id);
+    if (conversation) {
+        conversation.last_message_at = newMessage.created_at;
+    }
+    
+    saveData('directMessages', 'dmConversations'); // 私信延迟保存
+    return newMessage;
+}
+
+// 频道已读位置操作（每个用户在每个频道只有一条记录）
+function getReadMarkersByUser(userId) {
+    return readMarkers.filter(marker => marker.user_id === parseInt(userId));
+}
+
+function getReadMarkersByChannel(channel) {
+    return readMarkers.filter(marker => marker.channel === channel);
+}
+
+// 已读位置只前进不后退，返回更新后的记录
+function advanceReadMarker(userId, channel, messageId) {
+    const id = parseInt(userId);
+    const lastReadId = parseInt(messageId) || 0;
+    const existing = readMarkers.find(marker => marker.user_id === id && marker.channel === channel);
+    
+    if (existing) {
+        if (lastReadId > existing.last_read_message_id) {
+            existing.last_read_message_id = lastReadId;
+            existing.updated_at = new Date().toISOString();
+            saveData('readMarkers'); // 已读位置延迟保存
+        }
+        return existing;
+    }
+    
+    const newMarker = {
+        id: readMarkers.length > 0 ? Math.max(...readMarkers.map(m => m.id)) + 1 : 1,
+        user_id: id,
+        channel,
+        last_read_message_id: lastReadId,
+        updated_at: new Date().toISOString()
+    };
+    readMarkers.push(newMarker);
+    saveData('readMarkers'); // 已读位置延迟保存
+    return newMarker;
+}
+
+function getLatestMessageId(channel) {
+    return messages
+        .filter(msg => msg.channel === channel)
+        .reduce((latest, msg) => Math.max(latest, msg.id), 0);
+}
+
+// 统计已读位置之后其他用户发送的未屏蔽消息数量
+function countUnreadMessages(channel, userId, afterMessageId) {
+    const id = parseInt(userId);
+    const afterId = parseInt(afterMessageId) || 0;
+    return messages.filter(msg =>
+        msg.channel === channel &&
+        msg.id > afterId &&
+        msg.user_id !== id &&
+        !msg.is_blocked
+    ).length;
+}
+
 // 频道操作（新增以匹配 Supabase 接口）
+function hasChannel(name) {
+    return Object.prototype.hasOwnProperty.call(channels, name);
+}
+
+function toChannel(name) {
+    const { members, roles, ...channel } = channels[name];
+    return { name, ...channel };
+}
+
 function getChannelByName(name) {
-    if (!channels[name]) return null;
-    return {
-        name: name,
-        password: channels[name].password
-    };
+    if (!hasChannel(name)) return null;
+    return toChannel(name);
+}
+
+// 按排序值列出频道，默认不包含已归档频道
+function listChannels(options = {}) {
+    const { includeArchived = false } = options;
+    return Object.keys(channels)
+        .map(toChannel)
+        .filter(channel => includeArchived || !channel.is_archived)
+        .sort((a, b) => a.sort_order - b.sort_order || new Date(a.created_at) - new Date(b.created_at));
+}
+
+// 创建频道，频道名已存在时返回 null
+function createChannel(channelData) {
+    if (hasChannel(channelData.name)) return null;
+    
+    const sortOrder = Object.values(channels).reduce((max, channel) => Math.max(max, channel.sort_order || 0), -1) + 1;
+    channels[channelData.name] = buildChannelRecord(channelData, sortOrder);
+    saveDataImmediate('channels'); // 频道变更立即保存
+    return toChannel(channelData.name);
+}
+
+// 更新频道显示名称、图标、访问模式、慢速模式、归档状态或排序
+function updateChannel(name, updates) {
+    if (!hasChannel(name)) return null;
+    
+    ['display_name', 'icon', 'access_mode', 'slow_mode_seconds', 'is_archived', 'sort_order'].forEach(field => {
+        if (updates[field] !== undefined) {
+            channels[name][field] = updates[field];
+        }
+    });
+    saveDataImmediate('channels'); // 频道变更立即保存
+    return toChannel(name);
+}
+
+// 删除频道及其全部消息、已读位置和邀请链接
+function deleteChannel(name) {
+    if (!hasChannel(name)) return false;
+    
+    const messageIds = new Set(messages.filter(msg => msg.channel === name).map(msg => msg.id));
+    messages = messages.filter(msg => msg.channel !== name);
+    messageIds.forEach(id => searchIndex.remove(id));
+    messageEdits = messageEdits.filter(edit => !messageIds.has(edit.message_id));
+    messageReactions = messageReactions.filter(reaction => !messageIds.has(reaction.message_id));
+    messageMentions = messageMentions.filter(mention => !messageIds.has(mention.message_id));
+    readMarkers = readMarkers.filter(marker => marker.channel !== name);
+    channelInvites = channelInvites.filter(invite => invite.channel !== name);
+    delete channels[name];
+    
+    saveDataImmediate('channels', 'messages', 'messageEdits', 'messageReactions', 'messageMentions', 'readMarkers', 'channelInvites'); // 频道变更立即保存
+    return true;
 }
 
 function getChannelMembers(channelName) {
@@ -206,7 +760,7 @@ function addChannelMember(channelName, userId) {
     if (!channels[channelName]) return false;
     if (!channels[channelName].members.includes(parseInt(userId))) {
         channels[channelName].members.push(parseInt(userId));
-        saveData(); // 频道成员延迟保存
+        saveData('channels'); // 频道成员延迟保存
     }
     return true;
 }
@@ -216,8 +770,42 @@ function removeChannelMember(channelName, userId) {
     const memberIndex = channels[channelName].members.indexOf(parseInt(userId));
     if (memberIndex !== -1) {
         channels[channelName].members.splice(memberIndex, 1);
-        saveData(); // 频道成员延迟保存
+        delete channels[channelName].roles[parseInt(userId)];
+        saveData('channels'); // 频道成员延迟保存
+    }
+    return true;
+}
+
+// 频道角色操作（roles 只记录 owner/moderator，其余成员默认为 member）
+function getChannelRole(channelName, userId) {
+    const channel = channels[channelName];
+    if (!channel) return null;
+    const id = parseInt(userId);
+    if (channel.roles[id]) return channel.roles[id];
+    return channel.members.includes(id) ? 'member' : null;
+}
+
+function getChannelRoles(channelName) {
+    if (!channels[channelName]) return [];
+    return Object.entries(channels[channelName].roles)
+        .map(([userId, role]) => ({ user_id: parseInt(userId), role }));
+}
+
+// 设置成员角色，不是成员时同时加入频道
+function setChannelRole(channelName, userId, role) {
+    const channel = channels[channelName];
+    if (!channel) return false;
+    const id = parseInt(userId);
+    
+    if (!channel.members.includes(id)) {
+        channel.members.push(id);
+    }
+    if (role === 'member') {
+        delete channel.roles[id];
+    } else {
+        channel.roles[id] = role;
     }
+    saveDataImmediate('channels'); // 角色变更立即保存
     return true;
 }
 
@@ -226,13 +814,269 @@ function isChannelMember(channelName, userId) {
     return channels[channelName].members.includes(parseInt(userId));
 }
 
+// 保存频道密码（调用方传入 bcrypt 哈希）
 function updateChannelPassword(channelName, newPassword) {
     if (!channels[channelName]) return false;
     channels[channelName].password = newPassword;
-    saveDataImmediate(); // 密码修改立即保存
+    saveDataImmediate('channels'); // 密码修改立即保存
     return true;
 }
 
+// 频道邀请链接操作
+function getChannelInvites(channel) {
+    return channelInvites
+        .filter(invite => invite.channel === channel)
+        .sort((a, b) => b.id - a.id);
+}
+
+function getChannelInviteById(id) {
+    return channelInvites.find(invite => invite.id === parseInt(id)) || null;
+}
+
+function getChannelInviteByCode(code) {
+    return channelInvites.find(invite => invite.code === code) || null;
+}
+
+function createChannelInvite(inviteData) {
+    const newInvite = {
+        id: channelInvites.length > 0 ? Math.max(...channelInvites.map(i => i.id)) + 1 : 1,
+        channel: inviteData.channel,
+        code: inviteData.code,
+        max_uses: inviteData.max_uses || null,
+        uses: 0,
+        expires_at: inviteData.expires_at,
+        revoked_at: null,
+        created_at: new Date().toISOString()
+    };
+    channelInvites.push(newInvite);
+    saveDataImmediate('channelInvites'); // 邀请链接立即保存
+    return newInvite;
+}
+
+function revokeChannelInvite(id) {
+    const invite = getChannelInviteById(id);
+    if (!invite) return null;
+    if (!invite.revoked_at) {
+        invite.revoked_at = new Date().toISOString();
+        saveDataImmediate('channelInvites'); // 邀请链接立即保存
+    }
+    return invite;
+}
+
+// 使用次数加一，已达上限时返回 null
+function redeemChannelInvite(id) {
+    const invite = getChannelInviteById(id);
+    if (!invite) return null;
+    if (invite.max_uses && invite.uses >= invite.max_uses) return null;
+    
+    invite.uses += 1;
+    saveDataImmediate('channelInvites'); // 邀请链接立即保存
+    return invite;
+}
+
+// 刷新令牌操作（只保存令牌的哈希值）
+function getRefreshTokenByHash(tokenHash) {
+    return refreshTokens.find(token => token.token_hash === tokenHash) || null;
+}
+
+function createRefreshToken(tokenData) {
+    const newToken = {
+        id: refreshTokens.length > 0 ? Math.max(...refreshTokens.map(t => t.id)) + 1 : 1,
+        user_id: parseInt(tokenData.user_id),
+        session_id: tokenData.session_id || null,
+        token_hash: tokenData.token_hash,
+        expires_at: tokenData.expires_at,
+        revoked_at: null,
+        created_at: new Date().toISOString()
+    };
+    
+    // 顺带清理已过期的令牌
+    const now = new Date();
+    refreshTokens = refreshTokens.filter(token => new Date(token.expires_at) > now);
+    
+    refreshTokens.push(newToken);
+    saveDataImmediate('refreshTokens'); // 刷新令牌立即保存
+    return newToken;
+}
+
+// 吊销单个刷新令牌，已经吊销过时返回 null（轮换时据此防止同一令牌被并发使用两次）
+function revokeRefreshToken(id) {
+    const token = refreshTokens.find(t => t.id === parseInt(id));
+    if (!token || token.revoked_at) return null;
+    
+    token.revoked_at = new Date().toISOString();
+    saveDataImmediate('refreshTokens'); // 刷新令牌立即保存
+    return token;
+}
+
+// 吊销用户的全部刷新令牌，返回吊销的数量
+function revokeUserRefreshTokens(userId) {
+    const id = parseInt(userId);
+    const now = new Date().toISOString();
+    let count = 0;
+    
+    refreshTokens.forEach(token => {
+        if (token.user_id === id && !token.revoked_at) {
+            token.revoked_at = now;
+            count++;
+        }
+    });
+    
+    if (count > 0) {
+        saveDataImmediate('refreshTokens'); // 刷新令牌立即保存
+    }
+    return count;
+}
+
+// 吊销某个登录会话的全部刷新令牌，返回吊销的数量
+function revokeSessionRefreshTokens(sessionId) {
+    const now = new Date().toISOString();
+    let count = 0;
+    
+    refreshTokens.forEach(token => {
+        if (token.session_id === sessionId && !token.revoked_at) {
+            token.revoked_at = now;
+            count++;
+        }
+    });
+    
+    if (count > 0) {
+        saveDataImmediate('refreshTokens'); // 刷新令牌立即保存
+    }
+    return count;
+}
+
+// 管理员账号操作
+function getAdminById(id) {
+    return admins.find(admin => admin.id === parseInt(id)) || null;
+}
+
+function getAdminByUsername(username) {
+    return admins.find(admin => admin.username === username) || null;
+}
+
+function listAdmins() {
+    return [...admins].sort((a, b) => a.id - b.id);
+}
+
+function createAdmin(adminData) {
+    const newAdmin = {
+        id: admins.length > 0 ? Math.max(...admins.map(a => a.id)) + 1 : 1,
+        username: adminData.username,
+        password: adminData.password,
+        role: adminData.role,
+        token_version: 0,
+        totp_secret: adminData.totp_secret || null,
+        totp_enabled: !!adminData.totp_enabled,
+        totp_recovery_codes: null,
+        totp_last_step: null,
+        last_login_at: null,
+        created_at: new Date().toISOString()
+    };
+    
+    admins.push(newAdmin);
+    saveDataImmediate('admins'); // 管理员账号立即保存
+    return newAdmin;
+}
+
+function updateAdmin(id, adminData) {
+    const admin = getAdminById(id);
+    if (!admin) return null;
+    
+    Object.assign(admin, adminData);
+    saveDataImmediate('admins'); // 管理员账号立即保存
+    return admin;
+}
+
+function deleteAdmin(id) {
+    const index = admins.findIndex(admin => admin.id === parseInt(id));
+    if (index === -1) return false;
+    
+    admins.splice(index, 1);
+    saveDataImmediate('admins'); // 管理员账号立即保存
+    return true;
+}
+
+// 注册邀请码操作
+function getRegistrationInvites() {
+    return [...registrationInvites].sort((a, b) => b.id - a.id);
+}
+
+function getRegistrationInviteById(id) {
+    return registrationInvites.find(invite => invite.id === parseInt(id)) || null;
+}
+
+function getRegistrationInviteByCode(code) {
+    return registrationInvites.find(invite => invite.code === code) || null;
+}
+
+function createRegistrationInvite(inviteData) {
+    const newInvite = {
+        id: registrationInvites.length > 0 ? Math.max(...registrationInvites.map(i => i.id)) + 1 : 1,
+        code: inviteData.code,
+        note: inviteData.note || null,
+        max_uses: inviteData.max_uses || null,
+        uses: 0,
+        expires_at: inviteData.expires_at,
+        created_by: inviteData.created_by || null,
+        revoked_at: null,
+        created_at: new Date().toISOString()
+    };
+    registrationInvites.push(newInvite);
+    saveDataImmediate('registrationInvites'); // 邀请码立即保存
+    return newInvite;
+}
+
+function revokeRegistrationInvite(id) {
+    const invite = getRegistrationInviteById(id);
+    if (!invite) return null;
+    if (!invite.revoked_at) {
+        invite.revoked_at = new Date().toISOString();
+        saveDataImmediate('registrationInvites'); // 邀请码立即保存
+    }
+    return invite;
+}
+
+// 使用次数加一，已达上限时返回 null
+function redeemRegistrationInvite(id) {
+    const invite = getRegistrationInviteById(id);
+    if (!invite) return null;
+    if (invite.max_uses && invite.uses >= invite.max_uses) return null;
+    
+    invite.uses += 1;
+    saveDataImmediate('registrationInvites'); // 邀请码立即保存
+    return invite;
+}
+
+// 注册失败时退还占用的使用次数
+function releaseRegistrationInvite(id) {
+    const invite = getRegistrationInviteById(id);
+    if (!invite || invite.uses <= 0) return null;
+    
+    invite.uses -= 1;
+    saveDataImmediate('registrationInvites'); // 邀请码立即保存
+    return invite;
+}
+
+// 记录通过邀请码注册的用户
+function addRegistrationInviteRedemption(inviteId, userId) {
+    const redemption = {
+        id: registrationInviteRedemptions.length > 0 ? Math.max(...registrationInviteRedemptions.map(r => r.id)) + 1 : 1,
+        invite_id: parseInt(inviteId),
+        user_id: parseInt(userId),
+        created_at: new Date().toISOString()
+    };
+    registrationInviteRedemptions.push(redemption);
+    saveDataImmediate('registrationInviteRedemptions'); // 邀请码使用记录立即保存
+    return redemption;
+}
+
+function getRegistrationInviteRedemptions(inviteId) {
+    return registrationInviteRedemptions
+        .filter(redemption => redemption.invite_id === parseInt(inviteId))
+        .sort((a, b) => a.id - b.id);
+}
+
 module.exports = {
     // 用户操作
     getUserById,
@@ -240,21 +1084,97 @@ module.exports = {
     getUserByEmail,
     insertUser,
     updateUser,
+    incrementTokenVersion,
     
     // 消息操作
     getMessagesByChannel,
+    getMessagesPage,
     getMessageById,
+    getMessageByClientId,
     insertMessage,
     updateMessage,
     deleteMessage,
+    getPinnedMessages,
+    getLatestMessageByUser,
+    searchMessages,
+    
+    // 消息编辑历史操作
+    getMessageEdits,
+    insertMessageEdit,
+    
+    // 消息表情回应操作
+    getMessageReactions,
+    getReactionsByMessageIds,
+    addMessageReaction,
+    removeMessageReaction,
+    
+    // 消息 @提及操作
+    insertMessageMentions,
+    getMentionsByMessageIds,
+    
+    // 私信操作
+    getDmConversation,
+    getDmConversationById,
+    getOrCreateDmConversation,
+    getDmConversationsByUser,
+    getDirectMessages,
+    insertDirectMessage,
+    
+    // 频道已读位置操作
+    getReadMarkersByUser,
+    getReadMarkersByChannel,
+    advanceReadMarker,
+    getLatestMessageId,
+    countUnreadMessages,
     
     // 频道操作
     getChannelByName,
+    listChannels,
+    createChannel,
+    updateChannel,
+    deleteChannel,
     getChannelMembers,
     addChannelMember,
     removeChannelMember,
     isChannelMember,
     updateChannelPassword,
+    getChannelRole,
+    getChannelRoles,
+    setChannelRole,
+    
+    // 频道邀请链接操作
+    getChannelInvites,
+    getChannelInviteById,
+    getChannelInviteByCode,
+    createChannelInvite,
+    revokeChannelInvite,
+    redeemChannelInvite,
+    
+    // 刷新令牌操作
+    getRefreshTokenByHash,
+    createRefreshToken,
+    revokeRefreshToken,
+    revokeUserRefreshTokens,
+    revokeSessionRefreshTokens,
+    
+    // 管理员账号操作
+    getAdminById,
+    getAdminByUsername,
+    listAdmins,
+    createAdmin,
+    updateAdmin,
+    deleteAdmin,
+    
+    // 注册邀请码操作
+    getRegistrationInvites,
+    getRegistrationInviteById,
+    getRegistrationInviteByCode,
+    createRegistrationInvite,
+    revokeRegistrationInvite,
+    redeemRegistrationInvite,
+    releaseRegistrationInvite,
+    addRegistrationInviteRedemption,
+    getRegistrationInviteRedemptions,
     
     // 保留旧接口（向后兼容）
     saveData,
@@ -1,27 +1,25 @@
 // DDoS 防护模块
 const crypto = require('crypto');
+const stateStore = require('./state-store');
 
 /**
  * 分布式拒绝服务攻击防护
+ * 请求计数和封禁记录保存在共享状态存储中，多进程部署时所有进程共用
  */
 class DDoSProtection {
     constructor(options = {}) {
         this.windowMs = options.windowMs || 60000; // 1分钟窗口
         this.maxRequests = options.maxRequests || 100;
         this.banDuration = options.banDuration || 3600000; // 1小时封禁
+        this.store = options.store || stateStore;
         
-        this.requests = new Map(); // IP -> 请求记录
-        this.banned = new Map(); // IP -> 封禁时间
         this.whitelist = new Set(options.whitelist || []);
-        
-        // 定期清理
-        setInterval(() => this.cleanup(), 60000);
     }
     
     /**
      * 检查请求
      */
-    check(req) {
+    async check(req) {
         const ip = this.getIP(req);
         
         // 白名单检查
@@ -30,31 +28,21 @@ class DDoSProtection {
         }
         
         // 封禁检查
-        if (this.isBanned(ip)) {
+        const retryAfter = await this.getBanTimeRemaining(ip);
+        if (retryAfter > 0) {
             return {
                 allowed: false,
                 reason: '您的IP已被临时封禁',
-                retryAfter: this.getBanTimeRemaining(ip)
+                retryAfter
             };
         }
         
-        // 请求频率检查
-        const now = Date.now();
-        
-        if (!this.requests.has(ip)) {
-            this.requests.set(ip, []);
-        }
-        
-        const ipRequests = this.requests.get(ip);
-        
-        // 移除过期请求
-        const validRequests = ipRequests.filter(
-            timestamp => now - timestamp < this.windowMs
-        );
+        // 请求频率检查（固定窗口计数，窗口结束后计数自动过期）
+        const { count } = await this.store.increment(`ddos:requests:${ip}`, this.windowMs);
         
         // 检查是否超过限制
-        if (validRequests.length >= this.maxRequests) {
-            this.ban(ip);
+        if (count > this.maxRequests) {
+            await this.ban(ip);
             return {
                 allowed: false,
                 reason: '请求频率超过限制',
@@ -62,45 +50,33 @@ class DDoSProtection {
             };
         }
         
-        // 记录请求
-        validRequests.push(now);
-        this.requests.set(ip, validRequests);
-        
         return {
             allowed: true,
-            remaining: this.maxRequests - validRequests.length
+            remaining: this.maxRequests - count
         };
     }
     
     /**
      * 封禁IP
      */
-    ban(ip) {
+    async ban(ip) {
         const until = Date.now() + this.banDuration;
-        this.banned.set(ip, until);
+        await this.store.set(`ddos:banned:${ip}`, until, this.banDuration);
         console.warn(`IP ${ip} 已被封禁至 ${new Date(until).toISOString()}`);
     }
     
     /**
      * 检查是否被封禁
      */
-    isBanned(ip) {
-        const banUntil = this.banned.get(ip);
-        if (!banUntil) return false;
-        
-        if (Date.now() > banUntil) {
-            this.banned.delete(ip);
-            return false;
-        }
-        
-        return true;
+    async isBanned(ip) {
+        return (await this.getBanTimeRemaining(ip)) > 0;
     }
     
     /**
      * 获取封禁剩余时间
      */
-    getBanTimeRemaining(ip) {
-        const banUntil = this.banned.get(ip);
+    async getBanTimeRemaining(ip) {
+        const banUntil = await this.store.get(`ddos:banned:${ip}`);
         if (!banUntil) return 0;
         
         const remaining = banUntil - Date.now();
@@ -111,7 +87,7 @@ class DDoSProtection {
      * 解除封禁
      */
     unban(ip) {
-        return this.banned.delete(ip);
+        return this.store.delete(`ddos:banned:${ip}`);
     }
     
     /**
@@ -138,44 +114,6 @@ class DDoSProtection {
                req.socket?.remoteAddress ||
                'unknown';
     }
-    
-    /**
-     * 清理过期数据
-     */
-    cleanup() {
-        const now = Date.now();
-        
-        // 清理过期的请求记录
-        for (const [ip, requests] of this.requests.entries()) {
-            const validRequests = requests.filter(
-                timestamp => now - timestamp < this.windowMs
-            );
-            
-            if (validRequests.length === 0) {
-                this.requests.delete(ip);
-            } else {
-                this.requests.set(ip, validRequests);
-            }
-        }
-        
-        // 清理过期的封禁
-        for (const [ip, banUntil] of this.banned.entries()) {
-            if (now > banUntil) {
-                this.banned.delete(ip);
-            }
-        }
-    }
-    
-    /**
-     * 获取统计信息
-     */
-    getStats() {
-        return {
-            activeIPs: this.requests.size,
-            bannedIPs: this.banned.size,
-            whitelistedIPs: this.whitelist.size
-        };
-    }
 }
 
 /**
@@ -406,8 +344,15 @@ const trafficShaper = new TrafficShaper();
 /**
  * DDoS防护中间件
  */
-function ddosProtectionMiddleware(req, res, next) {
-    const check = ddosProtection.check(req);
+async function ddosProtectionMiddleware(req, res, next) {
+    let check;
+    try {
+        check = await ddosProtection.check(req);
+    } catch (error) {
+        // 状态存储不可用时放行，避免存储故障导致整站无法访问
+        console.error('DDoS 防护检查失败:', error);
+        return next();
+    }
     
     if (!check.allowed) {
         return res.status(429).json({
@@ -0,0 +1,64 @@
+// 邮箱验证模块
+// 验证令牌是载荷中带有邮箱地址的 JWT：用户修改邮箱后，发往旧邮箱的验证链接自动失效
+
+const jwt = require('jsonwebtoken');
+const db = require('./db-adapter');
+const mailer = require('./mailer');
+const config = require('../config/config');
+
+const { EXPIRES_IN, EXPIRES_IN_HOURS } = config.EMAIL_VERIFICATION;
+
+/**
+ * 签发邮箱验证令牌
+ * @param {Object} user - 用户记录（必须有邮箱）
+ * @returns {string}
+ */
+function issueVerificationToken(user) {
+    return jwt.sign({ purpose: 'email-verification', email: user.email }, config.JWT_SECRET, {
+        subject: String(user.id),
+        expiresIn: EXPIRES_IN
+    });
+}
+
+/**
+ * 校验邮箱验证令牌
+ * @param {string} token
+ * @returns {Promise<Object|null>} - 令牌对应的用户，令牌无效、过期或邮箱已修改时返回 null
+ */
+async function verifyVerificationToken(token) {
+    try {
+        const decoded = jwt.verify(token, config.JWT_SECRET);
+        if (decoded.purpose !== 'email-verification' || !decoded.sub) return null;
+
+        const user = await db.getUserById(parseInt(decoded.sub));
+        if (!user || !user.email || user.email !== decoded.email) return null;
+        return user;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * 发送邮箱验证邮件（链接地址使用 APP_URL，不取请求的 Host 头）
+ * @param {Object} user - 用户记录（必须有邮箱）
+ * @returns {Promise<void>}
+ */
+async function sendVerificationEmail(user) {
+    const verifyUrl = mailer.buildAppUrl(`/verify-email.html?token=${encodeURIComponent(issueVerificationToken(user))}`);
+
+    await mailer.sendMail({
+        to: user.email,
+        subject: 'NEXI CHAT 邮箱验证',
+        text: `${user.username}，你好：\n\n请打开以下链接验证你的邮箱，链接 ${EXPIRES_IN_HOURS} 小时内有效：\n${verifyUrl}\n\n如果你没有注册 NEXI CHAT，请忽略本邮件。`,
+        html: `<p>${user.username}，你好：</p>
+<p>请点击下面的链接验证你的邮箱，链接 ${EXPIRES_IN_HOURS} 小时内有效：</p>
+<p><a href="${verifyUrl}">${verifyUrl}</a></p>
+<p>如果你没有注册 NEXI CHAT，请忽略本邮件。</p>`
+    });
+}
+
+module.exports = {
+    issueVerificationToken,
+    verifyVerificationToken,
+    sendVerificationEmail
+};
@@ -0,0 +1,153 @@
+// 邮件发送模块
+// 发送方式由 MAIL_TRANSPORT 决定：smtp 通过 SMTP 服务器发送，file 写入本地文件，console 打印到控制台（开发环境默认，生产环境不可用）
+// 其他发送方式可通过 registerTransport 注册
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config/config');
+
+const { TRANSPORT, FROM, SMTP, FILE_DIR } = config.MAIL;
+
+// console 会把邮件正文（包括一次性的重置和验证链接）写进服务端日志，生产环境不允许使用
+const CONSOLE_ALLOWED = process.env.NODE_ENV !== 'production';
+
+/**
+ * SMTP 发送（使用 nodemailer）
+ * @returns {{send: function(Object): Promise<void>}}
+ */
+function createSmtpTransport() {
+    const nodemailer = require('nodemailer');
+    const transporter = nodemailer.createTransport({
+        host: SMTP.host,
+        port: SMTP.port,
+        secure: SMTP.secure,
+        auth: SMTP.user ? { user: SMTP.user, pass: SMTP.pass } : undefined
+    });
+
+    return {
+        send: async (message) => {
+            await transporter.sendMail(message);
+        }
+    };
+}
+
+/**
+ * 写入文件：每封邮件保存为一个 JSON 文件，便于开发和测试时查看
+ * @returns {{send: function(Object): Promise<void>}}
+ */
+function createFileTransport() {
+    const dir = FILE_DIR || path.join(__dirname, '..', 'data', 'mail');
+
+    return {
+        send: async (message) => {
+            await fs.promises.mkdir(dir, { recursive: true });
+            const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+            const content = { ...message, date: new Date().toISOString() };
+            await fs.promises.writeFile(path.join(dir, fileName), JSON.stringify(content, null, 2));
+        }
+    };
+}
+
+/**
+ * 打印到控制台（只用于开发环境，邮件中的链接会出现在服务端日志里）
+ * @returns {{send: function(Object): Promise<void>}}
+ */
+function createConsoleTransport() {
+    return {
+        send: async (message) => {
+            console.log(`📧 邮件 -> ${message.to}\n主题: ${message.subject}\n${message.text}`);
+        }
+    };
+}
+
+const transportFactories = {
+    smtp: createSmtpTransport,
+    file: createFileTransport,
+    console: createConsoleTransport
+};
+
+let transport = null;
+
+/**
+ * 注册自定义发送方式，MAIL_TRANSPORT 设为同名即可使用
+ * @param {string} name - 发送方式名称
+ * @param {function(): {send: function(Object): Promise<void>}} factory - 创建发送器的函数
+ */
+function registerTransport(name, factory) {
+    transportFactories[name] = factory;
+    if (name === TRANSPORT) {
+        transport = null;
+    }
+}
+
+function getTransport() {
+    if (!TRANSPORT) {
+        throw new Error('未配置邮件发送方式（MAIL_TRANSPORT）');
+    }
+    if (TRANSPORT === 'console' && !CONSOLE_ALLOWED) {
+        throw new Error('生产环境不能使用 console 发送邮件');
+    }
+    if (!transport) {
+        const factory = transportFactories[TRANSPORT];
+        if (!factory) {
+            throw new Error(`未知的邮件发送方式: ${TRANSPORT}`);
+        }
+        transport = factory();
+    }
+    return transport;
+}
+
+/**
+ * 发送邮件
+ * @param {Object} message
+ * @param {string} message.to - 收件人
+ * @param {string} message.subject - 主题
+ * @param {string} message.text - 纯文本正文
+ * @param {string} [message.html] - HTML 正文
+ * @returns {Promise<void>}
+ */
+async function sendMail({ to, subject, text, html }) {
+    await getTransport().send({ from: FROM, to, subject, text, html });
+}
+
+/**
+ * 是否可以发送带链接的邮件
+ * 链接只使用 APP_URL 生成，不能取请求的 Host 头（可被伪造，令牌会被发往攻击者的站点）；
+ * 只有打印到控制台的开发环境允许不配置 APP_URL
+ * @returns {boolean}
+ */
+function canSendLinkEmails() {
+    if (!TRANSPORT || (TRANSPORT === 'console' && !CONSOLE_ALLOWED)) return false;
+    return !!config.APP_URL || TRANSPORT === 'console';
+}
+
+/**
+ * 生成邮件中指向本站页面的链接
+ * @param {string} pathname - 页面路径（含查询参数），例如 /reset-password.html?token=...
+ * @returns {string}
+ */
+function buildAppUrl(pathname) {
+    if (config.APP_URL) {
+        return config.APP_URL + pathname;
+    }
+    if (TRANSPORT === 'console') {
+        return `https://localhost:${config.PORT}${pathname}`;
+    }
+    throw new Error('未配置 APP_URL，不能发送带链接的邮件');
+}
+
+if (!TRANSPORT) {
+    console.warn('⚠️  未配置 MAIL_TRANSPORT，找回密码和邮箱验证邮件不会发送');
+} else if (TRANSPORT === 'console' && !CONSOLE_ALLOWED) {
+    console.warn('⚠️  生产环境不能使用 console 发送邮件（链接会写入日志），找回密码和邮箱验证邮件不会发送');
+} else if (!canSendLinkEmails()) {
+    console.warn(`⚠️  邮件发送方式为 ${TRANSPORT} 但未配置 APP_URL，找回密码和邮箱验证邮件不会发送`);
+}
+
+module.exports = {
+    registerTransport,
+    sendMail,
+    canSendLinkEmails,
+    buildAppUrl
+};
@@ -0,0 +1,32 @@
+// @提及解析模块
+
+// 与注册时的用户名规则一致：字母、数字、下划线、中文，3-20 个字符
+const MENTION_PATTERN = /@([\w\u4e00-\u9fa5]{3,20})/g;
+
+// 单条消息最多解析的提及数量，防止批量骚扰
+const MAX_MENTIONS = 10;
+
+/**
+ * 提取消息中被 @ 的用户名（去重，保持出现顺序）
+ * @param {string} content - 消息内容
+ * @returns {string[]} - 用户名列表
+ */
+function extractMentions(content) {
+    if (!content || typeof content !== 'string') {
+        return [];
+    }
+    
+    const usernames = [];
+    for (const match of content.matchAll(MENTION_PATTERN)) {
+        if (!usernames.includes(match[1])) {
+            usernames.push(match[1]);
+        }
+        if (usernames.length >= MAX_MENTIONS) break;
+    }
+    return usernames;
+}
+
+module.exports = {
+    extractMentions,
+    MAX_MENTIONS
+};
@@ -0,0 +1,90 @@
+// 找回密码模块
+// 重置令牌是用「JWT_SECRET + 用户当前密码哈希」签名的 JWT：重置成功后密码哈希改变，
+// 令牌随即失效，之前发出的其他重置链接也一并作废
+// 每个令牌带有唯一的 jti，使用时先在共享状态存储中占用，同一令牌的并发请求只有一个能成功
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('./db-adapter');
+const mailer = require('./mailer');
+const stateStore = require('./state-store');
+const config = require('../config/config');
+
+const { EXPIRES_IN, EXPIRES_IN_MINUTES } = config.PASSWORD_RESET;
+
+function getSigningKey(user) {
+    return config.JWT_SECRET + user.password;
+}
+
+/**
+ * 签发重置密码令牌
+ * @param {Object} user - 用户记录
+ * @returns {string}
+ */
+function issueResetToken(user) {
+    return jwt.sign({ purpose: 'password-reset' }, getSigningKey(user), {
+        subject: String(user.id),
+        jwtid: crypto.randomUUID(),
+        expiresIn: EXPIRES_IN
+    });
+}
+
+/**
+ * 校验重置密码令牌
+ * @param {string} token
+ * @returns {Promise<Object|null>} - 令牌对应的用户，令牌无效、过期或已使用时返回 null
+ */
+async function verifyResetToken(token) {
+    const decoded = typeof token === 'string' ? jwt.decode(token) : null;
+    if (!decoded || decoded.purpose !== 'password-reset' || !decoded.sub || !decoded.jti) return null;
+
+    const user = await db.getUserById(parseInt(decoded.sub));
+    if (!user) return null;
+
+    try {
+        jwt.verify(token, getSigningKey(user));
+        return user;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * 校验并占用重置密码令牌，同一令牌只有第一次调用能拿到用户
+ * @param {string} token
+ * @returns {Promise<Object|null>} - 令牌对应的用户，令牌无效、过期或已使用时返回 null
+ */
+async function consumeResetToken(token) {
+    const user = await verifyResetToken(token);
+    if (!user) return null;
+
+    const { jti, exp } = jwt.decode(token);
+    const { count } = await stateStore.increment(`password-reset-used:${jti}`, Math.max(exp * 1000 - Date.now(), 1000));
+    return count === 1 ? user : null;
+}
+
+/**
+ * 发送重置密码邮件
+ * @param {Object} user - 用户记录
+ * @returns {Promise<void>}
+ */
+async function sendResetEmail(user) {
+    const resetUrl = mailer.buildAppUrl(`/reset-password.html?token=${encodeURIComponent(issueResetToken(user))}`);
+
+    await mailer.sendMail({
+        to: user.email,
+        subject: 'NEXI CHAT 密码重置',
+        text: `${user.username}，你好：\n\n请打开以下链接重置密码，链接 ${EXPIRES_IN_MINUTES} 分钟内有效且只能使用一次：\n${resetUrl}\n\n如果这不是你本人的操作，请忽略本邮件。`,
+        html: `<p>${user.username}，你好：</p>
+<p>请点击下面的链接重置密码，链接 ${EXPIRES_IN_MINUTES} 分钟内有效且只能使用一次：</p>
+<p><a href="${resetUrl}">${resetUrl}</a></p>
+<p>如果这不是你本人的操作，请忽略本邮件。</p>`
+    });
+}
+
+module.exports = {
+    issueResetToken,
+    verifyResetToken,
+    consumeResetToken,
+    sendResetEmail
+};
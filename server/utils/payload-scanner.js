@@ -277,8 +277,8 @@ class FuzzDetector {
             // 边界值
             boundary: /2147483647|4294967295|9223372036854775807/.test(input),
             
-            // 特殊字符密集
-            specialChars: (input.match(/[^a-zA-Z0-9\s]/g) || []).length > input.length * 0.5
+            // 特殊字符密集（任何文字的字母和数字都不算特殊字符，否则中文输入会被误判）
+            specialChars: (input.match(/[^\p{L}\p{N}\s]/gu) || []).length > input.length * 0.5
         };
         
         const detected = Object.entries(patterns)
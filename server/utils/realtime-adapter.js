@@ -0,0 +1,30 @@
+/**
+ * 实时消息适配器
+ * 根据环境变量 REALTIME_TRANSPORT 选择使用 Pusher、内置 WebSocket 服务或内存实现
+ *
+ * 各实现提供相同的接口，路由代码只通过这里推送事件：
+ * - publish(channels, event, data)：向一个或多个频道推送事件
+ * - getPresenceMembers(channel)：查询在线频道当前成员的用户 ID
+ * - authorizeChannel(socketId, channel, presenceData)：生成订阅私有/在线频道的签名
+ * - isValidWebhook(req)：校验 Webhook 请求（只有 Pusher 支持）
+ * - attach(server)：挂载到 HTTP(S) 服务器（只有内置 WebSocket 服务需要）
+ */
+
+const config = require('../config/config');
+
+const TRANSPORT = config.REALTIME.TRANSPORT;
+
+let realtime;
+
+if (TRANSPORT === 'websocket') {
+    console.log('✓ 使用内置 WebSocket 实时服务');
+    realtime = require('./realtime-ws');
+} else if (TRANSPORT === 'memory') {
+    console.log('✓ 使用内存实时服务（不推送给客户端，只用于测试）');
+    realtime = require('./realtime-memory');
+} else {
+    console.log('✓ 使用 Pusher 实时服务');
+    realtime = require('./realtime-pusher');
+}
+
+module.exports = realtime;
@@ -0,0 +1,78 @@
+// 内存实时服务（REALTIME_TRANSPORT=memory，只用于测试和本地调试）
+// 不向任何客户端推送，只把推送的事件记录在 published 中，便于测试断言；在线成员通过 setPresenceMembers 手动设置
+
+const crypto = require('crypto');
+
+const published = []; // { channel, event, data }
+const presence = new Map(); // 在线频道名 -> 用户 ID 列表
+
+/**
+ * 记录推送的事件（多个频道时每个频道记录一条）
+ * @param {string|string[]} channels - 频道名
+ * @param {string} event - 事件名
+ * @param {*} data - 事件数据
+ * @returns {Promise<void>}
+ */
+async function publish(channels, event, data) {
+    for (const channel of Array.isArray(channels) ? channels : [channels]) {
+        published.push({ channel, event, data });
+    }
+}
+
+/**
+ * 查询在线频道当前的成员
+ * @param {string} channel - 在线频道名（presence-<频道>）
+ * @returns {Promise<string[]>} - 成员的用户 ID
+ */
+async function getPresenceMembers(channel) {
+    return [...(presence.get(channel) || [])];
+}
+
+/**
+ * 设置在线频道的成员（测试用）
+ * @param {string} channel - 在线频道名
+ * @param {Array<string|number>} userIds - 成员的用户 ID
+ */
+function setPresenceMembers(channel, userIds) {
+    presence.set(channel, userIds.map(String));
+}
+
+/**
+ * 生成订阅签名（格式与 Pusher 相同，签名本身没有校验方）
+ * @param {string} socketId - 客户端连接 ID
+ * @param {string} channel - 频道名
+ * @param {Object} [presenceData] - 在线频道的成员信息 { user_id, user_info }
+ * @returns {{auth: string, channel_data?: string}}
+ */
+function authorizeChannel(socketId, channel, presenceData) {
+    const channelData = presenceData ? JSON.stringify(presenceData) : undefined;
+    const stringToSign = channelData === undefined ? `${socketId}:${channel}` : `${socketId}:${channel}:${channelData}`;
+    const auth = `memory:${crypto.createHash('sha256').update(stringToSign).digest('hex')}`;
+    return channelData === undefined ? { auth } : { auth, channel_data: channelData };
+}
+
+function isValidWebhook() {
+    return false;
+}
+
+function attach() {}
+
+/**
+ * 清空记录的事件和在线成员（测试用）
+ */
+function reset() {
+    published.length = 0;
+    presence.clear();
+}
+
+module.exports = {
+    name: 'memory',
+    published,
+    publish,
+    getPresenceMembers,
+    setPresenceMembers,
+    authorizeChannel,
+    isValidWebhook,
+    attach,
+    reset
+};
@@ -0,0 +1,65 @@
+// Pusher 实时服务（托管服务，需要配置 PUSHER_* 环境变量）
+
+const pusher = require('../config/pusher');
+
+// Pusher 单次 trigger 最多支持 100 个频道
+const TRIGGER_BATCH_SIZE = 100;
+
+/**
+ * 向一个或多个频道推送事件（超过 100 个频道时分批发送）
+ * @param {string|string[]} channels - 频道名
+ * @param {string} event - 事件名
+ * @param {*} data - 事件数据
+ * @returns {Promise<void>}
+ */
+async function publish(channels, event, data) {
+    const list = Array.isArray(channels) ? channels : [channels];
+    for (let i = 0; i < list.length; i += TRIGGER_BATCH_SIZE) {
+        await pusher.trigger(list.slice(i, i + TRIGGER_BATCH_SIZE), event, data);
+    }
+}
+
+/**
+ * 查询在线频道当前的成员
+ * @param {string} channel - 在线频道名（presence-<频道>）
+ * @returns {Promise<string[]>} - 成员的用户 ID
+ */
+async function getPresenceMembers(channel) {
+    const response = await pusher.get({ path: `/channels/${encodeURIComponent(channel)}/users` });
+    const body = await response.json();
+    return (body.users || []).map(user => String(user.id));
+}
+
+/**
+ * 生成订阅私有/在线频道的签名
+ * @param {string} socketId - 客户端连接 ID
+ * @param {string} channel - 频道名
+ * @param {Object} [presenceData] - 在线频道的成员信息 { user_id, user_info }
+ * @returns {{auth: string, channel_data?: string}}
+ */
+function authorizeChannel(socketId, channel, presenceData) {
+    return presenceData
+        ? pusher.authorizeChannel(socketId, channel, presenceData)
+        : pusher.authorizeChannel(socketId, channel);
+}
+
+/**
+ * 校验 Pusher Webhook 请求的签名
+ * @param {Object} req - Express 请求
+ * @returns {boolean}
+ */
+function isValidWebhook(req) {
+    return pusher.webhook(req).isValid();
+}
+
+// Pusher 是托管服务，不需要挂载到本地服务器
+function attach() {}
+
+module.exports = {
+    name: 'pusher',
+    publish,
+    getPresenceMembers,
+    authorizeChannel,
+    isValidWebhook,
+    attach
+};
@@ -0,0 +1,318 @@
+// 内置 WebSocket 实时服务（REALTIME_TRANSPORT=websocket，局域网离线可用）
+// 频道名（presence-<频道>、private-user-<用户ID>）、事件名和订阅鉴权都与 Pusher 保持一致：
+// 客户端订阅前先向 /api/pusher/auth 申请签名，服务端校验签名后才允许订阅，因此鉴权规则只在 /api/pusher/auth 中维护一份
+// 只能挂载到常驻的 server/server.js 上，Vercel（api/index.js）无法保持 WebSocket 连接，仍需使用 Pusher
+
+const crypto = require('crypto');
+const { WebSocketServer, WebSocket } = require('ws');
+const config = require('../config/config');
+
+const HEARTBEAT_INTERVAL_MS = 30000; // 心跳间隔，超过一个间隔没有响应的连接会被断开
+const MAX_PAYLOAD_BYTES = 16 * 1024; // 客户端单条消息的最大长度
+const CLIENT_EVENTS_PER_SECOND = 10; // 每个连接每秒最多转发的客户端事件（client-*）数量，与 Pusher 相同
+
+class WebSocketRealtime {
+    /**
+     * @param {Object} options
+     * @param {string} options.key - 签名中的公开 Key
+     * @param {string} options.secret - 签名密钥
+     * @param {string} options.path - WebSocket 连接路径
+     */
+    constructor({ key, secret, path }) {
+        this.name = 'websocket';
+        this.key = key;
+        this.secret = secret;
+        this.path = path;
+        this.wss = null;
+        this.channels = new Map(); // 频道名 -> Set<socket>
+        this.presence = new Map(); // 在线频道名 -> Map<userId, { info, connections }>
+    }
+
+    /**
+     * 挂载到 HTTP(S) 服务器上，开始接受 WebSocket 连接
+     * @param {import('http').Server} server
+     */
+    attach(server) {
+        this.wss = new WebSocketServer({ server, path: this.path, maxPayload: MAX_PAYLOAD_BYTES });
+        this.wss.on('connection', socket => this.handleConnection(socket));
+
+        const heartbeat = setInterval(() => {
+            this.wss.clients.forEach(socket => {
+                if (!socket.isAlive) {
+                    socket.terminate();
+                    return;
+                }
+                socket.isAlive = false;
+                socket.ping();
+            });
+        }, HEARTBEAT_INTERVAL_MS);
+        heartbeat.unref();
+        this.wss.on('close', () => clearInterval(heartbeat));
+    }
+
+    handleConnection(socket) {
+        socket.id = `${crypto.randomInt(1e9)}.${crypto.randomInt(1e9)}`;
+        socket.isAlive = true;
+        socket.subscriptions = new Map(); // 频道名 -> 在线频道中的用户 ID（私有频道为 null）
+        socket.clientEvents = { windowStart: 0, count: 0 };
+
+        socket.on('pong', () => {
+            socket.isAlive = true;
+        });
+        socket.on('message', raw => this.handleMessage(socket, raw));
+        socket.on('close', () => {
+            for (const channel of [...socket.subscriptions.keys()]) {
+                this.unsubscribe(socket, channel);
+            }
+        });
+        socket.on('error', error => {
+            console.error('WebSocket 连接错误:', error.message);
+        });
+
+        this.send(socket, {
+            event: 'pusher:connection_established',
+            data: { socket_id: socket.id, activity_timeout: HEARTBEAT_INTERVAL_MS / 1000 }
+        });
+    }
+
+    handleMessage(socket, raw) {
+        let message;
+        try {
+            message = JSON.parse(raw.toString());
+        } catch (error) {
+            this.send(socket, { event: 'pusher:error', data: { message: 'Invalid JSON' } });
+            return;
+        }
+        if (!message || typeof message.event !== 'string') return;
+
+        if (message.event === 'pusher:subscribe') {
+            this.subscribe(socket, message.data || {});
+        } else if (message.event === 'pusher:unsubscribe') {
+            this.unsubscribe(socket, message.data?.channel);
+        } else if (message.event.startsWith('client-')) {
+            this.forwardClientEvent(socket, message);
+        }
+    }
+
+    /**
+     * 校验订阅签名后加入频道
+     * @param {Object} socket
+     * @param {{channel: string, auth: string, channel_data?: string}} data
+     */
+    subscribe(socket, { channel, auth, channel_data: channelData }) {
+        const isPresence = typeof channel === 'string' && channel.startsWith('presence-');
+        const isPrivate = typeof channel === 'string' && channel.startsWith('private-');
+
+        // 只支持需要鉴权的私有频道和在线频道
+        if ((!isPresence && !isPrivate) || !this.isValidSignature(socket.id, channel, auth, isPresence ? channelData : undefined)) {
+            this.send(socket, {
+                event: 'pusher:subscription_error',
+                channel,
+                data: { type: 'AuthError', error: 'Invalid signature', status: 403 }
+            });
+            return;
+        }
+        if (socket.subscriptions.has(channel)) return;
+
+        let member = null;
+        if (isPresence) {
+            try {
+                member = JSON.parse(channelData);
+            } catch (error) {
+                member = null;
+            }
+            if (!member || member.user_id === undefined) {
+                this.send(socket, {
+                    event: 'pusher:subscription_error',
+                    channel,
+                    data: { type: 'AuthError', error: 'Invalid channel data', status: 403 }
+                });
+                return;
+            }
+        }
+
+        if (!this.channels.has(channel)) {
+            this.channels.set(channel, new Set());
+        }
+        this.channels.get(channel).add(socket);
+        socket.subscriptions.set(channel, member ? String(member.user_id) : null);
+
+        if (!isPresence) {
+            this.send(socket, { event: 'pusher_internal:subscription_succeeded', channel, data: {} });
+            return;
+        }
+
+        // 同一用户可能打开多个页面，只在第一个连接加入时通知其他成员
+        if (!this.presence.has(channel)) {
+            this.presence.set(channel, new Map());
+        }
+        const members = this.presence.get(channel);
+        const userId = String(member.user_id);
+        const existing = members.get(userId);
+        if (existing) {
+            existing.connections++;
+        } else {
+            members.set(userId, { info: member.user_info || {}, connections: 1 });
+            this.broadcast(channel, {
+                event: 'pusher_internal:member_added',
+                channel,
+                data: { user_id: member.user_id, user_info: member.user_info || {} }
+            }, socket);
+        }
+
+        const hash = {};
+        members.forEach((value, id) => {
+            hash[id] = value.info;
+        });
+        this.send(socket, {
+            event: 'pusher_internal:subscription_succeeded',
+            channel,
+            data: { presence: { count: members.size, ids: Object.keys(hash), hash } }
+        });
+    }
+
+    unsubscribe(socket, channel) {
+        if (!socket.subscriptions.has(channel)) return;
+
+        const userId = socket.subscriptions.get(channel);
+        socket.subscriptions.delete(channel);
+
+        const sockets = this.channels.get(channel);
+        if (sockets) {
+            sockets.delete(socket);
+            if (sockets.size === 0) {
+                this.channels.delete(channel);
+            }
+        }
+
+        const members = this.presence.get(channel);
+        if (!members || userId === null) return;
+
+        const member = members.get(userId);
+        if (member && --member.connections <= 0) {
+            members.delete(userId);
+            this.broadcast(channel, {
+                event: 'pusher_internal:member_removed',
+                channel,
+                data: { user_id: userId }
+            });
+        }
+        if (members.size === 0) {
+            this.presence.delete(channel);
+        }
+    }
+
+    /**
+     * 转发客户端事件（例如 client-typing）给频道内的其他连接，在线频道附带发送者的用户 ID
+     */
+    forwardClientEvent(socket, { event, channel, data }) {
+        if (!socket.subscriptions.has(channel)) return;
+
+        const now = Date.now();
+        const counter = socket.clientEvents;
+        if (now - counter.windowStart >= 1000) {
+            counter.windowStart = now;
+            counter.count = 0;
+        }
+        if (++counter.count > CLIENT_EVENTS_PER_SECOND) return;
+
+        const message = { event, channel, data };
+        const userId = socket.subscriptions.get(channel);
+        if (userId !== null) {
+            message.user_id = userId;
+        }
+        this.broadcast(channel, message, socket);
+    }
+
+    broadcast(channel, message, except = null) {
+        const sockets = this.channels.get(channel);
+        if (!sockets) return;
+
+        const payload = JSON.stringify(message);
+        sockets.forEach(socket => {
+            if (socket !== except && socket.readyState === WebSocket.OPEN) {
+                socket.send(payload);
+            }
+        });
+    }
+
+    send(socket, message) {
+        if (socket.readyState === WebSocket.OPEN) {
+            socket.send(JSON.stringify(message));
+        }
+    }
+
+    sign(socketId, channel, channelData) {
+        const stringToSign = channelData === undefined
+            ? `${socketId}:${channel}`
+            : `${socketId}:${channel}:${channelData}`;
+        return crypto.createHmac('sha256', this.secret).update(stringToSign).digest('hex');
+    }
+
+    isValidSignature(socketId, channel, auth, channelData) {
+        if (typeof auth !== 'string' || (channelData !== undefined && typeof channelData !== 'string')) {
+            return false;
+        }
+        const expected = Buffer.from(`${this.key}:${this.sign(socketId, channel, channelData)}`);
+        const actual = Buffer.from(auth);
+        return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+    }
+
+    /**
+     * 生成订阅私有/在线频道的签名（与 Pusher 的返回格式相同）
+     * @param {string} socketId - 客户端连接 ID
+     * @param {string} channel - 频道名
+     * @param {Object} [presenceData] - 在线频道的成员信息 { user_id, user_info }
+     * @returns {{auth: string, channel_data?: string}}
+     */
+    authorizeChannel(socketId, channel, presenceData) {
+        if (typeof socketId !== 'string' || !/^\d+\.\d+$/.test(socketId)) {
+            throw new Error(`Invalid socket id: '${socketId}'`);
+        }
+        if (!presenceData) {
+            return { auth: `${this.key}:${this.sign(socketId, channel)}` };
+        }
+        const channelData = JSON.stringify(presenceData);
+        return {
+            auth: `${this.key}:${this.sign(socketId, channel, channelData)}`,
+            channel_data: channelData
+        };
+    }
+
+    /**
+     * 向一个或多个频道推送事件
+     * @param {string|string[]} channels - 频道名
+     * @param {string} event - 事件名
+     * @param {*} data - 事件数据
+     * @returns {Promise<void>}
+     */
+    async publish(channels, event, data) {
+        for (const channel of Array.isArray(channels) ? channels : [channels]) {
+            this.broadcast(channel, { event, channel, data });
+        }
+    }
+
+    /**
+     * 查询在线频道当前的成员
+     * @param {string} channel - 在线频道名（presence-<频道>）
+     * @returns {Promise<string[]>} - 成员的用户 ID
+     */
+    async getPresenceMembers(channel) {
+        return [...(this.presence.get(channel)?.keys() || [])];
+    }
+
+    /**
+     * 内置服务没有 Webhook，/api/pusher/webhook 收到的请求一律视为无效
+     * @returns {boolean}
+     */
+    isValidWebhook() {
+        return false;
+    }
+}
+
+// 订阅签名密钥由 JWT_SECRET 派生，不需要 Pusher 凭证
+module.exports = new WebSocketRealtime({
+    key: 'nexi-local',
+    secret: crypto.createHmac('sha256', config.JWT_SECRET).update('realtime-channel-auth').digest('hex'),
+    path: config.REALTIME.WS_PATH
+});
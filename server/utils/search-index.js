@@ -0,0 +1,154 @@
+// 消息全文搜索倒排索引（用于 JSON 文件存储，SQLite 存储的全文搜索表也使用这里的分词规则）
+
+// 中日韩文字没有空格分词，按单字和相邻双字建立索引
+const CJK_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+const SEGMENT_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * 将文本拆分为连续的 CJK 片段和普通单词
+ */
+function splitRuns(text) {
+    const runs = [];
+    const segments = (text || '').toLowerCase().match(SEGMENT_PATTERN) || [];
+    
+    for (const segment of segments) {
+        let current = '';
+        let currentIsCjk = null;
+        
+        for (const char of segment) {
+            const isCjk = CJK_PATTERN.test(char);
+            if (currentIsCjk !== null && isCjk !== currentIsCjk) {
+                runs.push({ text: current, cjk: currentIsCjk });
+                current = '';
+            }
+            current += char;
+            currentIsCjk = isCjk;
+        }
+        
+        if (current) {
+            runs.push({ text: current, cjk: currentIsCjk });
+        }
+    }
+    
+    return runs;
+}
+
+/**
+ * 索引用分词：普通单词整体作为词项，CJK 片段拆成单字和双字
+ */
+function tokenize(text) {
+    const tokens = new Set();
+    
+    for (const run of splitRuns(text)) {
+        if (!run.cjk) {
+            tokens.add(run.text);
+            continue;
+        }
+        const chars = Array.from(run.text);
+        chars.forEach((char, i) => {
+            tokens.add(char);
+            if (i < chars.length - 1) {
+                tokens.add(char + chars[i + 1]);
+            }
+        });
+    }
+    
+    return tokens;
+}
+
+/**
+ * 查询用分词：CJK 片段只取双字（单字片段取单字），减少候选集
+ */
+function tokenizeQuery(query) {
+    const tokens = new Set();
+    
+    for (const run of splitRuns(query)) {
+        const chars = Array.from(run.text);
+        if (!run.cjk || chars.length === 1) {
+            tokens.add(run.text);
+            continue;
+        }
+        for (let i = 0; i < chars.length - 1; i++) {
+            tokens.add(chars[i] + chars[i + 1]);
+        }
+    }
+    
+    return tokens;
+}
+
+/**
+ * 消息倒排索引
+ */
+class MessageSearchIndex {
+    constructor() {
+        this.postings = new Map(); // 词项 -> 消息 ID 集合
+        this.documents = new Map(); // 消息 ID -> 词项集合
+    }
+    
+    /**
+     * 添加或更新一条消息
+     */
+    add(id, content) {
+        this.remove(id);
+        
+        const tokens = tokenize(content);
+        if (tokens.size === 0) return;
+        
+        this.documents.set(id, tokens);
+        for (const token of tokens) {
+            if (!this.postings.has(token)) {
+                this.postings.set(token, new Set());
+            }
+            this.postings.get(token).add(id);
+        }
+    }
+    
+    /**
+     * 从索引中移除一条消息
+     */
+    remove(id) {
+        const tokens = this.documents.get(id);
+        if (!tokens) return;
+        
+        for (const token of tokens) {
+            const ids = this.postings.get(token);
+            if (!ids) continue;
+            ids.delete(id);
+            if (ids.size === 0) {
+                this.postings.delete(token);
+            }
+        }
+        this.documents.delete(id);
+    }
+    
+    /**
+     * 查询包含所有词项的消息 ID
+     */
+    search(query) {
+        const tokens = Array.from(tokenizeQuery(query));
+        if (tokens.length === 0) return [];
+        
+        const postingLists = tokens.map(token => this.postings.get(token) || new Set());
+        postingLists.sort((a, b) => a.size - b.size);
+        
+        const [smallest, ...rest] = postingLists;
+        return Array.from(smallest).filter(id => rest.every(ids => ids.has(id)));
+    }
+    
+    /**
+     * 校验内容是否完整包含查询中的 CJK 片段（排除双字拼凑出的误匹配）
+     */
+    matches(content, query) {
+        const text = (content || '').toLowerCase();
+        return splitRuns(query)
+            .filter(run => run.cjk)
+            .every(run => text.includes(run.text));
+    }
+}
+
+module.exports = {
+    MessageSearchIndex,
+    splitRuns,
+    tokenize,
+    tokenizeQuery
+};
@@ -2,14 +2,49 @@
 const rateLimit = require('express-rate-limit');
 const hpp = require('hpp');
 const validator = require('validator');
+const stateStore = require('./state-store');
+
+/**
+ * express-rate-limit 的存储：计数保存在共享状态存储中，多进程部署时所有进程共用同一份计数
+ * 每个限制器使用自己的实例和前缀
+ */
+class SharedRateLimitStore {
+    constructor(prefix) {
+        this.prefix = `ratelimit:${prefix}:`;
+        this.localKeys = false;
+    }
+    
+    init(options) {
+        this.windowMs = options.windowMs;
+    }
+    
+    async increment(key) {
+        const { count, expiresAt } = await stateStore.increment(this.prefix + key, this.windowMs);
+        return {
+            totalHits: count,
+            resetTime: new Date(expiresAt || Date.now() + this.windowMs)
+        };
+    }
+    
+    async decrement(key) {
+        await stateStore.decrement(this.prefix + key);
+    }
+    
+    async resetKey(key) {
+        await stateStore.delete(this.prefix + key);
+    }
+}
 
 /**
  * 速率限制配置 - 防止暴力破解和 DDoS 攻击
+ * 状态存储不可用时（passOnStoreError）放行请求，避免存储故障导致整站无法访问
  */
 
 // 通用 API 速率限制
 const apiLimiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 分钟
+    store: new SharedRateLimitStore('api'),
+    passOnStoreError: true,
     max: 100, // 限制 100 个请求
     message: '请求过于频繁，请稍后再试',
     standardHeaders: true,
@@ -25,6 +60,8 @@ const apiLimiter = rateLimit({
 // 登录接口严格限制 - 防止暴力破解
 const loginLimiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 分钟
+    store: new SharedRateLimitStore('login'),
+    passOnStoreError: true,
     max: 5, // 只允许 5 次尝试
     skipSuccessfulRequests: true, // 成功的请求不计入限制
     message: '登录尝试次数过多，请 15 分钟后再试',
@@ -39,6 +76,8 @@ const loginLimiter = rateLimit({
 // 注册接口限制 - 防止批量注册
 const registerLimiter = rateLimit({
     windowMs: 60 * 60 * 1000, // 1 小时
+    store: new SharedRateLimitStore('register'),
+    passOnStoreError: true,
     max: 3, // 只允许 3 次注册
     message: '注册次数过多，请 1 小时后再试',
     handler: (req, res) => {
@@ -49,9 +88,41 @@ const registerLimiter = rateLimit({
     }
 });
 
+// 找回密码限制 - 防止邮件轰炸和令牌猜测
+const passwordResetLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 小时
+    store: new SharedRateLimitStore('passwordReset'),
+    passOnStoreError: true,
+    max: 10, // 发送邮件和重置密码合计最多 10 次
+    message: '操作过于频繁，请 1 小时后再试',
+    handler: (req, res) => {
+        res.status(429).json({
+            error: '操作过于频繁，请 1 小时后再试',
+            retryAfter: Math.ceil(req.rateLimit.resetTime / 1000)
+        });
+    }
+});
+
+// 验证邮件发送限制 - 防止邮件轰炸
+const emailVerificationLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 小时
+    store: new SharedRateLimitStore('emailVerification'),
+    passOnStoreError: true,
+    max: 5, // 最多 5 封
+    message: '发送过于频繁，请 1 小时后再试',
+    handler: (req, res) => {
+        res.status(429).json({
+            error: '发送过于频繁，请 1 小时后再试',
+            retryAfter: Math.ceil(req.rateLimit.resetTime / 1000)
+        });
+    }
+});
+
 // 消息发送限制 - 防止消息轰炸
 const messageLimiter = rateLimit({
     windowMs: 1 * 60 * 1000, // 1 分钟
+    store: new SharedRateLimitStore('message'),
+    passOnStoreError: true,
     max: 30, // 每分钟最多 30 条消息
     message: '发送消息过快，请稍后再试',
     handler: (req, res) => {
@@ -65,6 +136,8 @@ const messageLimiter = rateLimit({
 // 文件上传限制 - 防止上传攻击
 const uploadLimiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 分钟
+    store: new SharedRateLimitStore('upload'),
+    passOnStoreError: true,
     max: 20, // 最多 20 次上传
     message: '上传次数过多，请稍后再试',
     handler: (req, res) => {
@@ -78,6 +151,8 @@ const uploadLimiter = rateLimit({
 // 管理员操作限制
 const adminLimiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 分钟
+    store: new SharedRateLimitStore('admin'),
+    passOnStoreError: true,
     max: 50, // 管理员操作限制
     message: '管理操作过于频繁，请稍后再试'
 });
@@ -282,19 +357,22 @@ function requestSizeLimit(req, res, next) {
 /**
  * IP 黑名单检查
  */
-const ipBlacklist = new Set();
-
+// 黑名单保存在共享状态存储中，封禁到期后自动失效
 function addToBlacklist(ip, duration = 3600000) { // 默认 1 小时
-    ipBlacklist.add(ip);
-    setTimeout(() => {
-        ipBlacklist.delete(ip);
-    }, duration);
+    return stateStore.set(`blacklist:${ip}`, true, duration);
 }
 
-function ipBlacklistCheck(req, res, next) {
+async function ipBlacklistCheck(req, res, next) {
     const ip = req.ip || req.connection.remoteAddress;
     
-    if (ipBlacklist.has(ip)) {
+    let blocked = false;
+    try {
+        blocked = !!(await stateStore.get(`blacklist:${ip}`));
+    } catch (error) {
+        console.error('IP 黑名单检查失败:', error);
+    }
+    
+    if (blocked) {
         return res.status(403).json({ error: '您的 IP 已被暂时封禁' });
     }
     
@@ -326,7 +404,9 @@ function userAgentValidation(req, res, next) {
     for (const pattern of maliciousBots) {
         if (pattern.test(userAgent)) {
             const ip = req.ip || req.connection.remoteAddress;
-            addToBlacklist(ip, 24 * 3600000); // 封禁 24 小时
+            addToBlacklist(ip, 24 * 3600000).catch(error => { // 封禁 24 小时
+                console.error('加入 IP 黑名单失败:', error);
+            });
             return res.status(403).json({ error: '检测到恶意行为' });
         }
     }
@@ -381,6 +461,8 @@ module.exports = {
     apiLimiter,
     loginLimiter,
     registerLimiter,
+    passwordResetLimiter,
+    emailVerificationLimiter,
     messageLimiter,
     uploadLimiter,
     adminLimiter,
@@ -401,6 +483,7 @@ module.exports = {
     sanitizeErrorResponse,
     
     // 工具函数
+    SharedRateLimitStore,
     addToBlacklist,
     logSuspiciousActivity
 };
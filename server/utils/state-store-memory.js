@@ -0,0 +1,162 @@
+// 内存状态存储（STATE_STORE=memory，默认）
+// 状态只保存在当前进程中，重启后丢失；以 PM2 集群模式或多实例部署时各进程互不相通，应改用 Redis
+
+const entries = new Map(); // 键 -> { value, expiresAt }
+
+const SWEEP_INTERVAL_MS = 60000;
+
+/**
+ * 读取未过期的条目（过期条目顺便删除）
+ * @param {string} key
+ * @returns {Object|null}
+ */
+function getEntry(key) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+    }
+    return entry;
+}
+
+/**
+ * 读取值
+ * @param {string} key
+ * @returns {Promise<*>} - 不存在或已过期时返回 null
+ */
+async function get(key) {
+    const entry = getEntry(key);
+    // 与 Redis 实现一致，保存的是 JSON 副本，修改读出的对象不会影响存储
+    return entry && typeof entry.value === 'string' ? JSON.parse(entry.value) : null;
+}
+
+/**
+ * 写入值
+ * @param {string} key
+ * @param {*} value - 可序列化为 JSON 的值
+ * @param {number} [ttlMs] - 过期时间（毫秒），省略时不过期
+ * @returns {Promise<void>}
+ */
+async function set(key, value, ttlMs) {
+    entries.set(key, {
+        value: JSON.stringify(value),
+        expiresAt: ttlMs ? Date.now() + ttlMs : null
+    });
+}
+
+/**
+ * 删除键
+ * @param {string} key
+ * @returns {Promise<boolean>} - 键是否存在
+ */
+async function del(key) {
+    const existed = getEntry(key) !== null;
+    entries.delete(key);
+    return existed;
+}
+
+/**
+ * 计数器加一
+ * @param {string} key
+ * @param {number} [ttlMs] - 新建计数器的过期时间（毫秒），已有计数器的过期时间不变
+ * @returns {Promise<{count: number, expiresAt: number|null}>}
+ */
+async function increment(key, ttlMs) {
+    let entry = getEntry(key);
+    if (!entry) {
+        entry = { value: '0', expiresAt: ttlMs ? Date.now() + ttlMs : null };
+        entries.set(key, entry);
+    }
+
+    const count = parseInt(entry.value) + 1;
+    entry.value = String(count);
+    return { count, expiresAt: entry.expiresAt };
+}
+
+/**
+ * 计数器减一，计数器不存在时不创建
+ * @param {string} key
+ * @returns {Promise<number>} - 减一后的计数
+ */
+async function decrement(key) {
+    const entry = getEntry(key);
+    if (!entry) return 0;
+
+    const count = parseInt(entry.value) - 1;
+    entry.value = String(count);
+    return count;
+}
+
+/**
+ * 向集合添加成员
+ * @param {string} key
+ * @param {string} member
+ * @returns {Promise<void>}
+ */
+async function addToSet(key, member) {
+    let entry = getEntry(key);
+    if (!entry) {
+        entry = { value: new Set(), expiresAt: null };
+        entries.set(key, entry);
+    }
+    entry.value.add(String(member));
+}
+
+/**
+ * 从集合移除成员，集合为空时删除
+ * @param {string} key
+ * @param {string} member
+ * @returns {Promise<void>}
+ */
+async function removeFromSet(key, member) {
+    const entry = getEntry(key);
+    if (!entry) return;
+
+    entry.value.delete(String(member));
+    if (entry.value.size === 0) {
+        entries.delete(key);
+    }
+}
+
+/**
+ * 获取集合的全部成员
+ * @param {string} key
+ * @returns {Promise<string[]>}
+ */
+async function getSetMembers(key) {
+    const entry = getEntry(key);
+    return entry ? [...entry.value] : [];
+}
+
+/**
+ * 清空全部状态（测试用）
+ */
+async function clear() {
+    entries.clear();
+}
+
+// 定期清理已过期但再也没有被读取的条目
+const sweepTimer = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries.entries()) {
+        if (entry.expiresAt !== null && entry.expiresAt <= now) {
+            entries.delete(key);
+        }
+    }
+}, SWEEP_INTERVAL_MS);
+sweepTimer.unref();
+
+module.exports = {
+    name: 'memory',
+    get,
+    set,
+    delete: del,
+    increment,
+    decrement,
+    addToSet,
+    removeFromSet,
+    getSetMembers,
+    clear
+};
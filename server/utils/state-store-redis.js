@@ -0,0 +1,137 @@
+// Redis 状态存储（STATE_STORE=redis，需要配置 REDIS_URL）
+// 使用标准 Redis 协议，Redis、Valkey、KeyDB 等兼容服务都可以使用；所有键都带有 STATE_STORE_PREFIX 前缀
+
+const Redis = require('ioredis');
+const config = require('../config/config');
+
+const { REDIS_URL, KEY_PREFIX } = config.STATE_STORE;
+
+const redis = new Redis(REDIS_URL, {
+    keyPrefix: KEY_PREFIX,
+    // Redis 不可用时命令立即失败而不是排队等待，调用方按失败处理（安全中间件放行请求），不会让所有请求挂起
+    enableOfflineQueue: false,
+    maxRetriesPerRequest: 1
+});
+
+redis.on('error', (error) => {
+    console.error('Redis 状态存储连接出错:', error.message);
+});
+
+// 计数器加一，新建时设置过期时间；在 Redis 中原子执行，多个进程并发计数不会丢失
+redis.defineCommand('incrementWithTtl', {
+    numberOfKeys: 1,
+    lua: `
+        local count = redis.call('INCR', KEYS[1])
+        local ttl = tonumber(ARGV[1])
+        if count == 1 and ttl > 0 then
+            redis.call('PEXPIRE', KEYS[1], ttl)
+        end
+        return { count, redis.call('PTTL', KEYS[1]) }
+    `
+});
+
+// 计数器存在时减一，不存在时不创建（否则会留下没有过期时间的负数计数）
+redis.defineCommand('decrementIfExists', {
+    numberOfKeys: 1,
+    lua: `
+        if redis.call('EXISTS', KEYS[1]) == 1 then
+            return redis.call('DECR', KEYS[1])
+        end
+        return 0
+    `
+});
+
+/**
+ * 读取值
+ * @param {string} key
+ * @returns {Promise<*>} - 不存在或已过期时返回 null
+ */
+async function get(key) {
+    const value = await redis.get(key);
+    return value === null ? null : JSON.parse(value);
+}
+
+/**
+ * 写入值
+ * @param {string} key
+ * @param {*} value - 可序列化为 JSON 的值
+ * @param {number} [ttlMs] - 过期时间（毫秒），省略时不过期
+ * @returns {Promise<void>}
+ */
+async function set(key, value, ttlMs) {
+    if (ttlMs) {
+        await redis.set(key, JSON.stringify(value), 'PX', Math.ceil(ttlMs));
+    } else {
+        await redis.set(key, JSON.stringify(value));
+    }
+}
+
+/**
+ * 删除键
+ * @param {string} key
+ * @returns {Promise<boolean>} - 键是否存在
+ */
+async function del(key) {
+    return (await redis.del(key)) > 0;
+}
+
+/**
+ * 计数器加一
+ * @param {string} key
+ * @param {number} [ttlMs] - 新建计数器的过期时间（毫秒），已有计数器的过期时间不变
+ * @returns {Promise<{count: number, expiresAt: number|null}>}
+ */
+async function increment(key, ttlMs) {
+    const [count, pttl] = await redis.incrementWithTtl(key, ttlMs ? Math.ceil(ttlMs) : 0);
+    return { count, expiresAt: pttl > 0 ? Date.now() + pttl : null };
+}
+
+/**
+ * 计数器减一，计数器不存在时不创建
+ * @param {string} key
+ * @returns {Promise<number>} - 减一后的计数
+ */
+async function decrement(key) {
+    return redis.decrementIfExists(key);
+}
+
+/**
+ * 向集合添加成员
+ * @param {string} key
+ * @param {string} member
+ * @returns {Promise<void>}
+ */
+async function addToSet(key, member) {
+    await redis.sadd(key, String(member));
+}
+
+/**
+ * 从集合移除成员（集合为空时 Redis 自动删除）
+ * @param {string} key
+ * @param {string} member
+ * @returns {Promise<void>}
+ */
+async function removeFromSet(key, member) {
+    await redis.srem(key, String(member));
+}
+
+/**
+ * 获取集合的全部成员
+ * @param {string} key
+ * @returns {Promise<string[]>}
+ */
+async function getSetMembers(key) {
+    return redis.smembers(key);
+}
+
+module.exports = {
+    name: 'redis',
+    get,
+    set,
+    delete: del,
+    increment,
+    decrement,
+    addToSet,
+    removeFromSet,
+    getSetMembers
+};
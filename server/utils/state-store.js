@@ -0,0 +1,31 @@
+/**
+ * 共享状态存储适配器
+ * 根据环境变量 STATE_STORE 选择进程内存或 Redis 实现
+ *
+ * 封禁、速率限制计数、蜜罐捕获的 IP、IP 黑名单、登录会话、请求指纹计数、威胁记录和机器人检测记录都通过这里读写，
+ * 使用 Redis 时 PM2 集群或多台服务器上的进程共用同一份状态，限制在所有进程中一致生效
+ *
+ * 各实现提供相同的异步接口，值会序列化为 JSON 保存：
+ * - get(key)：读取值，不存在或已过期时返回 null
+ * - set(key, value, ttlMs)：写入值，ttlMs 省略时不过期
+ * - delete(key)：删除键，返回是否存在
+ * - increment(key, ttlMs)：计数器加一，新建的计数器 ttlMs 后过期，返回 { count, expiresAt }
+ * - decrement(key)：计数器减一（计数器不存在时不创建），返回当前计数
+ * - addToSet(key, member) / removeFromSet(key, member) / getSetMembers(key)：字符串集合
+ */
+
+const config = require('../config/config');
+
+const TYPE = config.STATE_STORE.TYPE;
+
+let stateStore;
+
+if (TYPE === 'redis') {
+    console.log('✓ 使用 Redis 共享状态存储');
+    stateStore = require('./state-store-redis');
+} else {
+    console.log('✓ 使用内存状态存储（只在当前进程内有效）');
+    stateStore = require('./state-store-memory');
+}
+
+module.exports = stateStore;
@@ -1,12 +1,15 @@
 // 隐蔽防护模块 - 不对外公开的安全措施
 const crypto = require('crypto');
+const stateStore = require('./state-store');
 
 /**
  * 蜜罐陷阱
+ * 被捕获的 IP 保存在共享状态存储中，在任一进程触发陷阱后所有进程都会拦截
  */
 class HoneyPot {
-    constructor() {
-        this.trapped = new Set();
+    constructor(options = {}) {
+        this.trapDuration = options.trapDuration || 24 * 3600000; // 捕获记录保留 24 小时
+        this.store = options.store || stateStore;
         this.traps = new Map();
         this.initTraps();
     }
@@ -45,7 +48,7 @@ class HoneyPot {
     /**
      * 检查是否触发陷阱
      */
-    check(req) {
+    async check(req) {
         const path = req.path.toLowerCase();
         const ip = this.getIP(req);
         
@@ -53,7 +56,7 @@ class HoneyPot {
             if (path.includes(trapPath)) {
                 data.hits++;
                 data.lastHit = Date.now();
-                this.trapped.add(ip);
+                await this.store.set(`honeypot:trapped:${ip}`, true, this.trapDuration);
                 
                 // 记录但不暴露
                 this.logSilently(ip, path);
@@ -68,9 +71,9 @@ class HoneyPot {
     /**
      * 检查IP是否已被捕获
      */
-    isTrapped(req) {
+    async isTrapped(req) {
         const ip = this.getIP(req);
-        return this.trapped.has(ip);
+        return !!(await this.store.get(`honeypot:trapped:${ip}`));
     }
     
     /**
@@ -528,9 +531,19 @@ const stealthLogger = new StealthLogger();
 /**
  * 隐蔽防护中间件
  */
-function stealthProtectionMiddleware(req, res, next) {
+async function stealthProtectionMiddleware(req, res, next) {
+    let hitTrap = false;
+    let trapped = false;
+    try {
+        hitTrap = await honeyPot.check(req);
+        trapped = !hitTrap && await honeyPot.isTrapped(req);
+    } catch (error) {
+        // 状态存储不可用时跳过蜜罐检查，其余检查照常进行
+        console.error('蜜罐检查失败:', error);
+    }
+    
     // 蜜罐检查
-    if (honeyPot.check(req)) {
+    if (hitTrap) {
         adaptiveProtection.recordMetric('blocked');
         stealthLogger.log('honeypot', { path: req.path });
         
@@ -539,7 +552,7 @@ function stealthProtectionMiddleware(req, res, next) {
     }
     
     // 检查是否已被捕获
-    if (honeyPot.isTrapped(req)) {
+    if (trapped) {
         adaptiveProtection.recordMetric('blocked');
         // 添加延迟，消耗攻击者时间
         return setTimeout(() => {
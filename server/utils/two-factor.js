@@ -0,0 +1,240 @@
+// 两步验证模块（RFC 6238 TOTP）
+// 兼容常见的身份验证器应用：HMAC-SHA1、6 位数字、30 秒步长
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const db = require('./db-adapter');
+const config = require('../config/config');
+
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD = 30; // 秒
+const TOTP_WINDOW = 1; // 允许前后各一个步长的时钟误差
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_EXPIRES_IN = '5m'; // 输入密码后完成第二步的时限
+const ISSUER = 'NEXI CHAT';
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+    let bits = '';
+    for (const byte of buffer) {
+        bits += byte.toString(2).padStart(8, '0');
+    }
+
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+}
+
+function base32Decode(text) {
+    const clean = text.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = '';
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 character');
+        bits += index.toString(2).padStart(5, '0');
+    }
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * 生成新的 TOTP 密钥（160 位，Base32 编码）
+ * @returns {string}
+ */
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * 计算指定时间步的验证码（RFC 4226 HOTP）
+ * @param {string} secret - Base32 密钥
+ * @param {number} step - 时间步
+ * @returns {string}
+ */
+function generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return (binary % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * 是否为 TOTP 验证码格式（6 位数字），否则按恢复码处理
+ * @param {string} code
+ * @returns {boolean}
+ */
+function isTotpCode(code) {
+    return typeof code === 'string' && new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(code.trim());
+}
+
+/**
+ * 校验 TOTP 验证码
+ * @param {string} secret - Base32 密钥
+ * @param {string} code - 用户输入的验证码
+ * @param {number} [lastStep] - 上次验证成功的时间步，不大于它的验证码视为重放
+ * @returns {number|null} - 匹配的时间步，不匹配时返回 null
+ */
+function verifyCode(secret, code, lastStep = -1) {
+    if (!secret || !isTotpCode(code)) return null;
+
+    const input = Buffer.from(code.trim());
+    const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD);
+
+    for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+        const step = currentStep + offset;
+        if (step <= lastStep) continue;
+        if (crypto.timingSafeEqual(input, Buffer.from(generateCode(secret, step)))) {
+            return step;
+        }
+    }
+    return null;
+}
+
+/**
+ * 生成绑定所需的 otpauth:// 链接和二维码
+ * @param {string} accountName - 显示在验证器应用中的账号名
+ * @param {string} secret - Base32 密钥
+ * @returns {Promise<{otpauthUrl: string, qrCode: string, manualEntryKey: string}>}
+ */
+async function createEnrollment(accountName, secret) {
+    const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer: ISSUER,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_PERIOD)
+    });
+    const otpauthUrl = `otpauth://totp/${label}?${params.toString()}`;
+
+    return {
+        otpauthUrl,
+        qrCode: await QRCode.toDataURL(otpauthUrl),
+        manualEntryKey: secret
+    };
+}
+
+function hashRecoveryCode(code) {
+    const normalized = code.toLowerCase().replace(/[\s-]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * 生成一组一次性恢复码（数据库只保存哈希）
+ * @returns {{codes: string[], hashes: string[]}}
+ */
+function generateRecoveryCodes() {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/**
+ * 使用一个恢复码
+ * @param {string[]} hashes - 剩余恢复码的哈希
+ * @param {string} code - 用户输入的恢复码
+ * @returns {string[]|null} - 使用后剩余的哈希，恢复码无效时返回 null
+ */
+function consumeRecoveryCode(hashes, code) {
+    if (typeof code !== 'string' || !code.trim() || !Array.isArray(hashes)) return null;
+
+    const hash = hashRecoveryCode(code);
+    if (!hashes.includes(hash)) return null;
+    return hashes.filter(item => item !== hash);
+}
+
+/**
+ * 校验第二步凭证：6 位数字按 TOTP 校验，其余按恢复码校验（恢复码用后即作废）
+ * @param {Object} account - 用户或管理员记录
+ * @param {string} code - 验证码或恢复码
+ * @param {function(Object): Promise} save - 保存账号字段的函数
+ * @returns {Promise<boolean>}
+ */
+async function verifySecondFactor(account, code, save) {
+    if (!account.totp_enabled || typeof code !== 'string') return false;
+
+    if (isTotpCode(code)) {
+        const step = verifyCode(account.totp_secret, code, account.totp_last_step ?? -1);
+        if (step === null) return false;
+        await save({ totp_last_step: step });
+        return true;
+    }
+
+    const remaining = consumeRecoveryCode(account.totp_recovery_codes, code);
+    if (!remaining) return false;
+    await save({ totp_recovery_codes: remaining });
+    return true;
+}
+
+/**
+ * 校验用户的第二步凭证
+ * @param {Object} user - 用户记录
+ * @param {string} code - 验证码或恢复码
+ * @returns {Promise<boolean>}
+ */
+async function verifyUserSecondFactor(user, code) {
+    return verifySecondFactor(user, code, updates => db.updateUser(user.id, updates));
+}
+
+/**
+ * 校验管理员的第二步凭证
+ * @param {Object} admin - 管理员记录
+ * @param {string} code - 验证码或恢复码
+ * @returns {Promise<boolean>}
+ */
+async function verifyAdminSecondFactor(admin, code) {
+    return verifySecondFactor(admin, code, updates => db.updateAdmin(admin.id, updates));
+}
+
+/**
+ * 签发两步验证挑战令牌：密码校验通过后返回给客户端，凭它和验证码完成登录
+ * 载荷中没有 userId / admin 字段，不能当作访问令牌使用
+ * @param {string} subject - 用户 ID 或 'admin'
+ * @returns {string}
+ */
+function issueChallengeToken(subject) {
+    return jwt.sign({ purpose: 'two-factor' }, config.JWT_SECRET, {
+        subject: String(subject),
+        expiresIn: CHALLENGE_EXPIRES_IN
+    });
+}
+
+/**
+ * 校验两步验证挑战令牌
+ * @param {string} token
+ * @returns {string|null} - 签发时的 subject，令牌无效或过期时返回 null
+ */
+function verifyChallengeToken(token) {
+    try {
+        const decoded = jwt.verify(token, config.JWT_SECRET);
+        return decoded.purpose === 'two-factor' ? decoded.sub : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = {
+    generateSecret,
+    generateCode,
+    verifyCode,
+    createEnrollment,
+    generateRecoveryCodes,
+    consumeRecoveryCode,
+    verifyUserSecondFactor,
+    verifyAdminSecondFactor,
+    issueChallengeToken,
+    verifyChallengeToken
+};
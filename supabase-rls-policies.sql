@@ -83,6 +83,163 @@ CREATE POLICY "禁止删除频道成员"
 ON channel_members FOR DELETE
 USING (false);
 
+-- 禁止用户修改频道角色（任命版主需要通过 API 校验所有者身份）
+CREATE POLICY "禁止直接修改频道角色"
+ON channel_members FOR UPDATE
+USING (false);
+
+-- ============================================
+-- 消息编辑历史表（message_edits）安全策略
+-- ============================================
+
+-- 启用 RLS
+ALTER TABLE message_edits ENABLE ROW LEVEL SECURITY;
+
+-- 编辑历史与消息可见性保持一致
+CREATE POLICY "用户可以查看编辑历史"
+ON message_edits FOR SELECT
+USING (true);
+
+-- 编辑历史只能由服务端写入
+CREATE POLICY "禁止直接插入编辑历史"
+ON message_edits FOR INSERT
+WITH CHECK (false);
+
+-- 编辑历史不可修改
+CREATE POLICY "禁止修改编辑历史"
+ON message_edits FOR UPDATE
+USING (false);
+
+-- ============================================
+-- 消息表情回应表（message_reactions）安全策略
+-- ============================================
+
+-- 启用 RLS
+ALTER TABLE message_reactions ENABLE ROW LEVEL SECURITY;
+
+-- 所有用户可以查看表情回应
+CREATE POLICY "用户可以查看表情回应"
+ON message_reactions FOR SELECT
+USING (true);
+
+-- 表情回应只能由服务端写入
+CREATE POLICY "禁止直接添加表情回应"
+ON message_reactions FOR INSERT
+WITH CHECK (false);
+
+-- 表情回应不可修改
+CREATE POLICY "禁止修改表情回应"
+ON message_reactions FOR UPDATE
+USING (false);
+
+-- 表情回应只能由服务端删除
+CREATE POLICY "禁止直接删除表情回应"
+ON message_reactions FOR DELETE
+USING (false);
+
+-- ============================================
+-- 消息提及表（message_mentions）安全策略
+-- ============================================
+
+-- 启用 RLS
+ALTER TABLE message_mentions ENABLE ROW LEVEL SECURITY;
+
+-- 提及与消息可见性保持一致
+CREATE POLICY "用户可以查看提及"
+ON message_mentions FOR SELECT
+USING (true);
+
+-- 提及只能由服务端在发送消息时写入
+CREATE POLICY "禁止直接插入提及"
+ON message_mentions FOR INSERT
+WITH CHECK (false);
+
+CREATE POLICY "禁止修改提及"
+ON message_mentions FOR UPDATE
+USING (false);
+
+-- ============================================
+-- 私信表（dm_conversations / direct_messages）安全策略
+-- ============================================
+
+-- 启用 RLS
+ALTER TABLE dm_conversations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE direct_messages ENABLE ROW LEVEL SECURITY;
+
+-- 私信只能通过服务端读写（服务端校验会话双方身份）
+CREATE POLICY "禁止直接访问私信会话"
+ON dm_conversations FOR ALL
+USING (false);
+
+CREATE POLICY "禁止直接访问私信"
+ON direct_messages FOR ALL
+USING (false);
+
+-- ============================================
+-- 频道已读位置表（channel_read_markers）安全策略
+-- ============================================
+
+-- 启用 RLS
+ALTER TABLE channel_read_markers ENABLE ROW LEVEL SECURITY;
+
+-- 已读位置只能通过服务端读写（服务端校验用户身份和频道权限）
+CREATE POLICY "禁止直接访问已读位置"
+ON channel_read_markers FOR ALL
+USING (false);
+
+-- ============================================
+-- 频道邀请链接表（channel_invites）安全策略
+-- ============================================
+
+-- 启用 RLS
+ALTER TABLE channel_invites ENABLE ROW LEVEL SECURITY;
+
+-- 邀请码等同于入群凭证，只能由服务端创建、校验和撤销
+CREATE POLICY "禁止直接访问邀请链接"
+ON channel_invites FOR ALL
+USING (false);
+
+-- ============================================
+-- 刷新令牌表（refresh_tokens）安全策略
+-- ============================================
+
+-- 启用 RLS
+ALTER TABLE refresh_tokens ENABLE ROW LEVEL SECURITY;
+
+-- 刷新令牌只能由服务端签发、轮换和撤销
+CREATE POLICY "禁止直接访问刷新令牌"
+ON refresh_tokens FOR ALL
+USING (false);
+
+-- ============================================
+-- 管理员账号表（admins）安全策略
+-- ============================================
+
+-- 启用 RLS
+ALTER TABLE admins ENABLE ROW LEVEL SECURITY;
+
+-- 管理员账号包含密码哈希和两步验证密钥，只能由服务端读写
+CREATE POLICY "禁止直接访问管理员账号"
+ON admins FOR ALL
+USING (false);
+
+-- ============================================
+-- 注册邀请码表（registration_invites、registration_invite_redemptions）安全策略
+-- ============================================
+
+-- 启用 RLS
+ALTER TABLE registration_invites ENABLE ROW LEVEL SECURITY;
+ALTER TABLE registration_invite_redemptions ENABLE ROW LEVEL SECURITY;
+
+-- 邀请码等同于注册凭证，只能由服务端创建、校验和撤销
+CREATE POLICY "禁止直接访问注册邀请码"
+ON registration_invites FOR ALL
+USING (false);
+
+CREATE POLICY "禁止直接访问邀请码使用记录"
+ON registration_invite_redemptions FOR ALL
+USING (false);
+
 -- ============================================
 -- 频道表（channels）安全策略
 -- ============================================
@@ -179,9 +336,9 @@ $$ LANGUAGE plpgsql SECURITY DEFINER;
 CREATE OR REPLACE FUNCTION prevent_message_tampering()
 RETURNS TRIGGER AS $$
 BEGIN
-    -- 只允许更新 is_recalled 字段
+    -- 只允许通过撤回或编辑修改消息内容
     IF OLD.content IS DISTINCT FROM NEW.content THEN
-        IF NEW.is_recalled = false THEN
+        IF NEW.is_recalled = false AND NEW.is_edited = false THEN
             RAISE EXCEPTION '不允许修改消息内容';
         END IF;
     END IF;
@@ -342,6 +499,17 @@ $$ LANGUAGE plpgsql SECURITY DEFINER;
 COMMENT ON TABLE users IS '用户表，存储用户基本信息';
 COMMENT ON TABLE messages IS '消息表，存储聊天消息';
 COMMENT ON TABLE channels IS '频道表，存储频道信息';
-COMMENT ON TABLE channel_members IS '频道成员表，存储用户与频道的关系';
+COMMENT ON TABLE channel_members IS '频道成员表，存储用户与频道的关系及成员角色（owner/moderator/member）';
+COMMENT ON TABLE message_edits IS '消息编辑历史表，保存消息每次编辑前的内容';
+COMMENT ON TABLE message_reactions IS '消息表情回应表，记录用户对消息的表情回应';
+COMMENT ON TABLE message_mentions IS '消息提及表，记录消息中被 @ 的用户';
+COMMENT ON TABLE dm_conversations IS '私信会话表，记录两个用户之间的私信会话';
+COMMENT ON TABLE direct_messages IS '私信消息表，存储用户之间的私信';
+COMMENT ON TABLE channel_read_markers IS '频道已读位置表，记录用户在每个频道最后读到的消息';
+COMMENT ON TABLE channel_invites IS '频道邀请链接表，记录邀请码的有效期、使用次数和撤销状态';
+COMMENT ON TABLE refresh_tokens IS '刷新令牌表，保存刷新令牌的哈希、有效期和撤销状态';
+COMMENT ON TABLE admins IS '管理员账号表，保存管理员的密码哈希、角色和两步验证设置';
+COMMENT ON TABLE registration_invites IS '注册邀请码表，记录邀请码的有效期、使用次数和撤销状态';
+COMMENT ON TABLE registration_invite_redemptions IS '注册邀请码使用记录表，记录通过每个邀请码注册的用户';
 COMMENT ON TABLE audit_logs IS '审计日志表，记录所有重要操作';
 COMMENT ON TABLE rate_limits IS '速率限制表，用于数据库层的速率控制';
@@ -11,6 +11,12 @@ CREATE TABLE IF NOT EXISTS users (
     avatar TEXT,
     bio TEXT,
     gender VARCHAR(10),
+    token_version INTEGER NOT NULL DEFAULT 0,
+    totp_secret VARCHAR(64),
+    totp_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+    totp_recovery_codes TEXT[],
+    totp_last_step BIGINT,
+    email_verified BOOLEAN NOT NULL DEFAULT FALSE,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
@@ -27,6 +33,12 @@ CREATE TABLE IF NOT EXISTS messages (
     blocked_at TIMESTAMP WITH TIME ZONE,
     is_recalled BOOLEAN DEFAULT FALSE,
     recalled_at TIMESTAMP WITH TIME ZONE,
+    is_edited BOOLEAN DEFAULT FALSE,
+    edited_at TIMESTAMP WITH TIME ZONE,
+    is_pinned BOOLEAN DEFAULT FALSE,
+    pinned_at TIMESTAMP WITH TIME ZONE,
+    pinned_by BIGINT REFERENCES users(id) ON DELETE SET NULL,
+    client_id VARCHAR(64),
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
@@ -34,47 +46,286 @@ CREATE TABLE IF NOT EXISTS messages (
 CREATE TABLE IF NOT EXISTS channels (
     id BIGSERIAL PRIMARY KEY,
     name VARCHAR(50) UNIQUE NOT NULL,
+    display_name VARCHAR(50),
+    icon VARCHAR(10) DEFAULT '#',
     password VARCHAR(255),
+    access_mode VARCHAR(10) NOT NULL DEFAULT 'public' CHECK (access_mode IN ('public', 'protected', 'invite')),
+    slow_mode_seconds INTEGER NOT NULL DEFAULT 0,
+    is_archived BOOLEAN DEFAULT FALSE,
+    sort_order INTEGER DEFAULT 0,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
--- 4. 频道成员表
+-- 4. 频道成员表（role：owner 频道所有者、moderator 版主、member 普通成员）
 CREATE TABLE IF NOT EXISTS channel_members (
     id BIGSERIAL PRIMARY KEY,
     channel_id BIGINT NOT NULL REFERENCES channels(id) ON DELETE CASCADE,
     user_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(20) NOT NULL DEFAULT 'member' CHECK (role IN ('owner', 'moderator', 'member')),
     joined_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     UNIQUE(channel_id, user_id)
 );
 
+-- 5. 消息编辑历史表（保存每次编辑前的内容）
+CREATE TABLE IF NOT EXISTS message_edits (
+    id BIGSERIAL PRIMARY KEY,
+    message_id BIGINT NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    user_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    content TEXT,
+    edited_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 6. 消息表情回应表（每个用户对同一消息的同一表情只记录一次）
+CREATE TABLE IF NOT EXISTS message_reactions (
+    id BIGSERIAL PRIMARY KEY,
+    message_id BIGINT NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    user_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    emoji VARCHAR(32) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(message_id, user_id, emoji)
+);
+
+-- 7. 私信会话表（两个用户之间只有一个会话，user1_id 始终小于 user2_id）
+CREATE TABLE IF NOT EXISTS dm_conversations (
+    id BIGSERIAL PRIMARY KEY,
+    user1_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    user2_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_message_at TIMESTAMP WITH TIME ZONE,
+    UNIQUE(user1_id, user2_id),
+    CHECK (user1_id < user2_id)
+);
+
+-- 8. 私信消息表
+CREATE TABLE IF NOT EXISTS direct_messages (
+    id BIGSERIAL PRIMARY KEY,
+    conversation_id BIGINT NOT NULL REFERENCES dm_conversations(id) ON DELETE CASCADE,
+    sender_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    content TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 9. 消息提及表（记录消息中被 @ 的用户）
+CREATE TABLE IF NOT EXISTS message_mentions (
+    id BIGSERIAL PRIMARY KEY,
+    message_id BIGINT NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    user_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(message_id, user_id)
+);
+
+-- 10. 频道已读位置表（记录每个用户在每个频道最后读到的消息）
+CREATE TABLE IF NOT EXISTS channel_read_markers (
+    id BIGSERIAL PRIMARY KEY,
+    user_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    channel VARCHAR(50) NOT NULL,
+    last_read_message_id BIGINT NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(user_id, channel)
+);
+
+-- 11. 频道邀请链接表（max_uses 为空表示不限次数）
+CREATE TABLE IF NOT EXISTS channel_invites (
+    id BIGSERIAL PRIMARY KEY,
+    channel VARCHAR(50) NOT NULL REFERENCES channels(name) ON DELETE CASCADE,
+    code VARCHAR(64) UNIQUE NOT NULL,
+    max_uses INTEGER CHECK (max_uses IS NULL OR max_uses > 0),
+    uses INTEGER NOT NULL DEFAULT 0,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 12. 刷新令牌表（只保存令牌的 SHA-256 哈希）
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id BIGSERIAL PRIMARY KEY,
+    user_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    session_id VARCHAR(64),
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 13. 管理员账号表（密码为 bcrypt 哈希；表为空时服务端用 ADMIN_USERNAME / ADMIN_PASSWORD 创建超级管理员）
+CREATE TABLE IF NOT EXISTS admins (
+    id BIGSERIAL PRIMARY KEY,
+    username VARCHAR(50) UNIQUE NOT NULL,
+    password VARCHAR(255) NOT NULL,
+    role VARCHAR(20) NOT NULL DEFAULT 'moderator' CHECK (role IN ('superadmin', 'moderator', 'auditor')),
+    token_version INTEGER NOT NULL DEFAULT 0,
+    totp_secret VARCHAR(64),
+    totp_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+    totp_recovery_codes TEXT[],
+    totp_last_step BIGINT,
+    last_login_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 14. 注册邀请码表（REGISTRATION_MODE=invite 时注册需要邀请码）
+CREATE TABLE IF NOT EXISTS registration_invites (
+    id BIGSERIAL PRIMARY KEY,
+    code VARCHAR(64) UNIQUE NOT NULL,
+    note VARCHAR(100),
+    max_uses INTEGER CHECK (max_uses IS NULL OR max_uses > 0),
+    uses INTEGER NOT NULL DEFAULT 0,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_by VARCHAR(50),
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 15. 注册邀请码使用记录表（记录每个邀请码注册了哪些用户）
+CREATE TABLE IF NOT EXISTS registration_invite_redemptions (
+    id BIGSERIAL PRIMARY KEY,
+    invite_id BIGINT NOT NULL REFERENCES registration_invites(id) ON DELETE CASCADE,
+    user_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 已有数据库升级：为消息表补充编辑字段
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS is_edited BOOLEAN DEFAULT FALSE;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS edited_at TIMESTAMP WITH TIME ZONE;
+
+-- 已有数据库升级：频道改为由管理员动态管理
+ALTER TABLE channels ADD COLUMN IF NOT EXISTS display_name VARCHAR(50);
+ALTER TABLE channels ADD COLUMN IF NOT EXISTS icon VARCHAR(10) DEFAULT '#';
+ALTER TABLE channels ADD COLUMN IF NOT EXISTS is_archived BOOLEAN DEFAULT FALSE;
+ALTER TABLE channels ADD COLUMN IF NOT EXISTS sort_order INTEGER DEFAULT 0;
+
+-- 已有数据库升级：频道访问模式（已设置密码的频道升级为密码模式）
+ALTER TABLE channels ADD COLUMN IF NOT EXISTS access_mode VARCHAR(10);
+UPDATE channels SET access_mode = CASE WHEN password IS NOT NULL THEN 'protected' ELSE 'public' END
+WHERE access_mode IS NULL;
+ALTER TABLE channels ALTER COLUMN access_mode SET DEFAULT 'public';
+ALTER TABLE channels ALTER COLUMN access_mode SET NOT NULL;
+
+-- 已有数据库升级：频道角色、慢速模式和消息置顶
+ALTER TABLE channel_members ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'member';
+ALTER TABLE channels ADD COLUMN IF NOT EXISTS slow_mode_seconds INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS is_pinned BOOLEAN DEFAULT FALSE;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS pinned_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS pinned_by BIGINT REFERENCES users(id) ON DELETE SET NULL;
+
+-- 已有数据库升级：令牌版本号（递增后该用户已签发的访问令牌全部失效）
+ALTER TABLE users ADD COLUMN IF NOT EXISTS token_version INTEGER NOT NULL DEFAULT 0;
+
+-- 已有数据库升级：刷新令牌关联登录会话（用于按会话下线设备）
+ALTER TABLE refresh_tokens ADD COLUMN IF NOT EXISTS session_id VARCHAR(64);
+
+-- 已有数据库升级：TOTP 两步验证（恢复码只保存 SHA-256 哈希，totp_last_step 用于拒绝重放）
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret VARCHAR(64);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_recovery_codes TEXT[];
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_step BIGINT;
+
+-- 已有数据库升级：管理员两步验证恢复码
+ALTER TABLE admins ADD COLUMN IF NOT EXISTS totp_recovery_codes TEXT[];
+
+-- 已有数据库升级：邮箱验证状态（修改邮箱后重置为未验证）
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- 已有数据库升级：客户端生成的消息 ID（离线发件箱重试时用于去重）
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS client_id VARCHAR(64);
+
+-- 全文搜索：由 content 自动生成的 tsvector 列
+-- 使用 simple 配置（不做词干处理），中文按空格和标点切分
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+    GENERATED ALWAYS AS (to_tsvector('simple', COALESCE(content, ''))) STORED;
+
+-- to_tsvector 不会切分中文（连续的中文只生成一个词），中文片段改用 ILIKE 子串匹配，由三元组索引加速
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
 -- 创建索引以提高查询性能
 CREATE INDEX IF NOT EXISTS idx_messages_channel ON messages(channel);
+-- 消息分页按 ID 游标翻页
+CREATE INDEX IF NOT EXISTS idx_messages_channel_id ON messages(channel, id);
 CREATE INDEX IF NOT EXISTS idx_messages_user_id ON messages(user_id);
 CREATE INDEX IF NOT EXISTS idx_messages_created_at ON messages(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_messages_search_vector ON messages USING GIN(search_vector);
+CREATE INDEX IF NOT EXISTS idx_messages_content_trgm ON messages USING GIN(content gin_trgm_ops);
 CREATE INDEX IF NOT EXISTS idx_channel_members_channel_id ON channel_members(channel_id);
 CREATE INDEX IF NOT EXISTS idx_channel_members_user_id ON channel_members(user_id);
+CREATE INDEX IF NOT EXISTS idx_messages_pinned ON messages(channel, pinned_at DESC) WHERE is_pinned;
+CREATE INDEX IF NOT EXISTS idx_message_edits_message_id ON message_edits(message_id);
+CREATE INDEX IF NOT EXISTS idx_message_reactions_message_id ON message_reactions(message_id);
+CREATE INDEX IF NOT EXISTS idx_message_mentions_message_id ON message_mentions(message_id);
+CREATE INDEX IF NOT EXISTS idx_message_mentions_user_id ON message_mentions(user_id);
+CREATE INDEX IF NOT EXISTS idx_dm_conversations_user2_id ON dm_conversations(user2_id);
+CREATE INDEX IF NOT EXISTS idx_direct_messages_conversation_id ON direct_messages(conversation_id, id DESC);
+CREATE INDEX IF NOT EXISTS idx_channel_read_markers_channel ON channel_read_markers(channel);
+CREATE INDEX IF NOT EXISTS idx_channel_invites_channel ON channel_invites(channel);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON refresh_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session_id ON refresh_tokens(session_id);
+CREATE INDEX IF NOT EXISTS idx_registration_invite_redemptions_invite_id ON registration_invite_redemptions(invite_id);
+-- 同一用户的 client_id 唯一，重试的请求同时到达时也只会保存一条
+CREATE UNIQUE INDEX IF NOT EXISTS idx_messages_user_client_id ON messages(user_id, client_id) WHERE client_id IS NOT NULL;
 
--- 插入默认频道
-INSERT INTO channels (name, password) VALUES
-    ('General', NULL),
-    ('Technology', NULL),
-    ('Gaming', NULL),
-    ('Music', NULL),
-    ('Random', NULL),
-    ('Channel105', '123456')
+-- 插入默认频道（105专用频道不设默认密码，创建为仅限邀请，由管理员在后台设置密码或添加成员）
+INSERT INTO channels (name, display_name, icon, password, access_mode, sort_order) VALUES
+    ('General', '频道1', '1', NULL, 'public', 0),
+    ('Technology', '频道2', '2', NULL, 'public', 1),
+    ('Gaming', '频道3', '3', NULL, 'public', 2),
+    ('Music', '频道4', '4', NULL, 'public', 3),
+    ('Random', '频道5', '5', NULL, 'public', 4),
+    ('Channel105', '105专用频道', '🔒', NULL, 'invite', 5)
 ON CONFLICT (name) DO NOTHING;
 
+-- 已有数据库升级：为默认频道补充显示名称和图标
+UPDATE channels SET display_name = v.display_name, icon = v.icon, sort_order = v.sort_order
+FROM (VALUES
+    ('General', '频道1', '1', 0),
+    ('Technology', '频道2', '2', 1),
+    ('Gaming', '频道3', '3', 2),
+    ('Music', '频道4', '4', 3),
+    ('Random', '频道5', '5', 4),
+    ('Channel105', '105专用频道', '🔒', 5)
+) AS v(name, display_name, icon, sort_order)
+WHERE channels.name = v.name AND channels.display_name IS NULL;
+
+-- 频道密码使用 bcrypt 哈希保存（pgcrypto 生成的 $2a$ 哈希与 bcryptjs 兼容）
+-- 同时处理旧版数据库中的明文密码
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+UPDATE channels SET password = crypt(password, gen_salt('bf', 10))
+WHERE password IS NOT NULL AND password NOT LIKE '$2%';
+
+-- 旧版本为 105专用频道 写入的默认密码已公开，仍在使用时改为仅限邀请
+UPDATE channels SET password = NULL, access_mode = 'invite'
+WHERE name = 'Channel105' AND password IS NOT NULL AND password = crypt('123456', password);
+
 -- 启用 Row Level Security (RLS)
 ALTER TABLE users ENABLE ROW LEVEL SECURITY;
 ALTER TABLE messages ENABLE ROW LEVEL SECURITY;
 ALTER TABLE channels ENABLE ROW LEVEL SECURITY;
 ALTER TABLE channel_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE message_edits ENABLE ROW LEVEL SECURITY;
+ALTER TABLE message_reactions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE message_mentions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE dm_conversations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE direct_messages ENABLE ROW LEVEL SECURITY;
+ALTER TABLE channel_read_markers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE channel_invites ENABLE ROW LEVEL SECURITY;
+ALTER TABLE refresh_tokens ENABLE ROW LEVEL SECURITY;
+ALTER TABLE admins ENABLE ROW LEVEL SECURITY;
+ALTER TABLE registration_invites ENABLE ROW LEVEL SECURITY;
+ALTER TABLE registration_invite_redemptions ENABLE ROW LEVEL SECURITY;
 
 -- 创建 RLS 策略（允许所有操作，因为我们在后端控制权限）
 CREATE POLICY "允许所有用户操作" ON users FOR ALL USING (true);
 CREATE POLICY "允许所有消息操作" ON messages FOR ALL USING (true);
 CREATE POLICY "允许所有频道操作" ON channels FOR ALL USING (true);
 CREATE POLICY "允许所有频道成员操作" ON channel_members FOR ALL USING (true);
+CREATE POLICY "允许所有编辑历史操作" ON message_edits FOR ALL USING (true);
+CREATE POLICY "允许所有表情回应操作" ON message_reactions FOR ALL USING (true);
+CREATE POLICY "允许所有提及操作" ON message_mentions FOR ALL USING (true);
+CREATE POLICY "允许所有私信会话操作" ON dm_conversations FOR ALL USING (true);
+CREATE POLICY "允许所有私信操作" ON direct_messages FOR ALL USING (true);
+CREATE POLICY "允许所有已读位置操作" ON channel_read_markers FOR ALL USING (true);
+CREATE POLICY "允许所有邀请链接操作" ON channel_invites FOR ALL USING (true);
+CREATE POLICY "允许所有刷新令牌操作" ON refresh_tokens FOR ALL USING (true);
+CREATE POLICY "允许所有管理员账号操作" ON admins FOR ALL USING (true);
+CREATE POLICY "允许所有注册邀请码操作" ON registration_invites FOR ALL USING (true);
+CREATE POLICY "允许所有邀请码使用记录操作" ON registration_invite_redemptions FOR ALL USING (true);
 
 -- 创建存储桶（用于文件上传）
 -- 注意：这需要在 Supabase Storage 界面手动创建，或使用 Supabase CLI